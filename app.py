@@ -24,7 +24,8 @@ config = {
     'max_ray_steps': 100,
     'field_of_view': 45,
     'resolution_scale': 1.0,
-    'dim_step_size': 0.02
+    'dim_step_size': 0.02,
+    'world_seed': None  # None = random planet each load; set a number to reproduce one
 }
 
 # Try to load config from file
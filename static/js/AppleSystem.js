@@ -31,7 +31,10 @@ export default class AppleSystem {
       groundLifetime: 30000, // 30 seconds on ground (was 6000)
       sphereRadius: 800,
       getTerrainHeight: null,
+      getWaterLevel: null, // NEW: (dir) => water surface height or null - apples float on water
       onAppleCollected: null, // Callback signature: (type, value, effectMultiplier, position)
+      blossomColor: 0xf6d6e4, // NEW: Spring blossom shown before the fruit sets
+      blossomStage: 0.35,     // NEW: Growth progress below which a spring apple is still a blossom
       performanceMode: false      // Start with performance mode OFF for debugging
     }, options);
 
@@ -49,6 +52,11 @@ export default class AppleSystem {
     this.unripeAppleMaterials = {}; // Store unripe materials by type
 
     this._initMaterials(); // Initialize materials based on appleTypes
+
+    // NEW: Seasonal multipliers, driven by SeasonSystem via setSeason()
+    this.seasonGrowth = 1;
+    this.seasonFall = 1;
+    this.seasonBlossoms = false;
     
     // Count collections by the player
     this.stats = {
@@ -92,6 +100,10 @@ export default class AppleSystem {
         color: config.unripeColor
       });
     }
+    this.blossomMaterial = new THREE.MeshLambertMaterial({
+      color: this.options.blossomColor,
+      emissive: new THREE.Color(this.options.blossomColor).multiplyScalar(0.15)
+    });
     // Fallback (shouldn't be needed)
     this.appleMaterial = this.appleMaterials.red;
     this.unripeAppleMaterial = this.unripeAppleMaterials.red;
@@ -113,8 +125,8 @@ export default class AppleSystem {
     this.scene.traverse(object => {
       traversedCount++;
 
-      // Check if the object is a Group named "AppleTree"
-      if (object.isGroup && object.name === "AppleTree") {
+      // Check if the object is a Group named "AppleTree" (or a fruiting species from createTreeSpecies)
+      if (object.isGroup && (object.name === "AppleTree" || object.userData?.bearsFruit)) {
         groupCount++;
         // console.log(`[AppleSystem] Traversing Group: ID=${object.id}, Name=${object.name}, userData=`, object.userData);
 
@@ -189,7 +201,7 @@ export default class AppleSystem {
     if (this.growthPoints[treeId]) return;
 
     const points = [];
-    const worldPos = new THREE.Vector3();
+    const normalMatrix = new THREE.Matrix3();
     const foliageMeshes = [];
 
     // Find foliage meshes within the group
@@ -208,17 +220,22 @@ export default class AppleSystem {
 
     // console.log(`[AppleSystem] Found ${foliageMeshes.length} foliage meshes for tree ${treeId}.`);
 
-    const pointsPerFoliage = Math.max(1, Math.floor(this.options.maxApplesPerTree / foliageMeshes.length));
-    const totalPointsToGenerate = this.options.maxApplesPerTree;
-    let generatedPoints = 0;
+    // Tree species set their own fruit count
+    const totalPointsToGenerate = treeGroup.userData.maxFruit ?? this.options.maxApplesPerTree;
 
-    // Distribute points across foliage meshes
-    for (const foliageMesh of foliageMeshes) {
-        // Get world transform of the foliage mesh
-        foliageMesh.getWorldPosition(worldPos); // Center of the foliage sphere in world space
-        const foliageWorldRadius = foliageMesh.geometry.parameters.radius * foliageMesh.getWorldScale(new THREE.Vector3()).x; // Approx world radius
+    // FIXED: Deal points round-robin across the foliage meshes, so every clump gets its share
+    // and a remainder no longer piles onto the first one
+    for (let f = 0; f < foliageMeshes.length; f++) {
+        const countForThisFoliage = Math.floor(totalPointsToGenerate / foliageMeshes.length) +
+          (f < totalPointsToGenerate % foliageMeshes.length ? 1 : 0);
+        if (countForThisFoliage === 0) break;
 
-        const countForThisFoliage = Math.min(pointsPerFoliage, totalPointsToGenerate - generatedPoints);
+        // FIXED: Species squash their foliage into ellipsoids (non-uniform scale), so points go
+        // through the mesh's full world transform instead of using its x scale as a radius
+        const foliageMesh = foliageMeshes[f];
+        foliageMesh.updateWorldMatrix(true, false);
+        const foliageRadius = foliageMesh.geometry.parameters.radius;
+        normalMatrix.getNormalMatrix(foliageMesh.matrixWorld);
 
         for (let i = 0; i < countForThisFoliage; i++) {
             // Generate a random direction vector
@@ -228,11 +245,11 @@ export default class AppleSystem {
                 Math.random() - 0.5
             ).normalize();
 
-            // Calculate the point on the surface of this foliage sphere in world space
-            const pointPos = worldPos.clone().addScaledVector(randomDir, foliageWorldRadius);
+            // Point on the surface of this foliage ellipsoid in world space
+            const pointPos = foliageMesh.localToWorld(randomDir.clone().multiplyScalar(foliageRadius));
 
-            // Normal points outwards from the foliage center (same as randomDir)
-            const normal = randomDir.clone();
+            // Surface normal of the ellipsoid (the sphere normal through the normal matrix)
+            const normal = randomDir.clone().applyMatrix3(normalMatrix).normalize();
 
             points.push({
                 position: pointPos, // World space position
@@ -245,26 +262,9 @@ export default class AppleSystem {
                 effectMultiplier: 1.0, // Default
                 growthRate: 0.8 + Math.random() * 0.4
             });
-            generatedPoints++;
         }
-        if (generatedPoints >= totalPointsToGenerate) break;
     }
 
-     // If we didn't generate enough points (e.g., few foliage meshes), add remaining to the first one
-     if (generatedPoints < totalPointsToGenerate && foliageMeshes.length > 0) {
-        const firstFoliage = foliageMeshes[0];
-        firstFoliage.getWorldPosition(worldPos);
-        const foliageWorldRadius = firstFoliage.geometry.parameters.radius * firstFoliage.getWorldScale(new THREE.Vector3()).x;
-        for (let i = generatedPoints; i < totalPointsToGenerate; i++) {
-             const randomDir = new THREE.Vector3( /* ... */ ).normalize();
-             const pointPos = worldPos.clone().addScaledVector(randomDir, foliageWorldRadius);
-             const normal = randomDir.clone();
-             points.push({ /* ... point data ... */ });
-             generatedPoints++;
-        }
-     }
-
-
     this.growthPoints[treeId] = points;
     // console.log(`[AppleSystem] Generated ${points.length} growth points for tree group ${treeId}`);
   }
@@ -427,9 +427,11 @@ export default class AppleSystem {
                  this._ripenApple(point.apple, type); // Pass type
              }
           } else {
-             // Ensure it stays unripe material while growing
+             // Ensure it stays unripe material while growing (a blossom early in spring)
              const type = point.appleType;
-             const unripeMaterial = this.unripeAppleMaterials[type];
+             const unripeMaterial = this.seasonBlossoms && point.growthProgress < this.options.blossomStage
+               ? this.blossomMaterial
+               : this.unripeAppleMaterials[type];
              if (point.apple.material !== unripeMaterial) {
                  point.apple.material = unripeMaterial;
              }
@@ -451,7 +453,8 @@ export default class AppleSystem {
     
     // ADDED: Detect and fix stalled system
     // If we have no growing apples but have empty growth points, try to start some new ones
-    if (growing === 0 && this.updateCounter % 300 === 0) { // Check every ~5 seconds
+    // Skipped while the season has stopped growth (winter) - an empty tree is expected then
+    if (growing === 0 && this.seasonGrowth > 0 && this.updateCounter % 300 === 0) { // Check every ~5 seconds
       let emptyPoints = 0;
       Object.values(this.growthPoints).forEach(points => {
         points.forEach(point => {
@@ -508,10 +511,15 @@ export default class AppleSystem {
     // --- Determine Apple Type ---
     let chosenType = 'red'; // Default
     let effectMultiplier = this.options.appleTypes.red.effectMultiplier;
-    const rand = Math.random();
+    // NEW: Tree species can weight the types (userData.fruitTypes, e.g. { red: 0.2, yellow: 0.7, green: 0.1 })
+    const fruitTypes = growthPoint.treeGroup?.userData?.fruitTypes;
+    const weightOf = type => fruitTypes ? (fruitTypes[type] || 0) : this.options.appleTypes[type].probability;
+    let totalWeight = 0;
+    for (const type in this.options.appleTypes) totalWeight += weightOf(type);
+    const rand = Math.random() * (fruitTypes ? totalWeight : 1);
     let cumulativeProb = 0;
     for (const type in this.options.appleTypes) {
-        cumulativeProb += this.options.appleTypes[type].probability;
+        cumulativeProb += weightOf(type);
         if (rand < cumulativeProb) {
             chosenType = type;
             effectMultiplier = this.options.appleTypes[type].effectMultiplier;
@@ -583,7 +591,6 @@ export default class AppleSystem {
     
     const gravity = this.options.gravity;
     const sphereRadius = this.options.sphereRadius;
-    const getTerrainHeight = this.options.getTerrainHeight;
     
     // ADDED: Keep track of newly grounded apples for proper positioning
     const newlyGroundedApples = [];
@@ -621,19 +628,19 @@ export default class AppleSystem {
       this._vec3b.copy(apple.velocity).multiplyScalar(deltaTime);
       this._vec3.copy(apple.position).add(this._vec3b);
       
-      // Check for ground collision
-      const terrainHeight = getTerrainHeight ? 
-                          getTerrainHeight(this._vec3.clone().normalize()) : 0;
-      const groundRadius = sphereRadius + terrainHeight;
+      // Check for ground collision (the water surface counts as ground - apples float)
+      const surface = this._getRestSurface(this._vec3.clone().normalize());
+      const groundRadius = sphereRadius + surface.height;
       
       if (this._vec3.length() < groundRadius + this.options.appleRadius) {
         // Apple hit the ground
         apple.isGrounded = true;
+        apple.isFloating = surface.floating;
         apple.groundTime = 0;
         
         // IMPROVED: Add slight random offset when placing on ground
         // First, get the basic ground position
-        const groundPos = this._vec3.normalize().multiplyScalar(groundRadius + this.options.appleRadius * 0.7);
+        const groundPos = this._vec3.normalize().multiplyScalar(groundRadius + surface.offset);
         
         // Create two tangent vectors perpendicular to the surface normal
         const normal = groundPos.clone().normalize();
@@ -662,8 +669,8 @@ export default class AppleSystem {
         // Track newly grounded apples for post-processing
         newlyGroundedApples.push(apple);
         
-        // Skip bounce animation in performance mode
-        if (!this.options.performanceMode && Math.random() < 0.3) {
+        // Skip bounce animation in performance mode (and on water)
+        if (!this.options.performanceMode && !apple.isFloating && Math.random() < 0.3) {
           const bounceHeight = 2.0;
           const bounceTime = 600;
           
@@ -696,6 +703,46 @@ export default class AppleSystem {
     }
   }
 
+  /**
+   * Move apples lying on the ground onto the terrain after it changed (craters)
+   * @param {THREE.Vector3} centerDir - Direction of the change (null = every apple)
+   * @param {number} angularRadius - Radius of the change in radians
+   * @returns {number} Number of apples moved
+   */
+  resettleGroundApples(centerDir = null, angularRadius = Math.PI) {
+    const minDot = Math.cos(angularRadius);
+    let moved = 0;
+    for (const apple of this.groundApples) {
+      if (!apple.isGrounded) continue;
+      const dir = apple.position.clone().normalize();
+      if (centerDir && dir.dot(centerDir) < minDot) continue;
+
+      const surface = this._getRestSurface(dir);
+      apple.isFloating = surface.floating;
+      apple.position.copy(dir.multiplyScalar(this.options.sphereRadius + surface.height + surface.offset));
+      apple.mesh.position.copy(apple.position);
+      moved++;
+    }
+    return moved;
+  }
+
+  /**
+   * Where a grounded apple rests: on the terrain, or floating on water above it
+   * @param {THREE.Vector3} dir - Normalized direction
+   * @returns {Object} { height, offset, floating } - offset is the apple center above that height
+   * @private
+   */
+  _getRestSurface(dir) {
+    const terrainHeight = this.options.getTerrainHeight ? this.options.getTerrainHeight(dir) : 0;
+    const waterLevel = this.options.getWaterLevel ? this.options.getWaterLevel(dir) : null;
+
+    if (waterLevel !== null && waterLevel > terrainHeight) {
+      // Mostly submerged, like a real apple
+      return { height: waterLevel, offset: this.options.appleRadius * 0.2, floating: true };
+    }
+    return { height: terrainHeight, offset: this.options.appleRadius * 0.7, floating: false };
+  }
+
   /**
    * NEW: Resolve collisions between apples on the ground
    * @param {Array} applesToCheck - Optional array of specific apples to check (otherwise check all)
@@ -765,14 +812,14 @@ export default class AppleSystem {
         // Move the apple
         apple.position.add(displacement);
         
-        // Project apple back onto the terrain surface to ensure it stays on the ground
-        const terrainHeight = this.options.getTerrainHeight ? 
-                            this.options.getTerrainHeight(apple.position.clone().normalize()) : 0;
-        const groundRadius = this.options.sphereRadius + terrainHeight;
+        // Project apple back onto the terrain (or water) surface to ensure it stays on the ground
+        const surface = this._getRestSurface(apple.position.clone().normalize());
+        const groundRadius = this.options.sphereRadius + surface.height;
+        apple.isFloating = surface.floating;
         
         // Calculate the correct surface position
         const surfacePosition = apple.position.clone().normalize()
-            .multiplyScalar(groundRadius + this.options.appleRadius * 0.7);
+            .multiplyScalar(groundRadius + surface.offset);
         
         // Update apple position and mesh
         apple.position.copy(surfacePosition);
@@ -836,7 +883,7 @@ export default class AppleSystem {
    */
   _tryDropApples(deltaTime) {
     // Calculate chance of ripe apple falling
-    const chancePerApple = this.options.fallProbability * deltaTime;
+    let chancePerApple = this.options.fallProbability * this.seasonFall * deltaTime;
     let checkedRipeApples = 0; // Count how many ripe apples we check
     let droppedApples = 0; // ADDED: Track dropped apples
   
@@ -893,6 +940,7 @@ export default class AppleSystem {
       velocity: new THREE.Vector3(0, 0, 0),
       mesh: growthPoint.apple,
       isGrounded: false,
+      isFloating: false, // Resting on water
       groundTime: 0,
       appleType: growthPoint.appleType, // Store type
       effectMultiplier: growthPoint.effectMultiplier // Store multiplier
@@ -926,7 +974,8 @@ export default class AppleSystem {
    * @private
    */
   _tryStartNewApples(deltaTime) {
-    const chancePerPoint = this.options.growthProbability * deltaTime;
+    const chancePerPoint = this.options.growthProbability * this.seasonGrowth * deltaTime;
+    if (chancePerPoint <= 0) return;
     let potentialStarts = 0;
     let actualStarts = 0;
 
@@ -946,6 +995,17 @@ export default class AppleSystem {
      }
   }
   
+  /**
+   * NEW: Apply a season from SeasonSystem - scales growth and fall rates
+   * @param {string} season - Season name
+   * @param {Object} state - Blended season state (appleGrowth, appleFall, blossoms)
+   */
+  setSeason(season, state) {
+    this.seasonGrowth = Math.max(0, state.appleGrowth ?? 1);
+    this.seasonFall = Math.max(0, state.appleFall ?? 1);
+    this.seasonBlossoms = !!state.blossoms;
+  }
+
   /**
    * Remove a ground apple by index
    * @param {number} index - Index in groundApples array
@@ -1515,6 +1575,27 @@ export default class AppleSystem {
     };
   }
 
+  /**
+   * Every apple currently in the world, growing or fallen (used by the world export)
+   * @returns {Array<{mesh: THREE.Mesh, appleType: string, state: string, growthProgress: number}>}
+   */
+  getApples() {
+    const apples = [];
+    Object.values(this.growthPoints).forEach(points => {
+      points.forEach(point => {
+        if (point.hasApple && point.apple) {
+          apples.push({ mesh: point.apple, appleType: point.appleType, state: 'growing', growthProgress: point.growthProgress });
+        }
+      });
+    });
+    this.groundApples.forEach(apple => {
+      if (!apple.mesh) return;
+      const state = apple.isFloating ? 'floating' : apple.isGrounded ? 'grounded' : 'falling';
+      apples.push({ mesh: apple.mesh, appleType: apple.appleType, state, growthProgress: 1 });
+    });
+    return apples;
+  }
+
   /**
    * @deprecated Use _checkAppleCollection instead
    * This method is redundant and causes double-collection
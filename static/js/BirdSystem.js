@@ -21,6 +21,8 @@ export const BIRD_CONFIG = {
     green: { body: 2, head: 1 }   // Damage thresholds for green apples
   },
   respawnTime: 12000,          // Slightly faster respawn time (from 15000ms)
+  nightActivity: 0.4,          // NEW: Flight speed multiplier at night (see setTimeOfDay)
+  windDrift: 3.0,              // NEW: Seconds of wind a bird gets pushed off its path by (see setWind)
   flockingFactor: 0.2,         // How much birds influence each other's movement
   flockDistance: 50,           // Distance at which birds can see each other
   flightPatterns: [            // Different flight patterns for variety
@@ -36,14 +38,17 @@ export class Bird {
   constructor(scene, config, patternIndex = null, initialAngleOffset = 0) {
     this.scene = scene;
     this.config = config;
+    // Seeded generator for flight patterns and looks (falls back to Math.random)
+    this.random = config.random || Math.random;
     this.alive = true;
+    this.migrated = false; // NEW: Away for the season (see BirdSystem.setSeason)
     this.hits = {
       body: { red: 0, yellow: 0, green: 0 },
       head: { red: 0, yellow: 0, green: 0 }
     };
     
     // Select a random color scheme
-    const colorScheme = this.config.colors[Math.floor(Math.random() * this.config.colors.length)];
+    const colorScheme = this.config.colors[Math.floor(this.random() * this.config.colors.length)];
     
     // Group to hold all parts of the bird
     this.group = new THREE.Group();
@@ -81,30 +86,30 @@ export class Bird {
     this.createTail(colorScheme.body);
     
     // Apply random scaling
-    const scale = config.minScale + Math.random() * (config.maxScale - config.maxScale);
+    const scale = config.minScale + this.random() * (config.maxScale - config.maxScale);
     this.group.scale.set(scale, scale, scale);
     
     // Set orbit parameters with more deliberate distribution
     this.orbitRadius = config.radius + config.minHeight + 
-                       Math.random() * (config.maxHeight - config.minHeight);
-    this.orbitSpeed = config.minSpeed + Math.random() * (config.maxSpeed - config.minSpeed);
+                       this.random() * (config.maxHeight - config.minHeight);
+    this.orbitSpeed = config.minSpeed + this.random() * (config.maxSpeed - config.minSpeed);
     
     // Use provided angle offset for even distribution around the sphere
     // Add slight randomization within the assigned sector
-    const sectorRandomization = Math.random() * 0.2 - 0.1; // ±10% variation within sector
+    const sectorRandomization = this.random() * 0.2 - 0.1; // ±10% variation within sector
     this.orbitAngle = initialAngleOffset + sectorRandomization;
     
     // Randomize height but with smaller variation to prevent dramatic shifts
-    this.orbitHeight = Math.random() * 30 - 15; // Reduced from ±25 to ±15
+    this.orbitHeight = this.random() * 30 - 15; // Reduced from ±25 to ±15
     
     // Select flight pattern
     this.flightPattern = config.flightPatterns[
       patternIndex !== null ? patternIndex % config.flightPatterns.length : 
-      Math.floor(Math.random() * config.flightPatterns.length)
+      Math.floor(this.random() * config.flightPatterns.length)
     ];
     
-    this.directionChangeTime = Date.now() + (Math.random() * 5000);
-    this.randomFactor = Math.random() * Math.PI;
+    this.directionChangeTime = Date.now() + (this.random() * 5000);
+    this.randomFactor = this.random() * Math.PI;
     
     // IMPORTANT: Calculate initial position using the exact same logic as updatePosition 
     // This ensures the bird doesn't "jump" on the first update
@@ -151,7 +156,7 @@ export class Bird {
         break;
       case 'random':
         if (deltaTime > 0 && Date.now() > this.directionChangeTime) {
-          this.randomFactor = Math.random() * Math.PI * 2;
+          this.randomFactor = this.random() * Math.PI * 2;
           this.directionChangeTime = Date.now() + this.flightPattern.changeTime;
         }
         localX = effectiveRadiusForXZ * Math.cos(this.orbitAngle + this.randomFactor);
@@ -274,8 +279,8 @@ export class Bird {
     this.group.add(tail);
   }
   
-  update(deltaTime, allBirds) {
-    if (!this.alive) return;
+  update(deltaTime, allBirds, wind = null) {
+    if (!this.alive || this.migrated) return;
     
     // Update wing flapping animation - more natural sinusoidal movement
     this.animateWings(deltaTime);
@@ -291,6 +296,14 @@ export class Bird {
       newPosition.z += flockInfluence.z * this.config.flockingFactor * deltaTime * 10;
     }
     
+    // NEW: Wind blows the bird off its path (eases in and out as the wind changes)
+    if (wind) {
+      if (!this.windOffset) this.windOffset = new THREE.Vector3();
+      const drift = wind(newPosition, new THREE.Vector3()).multiplyScalar(this.config.windDrift);
+      this.windOffset.lerp(drift, 1 - Math.exp(-deltaTime));
+      newPosition.add(this.windOffset);
+    }
+    
     // Update position
     this.group.position.copy(newPosition);
     
@@ -321,7 +334,7 @@ export class Bird {
     let neighborCount = 0;
     
     allBirds.forEach(otherBird => {
-      if (otherBird !== this && otherBird.alive) {
+      if (otherBird !== this && otherBird.alive && !otherBird.migrated) {
         const distance = this.group.position.distanceTo(otherBird.group.position);
         
         if (distance < this.config.flockDistance) {
@@ -560,9 +573,9 @@ export class Bird {
       
       // Random velocity outward
       const velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2
+        (this.random() - 0.5) * 2,
+        (this.random() - 0.5) * 2,
+        (this.random() - 0.5) * 2
       );
       particle.userData.velocity = velocity;
       particle.userData.lifetime = 1.0; // 1 second lifetime
@@ -693,22 +706,22 @@ export class Bird {
       
       // Add random velocity
       feather.userData.velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5),
-        (Math.random() - 0.5) * 2
+        (this.random() - 0.5) * 2,
+        (this.random() - 0.5),
+        (this.random() - 0.5) * 2
       );
       
       // Random rotation
       feather.rotation.set(
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2
+        this.random() * Math.PI * 2,
+        this.random() * Math.PI * 2,
+        this.random() * Math.PI * 2
       );
       
       feather.userData.rotationSpeed = new THREE.Vector3(
-        Math.random() * 0.1,
-        Math.random() * 0.1,
-        Math.random() * 0.1
+        this.random() * 0.1,
+        this.random() * 0.1,
+        this.random() * 0.1
       );
       
       feathers.add(feather);
@@ -764,24 +777,24 @@ export class Bird {
       };
       
       // Reset appearance - select a new color scheme for variety
-      const colorScheme = this.config.colors[Math.floor(Math.random() * this.config.colors.length)];
+      const colorScheme = this.config.colors[Math.floor(this.random() * this.config.colors.length)];
       this.body.material.color.set(colorScheme.body);
       this.head.material.color.set(colorScheme.head);
       
       // Reset position and randomize parameters
-      this.orbitAngle = Math.random() * Math.PI * 2;
+      this.orbitAngle = this.random() * Math.PI * 2;
       this.orbitRadius = this.config.radius + this.config.minHeight + 
-                         Math.random() * (this.config.maxHeight - this.config.minHeight);
-      this.orbitSpeed = this.config.minSpeed + Math.random() * (this.config.maxSpeed - this.config.minSpeed);
-      this.orbitHeight = Math.random() * 50 - 25;
+                         this.random() * (this.config.maxHeight - this.config.minHeight);
+      this.orbitSpeed = this.config.minSpeed + this.random() * (this.config.maxSpeed - this.config.minSpeed);
+      this.orbitHeight = this.random() * 50 - 25;
       
       // Choose a new flight pattern
       this.flightPattern = this.config.flightPatterns[
-        Math.floor(Math.random() * this.config.flightPatterns.length)
+        Math.floor(this.random() * this.config.flightPatterns.length)
       ];
       
-      // Show bird again
-      this.group.visible = true;
+      // Show bird again (unless its flock migrated while it was dead)
+      this.group.visible = !this.migrated;
       
       console.log("Bird respawned");
     }
@@ -819,6 +832,8 @@ export class BirdSystem {
     this.config = { ...BIRD_CONFIG, ...config };
     this.birds = [];
     this.config.radius = this.config.radius || 400; // Default radius
+    this.activity = 1.0; // NEW: Slows the flock at night
+    this.wind = null; // NEW: World-space wind vector (set by WeatherSystem)
   }
   
   init() {
@@ -900,7 +915,43 @@ export class BirdSystem {
   
   update(deltaTime) {
     // Update all birds, passing the full flock for flocking behavior
-    this.birds.forEach(bird => bird.update(deltaTime, this.birds));
+    const scaledDelta = deltaTime * this.activity;
+    this.birds.forEach(bird => bird.update(scaledDelta, this.birds, this.wind));
+  }
+
+  /**
+   * NEW: Wind the flock drifts with (called by WeatherSystem)
+   * @param {Function} wind - (position, target) => wind velocity along the ground
+   */
+  setWind(wind) {
+    this.wind = wind;
+  }
+
+  /**
+   * NEW: Birds drift slowly at night (called by DayNightCycle)
+   * @param {number} timeOfDay - Local time, 0-1
+   * @param {Object} state - Cycle state ({ daylight })
+   */
+  setTimeOfDay(timeOfDay, state = null) {
+    const daylight = state ? state.daylight : (timeOfDay > 0.25 && timeOfDay < 0.75 ? 1 : 0);
+    this.activity = THREE.MathUtils.lerp(this.config.nightActivity, 1, daylight);
+  }
+  
+  /**
+   * NEW: Part of the flock migrates away in autumn and winter (called by SeasonSystem)
+   * @param {string} season - Season name
+   * @param {Object} state - Blended season state ({ birdFraction })
+   */
+  setSeason(season, state) {
+    const fraction = THREE.MathUtils.clamp(state.birdFraction ?? 1, 0, 1);
+    this.birds.forEach((bird, i) => {
+      // Birds are spawned pole to pole, so pick migrants by a golden-ratio sequence
+      // to keep the ones that stay spread over the whole sphere
+      const migrated = (i * 0.618034) % 1 >= fraction;
+      if (bird.migrated === migrated) return;
+      bird.migrated = migrated;
+      bird.group.visible = !migrated && bird.alive;
+    });
   }
   
   cleanup() {
@@ -936,7 +987,7 @@ export class BirdSystem {
     
     // Check collision with each bird
     for (const bird of this.birds) {
-      if (!bird.alive) continue;
+      if (!bird.alive || bird.migrated) continue;
       
       // Check head collision (higher priority)
       const headPos = bird.getHeadPosition();
@@ -1038,7 +1089,7 @@ export class BirdSystem {
   
   // Get count of currently alive birds
   getAliveBirdCount() {
-    return this.birds.filter(bird => bird.alive).length;
+    return this.birds.filter(bird => bird.alive && !bird.migrated).length;
   }
 }
 
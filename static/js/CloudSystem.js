@@ -1,6 +1,9 @@
 // CloudSystem.js - A system to create and manage smooth low-poly clouds around the planet
 import * as THREE from 'three';
 import { ConvexGeometry } from '../three.js-dev/examples/jsm/geometries/ConvexGeometry.js';
+import { randomDirection, randomInt } from './utils/seededRandom.js';
+
+const WHITE = new THREE.Color(0xffffff);
 
 class CloudSystem {
   constructor(scene, options = {}) {
@@ -58,11 +61,22 @@ class CloudSystem {
       // surfaceFogSphereRadius will default to options.sphereRadius
       surfaceFogTexturePath: 'static/images/soft_particle.png', // <-- NEW OPTION
 
+      // Weather (WeatherSystem)
+      windResponse: 0.4,       // NEW: Fraction of the wind speed clouds drift at
+      fogWindResponse: 1.0,    // NEW: Fraction of the wind speed surface fog drifts at
+      coverOpacityBoost: 3.0,  // NEW: Cloud opacity multiplier at full cover is 1 + this
+
       ...options 
     };
+    // Seeded generator for cloud layout (pass options.random to reproduce a sky)
+    this.random = typeof this.options.random === 'function' ? this.options.random : Math.random;
     this.clouds = [];
     this.cloudGroups = [];
     this.planetCenter = new THREE.Vector3(0, 0, 0); // Default planet center
+    this.wind = null;        // NEW: (direction, target) => wind along the ground (set by WeatherSystem)
+    this.cloudCover = 0;     // NEW: 0-1, thickens the clouds (set by WeatherSystem)
+    this.fogDensity = 1;     // NEW: Surface fog opacity multiplier (set by WeatherSystem)
+    this._windTangent = new THREE.Vector3();
     this.options.sphereRadius = this.options.sphereRadius || 400; // Ensure sphereRadius is set
 
     // Surface Fog Poofs
@@ -210,7 +224,7 @@ class CloudSystem {
     }
 
     for (let i = 0; i < config.poofCount; i++) {
-      const patchNormal = new THREE.Vector3().randomDirection(); // "Up" direction for the patch on the sphere
+      const patchNormal = randomDirection(this.random); // "Up" direction for the patch on the sphere
       const patchCenterSurface = patchNormal.clone().multiplyScalar(config.sphereRadius);
 
       const positions = new Float32Array(config.particlesPerPoof * 3);
@@ -225,12 +239,12 @@ class CloudSystem {
       const tangent2 = new THREE.Vector3().crossVectors(patchNormal, tangent1).normalize();
 
       for (let j = 0; j < config.particlesPerPoof; j++) {
-        const angle = Math.random() * Math.PI * 2;
-        const radius = Math.random() * config.poofHorizontalSpread;
+        const angle = this.random() * Math.PI * 2;
+        const radius = this.random() * config.poofHorizontalSpread;
         const horizontalOffset = tangent1.clone().multiplyScalar(Math.cos(angle) * radius)
                                    .add(tangent2.clone().multiplyScalar(Math.sin(angle) * radius));
 
-        const verticalOffsetAmount = Math.random() * config.poofVerticalSpread;
+        const verticalOffsetAmount = this.random() * config.poofVerticalSpread;
         const verticalOffset = patchNormal.clone().multiplyScalar(verticalOffsetAmount);
         
         const particlePos = patchCenterSurface.clone().add(horizontalOffset).add(verticalOffset);
@@ -248,7 +262,7 @@ class CloudSystem {
       const material = new THREE.PointsMaterial({
         color: config.particleColor,
         size: config.particleSize,
-        opacity: config.particleOpacity,
+        opacity: config.particleOpacity * this.fogDensity,
         transparent: true,
         blending: THREE.AdditiveBlending,
         depthWrite: false,
@@ -292,7 +306,7 @@ class CloudSystem {
       if (preservePositions && i < oldClouds.length) {
         const oldCloud = oldClouds[i];
         const mesh = this.createSmoothCloudMesh(
-          THREE.MathUtils.lerp(this.options.minScale, this.options.maxScale, Math.random())
+          THREE.MathUtils.lerp(this.options.minScale, this.options.maxScale, this.random())
         );
         
         // Use the old position and direction
@@ -303,13 +317,13 @@ class CloudSystem {
           mesh,
           relativePos: oldCloud.direction.clone().multiplyScalar(oldCloud.radius),
           orbitAxis: new THREE.Vector3(
-            Math.random() - 0.5,
-            Math.random() - 0.5,
-            Math.random() - 0.5
+            this.random() - 0.5,
+            this.random() - 0.5,
+            this.random() - 0.5
           ).normalize(),
-          orbitSpeed: this.options.rotationSpeed * (0.7 + Math.random() * 0.6),
-          floatOffset: Math.random() * Math.PI * 2,
-          floatSpeed: 0.2 + Math.random() * 0.3,
+          orbitSpeed: this.options.rotationSpeed * (0.7 + this.random() * 0.6),
+          floatOffset: this.random() * Math.PI * 2,
+          floatSpeed: 0.2 + this.random() * 0.3,
           floatAmplitude: mesh.scale.x * 0.05
         };
         
@@ -318,7 +332,7 @@ class CloudSystem {
         mesh.rotateY(Math.PI); // Flip to face outward
         
         // Add some random rotation for variety
-        mesh.rotation.z += Math.random() * Math.PI;
+        mesh.rotation.z += this.random() * Math.PI;
         
         this.scene.add(mesh);
         this.clouds.push(cloud);
@@ -347,7 +361,7 @@ class CloudSystem {
                             THREE.MathUtils.lerp(
                               this.options.minRadius, 
                               this.options.maxRadius,
-                              Math.random()
+                              this.random()
                             );
 
         // Create cloud with this position and direction
@@ -361,7 +375,7 @@ class CloudSystem {
     const scale = THREE.MathUtils.lerp(
       this.options.minScale,
       this.options.maxScale,
-      Math.random()
+      this.random()
     );
     
     // Create orbit parameters
@@ -382,20 +396,20 @@ class CloudSystem {
 
     // 3. Create the orbit axis by randomly combining the two tangents
     // This ensures the axis is in the plane perpendicular to the direction vector.
-    const randomAngle = Math.random() * Math.PI * 2;
+    const randomAngle = this.random() * Math.PI * 2;
     const orbitAxis = tangent1.clone().multiplyScalar(Math.cos(randomAngle))
                        .add(tangent2.clone().multiplyScalar(Math.sin(randomAngle)))
                        .normalize();
     // --- END REVISED Orbit Axis Calculation ---
 
-    const orbitAngle = Math.random() * Math.PI * 2; // Keep random start angle
-    const orbitSpeed = this.options.rotationSpeed * (0.7 + Math.random() * 0.6); // Varied speeds
+    const orbitAngle = this.random() * Math.PI * 2; // Keep random start angle
+    const orbitSpeed = this.options.rotationSpeed * (0.7 + this.random() * 0.6); // Varied speeds
     
     // Create natural float parameters
-    const floatOffset = Math.random() * Math.PI * 2;
-    const floatSpeed = this.options.floatFrequency * (0.7 + Math.random() * 0.6); // Use option
+    const floatOffset = this.random() * Math.PI * 2;
+    const floatSpeed = this.options.floatFrequency * (0.7 + this.random() * 0.6); // Use option
     // Use reduced float amplitude from options
-    const floatAmplitude = scale * this.options.floatAmplitude * (0.8 + Math.random() * 0.4); 
+    const floatAmplitude = scale * this.options.floatAmplitude * (0.8 + this.random() * 0.4); 
     
     // compute initial rotated offset so no jump at first update
     const initialQuat = new THREE.Quaternion()
@@ -412,7 +426,7 @@ class CloudSystem {
     mesh.rotateY(Math.PI); // Flip to face outward
     
     // Add some random rotation for variety (only affects initial orientation)
-    mesh.rotation.z += Math.random() * Math.PI;
+    mesh.rotation.z += this.random() * Math.PI;
     
     // Store the relative position vector for smooth orbit
     const cloud = {
@@ -434,7 +448,8 @@ class CloudSystem {
   createSmoothCloudMesh(scale) {
     // Generate random vertices for convex hull
     const vertices = [];
-    const vertexCount = THREE.MathUtils.randInt(
+    const vertexCount = randomInt(
+      this.random,
       this.options.vertexCount.min + 2, // Add 2 more points
       this.options.vertexCount.max + 2
     );
@@ -442,8 +457,8 @@ class CloudSystem {
     // Start with a base elongated shape
     for (let i = 0; i < vertexCount; i++) {
       // Create points approximately in an elongated ellipsoid pattern
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
+      const theta = this.random() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random() - 1);
       
       // Base vertex on sphere
       const x = Math.sin(phi) * Math.cos(theta);
@@ -453,15 +468,15 @@ class CloudSystem {
       // Apply jitter for organic shape
       const jitter = this.options.vertexJitter;
       const jitteredVertex = new THREE.Vector3(
-        x + (Math.random() - 0.5) * jitter,
-        y + (Math.random() - 0.5) * jitter * 0.5, // Less vertical jitter
-        z + (Math.random() - 0.5) * jitter
+        x + (this.random() - 0.5) * jitter,
+        y + (this.random() - 0.5) * jitter * 0.5, // Less vertical jitter
+        z + (this.random() - 0.5) * jitter
       );
       
       // Apply anime-style elongation (horizontal stretch, vertical flatten)
-      jitteredVertex.x *= scale * this.options.horizontalStretch * (0.8 + Math.random() * 0.4);
-      jitteredVertex.y *= scale * this.options.verticalCompress * (0.6 + Math.random() * 0.3);
-      jitteredVertex.z *= scale * (0.8 + Math.random() * 0.4);
+      jitteredVertex.x *= scale * this.options.horizontalStretch * (0.8 + this.random() * 0.4);
+      jitteredVertex.y *= scale * this.options.verticalCompress * (0.6 + this.random() * 0.3);
+      jitteredVertex.z *= scale * (0.8 + this.random() * 0.4);
       
       vertices.push(jitteredVertex);
     }
@@ -469,9 +484,9 @@ class CloudSystem {
     // Add extra vertices along the horizontal axis to enhance the elongated look
     const extraHorizontalPoints = Math.floor(vertexCount * 0.8); // INCREASED: from 0.7
     for (let i = 0; i < extraHorizontalPoints; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const r = scale * (0.7 + Math.random() * 0.5) * this.options.horizontalStretch;
-      const y = (Math.random() - 0.5) * scale * 0.5 * this.options.verticalCompress;
+      const angle = this.random() * Math.PI * 2;
+      const r = scale * (0.7 + this.random() * 0.5) * this.options.horizontalStretch;
+      const y = (this.random() - 0.5) * scale * 0.5 * this.options.verticalCompress;
       
       vertices.push(new THREE.Vector3(
         Math.cos(angle) * r,
@@ -483,11 +498,11 @@ class CloudSystem {
     // Add some vertices underneath to ensure volume and roundness
     // INCREASED: more bottom vertices for chunkier shape
     for (let i = 0; i < Math.min(7, Math.floor(vertexCount / 3)); i++) { // Increased from 5
-      const theta = Math.random() * Math.PI * 2;
-      const r = Math.random() * 0.7 * scale * this.options.horizontalStretch;
+      const theta = this.random() * Math.PI * 2;
+      const r = this.random() * 0.7 * scale * this.options.horizontalStretch;
       vertices.push(new THREE.Vector3(
         Math.cos(theta) * r,
-        -scale * this.options.verticalCompress * (0.3 + Math.random() * 0.2),
+        -scale * this.options.verticalCompress * (0.3 + this.random() * 0.2),
         Math.sin(theta) * r
       ));
     }
@@ -495,20 +510,20 @@ class CloudSystem {
     // Add top vertices for more volume and roundness
     // INCREASED: more top vertices for chunkier shape
     for (let i = 0; i < Math.min(5, Math.floor(vertexCount / 4)); i++) { // Increased from 4
-      const theta = Math.random() * Math.PI * 2;
-      const r = Math.random() * 0.6 * scale * this.options.horizontalStretch;
+      const theta = this.random() * Math.PI * 2;
+      const r = this.random() * 0.6 * scale * this.options.horizontalStretch;
       vertices.push(new THREE.Vector3(
         Math.cos(theta) * r,
-        scale * this.options.verticalCompress * (0.2 + Math.random() * 0.2),
+        scale * this.options.verticalCompress * (0.2 + this.random() * 0.2),
         Math.sin(theta) * r
       ));
     }
     
     // ENHANCED: Add more prominent random protrusion points for chunkiness
-    const protrusionPoints = Math.floor(Math.random() * 3) + 3; // 3-5 protrusion points
+    const protrusionPoints = Math.floor(this.random() * 3) + 3; // 3-5 protrusion points
     for (let i = 0; i < protrusionPoints; i++) {
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.random() * Math.PI;
+      const theta = this.random() * Math.PI * 2;
+      const phi = this.random() * Math.PI;
       
       // Calculate position on sphere
       const x = Math.sin(phi) * Math.cos(theta);
@@ -517,7 +532,7 @@ class CloudSystem {
       
       // Push vertex outward for a more prominent protrusion
       // Use chunkiness parameter to control protrusion amount
-      const protrusionAmount = 0.8 + Math.random() * this.options.chunkiness; // 0.8-1.4 range with default chunkiness
+      const protrusionAmount = 0.8 + this.random() * this.options.chunkiness; // 0.8-1.4 range with default chunkiness
       vertices.push(new THREE.Vector3(
         x * scale * this.options.horizontalStretch * protrusionAmount,
         y * scale * this.options.verticalCompress * protrusionAmount,
@@ -526,17 +541,17 @@ class CloudSystem {
     }
     
     // Add some additional smaller bumps for more natural cloud texture
-    const bumpCount = Math.floor(Math.random() * 5) + 3; // 3-7 smaller bumps
+    const bumpCount = Math.floor(this.random() * 5) + 3; // 3-7 smaller bumps
     for (let i = 0; i < bumpCount; i++) {
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.random() * Math.PI;
+      const theta = this.random() * Math.PI * 2;
+      const phi = this.random() * Math.PI;
       
       const x = Math.sin(phi) * Math.cos(theta);
       const y = Math.sin(phi) * Math.sin(theta);
       const z = Math.cos(phi);
       
       // Smaller protrusions for texture
-      const bumpAmount = 0.2 + Math.random() * 0.3; // 0.2-0.5 range
+      const bumpAmount = 0.2 + this.random() * 0.3; // 0.2-0.5 range
       vertices.push(new THREE.Vector3(
         x * scale * this.options.horizontalStretch * (1 + bumpAmount),
         y * scale * this.options.verticalCompress * (1 + bumpAmount),
@@ -547,14 +562,14 @@ class CloudSystem {
     // Add edge-buffering vertices to smooth the perimeter - ENHANCED
     const edgePointCount = Math.floor(vertexCount * this.options.edgeVertexDensity * 1.5); // INCREASED: 50% more edge points
     for (let i = 0; i < edgePointCount; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const tiltAngle = (Math.random() * 0.8 - 0.4) * Math.PI; // Mostly horizontal
+      const angle = this.random() * Math.PI * 2;
+      const tiltAngle = (this.random() * 0.8 - 0.4) * Math.PI; // Mostly horizontal
       
       // Create points along cloud perimeter
-      const baseRadius = scale * (0.92 + Math.random() * 0.16) * this.options.horizontalStretch;
+      const baseRadius = scale * (0.92 + this.random() * 0.16) * this.options.horizontalStretch;
       
       // Multiple layers of edge points for smoother transitions
-      const layerCount = Math.floor(Math.random() * 2) + 2; // 2-3 layers at each edge point
+      const layerCount = Math.floor(this.random() * 2) + 2; // 2-3 layers at each edge point
       
       for (let layer = 0; layer < layerCount; layer++) {
         // Calculate radius for this layer - slightly different for each
@@ -562,7 +577,7 @@ class CloudSystem {
         const radius = baseRadius * layerFactor;
         
         // Create points at different heights along the edge
-        const height = (Math.random() * 0.8 - 0.4) * scale * this.options.verticalCompress;
+        const height = (this.random() * 0.8 - 0.4) * scale * this.options.verticalCompress;
         
         // Calculate position using spherical coordinates
         const x = radius * Math.cos(angle);
@@ -570,7 +585,7 @@ class CloudSystem {
         const z = radius * Math.sin(angle);
         
         // Add slight inward/outward variation for less perfect edge
-        const edgeFuzz = (Math.random() * this.options.edgeSmoothing - this.options.edgeSmoothing/2) * scale;
+        const edgeFuzz = (this.random() * this.options.edgeSmoothing - this.options.edgeSmoothing/2) * scale;
         
         // Create vertex with smoother edge characteristics
         vertices.push(new THREE.Vector3(
@@ -589,24 +604,24 @@ class CloudSystem {
       const interpolationPairCount = Math.floor(vertices.length * this.options.geometryDetail * 0.3);
       
       for (let i = 0; i < interpolationPairCount; i++) {
-        const idx1 = Math.floor(Math.random() * vertices.length);
-        const idx2 = Math.floor(Math.random() * vertices.length);
+        const idx1 = Math.floor(this.random() * vertices.length);
+        const idx2 = Math.floor(this.random() * vertices.length);
         
         if (idx1 !== idx2) {
           const v1 = vertices[idx1];
           const v2 = vertices[idx2];
           
           // Create 1-2 points between these vertices
-          const pointCount = Math.floor(Math.random() * 2) + 1;
+          const pointCount = Math.floor(this.random() * 2) + 1;
           
           for (let j = 1; j <= pointCount; j++) {
             const t = j / (pointCount + 1);
             // Interpolate with slight randomization
             const jitterAmount = this.options.vertexJitter * 0.3;
             const jitter = new THREE.Vector3(
-              (Math.random() - 0.5) * jitterAmount,
-              (Math.random() - 0.5) * jitterAmount,
-              (Math.random() - 0.5) * jitterAmount
+              (this.random() - 0.5) * jitterAmount,
+              (this.random() - 0.5) * jitterAmount,
+              (this.random() - 0.5) * jitterAmount
             );
             
             // Create the interpolated point with jitter
@@ -624,11 +639,11 @@ class CloudSystem {
     const smoothingPoints = Math.floor(vertexCount * 0.6); // INCREASED: from 0.4
     for (let i = 0; i < smoothingPoints; i++) {
       // Add points that help smooth transitions between features
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.random() * Math.PI;
+      const theta = this.random() * Math.PI * 2;
+      const phi = this.random() * Math.PI;
       
       // Use medium-distance points that help fill gaps
-      const r = scale * (0.5 + Math.random() * 0.6) * this.options.horizontalStretch;
+      const r = scale * (0.5 + this.random() * 0.6) * this.options.horizontalStretch;
       
       vertices.push(new THREE.Vector3(
         r * Math.sin(phi) * Math.cos(theta),
@@ -649,7 +664,7 @@ class CloudSystem {
     material.opacity = THREE.MathUtils.lerp(
       this.options.opacity * 0.8,
       this.options.opacity,
-      Math.random()
+      this.random()
     );
     
     const mainCloudMesh = new THREE.Mesh(geometry, material);
@@ -669,14 +684,14 @@ class CloudSystem {
         
         // Random small offset
         layerMesh.position.set(
-          (Math.random() - 0.5) * scale * 0.06,
-          (Math.random() - 0.5) * scale * 0.04,
-          (Math.random() - 0.5) * scale * 0.06
+          (this.random() - 0.5) * scale * 0.06,
+          (this.random() - 0.5) * scale * 0.04,
+          (this.random() - 0.5) * scale * 0.06
         );
         
         // Slightly different opacity for depth effect
         layerMesh.material = material.clone();
-        layerMesh.material.opacity = material.opacity * (0.85 + Math.random() * 0.15);
+        layerMesh.material.opacity = material.opacity * (0.85 + this.random() * 0.15);
         
         cloudGroup.add(layerMesh);
       }
@@ -684,9 +699,9 @@ class CloudSystem {
     
     // Store individual rotation axis for cloud spinning with more natural variation
     const rotationAxis = new THREE.Vector3(
-      Math.random() - 0.5,
-      (Math.random() - 0.5) * 0.3, // Less vertical rotation
-      Math.random() - 0.5
+      this.random() - 0.5,
+      (this.random() - 0.5) * 0.3, // Less vertical rotation
+      this.random() - 0.5
     ).normalize();
     
     cloudGroup.userData.rotationAxis = rotationAxis;
@@ -697,15 +712,15 @@ class CloudSystem {
     cloudGroup.userData.rotationSpeed = rotSpeed;
     
     // NEW: Add additional movement patterns for more organic feel
-    cloudGroup.userData.floatOffset = Math.random() * Math.PI * 2;
-    cloudGroup.userData.floatSpeed = this.options.floatFrequency * (0.7 + Math.random() * 0.6);
-    cloudGroup.userData.floatAmplitude = this.options.floatAmplitude * (0.8 + Math.random() * 0.4);
+    cloudGroup.userData.floatOffset = this.random() * Math.PI * 2;
+    cloudGroup.userData.floatSpeed = this.options.floatFrequency * (0.7 + this.random() * 0.6);
+    cloudGroup.userData.floatAmplitude = this.options.floatAmplitude * (0.8 + this.random() * 0.4);
     
     // NEW: Add secondary oscillation on a different axis for more complex movement
     cloudGroup.userData.secondaryAxis = new THREE.Vector3(
-      Math.random() - 0.5,
-      Math.random() - 0.5,
-      Math.random() - 0.5
+      this.random() - 0.5,
+      this.random() - 0.5,
+      this.random() - 0.5
     ).normalize();
     // FIX: Use rotSpeed instead of undefined baseSpeed
     cloudGroup.userData.secondarySpeed = rotSpeed * 1.5;
@@ -872,7 +887,8 @@ class CloudSystem {
       // this.setOrbitSpeed(3.0); // You might adjust/remove this depending on desired final speed
     }
 
-    // Only handle opacity fade-in *after* positions are stabilized
+    // Only handle opacity fade-in *after* positions are stabilized (once faded in, this
+    // keeps the clouds at their original opacity scaled by the cloud cover)
     if (this.positionsStabilized) {
       // Calculate fade progress based on the main initialization timer
       const fadeProgress = Math.min(elapsed / this.fadeInTime, 1.0);
@@ -880,14 +896,21 @@ class CloudSystem {
       // Apply an exponential easing curve
       const easedFadeProgress = Math.pow(fadeProgress, 3); // Cubic easing
       
+      // NEW: Heavier cloud cover makes clouds more opaque
+      const coverScale = 1 + this.cloudCover * this.options.coverOpacityBoost;
+      
       this.clouds.forEach(cloud => {
         if (cloud.mesh) {
           cloud.mesh.children.forEach(child => {
-            if (child.material && child.material._originalOpacity !== undefined) {
-              // Ensure opacity doesn't exceed original
+            if (child.material && child.material.opacity !== undefined) {
+              // Clouds rebuilt after init (setCloudStyle, ...) start from their own opacity
+              if (child.material._originalOpacity === undefined) {
+                child.material._originalOpacity = child.material.opacity;
+              }
+              // The fade never goes past the original opacity; cover can raise it up to fully opaque
               child.material.opacity = Math.min(
-                easedFadeProgress * child.material._originalOpacity,
-                child.material._originalOpacity
+                1,
+                easedFadeProgress * child.material._originalOpacity * coverScale
               );
             }
           });
@@ -913,6 +936,15 @@ class CloudSystem {
         cloud.orbitSpeed * dt
       );
 
+      // NEW: Wind pushes the cloud along the surface (keeps its orbit radius)
+      if (this.wind) {
+        const orbitR = cloud.relativePos.length();
+        this.wind(cloud.relativePos, this._windTangent);
+        cloud.relativePos
+          .addScaledVector(this._windTangent, this.options.windResponse * dt)
+          .setLength(orbitR);
+      }
+
       // 2. Add subtle floating motion - varying the *radius* (altitude)
       cloud.floatOffset += dt * cloud.floatSpeed;
       // Use a smaller amplitude for the float effect
@@ -949,11 +981,17 @@ class CloudSystem {
         const patchNormal = poof.patchNormal;
         const patchCenterSurface = poof.patchCenterSurface;
 
+        // NEW: Wind drifts the fog sideways while it rises (particles reset to the patch)
+        const windDrift = this.wind
+          ? this.wind(patchNormal, this._windTangent).multiplyScalar(this.options.fogWindResponse * dt)
+          : null;
+
         for (let i = 0; i < positions.length; i += 3) {
           const currentPos = new THREE.Vector3(positions[i], positions[i+1], positions[i+2]);
           
           // Move particle along its poof's normal (radially outward from poof's perspective on sphere)
           currentPos.addScaledVector(patchNormal, riseAmount);
+          if (windDrift) currentPos.add(windDrift);
 
           // Check if particle is too "high" relative to its patch center and normal
           const heightAboveSurface = currentPos.clone().sub(patchCenterSurface).dot(patchNormal);
@@ -964,8 +1002,8 @@ class CloudSystem {
             const particleIndex = i / 3; // Should be safe if particleBaseRelativePositions was populated correctly
 
             // Create a new random horizontal offset for variety upon reset
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * config.poofHorizontalSpread;
+            const angle = this.random() * Math.PI * 2;
+            const radius = this.random() * config.poofHorizontalSpread;
 
             let tangent1 = new THREE.Vector3().crossVectors(patchNormal, new THREE.Vector3(0, 1, 0));
             if (tangent1.lengthSq() < 0.001) { 
@@ -978,7 +1016,7 @@ class CloudSystem {
                                        .add(tangent2.clone().multiplyScalar(Math.sin(angle) * radius));
             
             // Start at the base of the poof's height or slightly below
-            const verticalOffsetAmount = (Math.random() * 0.2 + (minParticleHeightAboveSurface / config.poofVerticalSpread)) * config.poofVerticalSpread;
+            const verticalOffsetAmount = (this.random() * 0.2 + (minParticleHeightAboveSurface / config.poofVerticalSpread)) * config.poofVerticalSpread;
             const verticalOffset = patchNormal.clone().multiplyScalar(verticalOffsetAmount);
 
             const resetPos = patchCenterSurface.clone().add(horizontalOffset).add(verticalOffset);
@@ -1158,11 +1196,11 @@ class CloudSystem {
     this.clouds.forEach(cloud => {
       if (cloud.mesh && cloud.mesh.userData) {
         cloud.mesh.userData.rotationSpeed = this.options.cloudRotationSpeed * 
-          (0.3 + Math.random() * 0.4);
+          (0.3 + this.random() * 0.4);
         cloud.mesh.userData.floatSpeed = this.options.floatFrequency * 
-          (0.7 + Math.random() * 0.6);
+          (0.7 + this.random() * 0.6);
         cloud.mesh.userData.floatAmplitude = this.options.floatAmplitude * 
-          (0.8 + Math.random() * 0.4);
+          (0.8 + this.random() * 0.4);
       }
     });
     
@@ -1199,13 +1237,53 @@ class CloudSystem {
     
     // Update existing clouds
     this.clouds.forEach(cloud => {
-      cloud.orbitSpeed = newSpeed * (0.7 + Math.random() * 0.6);
+      cloud.orbitSpeed = newSpeed * (0.7 + this.random() * 0.6);
     });
     
     // Add console log showing the new cloud movement speed is applied
     console.log(`Cloud orbit speed set to ${newSpeed.toFixed(6)} (${multiplier}x base) - clouds now orbiting around planet radius ${this.options.sphereRadius}`);
     return newSpeed;
   }
+
+  // NEW: Wind the clouds and surface fog drift with, (direction, target) => velocity (called by WeatherSystem)
+  setWind(wind) {
+    this.wind = wind;
+  }
+
+  // NEW: 0 = normal sky, 1 = fully overcast (called by WeatherSystem)
+  setCloudCover(cover) {
+    this.cloudCover = THREE.MathUtils.clamp(cover, 0, 1);
+  }
+
+  // NEW: Thicken the surface fog poofs, 1 = configured opacity (called by WeatherSystem)
+  setFogDensity(multiplier) {
+    multiplier = Math.max(0, multiplier);
+    if (multiplier === this.fogDensity) return;
+    this.fogDensity = multiplier;
+    const opacity = this.surfaceFogConfig.particleOpacity * this.fogDensity;
+    this.surfaceFogPoofs.forEach(poof => {
+      if (poof?.material) poof.material.opacity = opacity;
+    });
+  }
+
+  // NEW: Tint clouds and surface fog for the time of day (called by DayNightCycle)
+  setTimeOfDay(timeOfDay, state) {
+    if (!state?.cloudColor) return;
+    if (!this._tint) this._tint = new THREE.Color();
+
+    const cloudTint = this._tint.set(this.options.color).multiply(state.cloudColor);
+    this.clouds.forEach(cloud => {
+      cloud.mesh.traverse(child => {
+        if (child.material?.color) child.material.color.copy(cloudTint);
+      });
+    });
+
+    // Surface fog keeps some of its glow at night
+    const fogTint = cloudTint.copy(state.cloudColor).lerp(WHITE, 0.5).multiply(this.surfaceFogConfig.particleColor);
+    this.surfaceFogPoofs.forEach(poof => {
+      if (poof?.material) poof.material.color.copy(fogTint);
+    });
+  }
 }
 
 export default CloudSystem;
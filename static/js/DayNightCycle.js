@@ -0,0 +1,388 @@
+import * as THREE from 'three';
+
+/**
+ * Lighting keyframes over a local day (0 = midnight, 0.25 = sunrise, 0.5 = noon, 0.75 = sunset).
+ * Colors are hex, intensities are light intensities. Values blend linearly between keyframes
+ * and wrap from the last keyframe back to the first.
+ */
+export const DEFAULT_KEYFRAMES = [
+  { time: 0.00, sky: 0x060a1c, fog: 0x141c36, fogBottom: 0x1e2233, cloud: 0x3a4260,
+    sunColor: 0xff8040, sunIntensity: 0.0, ambientColor: 0x5566aa, ambientIntensity: 0.1, moonIntensity: 0.7 },
+  { time: 0.22, sky: 0x1c2346, fog: 0x3a3d62, fogBottom: 0x4a4052, cloud: 0x5a5a78,
+    sunColor: 0xff7040, sunIntensity: 0.0, ambientColor: 0x6a70a8, ambientIntensity: 0.14, moonIntensity: 0.55 },
+  { time: 0.26, sky: 0xf0a070, fog: 0xe8a880, fogBottom: 0xefc1a0, cloud: 0xffc0a0,
+    sunColor: 0xffa060, sunIntensity: 0.6, ambientColor: 0xffc8a0, ambientIntensity: 0.25, moonIntensity: 0.2 },
+  { time: 0.34, sky: 0x87ceeb, fog: 0xa8c8f0, fogBottom: 0xefd1b5, cloud: 0xffffff,
+    sunColor: 0xfff0d8, sunIntensity: 1.0, ambientColor: 0xddeeff, ambientIntensity: 0.4, moonIntensity: 0.0 },
+  { time: 0.50, sky: 0x87ceeb, fog: 0x8bb0ff, fogBottom: 0xefd1b5, cloud: 0xffffff,
+    sunColor: 0xffffff, sunIntensity: 1.2, ambientColor: 0xffffff, ambientIntensity: 0.45, moonIntensity: 0.0 },
+  { time: 0.66, sky: 0x8cc4e8, fog: 0x9bb8f0, fogBottom: 0xefd1b5, cloud: 0xffffff,
+    sunColor: 0xfff0d0, sunIntensity: 1.0, ambientColor: 0xfff4e8, ambientIntensity: 0.4, moonIntensity: 0.0 },
+  { time: 0.74, sky: 0xf08a5a, fog: 0xe09070, fogBottom: 0xe8b090, cloud: 0xffa080,
+    sunColor: 0xff8040, sunIntensity: 0.6, ambientColor: 0xffb090, ambientIntensity: 0.25, moonIntensity: 0.2 },
+  { time: 0.80, sky: 0x2a2a58, fog: 0x3a3560, fogBottom: 0x4a3c50, cloud: 0x605878,
+    sunColor: 0xff6030, sunIntensity: 0.0, ambientColor: 0x6a6aa8, ambientIntensity: 0.14, moonIntensity: 0.55 }
+];
+
+const COLOR_KEYS = ['sky', 'fog', 'fogBottom', 'cloud', 'sunColor', 'ambientColor'];
+const NUMBER_KEYS = ['sunIntensity', 'ambientIntensity', 'moonIntensity'];
+const SUN_DISC_COLOR = new THREE.Color(0xfff2c0);
+const _grey = new THREE.Color();
+
+/**
+ * Day/night cycle - a sun circling the planet, keyframed sky/fog/light colors and moon phases.
+ *
+ * The sun lights whichever hemisphere faces it, so "time of day" is local: it is worked out
+ * from where the observer (the camera) stands relative to the sun. Listeners get the local
+ * time through setTimeOfDay(timeOfDay, state) (or updateDayNightCycle(timeOfDay, state),
+ * or a plain function) a few times per second.
+ */
+export default class DayNightCycle {
+  /**
+   * Create the day/night cycle
+   * @param {THREE.Scene} scene - The scene
+   * @param {Object} options - Configuration options
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.options = Object.assign({
+      dayLength: 600,           // Real seconds per full day
+      startTime: 0.3,           // Time of day at the origin's "noon meridian" when the game starts
+      timeScale: 1.0,           // 0 pauses the clock
+      sunAxis: new THREE.Vector3(0.15, 0, 1), // The sun circles the planet around this axis
+      sunDistance: 8000,        // Distance of the visible sun disc
+      sunSize: 250,
+      showSun: true,
+      castShadow: false,        // Sun shadows over a whole planet are costly
+      keyframes: DEFAULT_KEYFRAMES,
+      ambientLight: null,       // Existing lights the cycle drives (optional)
+      moonLight: null,
+      moon: null,               // Moon instance - its position sets the phase
+      publishInterval: 0.25     // Seconds between listener updates
+    }, options);
+
+    this.time = THREE.MathUtils.euclideanModulo(this.options.startTime, 1);
+    this.listeners = [];
+    this.weather = { light: 1, overcast: 0 }; // Set by WeatherSystem
+    this._publishTimer = 0;
+
+    this.sunAxis = this.options.sunAxis.clone().normalize();
+    // Sun direction at noon for the (0, 1, 0) meridian
+    this._sunReference = new THREE.Vector3(0, 1, 0)
+      .addScaledVector(this.sunAxis, -this.sunAxis.y)
+      .normalize();
+
+    this.keyframes = this._parseKeyframes(this.options.keyframes);
+
+    // Reused state published to listeners
+    this.state = {
+      timeOfDay: 0,             // Local time at the observer, 0-1
+      globalTime: this.time,
+      daylight: 0,              // 0 at night, 1 in full day
+      sunDirection: new THREE.Vector3(),
+      sunElevation: 0,          // Sine of the sun's angle above the observer's horizon
+      moonPhase: 1,             // Lit fraction of the moon, 0 = new, 1 = full
+      moonWaxing: true,
+      skyColor: new THREE.Color(),
+      fogColor: new THREE.Color(),
+      fogColorBottom: new THREE.Color(),
+      cloudColor: new THREE.Color(),
+      sunColor: new THREE.Color(),
+      sunIntensity: 0,
+      ambientColor: new THREE.Color(),
+      ambientIntensity: 0,
+      moonIntensity: 0
+    };
+
+    this._observerUp = new THREE.Vector3(0, 1, 0);
+    this._projected = new THREE.Vector3();
+    this._cross = new THREE.Vector3();
+    this._moonDirection = new THREE.Vector3();
+
+    this._createSun();
+    this.update(0);
+    console.log(`[DayNightCycle] Day length ${this.options.dayLength}s, starting at ${this.formatTime(this.time)}`);
+  }
+
+  /**
+   * Register a system that reacts to the time of day
+   * @param {Object|Function} listener - Object with setTimeOfDay / updateDayNightCycle, or a function
+   * @returns {Object|Function} The listener
+   */
+  addListener(listener) {
+    if (!listener || this.listeners.includes(listener)) return listener;
+    this.listeners.push(listener);
+    this._notify(listener);
+    return listener;
+  }
+
+  /**
+   * Stop sending time updates to a listener
+   * @param {Object|Function} listener - A registered listener
+   */
+  removeListener(listener) {
+    const index = this.listeners.indexOf(listener);
+    if (index !== -1) this.listeners.splice(index, 1);
+  }
+
+  /**
+   * Advance the clock and update lights, sky and listeners
+   * @param {number} delta - Time since last frame in seconds
+   * @param {THREE.Vector3} observer - World position the local time is measured at (optional)
+   */
+  update(delta, observer = null) {
+    if (this.options.dayLength > 0) {
+      this.time = THREE.MathUtils.euclideanModulo(
+        this.time + delta * this.options.timeScale / this.options.dayLength, 1
+      );
+    }
+    if (observer && observer.lengthSq() > 0) this._observerUp.copy(observer).normalize();
+
+    const state = this.state;
+    state.globalTime = this.time;
+    this.getSunDirection(this.time, state.sunDirection);
+    state.timeOfDay = this.getLocalTime(this._observerUp);
+    state.sunElevation = state.sunDirection.dot(this._observerUp);
+    state.daylight = THREE.MathUtils.smoothstep(state.sunElevation, -0.1, 0.15);
+    this._sampleKeyframes(state.timeOfDay);
+    this._updateMoonPhase();
+    this._applyLighting();
+
+    this._publishTimer -= delta;
+    if (this._publishTimer <= 0) {
+      this._publishTimer = this.options.publishInterval;
+      this.listeners.forEach(listener => this._notify(listener));
+    }
+  }
+
+  /**
+   * Direction from the planet center to the sun
+   * @param {number} time - Global time of day (0-1)
+   * @param {THREE.Vector3} target - Vector to write into
+   * @returns {THREE.Vector3} Unit direction
+   */
+  getSunDirection(time = this.time, target = new THREE.Vector3()) {
+    return target.copy(this._sunReference).applyAxisAngle(this.sunAxis, (time - 0.5) * Math.PI * 2);
+  }
+
+  /**
+   * Local time of day at a point on the planet (0.5 = the sun is highest)
+   * @param {THREE.Vector3} up - Direction from the planet center
+   * @returns {number} Local time, 0-1
+   */
+  getLocalTime(up) {
+    // Angle of the observer's meridian from the reference meridian, around the sun axis
+    const projected = this._projected.copy(up).addScaledVector(this.sunAxis, -up.dot(this.sunAxis));
+    if (projected.lengthSq() < 1e-8) return this.time; // Standing on a pole
+    projected.normalize();
+    const angle = Math.atan2(
+      this._cross.crossVectors(this._sunReference, projected).dot(this.sunAxis),
+      this._sunReference.dot(projected)
+    );
+    return THREE.MathUtils.euclideanModulo(this.time - angle / (Math.PI * 2), 1);
+  }
+
+  /**
+   * Set the time of day at the observer
+   * @param {number} timeOfDay - Local time, 0-1 (0.5 = noon)
+   */
+  setTimeOfDay(timeOfDay) {
+    const offset = this.time - this.getLocalTime(this._observerUp);
+    this.time = THREE.MathUtils.euclideanModulo(timeOfDay + offset, 1);
+    this._publishTimer = 0;
+    this.update(0);
+  }
+
+  /**
+   * Dim and grey the lighting for clouds and storms (called by WeatherSystem every frame)
+   * @param {number} light - Sun/moon light multiplier (1 = clear)
+   * @param {number} overcast - 0-1, how grey the sky, fog and clouds turn
+   */
+  setWeatherLighting(light, overcast) {
+    this.weather.light = light;
+    this.weather.overcast = overcast;
+  }
+
+  /**
+   * Change how long a full day takes
+   * @param {number} seconds - Real seconds per day (0 freezes the clock)
+   */
+  setDayLength(seconds) {
+    this.options.dayLength = Math.max(0, seconds);
+  }
+
+  /**
+   * Human-readable moon phase
+   * @returns {string} Phase name
+   */
+  getMoonPhaseName() {
+    const { moonPhase, moonWaxing } = this.state;
+    if (moonPhase < 0.05) return 'new moon';
+    if (moonPhase > 0.95) return 'full moon';
+    const trend = moonWaxing ? 'waxing' : 'waning';
+    if (moonPhase < 0.45) return `${trend} crescent`;
+    if (moonPhase <= 0.55) return moonWaxing ? 'first quarter' : 'last quarter';
+    return `${trend} gibbous`;
+  }
+
+  /**
+   * Format a time of day as HH:MM
+   * @param {number} time - Time, 0-1
+   * @returns {string} Clock time
+   */
+  formatTime(time = this.state.timeOfDay) {
+    const minutes = Math.floor(THREE.MathUtils.euclideanModulo(time, 1) * 24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Remove the sun from the scene and free its resources
+   */
+  dispose() {
+    this.scene.remove(this.sunLight, this.sunLight.target);
+    this.sunLight.dispose();
+    if (this.sunMesh) {
+      this.scene.remove(this.sunMesh);
+      this.sunMesh.geometry.dispose();
+      this.sunMesh.material.dispose();
+    }
+    this.listeners = [];
+  }
+
+  /**
+   * Sun light and the visible sun disc
+   * @private
+   */
+  _createSun() {
+    this.sunLight = new THREE.DirectionalLight(0xffffff, 0);
+    this.sunLight.name = 'Sun';
+    this.sunLight.castShadow = this.options.castShadow;
+    this.sunLight.target.position.set(0, 0, 0);
+    this.scene.add(this.sunLight);
+    this.scene.add(this.sunLight.target);
+
+    if (this.options.showSun) {
+      this.sunMesh = new THREE.Mesh(
+        new THREE.SphereGeometry(this.options.sunSize, 16, 12),
+        new THREE.MeshBasicMaterial({ color: SUN_DISC_COLOR, fog: false })
+      );
+      this.sunMesh.name = 'SunDisc';
+      this.scene.add(this.sunMesh);
+    }
+  }
+
+  /**
+   * Convert hex keyframes into Colors, sorted by time
+   * @param {Array} keyframes - Keyframe definitions
+   * @returns {Array} Parsed keyframes
+   * @private
+   */
+  _parseKeyframes(keyframes) {
+    return keyframes
+      .map(frame => {
+        const parsed = { time: THREE.MathUtils.euclideanModulo(frame.time, 1) };
+        COLOR_KEYS.forEach(key => { parsed[key] = new THREE.Color(frame[key] ?? 0x000000); });
+        NUMBER_KEYS.forEach(key => { parsed[key] = frame[key] ?? 0; });
+        return parsed;
+      })
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Blend the keyframes around a time into this.state
+   * @param {number} time - Local time, 0-1
+   * @private
+   */
+  _sampleKeyframes(time) {
+    const frames = this.keyframes;
+    let next = frames.findIndex(frame => frame.time > time);
+    if (next === -1) next = 0;
+    const prev = (next - 1 + frames.length) % frames.length;
+    const a = frames[prev];
+    const b = frames[next];
+
+    const span = THREE.MathUtils.euclideanModulo(b.time - a.time, 1) || 1;
+    const t = THREE.MathUtils.euclideanModulo(time - a.time, 1) / span;
+
+    const state = this.state;
+    state.skyColor.lerpColors(a.sky, b.sky, t);
+    state.fogColor.lerpColors(a.fog, b.fog, t);
+    state.fogColorBottom.lerpColors(a.fogBottom, b.fogBottom, t);
+    state.cloudColor.lerpColors(a.cloud, b.cloud, t);
+    state.sunColor.lerpColors(a.sunColor, b.sunColor, t);
+    state.ambientColor.lerpColors(a.ambientColor, b.ambientColor, t);
+    NUMBER_KEYS.forEach(key => { state[key] = THREE.MathUtils.lerp(a[key], b[key], t); });
+
+    // Weather: less direct light, grey sky (ambient light drops less - clouds scatter it)
+    const { light, overcast } = this.weather;
+    state.sunIntensity *= light;
+    state.moonIntensity *= light;
+    state.ambientIntensity *= THREE.MathUtils.lerp(1, light, 0.5);
+    if (overcast > 0) {
+      [state.skyColor, state.fogColor, state.fogColorBottom, state.cloudColor].forEach(color => {
+        const grey = (color.r * 0.299 + color.g * 0.587 + color.b * 0.114) * 0.8;
+        color.lerp(_grey.setRGB(grey, grey, grey), overcast);
+      });
+    }
+  }
+
+  /**
+   * Lit fraction of the moon from the sun-planet-moon angle
+   * @private
+   */
+  _updateMoonPhase() {
+    const moonPosition = this.options.moon?.mesh?.position;
+    if (!moonPosition || moonPosition.lengthSq() === 0) return;
+
+    const moonDir = this._moonDirection.copy(moonPosition).normalize();
+    const sunDir = this.state.sunDirection;
+    // Full when the moon is opposite the sun, new when it sits in front of it
+    const phase = (1 - sunDir.dot(moonDir)) / 2;
+    if (phase !== this.state.moonPhase) this.state.moonWaxing = phase > this.state.moonPhase;
+    this.state.moonPhase = phase;
+  }
+
+  /**
+   * Push the blended state into lights and the sky
+   * @private
+   */
+  _applyLighting() {
+    const state = this.state;
+    const { sunDistance, ambientLight, moonLight } = this.options;
+
+    this.sunLight.position.copy(state.sunDirection).multiplyScalar(sunDistance);
+    this.sunLight.color.copy(state.sunColor);
+    this.sunLight.intensity = state.sunIntensity;
+    if (this.sunMesh) {
+      this.sunMesh.visible = this.weather.overcast < 0.7; // Hidden behind heavy cloud
+      this.sunMesh.position.copy(this.sunLight.position);
+      this.sunMesh.material.color.copy(state.sunColor).lerp(SUN_DISC_COLOR, 0.5);
+    }
+
+    if (ambientLight) {
+      ambientLight.color.copy(state.ambientColor);
+      ambientLight.intensity = state.ambientIntensity;
+    }
+    // A new moon gives almost no light
+    if (moonLight) moonLight.intensity = state.moonIntensity * (0.15 + 0.85 * state.moonPhase);
+
+    if (this.scene.background?.isColor) this.scene.background.copy(state.skyColor);
+    if (this.scene.fog?.color) this.scene.fog.color.copy(state.fogColor);
+  }
+
+  /**
+   * Send the current state to one listener
+   * @param {Object|Function} listener - A registered listener
+   * @private
+   */
+  _notify(listener) {
+    const { timeOfDay } = this.state;
+    try {
+      if (typeof listener === 'function') listener(timeOfDay, this.state);
+      else if (typeof listener.setTimeOfDay === 'function') listener.setTimeOfDay(timeOfDay, this.state);
+      else if (typeof listener.updateDayNightCycle === 'function') listener.updateDayNightCycle(timeOfDay, this.state);
+    } catch (error) {
+      console.warn('[DayNightCycle] Listener failed:', error);
+    }
+  }
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import entityCollisionSystem from './EntityCollisionSystem.js';
+import { pushOutOfBox } from './utils/boxColliders.js';
 
 // Deer system configuration
 export const DEER_CONFIG = {
@@ -26,6 +27,8 @@ export const DEER_CONFIG = {
   wanderRadius: 50,            // Maximum wander distance from spawn point
   directionChangeTime: 5000,   // Time between random direction changes
   antlerChance: 0.7,           // Chance that a deer has antlers (male)
+  maxWadeDepth: 1.0,           // NEW: Deer walk around water deeper than this (needs config.getWaterLevel)
+  nightActivity: 0.35,         // NEW: Movement speed multiplier at night (see setTimeOfDay)
 };
 
 // Low-poly deer class
@@ -34,6 +37,9 @@ export class Deer {
     this.scene = scene;
     this.terrain = terrain;
     this.config = config;
+    // Seeded generator for looks and spawn position (falls back to Math.random)
+    this.random = config.random || Math.random;
+    this._nearbyCollidables = []; // Reused spatial index query results
     this.alive = true;
     this.hits = {
       body: { red: 0, yellow: 0, green: 0 },
@@ -49,16 +55,16 @@ export class Deer {
     // FIXED: Initialize direction BEFORE potentially using it in randomizePosition
     // Set initial movement direction (random)
     this.direction = new THREE.Vector3(
-      Math.random() - 0.5,
+      this.random() - 0.5,
       0,
-      Math.random() - 0.5
+      this.random() - 0.5
     ).normalize();
     
-    this.moveSpeed = config.moveSpeed * (0.8 + Math.random() * 0.4);
+    this.moveSpeed = config.moveSpeed * (0.8 + this.random() * 0.4);
     this.currentState = 'wander'; // initial state is wandering
     
     // Select a random color scheme
-    const colorScheme = this.config.colors[Math.floor(Math.random() * this.config.colors.length)];
+    const colorScheme = this.config.colors[Math.floor(this.random() * this.config.colors.length)];
     
     // Group to hold all parts of the deer
     this.group = new THREE.Group();
@@ -86,7 +92,7 @@ export class Deer {
     this.createLegs(colorScheme.leg);
     
     // Create antlers (only on some deer)
-    if (Math.random() < config.antlerChance) {
+    if (this.random() < config.antlerChance) {
       this.createAntlers(colorScheme.antler);
     }
     
@@ -101,7 +107,7 @@ export class Deer {
     this.group.add(tail);
     
     // Apply random scaling
-    const scale = config.minScale + Math.random() * (config.maxScale - config.minScale);
+    const scale = config.minScale + this.random() * (config.maxScale - config.minScale);
     this.group.scale.set(scale, scale, scale);
     
     // Set initial position
@@ -221,10 +227,10 @@ export class Deer {
       antlerGroup.add(stem);
       
       // Add 2-3 branches
-      const branchCount = 2 + Math.floor(Math.random() * 2);
+      const branchCount = 2 + Math.floor(this.random() * 2);
       
       for (let i = 0; i < branchCount; i++) {
-        const branchGeo = new THREE.CylinderGeometry(0.2, 0.1, 2 + Math.random(), 4);
+        const branchGeo = new THREE.CylinderGeometry(0.2, 0.1, 2 + this.random(), 4);
         const branch = new THREE.Mesh(branchGeo, antlerMat);
         
         // Position along stem
@@ -232,8 +238,8 @@ export class Deer {
         branch.position.y = yPos;
         
         // Rotate outward and up
-        branch.rotation.z = direction * (Math.PI / 3 + Math.random() * 0.3);
-        branch.rotation.x = Math.random() * 0.5;
+        branch.rotation.z = direction * (Math.PI / 3 + this.random() * 0.3);
+        branch.rotation.x = this.random() * 0.5;
         
         antlerGroup.add(branch);
       }
@@ -255,14 +261,19 @@ export class Deer {
     
     // Generate random position on the unit sphere
     // FIXED: Spread deer out more evenly across the planet
-    const phi = Math.random() * Math.PI * 2; // Random angle around equator
-    const theta = Math.acos(2 * Math.random() - 1); // Random angle from pole
-    
-    const randomDirection = new THREE.Vector3(
-      Math.sin(theta) * Math.cos(phi),
-      Math.sin(theta) * Math.sin(phi), 
-      Math.cos(theta)
-    ).normalize();
+    // NEW: Re-roll spots under water (a few tries, then take what we got)
+    const randomDirection = new THREE.Vector3();
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const phi = this.random() * Math.PI * 2; // Random angle around equator
+      const theta = Math.acos(2 * this.random() - 1); // Random angle from pole
+      
+      randomDirection.set(
+        Math.sin(theta) * Math.cos(phi),
+        Math.sin(theta) * Math.sin(phi), 
+        Math.cos(theta)
+      ).normalize();
+      if (this._getWaterDepth(randomDirection) <= this.config.maxWadeDepth) break;
+    }
     
     // Get terrain height at this direction
     let terrainHeight = 0;
@@ -425,7 +436,7 @@ export class Deer {
     let closestDistance = Infinity;
     
     apples.forEach(apple => {
-      if (apple.mesh && !apple.isEaten) {
+      if (apple.mesh && !apple.isEaten && !apple.isFloating) { // Deer don't swim out for apples
         const distance = this.group.position.distanceTo(apple.mesh.position);
         
         if (distance < this.config.appleDetectionRadius && distance < closestDistance) {
@@ -950,18 +961,38 @@ export class Deer {
   
   // NEW: Check if the deer would collide with any world objects at the given position
   _checkCollisions(position) {
+    // NEW: Water deeper than the deer can wade counts as an obstacle
+    // (moving toward shallower water is always allowed so a deer can't get stuck)
+    const newDepth = this._getWaterDepth(position.clone().normalize());
+    if (newDepth > this.config.maxWadeDepth &&
+        newDepth >= this._getWaterDepth(this.group.position.clone().normalize())) {
+      return true;
+    }
+
     // Skip if we don't have collidables
     if (!this.config.collidables || this.config.collidables.length < 1) return false;
     
     const deerDir = position.clone().normalize();
     const deerRadius = this.getCollisionRadius() * 0.8; // Slightly smaller radius for smoother movement
+    const boxPush = new THREE.Vector3();
     
-    // Check against all collidable objects (trees, rocks, etc.)
-    for (let i = 1; i < this.config.collidables.length; i++) {
-      const obj = this.config.collidables[i];
+    // NEW: Narrow to nearby objects when a spatial index is available
+    const candidates = this.config.spatialIndex
+      ? this.config.spatialIndex.queryRange(position, deerRadius, this._nearbyCollidables)
+      : this.config.collidables;
+    
+    // Check against collidable objects (trees, rocks, etc.)
+    for (let i = 0; i < candidates.length; i++) {
+      const obj = candidates[i];
+      
+      // NEW: Cabin walls, floors and steps - deer stay outside buildings
+      if (obj.isBox) {
+        if (pushOutOfBox(obj, position, deerRadius, 1, 6, boxPush)) return true;
+        continue;
+      }
       
       // Skip invalid objects or planet itself
-      if (!obj.direction || !obj.position) continue;
+      if (obj.isPlanet || !obj.direction || !obj.position) continue;
       
       // Skip if the object has the noCollision flag
       if (obj.noCollision) continue;
@@ -1002,6 +1033,20 @@ export class Deer {
     return false; // No collision
   }
   
+  /**
+   * Water depth over the ground in a direction (0 without water)
+   * @param {THREE.Vector3} dir - Normalized direction
+   * @returns {number} Depth in world units
+   * @private
+   */
+  _getWaterDepth(dir) {
+    if (!this.config.getWaterLevel) return 0;
+    const waterLevel = this.config.getWaterLevel(dir);
+    if (waterLevel === null) return 0;
+    const terrainHeight = this.config.getTerrainHeight ? this.config.getTerrainHeight(dir) : 0;
+    return Math.max(0, waterLevel - terrainHeight);
+  }
+
   // NEW: Change direction to avoid obstacles
   _avoidObstacle() {
     // Get the current up vector (perpendicular to ground)
@@ -1185,8 +1230,32 @@ export class DeerSystem {
     this.config = { ...DEER_CONFIG, ...config };
     this.deer = [];
     this.apples = [];
+    this.activity = 1.0; // NEW: Deer bed down and barely move at night
+    this.baseAppleDetectionRadius = this.config.appleDetectionRadius; // NEW: Scaled by setSeason
   }
   
+  /**
+   * Snap deer near a terrain change back onto the surface
+   * @param {THREE.Vector3} centerDir - Direction of the change (null = every deer)
+   * @param {number} angularRadius - Radius of the change in radians
+   * @returns {number} Number of deer moved
+   */
+  resettle(centerDir = null, angularRadius = Math.PI) {
+    const minDot = Math.cos(angularRadius);
+    let moved = 0;
+    for (const deer of this.deer) {
+      const dir = deer.group.position.clone().normalize();
+      if (centerDir && dir.dot(centerDir) < minDot) continue;
+
+      const terrainHeight = this.config.getTerrainHeight ? this.config.getTerrainHeight(dir) : 0;
+      const sphereRadius = this.config.sphereRadius || 400; // Same base radius the deer walk on
+      deer.group.position.copy(dir.multiplyScalar(sphereRadius + terrainHeight + this.config.groundOffset));
+      deer.alignToSurface();
+      moved++;
+    }
+    return moved;
+  }
+
   init() {
     // Clear any existing deer
     this.cleanup();
@@ -1202,8 +1271,9 @@ export class DeerSystem {
   
   update(deltaTime) {
     // Update all deer
+    const scaledDelta = deltaTime * this.activity;
     this.deer.forEach(deer => {
-      deer.update(deltaTime, this.apples);
+      deer.update(scaledDelta, this.apples);
       deer.updatePositions(); // Ensure positions are updated
     });
 
@@ -1211,6 +1281,26 @@ export class DeerSystem {
     this.apples = this.apples.filter(apple => !apple.isEaten);
   }
   
+  /**
+   * NEW: Deer slow down at night (called by DayNightCycle)
+   * @param {number} timeOfDay - Local time, 0-1
+   * @param {Object} state - Cycle state ({ daylight })
+   */
+  setTimeOfDay(timeOfDay, state = null) {
+    const daylight = state ? state.daylight : (timeOfDay > 0.25 && timeOfDay < 0.75 ? 1 : 0);
+    this.activity = THREE.MathUtils.lerp(this.config.nightActivity, 1, daylight);
+  }
+
+  /**
+   * NEW: Deer forage further in lean seasons (called by SeasonSystem)
+   * @param {string} season - Season name
+   * @param {Object} state - Blended season state ({ deerForage })
+   */
+  setSeason(season, state) {
+    // Deer share this.config by reference, so every deer sees the new radius
+    this.config.appleDetectionRadius = this.baseAppleDetectionRadius * (state.deerForage ?? 1);
+  }
+
   trackApple(apple) {
     // Add apple to the list of tracked apples
     if (apple && apple.mesh) {
@@ -0,0 +1,401 @@
+// GamepadInput.js - Gamepad API backend for the input map: analog movement and look, triggers, buttons
+
+// Button indices of the standard gamepad mapping (Xbox names)
+export const PAD_BUTTONS = {
+  A: 0, B: 1, X: 2, Y: 3, LB: 4, RB: 5, LT: 6, RT: 7, BACK: 8, START: 9,
+  LSTICK: 10, RSTICK: 11, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15, HOME: 16
+};
+
+const TRIGGERS = [PAD_BUTTONS.LT, PAD_BUTTONS.RT];
+
+// Settings the player can change (and that are saved)
+const SETTING_KEYS = ['moveDeadzone', 'lookDeadzone', 'moveCurve', 'lookCurve', 'lookSensitivity', 'lookSensitivityY', 'invertY'];
+
+/**
+ * Radial deadzone and response curve for a stick
+ * @param {number} x - Raw horizontal value (-1..1)
+ * @param {number} y - Raw vertical value (-1..1, +y = down)
+ * @param {number} deadzone - Deflection that still counts as centered (0-1)
+ * @param {number} exponent - Response curve: 1 = linear, higher = finer control near the center
+ * @param {Object} target - Object to write { x, y } into
+ * @returns {Object} Shaped stick, same direction, length 0-1
+ */
+export function shapeStick(x, y, deadzone, exponent, target = { x: 0, y: 0 }) {
+  const length = Math.hypot(x, y);
+  if (length <= deadzone) {
+    target.x = 0;
+    target.y = 0;
+    return target;
+  }
+  // Rescale so the output starts at 0 right outside the deadzone
+  const scaled = Math.min(1, (length - deadzone) / (1 - deadzone));
+  const factor = Math.pow(scaled, exponent) / length;
+  target.x = x * factor;
+  target.y = y * factor;
+  return target;
+}
+
+/**
+ * Reads gamepads through the Gamepad API once per frame and feeds the InputMap:
+ * buttons become 'PadN' presses (bound to actions like any key), the left stick drives
+ * the moveX/moveY axes, the right stick turns the camera, and the trigger bound to
+ * fire also drives the analog fire axis (WeaponSystem caps the charge at the pull).
+ *
+ * Pads can be plugged in and out at any time; the first connected pad is used unless
+ * padIndex is set. VirtualGamepad stands in for a real pad in scripted tests.
+ */
+export default class GamepadInput {
+  /**
+   * Create the gamepad backend
+   * @param {InputMap} input - Input map to feed
+   * @param {Object} options - Configuration options
+   */
+  constructor(input, options = {}) {
+    this.input = input;
+    this.options = Object.assign({
+      padIndex: null,          // Gamepad index to use (null = first connected)
+      moveDeadzone: 0.15,      // Left stick deflection ignored around the center
+      lookDeadzone: 0.12,      // Right stick deflection ignored around the center
+      moveCurve: 1.5,          // Left stick response exponent (1 = linear)
+      lookCurve: 2.0,          // Right stick response exponent
+      lookSensitivity: 2.6,    // Turn speed at full deflection (radians/second)
+      lookSensitivityY: 1.8,   // Up/down look speed at full deflection (radians/second)
+      invertY: false,
+      triggerPress: 0.15,      // Trigger counts as pressed above this...
+      triggerRelease: 0.08,    // ...and as released again below this
+      storageKey: 'fly5d.gamepadSettings' // localStorage key for the settings (null = don't persist)
+    }, options);
+
+    this.pad = null;          // Gamepad in use (a fresh snapshot every frame in Chrome)
+    this.padKey = null;       // id + index of the pad in use
+    this.virtualPads = [];
+    this.buttonState = [];    // Pressed state per button index, as sent to the input map
+    this._drivenAxes = new Set();
+    this._stick = { x: 0, y: 0 };
+
+    this.loadSettings();
+
+    this._onConnected = (e) => console.log(`[GamepadInput] Connected: ${e.gamepad.id} (index ${e.gamepad.index})`);
+    this._onDisconnected = (e) => console.log(`[GamepadInput] Disconnected: ${e.gamepad.id} (index ${e.gamepad.index})`);
+    window.addEventListener('gamepadconnected', this._onConnected);
+    window.addEventListener('gamepaddisconnected', this._onDisconnected);
+  }
+
+  /**
+   * Whether a gamepad is in use
+   * @returns {boolean} True if connected
+   */
+  get connected() {
+    return !!this.pad;
+  }
+
+  /**
+   * Poll the gamepad and feed the input map (call once per frame)
+   * @param {number} delta - Time since last frame in seconds
+   */
+  update(delta) {
+    const pad = this._selectPad();
+    if (!pad) return;
+    const o = this.options;
+    const dt = Math.min(delta, 0.1);
+
+    // Buttons -> PadN codes (triggers get hysteresis so a resting finger doesn't flicker)
+    pad.buttons.forEach((button, i) => {
+      const value = typeof button === 'number' ? button : button.value;
+      let pressed = typeof button === 'number' ? button > 0.5 : button.pressed;
+      if (TRIGGERS.includes(i)) {
+        pressed = value > (this.buttonState[i] ? o.triggerRelease : o.triggerPress);
+      }
+      if (pressed === !!this.buttonState[i]) return;
+      this.buttonState[i] = pressed;
+      if (pressed) this.input.press(`Pad${i}`);
+      else this.input.release(`Pad${i}`);
+    });
+
+    // Analog fire: how far the trigger bound to fire is pulled
+    const fireTrigger = TRIGGERS.find(i => this.input.getAction(`Pad${i}`) === 'fire');
+    const pull = fireTrigger !== undefined && this.buttonState[fireTrigger] ? pad.buttons[fireTrigger].value : null;
+    this._setAxis('fire', pull);
+
+    // Left stick -> movement
+    const move = shapeStick(pad.axes[0] || 0, pad.axes[1] || 0, o.moveDeadzone, o.moveCurve, this._stick);
+    this._setAxis('moveX', move.x || null);
+    this._setAxis('moveY', move.y || null);
+
+    // Right stick -> camera (stick right turns right, stick up looks up)
+    const look = shapeStick(pad.axes[2] || 0, pad.axes[3] || 0, o.lookDeadzone, o.lookCurve, this._stick);
+    if (look.x || look.y) {
+      this.input.addLook(
+        -look.x * o.lookSensitivity * dt,
+        -look.y * o.lookSensitivityY * dt * (o.invertY ? -1 : 1)
+      );
+    }
+  }
+
+  // --- Settings ---
+
+  /**
+   * Current player settings
+   * @returns {Object} Deadzones, curves, sensitivity and invertY
+   */
+  getSettings() {
+    return Object.fromEntries(SETTING_KEYS.map(key => [key, this.options[key]]));
+  }
+
+  /**
+   * Change player settings (unknown keys are ignored) and save them
+   * @param {Object} settings - e.g. { lookSensitivity: 3, invertY: true }
+   * @returns {Object} The settings now in use
+   */
+  setSettings(settings = {}) {
+    for (const key of SETTING_KEYS) {
+      if (!(key in settings)) continue;
+      const value = key === 'invertY' ? !!settings[key] : Number(settings[key]);
+      if (key !== 'invertY' && !Number.isFinite(value)) continue;
+      this.options[key] = value;
+    }
+    this.saveSettings();
+    return this.getSettings();
+  }
+
+  /**
+   * Save the settings to localStorage
+   */
+  saveSettings() {
+    if (!this.options.storageKey) return;
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(this.getSettings()));
+    } catch (error) {
+      console.warn('[GamepadInput] Could not save settings:', error.message);
+    }
+  }
+
+  /**
+   * Load saved settings over the defaults
+   */
+  loadSettings() {
+    if (!this.options.storageKey) return;
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.options.storageKey) || 'null');
+      if (!saved) return;
+      for (const key of SETTING_KEYS) {
+        if (key === 'invertY' ? typeof saved[key] === 'boolean' : Number.isFinite(saved[key])) {
+          this.options[key] = saved[key];
+        }
+      }
+    } catch (error) {
+      console.warn('[GamepadInput] Could not read saved settings:', error.message);
+    }
+  }
+
+  // --- Virtual pads ---
+
+  /**
+   * Plug in a virtual gamepad (behaves like a real one, including hot-plug)
+   * @param {VirtualGamepad} pad - The pad
+   * @returns {VirtualGamepad} The pad
+   */
+  connectVirtual(pad) {
+    if (!this.virtualPads.includes(pad)) {
+      pad.connected = true;
+      this.virtualPads.push(pad);
+      this._onConnected({ gamepad: pad });
+    }
+    return pad;
+  }
+
+  /**
+   * Unplug a virtual gamepad
+   * @param {VirtualGamepad} pad - The pad
+   */
+  disconnectVirtual(pad) {
+    const index = this.virtualPads.indexOf(pad);
+    if (index === -1) return;
+    this.virtualPads.splice(index, 1);
+    pad.connected = false;
+    this._onDisconnected({ gamepad: pad });
+  }
+
+  /**
+   * Stop listening for gamepads and release everything held
+   */
+  dispose() {
+    this._releaseAll();
+    window.removeEventListener('gamepadconnected', this._onConnected);
+    window.removeEventListener('gamepaddisconnected', this._onDisconnected);
+  }
+
+  // --- Internals ---
+
+  /**
+   * Connected pads, virtual ones first
+   * @private
+   */
+  _getPads() {
+    const real = typeof navigator !== 'undefined' && navigator.getGamepads ? [...navigator.getGamepads()] : [];
+    return [...this.virtualPads, ...real].filter(pad => pad && pad.connected);
+  }
+
+  /**
+   * Find this frame's snapshot of the pad in use, or switch to another one (hot-plug)
+   * @private
+   */
+  _selectPad() {
+    const pads = this._getPads();
+    const keyOf = pad => `${pad.id}#${pad.index}`;
+    let pad = pads.find(p => keyOf(p) === this.padKey);
+
+    if (!pad) {
+      pad = this.options.padIndex !== null
+        ? pads.find(p => p.index === this.options.padIndex)
+        : pads[0];
+      if (this.padKey) {
+        // The pad in use went away - let go of everything it was holding
+        this._releaseAll();
+        console.log('[GamepadInput] Lost the active gamepad');
+      }
+      this.padKey = pad ? keyOf(pad) : null;
+      if (pad) console.log(`[GamepadInput] Using ${pad.id} (${pad.mapping || 'non-standard'} mapping)`);
+    }
+
+    this.pad = pad || null;
+    return this.pad;
+  }
+
+  /**
+   * Set an axis we drive (only clears it if this backend set it)
+   * @private
+   */
+  _setAxis(axis, value) {
+    if (value !== null) {
+      this._drivenAxes.add(axis);
+      this.input.setAxis(axis, value);
+    } else if (this._drivenAxes.delete(axis)) {
+      this.input.setAxis(axis, null);
+    }
+  }
+
+  /**
+   * Release every button and axis this pad is holding
+   * @private
+   */
+  _releaseAll() {
+    this.buttonState.forEach((pressed, i) => {
+      if (pressed) this.input.release(`Pad${i}`);
+    });
+    this.buttonState = [];
+    for (const axis of [...this._drivenAxes]) this._setAxis(axis, null);
+  }
+}
+
+/**
+ * Scriptable stand-in for a Gamepad (standard mapping) for tests and demos.
+ *
+ *   const pad = gamepadInput.connectVirtual(new VirtualGamepad());
+ *   await pad.play([
+ *     { left: [0, -1], duration: 1 },                        // Walk forward for a second
+ *     { left: [0, -1], right: [0.5, 0], duration: 0.5 },     // ...while turning right
+ *     { left: [0, -1], buttons: { A: true }, duration: 0.1 }, // Jump
+ *     { buttons: { RT: 0.5 }, duration: 1.5 }                // Half-pull the trigger; the next step releases it and fires
+ *   ]);
+ */
+export class VirtualGamepad {
+  /**
+   * Create a virtual pad with everything at rest
+   * @param {string} id - Pad name
+   * @param {number} index - Pad index (kept away from real pads' 0-3)
+   */
+  constructor(id = 'Virtual Gamepad (standard)', index = 100) {
+    this.id = id;
+    this.index = index;
+    this.connected = true;
+    this.mapping = 'standard';
+    this.axes = [0, 0, 0, 0];
+    this.buttons = Array.from({ length: 17 }, () => ({ pressed: false, touched: false, value: 0 }));
+    this.timestamp = 0;
+    this._timer = null;
+    this._finish = null;      // Resolves the running play()
+    this._stepsStarted = 0;
+  }
+
+  /**
+   * Press, release or half-pull a button
+   * @param {number|string} button - Index or PAD_BUTTONS name ('A', 'RT'...)
+   * @param {boolean|number} value - true/false, or 0-1 for triggers
+   */
+  setButton(button, value) {
+    const index = typeof button === 'string' ? PAD_BUTTONS[button.toUpperCase()] : button;
+    const target = this.buttons[index];
+    if (!target) return;
+    target.value = typeof value === 'number' ? value : (value ? 1 : 0);
+    target.pressed = target.value > 0.5;
+    target.touched = target.value > 0;
+    this.timestamp++;
+  }
+
+  /**
+   * Deflect a stick
+   * @param {string} stick - 'left' or 'right'
+   * @param {number} x - -1 (left) .. 1 (right)
+   * @param {number} y - -1 (up) .. 1 (down)
+   */
+  setStick(stick, x, y) {
+    const offset = stick === 'right' ? 2 : 0;
+    this.axes[offset] = x;
+    this.axes[offset + 1] = y;
+    this.timestamp++;
+  }
+
+  /**
+   * Center the sticks and release every button
+   */
+  reset() {
+    this.axes.fill(0);
+    this.buttons.forEach((_, i) => this.setButton(i, false));
+  }
+
+  /**
+   * Run a script of steps one after another, then reset. Each step is the whole pad
+   * state for its duration - sticks and buttons it doesn't mention are at rest.
+   * A stop() (or a new play()) ends the script early and resolves it as well.
+   * @param {Array<Object>} steps - { left: [x, y], right: [x, y], buttons: { name: value }, duration: seconds }
+   * @returns {Promise<number>} Resolves with the number of steps played
+   */
+  play(steps) {
+    this.stop();
+    return new Promise(resolve => {
+      let index = 0;
+      this._stepsStarted = 0;
+      this._finish = played => {
+        this._finish = null;
+        resolve(played);
+      };
+      const next = () => {
+        if (index >= steps.length) {
+          this.reset();
+          this._timer = null;
+          this._finish(steps.length);
+          return;
+        }
+        const step = steps[index++];
+        this._stepsStarted = index;
+        this.reset();
+        if (step.left) this.setStick('left', ...step.left);
+        if (step.right) this.setStick('right', ...step.right);
+        for (const [button, value] of Object.entries(step.buttons || {})) this.setButton(button, value);
+        this._timer = setTimeout(next, (step.duration ?? 0.1) * 1000);
+      };
+      next();
+    });
+  }
+
+  /**
+   * Stop a running script (the pad keeps its current state). Its play() promise
+   * resolves with the steps started so far.
+   */
+  stop() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this._finish?.(this._stepsStarted);
+  }
+}
@@ -0,0 +1,557 @@
+// InputMap.js - Named input actions (moveForward, jump, fire...) with rebinding and saved bindings
+import WebBrowserInput from './webbrowser_input.js';
+
+/**
+ * Every action the game reads, in menu order, with its default bindings.
+ *
+ * Bindings are KeyboardEvent.code values ('KeyW', 'Space', 'ShiftLeft'...), so they stay
+ * on the same physical key with any keyboard layout, 'Mouse0'-'Mouse4' for mouse
+ * buttons, or 'Pad0'-'Pad16' for gamepad buttons (standard mapping, see GamepadInput).
+ * The slots are primary, alternate and controller. A code belongs to at most one action.
+ * Actions marked ui keep working while the map is disabled (e.g. the controls menu can
+ * still be closed with its key).
+ */
+export const INPUT_ACTIONS = {
+  moveForward:  { label: 'Move forward', group: 'Movement', bindings: ['KeyW', 'ArrowUp', 'Pad12'] },
+  moveBackward: { label: 'Move back / fast fall', group: 'Movement', bindings: ['KeyS', 'ArrowDown', 'Pad13'] },
+  moveLeft:     { label: 'Strafe left', group: 'Movement', bindings: ['KeyA', 'ArrowLeft', 'Pad14'] },
+  moveRight:    { label: 'Strafe right', group: 'Movement', bindings: ['KeyD', 'ArrowRight', 'Pad15'] },
+  jump:         { label: 'Jump / swim up', group: 'Movement', bindings: ['Space', null, 'Pad0'] },
+  crouch:       { label: 'Crouch (double-tap to toggle)', group: 'Movement', bindings: ['ShiftLeft', 'ShiftRight', 'Pad1'] },
+  climb:        { label: 'Climb tree / let go', group: 'Movement', bindings: ['KeyE', null, 'Pad2'] },
+  fire:         { label: 'Charge / fire slingshot', group: 'Weapon', bindings: ['Mouse0', null, 'Pad7'] },
+  cycleAmmo:    { label: 'Cycle apple ammo', group: 'Weapon', bindings: ['Mouse2', 'KeyC', 'Pad5'] },
+  switchWeapon: { label: 'Switch weapon', group: 'Weapon', bindings: ['KeyQ', null, 'Pad3'] },
+  toggleCamera: { label: 'Third-person camera', group: 'Interface', bindings: ['KeyV', null, 'Pad11'] },
+  controlsMenu: { label: 'Controls menu', group: 'Interface', bindings: ['KeyK', null, 'Pad9'], ui: true },
+  toggleEditor: { label: 'World editor', group: 'Debug', bindings: ['F2'], ui: true },
+  // World editor keys (only act while the editor is open)
+  editorPlacePine:   { label: 'Editor: place pine tree', group: 'Debug', bindings: ['Digit1'], ui: true },
+  editorPlaceApple:  { label: 'Editor: place apple tree', group: 'Debug', bindings: ['Digit2'], ui: true },
+  editorPlaceRock:   { label: 'Editor: place rock', group: 'Debug', bindings: ['Digit3'], ui: true },
+  editorPlaceGrass:  { label: 'Editor: place grass', group: 'Debug', bindings: ['Digit4'], ui: true },
+  editorPlaceCabin:  { label: 'Editor: place cabin', group: 'Debug', bindings: ['Digit5'], ui: true },
+  editorSpecies:     { label: 'Editor: next tree species', group: 'Debug', bindings: ['Digit6'], ui: true },
+  editorSelectMode:  { label: 'Editor: select mode', group: 'Debug', bindings: ['Digit0'], ui: true },
+  editorRotateLeft:  { label: 'Editor: rotate left', group: 'Debug', bindings: ['BracketLeft'], ui: true },
+  editorRotateRight: { label: 'Editor: rotate right', group: 'Debug', bindings: ['BracketRight'], ui: true },
+  editorScaleDown:   { label: 'Editor: shrink', group: 'Debug', bindings: ['Minus', 'NumpadSubtract'], ui: true },
+  editorScaleUp:     { label: 'Editor: grow', group: 'Debug', bindings: ['Equal', 'NumpadAdd'], ui: true },
+  editorDelete:      { label: 'Editor: delete', group: 'Debug', bindings: ['Delete', 'KeyX', 'Backspace'], ui: true },
+  editorDeselect:    { label: 'Editor: deselect', group: 'Debug', bindings: ['Escape'], ui: true },
+  editorUndo:        { label: 'Editor: undo (with Ctrl, Shift redoes)', group: 'Debug', bindings: ['KeyZ'], ui: true },
+  editorRedo:        { label: 'Editor: redo (with Ctrl)', group: 'Debug', bindings: ['KeyY'], ui: true },
+  editorExport:      { label: 'Editor: export layout', group: 'Debug', bindings: ['KeyJ'], ui: true }
+};
+
+// Bindings slots per action (primary, alternate, controller)
+export const BINDING_SLOTS = 3;
+
+// Keys whose code doesn't read well on its own
+const KEY_NAMES = {
+  BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Escape: 'Esc', Delete: 'Del'
+};
+const MOUSE_NAMES = ['Left mouse', 'Middle mouse', 'Right mouse', 'Mouse back', 'Mouse forward'];
+const PAD_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L-stick', 'R-stick',
+  'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'];
+
+/**
+ * Readable name for a binding code
+ * @param {string|null} code - KeyboardEvent.code, 'MouseN' or 'PadN'
+ * @returns {string} e.g. 'W', 'Space', 'Left Shift', 'Right mouse', 'Pad A'
+ */
+export function describeBinding(code) {
+  if (!code) return '—';
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  let match;
+  if ((match = /^Mouse(\d)$/.exec(code))) return MOUSE_NAMES[match[1]] || code;
+  if ((match = /^Pad(\d+)$/.exec(code))) return `Pad ${PAD_NAMES[match[1]] || match[1]}`;
+  if ((match = /^(?:Key|Digit)(.)$/.exec(code))) return match[1];
+  if ((match = /^Numpad(.+)$/.exec(code))) return `Num ${match[1]}`;
+  if ((match = /^Arrow(.+)$/.exec(code))) return `${match[1]} arrow`;
+  if ((match = /^(Shift|Control|Alt|Meta)(Left|Right)$/.exec(code))) return `${match[2]} ${match[1] === 'Control' ? 'Ctrl' : match[1]}`;
+  return code;
+}
+
+/**
+ * Action-based input on top of WebBrowserInput's raw keyboard and mouse events.
+ *
+ * Game code asks for actions, never for keys: poll isDown('moveForward') every frame,
+ * or listen with on('jump', pressed => ...) / addListener((action, pressed) => ...).
+ * Bindings can be changed at runtime with rebind(), which refuses codes that already
+ * belong to another action (or swaps them, if asked), and are saved to localStorage.
+ *
+ * Other devices (gamepads, touch) feed the same map: press()/release() for buttons,
+ * pressAction()/releaseAction() for on-screen buttons that stand for one action,
+ * setAxis() for analog values (moveX/moveY in -1..1, fire in 0..1) and addLook() for
+ * camera turns, which SphereControls picks up once per frame with consumeLook().
+ */
+export default class InputMap {
+  /**
+   * Create the input map and start listening
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      element: null,                      // Canvas handed to WebBrowserInput
+      source: null,                       // Existing WebBrowserInput to read (one is created otherwise)
+      actions: INPUT_ACTIONS,
+      storageKey: 'fly5d.inputBindings',  // localStorage key (null = don't persist)
+      ignoreTextFields: true              // Typing in an <input> doesn't move the player
+    }, options);
+
+    this.actions = this.options.actions;
+    this.bindings = {};          // action -> [code | null, ...] (BINDING_SLOTS entries)
+    this.codeToAction = new Map();
+    this.held = new Map();       // code -> action it pressed (null if unbound/ignored)
+    this.pressCount = new Map(); // action -> number of its codes held down
+    this.actionListeners = {};   // action -> [callback(pressed, event)]
+    this.listeners = [];         // callback(action, pressed, event) for every action
+    this.axes = new Map();       // Analog values from gamepads/touch: axis -> value
+    this.look = { yaw: 0, pitch: 0 }; // Camera turn (radians) waiting for consumeLook()
+    this.enabled = true;
+    this._capture = null;        // Callback waiting for the next pressed code (rebinding)
+
+    this.resetBindings({ save: false });
+    this.load();
+
+    // Raw events come from WebBrowserInput (shared with anything else that wants them)
+    this.source = this.options.source || new WebBrowserInput(this.options.element, {
+      preventContextMenu: true
+    });
+    this._ownsSource = !this.options.source;
+    this.source.onKeyDown(e => this.press(e.code, e.originalEvent));
+    this.source.onKeyUp(e => this.release(e.code, e.originalEvent));
+    this.source.onMouseDown(e => this.press(`Mouse${e.button}`, e.originalEvent));
+    this.source.onMouseUp(e => this.release(`Mouse${e.button}`, e.originalEvent));
+
+    console.log(`[InputMap] ${Object.keys(this.actions).length} actions ready`);
+  }
+
+  // --- Reading actions ---
+
+  /**
+   * Whether any binding of an action is held down
+   * @param {string} action - Action name
+   * @returns {boolean} True while held
+   */
+  isDown(action) {
+    return (this.pressCount.get(action) || 0) > 0;
+  }
+
+  /**
+   * Analog value of an axis (0 while the map is disabled)
+   * @param {string} axis - Axis name: moveX, moveY (-1..1, +y = back), fire (0..1)
+   * @param {number} fallback - Value when no device is driving the axis
+   * @returns {number} Axis value
+   */
+  getAxis(axis, fallback = 0) {
+    if (!this.axes.has(axis)) return fallback;
+    return this.enabled ? this.axes.get(axis) : 0;
+  }
+
+  /**
+   * Take the camera turn collected since the last call
+   * @param {Object} target - Object to write { yaw, pitch } (radians) into
+   * @returns {Object} The target
+   */
+  consumeLook(target = { yaw: 0, pitch: 0 }) {
+    target.yaw = this.enabled ? this.look.yaw : 0;
+    target.pitch = this.enabled ? this.look.pitch : 0;
+    this.look.yaw = 0;
+    this.look.pitch = 0;
+    return target;
+  }
+
+  /**
+   * Call a function when an action is pressed or released
+   * @param {string} action - Action name
+   * @param {Function} callback - (pressed, event) => void
+   * @returns {Function} The callback (for off())
+   */
+  on(action, callback) {
+    if (!this.actions[action]) {
+      console.warn(`[InputMap] Unknown action "${action}"`);
+      return callback;
+    }
+    (this.actionListeners[action] ||= []).push(callback);
+    return callback;
+  }
+
+  /**
+   * Stop calling a function registered with on()
+   * @param {string} action - Action name
+   * @param {Function} callback - A registered callback
+   */
+  off(action, callback) {
+    const list = this.actionListeners[action];
+    const index = list ? list.indexOf(callback) : -1;
+    if (index !== -1) list.splice(index, 1);
+  }
+
+  /**
+   * Receive every action press and release
+   * @param {Function} listener - (action, pressed, event) => void
+   * @returns {Function} The listener
+   */
+  addListener(listener) {
+    if (listener && !this.listeners.includes(listener)) this.listeners.push(listener);
+    return listener;
+  }
+
+  /**
+   * Stop sending actions to a listener
+   * @param {Function} listener - A registered listener
+   */
+  removeListener(listener) {
+    const index = this.listeners.indexOf(listener);
+    if (index !== -1) this.listeners.splice(index, 1);
+  }
+
+  // --- Feeding input (gamepad, touch) ---
+
+  /**
+   * A button went down (keys and mouse buttons arrive here automatically)
+   * @param {string} code - Binding code, e.g. 'Pad0'
+   * @param {Event} event - Original event, if any
+   */
+  press(code, event = null) {
+    if (!code) return;
+    if (this._capture) {
+      const callback = this._capture;
+      this._capture = null;
+      event?.preventDefault?.();
+      callback(code === 'Escape' ? null : code);
+      return;
+    }
+    if (this.held.has(code)) return;
+
+    let action = this.getAction(code);
+    const tag = event?.target?.tagName;
+    if (action && this.options.ignoreTextFields && (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT')) {
+      action = null;
+    }
+    this._hold(code, action, event);
+  }
+
+  /**
+   * Press an action directly, without a binding (on-screen buttons)
+   * @param {string} action - Action name
+   * @param {string} source - Who is pressing (each source holds the action separately)
+   */
+  pressAction(action, source = 'direct') {
+    if (!this.actions[action]) {
+      console.warn(`[InputMap] Unknown action "${action}"`);
+      return;
+    }
+    const code = `${source}:${action}`;
+    if (!this.held.has(code)) this._hold(code, action, null);
+  }
+
+  /**
+   * Release an action pressed with pressAction()
+   * @param {string} action - Action name
+   * @param {string} source - Same source as the press
+   */
+  releaseAction(action, source = 'direct') {
+    this.release(`${source}:${action}`);
+  }
+
+  /**
+   * A button came up
+   * @param {string} code - Binding code
+   * @param {Event} event - Original event, if any
+   */
+  release(code, event = null) {
+    if (!this.held.has(code)) return;
+    const action = this.held.get(code);
+    this.held.delete(code);
+    if (!action) return;
+
+    const count = (this.pressCount.get(action) || 0) - 1;
+    this.pressCount.set(action, Math.max(0, count));
+    if (count <= 0) this._emit(action, false, event);
+  }
+
+  /**
+   * Set an analog axis (null stops driving it, so getAxis returns its fallback again)
+   * @param {string} axis - Axis name
+   * @param {number|null} value - Axis value
+   */
+  setAxis(axis, value) {
+    if (value === null || value === undefined) this.axes.delete(axis);
+    else this.axes.set(axis, value);
+  }
+
+  /**
+   * Turn the camera (added up until SphereControls consumes it)
+   * @param {number} yaw - Radians, positive turns left
+   * @param {number} pitch - Radians, positive looks up
+   */
+  addLook(yaw, pitch) {
+    this.look.yaw += yaw;
+    this.look.pitch += pitch;
+  }
+
+  /**
+   * Turn gameplay actions on or off (ui actions keep working). Turning off
+   * releases everything that's held, so nothing stays stuck down.
+   * @param {boolean} enabled - New state
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.releaseAll(action => !this.actions[action]?.ui);
+  }
+
+  /**
+   * Release held actions (window blur, menus, stuck keys)
+   * @param {Function} filter - Optional (action) => boolean, only matching actions are released
+   */
+  releaseAll(filter = null) {
+    for (const [code, action] of [...this.held]) {
+      if (action && filter && !filter(action)) continue;
+      this.release(code, null);
+    }
+  }
+
+  // --- Bindings ---
+
+  /**
+   * Bindings of an action
+   * @param {string} action - Action name
+   * @returns {Array<string|null>} Codes per slot (null = empty)
+   */
+  getBindings(action) {
+    return [...(this.bindings[action] || [])];
+  }
+
+  /**
+   * Action a code is bound to
+   * @param {string} code - KeyboardEvent.code or 'MouseN'
+   * @returns {string|null} Action name
+   */
+  getAction(code) {
+    return this.codeToAction.get(code) || null;
+  }
+
+  /**
+   * Readable bindings of an action, e.g. 'W / Up arrow'
+   * @param {string} action - Action name
+   * @returns {string} Binding names joined with ' / '
+   */
+  describe(action) {
+    const codes = this.getBindings(action).filter(Boolean);
+    return codes.length ? codes.map(describeBinding).join(' / ') : 'unbound';
+  }
+
+  /**
+   * Bind a code to an action slot. A code already used by another action is a
+   * conflict: nothing changes unless swap is set, which gives the other action
+   * this slot's old code instead.
+   * @param {string} action - Action name
+   * @param {string} code - KeyboardEvent.code or 'MouseN'
+   * @param {number} slot - Binding slot (0 = primary)
+   * @param {Object} options - { swap: boolean, save: boolean }
+   * @returns {Object} { ok, conflict } - conflict is the action that owns the code
+   */
+  rebind(action, code, slot = 0, { swap = false, save = true } = {}) {
+    if (!this.actions[action]) {
+      console.warn(`[InputMap] Unknown action "${action}"`);
+      return { ok: false, conflict: null };
+    }
+    if (typeof code !== 'string' || !code) return { ok: false, conflict: null };
+    slot = Math.min(Math.max(Math.floor(slot), 0), BINDING_SLOTS - 1);
+
+    const codes = this.bindings[action];
+    const owner = this.getAction(code);
+    if (owner && owner !== action) {
+      if (!swap) return { ok: false, conflict: owner };
+      const ownerCodes = this.bindings[owner];
+      ownerCodes[ownerCodes.indexOf(code)] = codes[slot] || null;
+      console.log(`[InputMap] ${owner} takes ${describeBinding(codes[slot])} in exchange`);
+    }
+
+    // Moving a code between this action's own slots leaves the old slot empty
+    const current = codes.indexOf(code);
+    if (current !== -1) codes[current] = null;
+    codes[slot] = code;
+
+    this._rebuildLookup();
+    if (save) this.save();
+    console.log(`[InputMap] ${action} -> ${this.describe(action)}`);
+    return { ok: true, conflict: owner && owner !== action ? owner : null };
+  }
+
+  /**
+   * Remove a binding from an action
+   * @param {string} action - Action name
+   * @param {number} slot - Binding slot
+   */
+  clearBinding(action, slot = 0) {
+    if (!this.bindings[action]) return;
+    this.bindings[action][slot] = null;
+    this._rebuildLookup();
+    this.save();
+  }
+
+  /**
+   * Go back to the default bindings
+   * @param {Object} options - { save: boolean }
+   */
+  resetBindings({ save = true } = {}) {
+    for (const [action, def] of Object.entries(this.actions)) {
+      this.bindings[action] = this._toSlots(def.bindings);
+    }
+    this._rebuildLookup();
+    if (save) this.save();
+  }
+
+  /**
+   * Codes bound to more than one action (only possible in hand-edited bindings -
+   * rebind() and load() never create them)
+   * @returns {Array<Object>} [{ code, actions }]
+   */
+  findConflicts() {
+    const owners = new Map();
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      for (const code of codes) {
+        if (code) owners.set(code, [...(owners.get(code) || []), action]);
+      }
+    }
+    return [...owners].filter(([, actions]) => actions.length > 1).map(([code, actions]) => ({ code, actions }));
+  }
+
+  /**
+   * Wait for the next key or mouse button instead of triggering actions (rebinding UI).
+   * Escape cancels.
+   * @param {Function} callback - (code) => void, code is null when cancelled
+   * @returns {Function} Call to stop waiting
+   */
+  captureNext(callback) {
+    this._capture = callback;
+    this.releaseAll();
+    return () => {
+      if (this._capture === callback) this._capture = null;
+    };
+  }
+
+  // --- Persistence ---
+
+  /**
+   * Save the bindings to localStorage
+   * @returns {boolean} True if saved
+   */
+  save() {
+    if (!this.options.storageKey) return false;
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify({ version: 1, bindings: this.bindings }));
+      return true;
+    } catch (error) {
+      console.warn('[InputMap] Could not save bindings:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Load saved bindings over the current ones. Unknown actions and codes that would
+   * conflict (first action in menu order keeps them) are dropped.
+   * @returns {boolean} True if saved bindings were found
+   */
+  load() {
+    if (!this.options.storageKey) return false;
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.options.storageKey) || 'null');
+    } catch (error) {
+      console.warn('[InputMap] Could not read saved bindings:', error.message);
+      return false;
+    }
+    if (!saved?.bindings) return false;
+
+    const taken = new Set();
+    for (const action of Object.keys(this.actions)) {
+      let codes = saved.bindings[action];
+      if (!Array.isArray(codes)) continue; // Action added since the bindings were saved
+      // Slots added since the bindings were saved (e.g. controller) keep their defaults
+      codes = [...codes, ...this._toSlots(this.actions[action].bindings).slice(codes.length)];
+      this.bindings[action] = this._toSlots(codes.map(code => {
+        if (typeof code !== 'string' || !code) return null;
+        if (taken.has(code)) {
+          console.warn(`[InputMap] Dropped saved binding ${code} for ${action} - already used`);
+          return null;
+        }
+        taken.add(code);
+        return code;
+      }));
+    }
+    // Defaults of actions that weren't saved may collide with saved codes
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      if (Array.isArray(saved.bindings[action])) continue;
+      this.bindings[action] = codes.map(code => (code && taken.has(code) ? null : code));
+    }
+
+    this._rebuildLookup();
+    console.log('[InputMap] Loaded saved bindings');
+    return true;
+  }
+
+  /**
+   * Stop listening to input
+   */
+  dispose() {
+    if (this._ownsSource) this.source.dispose();
+    this.listeners.length = 0;
+    this.actionListeners = {};
+  }
+
+  // --- Internals ---
+
+  /**
+   * Pad or trim a list of codes to BINDING_SLOTS entries
+   * @private
+   */
+  _toSlots(codes = []) {
+    return Array.from({ length: BINDING_SLOTS }, (_, i) => codes[i] || null);
+  }
+
+  /**
+   * Rebuild code -> action after the bindings change
+   * @private
+   */
+  _rebuildLookup() {
+    this.codeToAction.clear();
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      for (const code of codes) {
+        if (code && !this.codeToAction.has(code)) this.codeToAction.set(code, action);
+      }
+    }
+  }
+
+  /**
+   * Start holding an action for a code (ignored while disabled, except ui actions)
+   * @private
+   */
+  _hold(code, action, event) {
+    if (action && !this.enabled && !this.actions[action].ui) action = null;
+    // Remember which action this press started, so its release matches even after a rebind
+    this.held.set(code, action);
+    if (!action) return;
+
+    const count = this.pressCount.get(action) || 0;
+    this.pressCount.set(action, count + 1);
+    if (count === 0) this._emit(action, true, event);
+  }
+
+  /**
+   * Notify listeners about an action
+   * @private
+   */
+  _emit(action, pressed, event) {
+    for (const callback of [...(this.actionListeners[action] || [])]) {
+      callback(pressed, event);
+    }
+    for (const listener of [...this.listeners]) {
+      listener(action, pressed, event);
+    }
+  }
+}
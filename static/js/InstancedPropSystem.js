@@ -0,0 +1,452 @@
+import * as THREE from 'three';
+import LowPolyGenerator from './low_poly_generator.js';
+import { mergeGeometries } from './utils/BufferGeometryUtils.js';
+
+/**
+ * Prop types that can be instanced.
+ * - variants:  how many distinct prototypes to generate (instances pick one)
+ * - create:    builds a regular LowPolyGenerator model from placement params
+ * - key:       params that need their own prototype set (others are handled by scaling)
+ * - scale:     per-instance scale relative to the prototype's params
+ */
+const PROP_TYPES = {
+  pineTree: {
+    variants: 4,
+    roughness: 0.8,
+    castShadow: true,
+    create: p => LowPolyGenerator.createPineTree(p.height ?? 15, p.levels ?? 4, p.trunkRatio ?? 0.7),
+    key: p => `${p.levels ?? 4}:${(p.trunkRatio ?? 0.7).toFixed(2)}`,
+    scale: (p, proto) => (p.height ?? 15) / (proto.height ?? 15)
+  },
+  rock: {
+    variants: 6,
+    roughness: 0.75,
+    castShadow: false,
+    create: p => LowPolyGenerator.createRock(p.size ?? 1),
+    key: () => 'default',
+    scale: (p, proto) => (p.size ?? 1) / (proto.size ?? 1)
+  },
+  grass: {
+    variants: 4,
+    roughness: 0.8,
+    castShadow: false,
+    create: p => LowPolyGenerator.createGrass(p.size ?? 1),
+    key: () => 'default',
+    scale: (p, proto) => (p.size ?? 1) / (proto.size ?? 1)
+  }
+};
+
+/**
+ * Batches identical low-poly props (pine trees, rocks, grass) into InstancedMesh draw calls.
+ *
+ * Each placed prop is an empty proxy Group carrying the usual name/userData, so it can go
+ * through placeOnSphere and the collidables list exactly like a regular mesh. The proxy's
+ * transform is copied into its instance slot with syncInstance().
+ *
+ * Only meshes are merged into the batches. Pine trees have no glow to carry over: their
+ * per-tree PointLights were already disabled in createPineTree for performance.
+ */
+export default class InstancedPropSystem {
+  /**
+   * Create a new instanced prop system
+   * @param {THREE.Scene} scene - The scene
+   * @param {Object} options - Configuration options
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.options = Object.assign({
+      initialCapacity: 32,   // Instances per batch before it grows
+      colorVariation: 0.08,  // +/- per-instance tint
+      random: Math.random,   // Seeded generator for variant choice and tint
+      variants: {}           // Override variant counts per type, e.g. { rock: 8 }
+    }, options);
+
+    this.random = this.options.random;
+    this.prototypeSets = new Map(); // "type:key" -> { params, batches: [] }
+    this.materials = new Map();     // type -> shared material
+    this.instances = new Map();     // proxy -> { batch, slot }
+    this.foliageTints = {};         // type -> { color, amount } (seasons), applied to new batches too
+
+    // Scratch objects
+    this._color = new THREE.Color();
+    this._matrix = new THREE.Matrix4();
+  }
+
+  /**
+   * Check whether a prop type can be instanced
+   * @param {string} type - Prop type
+   * @returns {boolean} True if supported
+   */
+  static supports(type) {
+    return type in PROP_TYPES;
+  }
+
+  /**
+   * Create a regular (non-instanced) model for a prop type
+   * @param {string} type - 'pineTree' | 'rock' | 'grass'
+   * @param {Object} params - Placement params (height/levels/trunkRatio or size)
+   * @returns {THREE.Object3D} The model
+   */
+  static createModel(type, params = {}) {
+    return PROP_TYPES[type].create(params);
+  }
+
+  /**
+   * Create an instanced prop. The returned proxy should be placed with placeOnSphere
+   * (or positioned manually and passed to syncInstance).
+   * @param {string} type - 'pineTree' | 'rock' | 'grass'
+   * @param {Object} params - Placement params (height/levels/trunkRatio or size)
+   * @returns {THREE.Group} Proxy object for the instance
+   */
+  createInstance(type, params = {}) {
+    const def = PROP_TYPES[type];
+    if (!def) throw new Error(`InstancedPropSystem: unknown prop type "${type}"`);
+
+    const set = this._getPrototypeSet(type, params);
+    const batch = set.batches[Math.floor(this.random() * set.batches.length)];
+    const scale = def.scale(params, set.params);
+
+    // Proxy carries the same name/userData the regular model would have
+    const proxy = new THREE.Group();
+    proxy.name = batch.name;
+    proxy.userData = {
+      ...batch.userData,
+      isInstanced: true,
+      instanceType: type,
+      boundingRadius: batch.boundingRadius * scale
+    };
+    if (proxy.userData.height !== undefined) proxy.userData.height *= scale;
+
+    proxy.scale.setScalar(scale);
+    if (type === 'rock') {
+      // Slightly flatten rocks like createRock does
+      proxy.scale.y *= 0.85 + this.random() * 0.15;
+    }
+
+    const slot = this._allocateSlot(batch, proxy);
+    this.instances.set(proxy, { batch, slot });
+
+    // Per-instance tint (vertex colors keep the part colors, this shifts the whole prop)
+    const v = this.options.colorVariation;
+    const shade = (this.random() - 0.5) * 2 * v;
+    this._color.setRGB(1 + shade, 1 + shade, 1 + shade * 0.5);
+    batch.mesh.setColorAt(slot, this._color);
+    batch.mesh.instanceColor.needsUpdate = true;
+
+    return proxy;
+  }
+
+  /**
+   * Copy a proxy's current transform into its instance slot
+   * @param {THREE.Object3D} proxy - Proxy returned by createInstance
+   * @returns {boolean} Whether the proxy belongs to this system
+   */
+  syncInstance(proxy) {
+    const record = this.instances.get(proxy);
+    if (!record) return false;
+
+    proxy.updateMatrixWorld(true);
+    record.batch.mesh.setMatrixAt(record.slot, proxy.matrixWorld);
+    record.batch.mesh.instanceMatrix.needsUpdate = true;
+    record.batch.mesh.boundingSphere = null; // Recomputed lazily for frustum culling
+    return true;
+  }
+
+  /**
+   * Create a regular mesh showing one instance (for exports). It shares the batch's
+   * geometry and material; the per-instance tint is kept in userData.instanceColor.
+   * @param {THREE.Object3D} proxy - Proxy returned by createInstance
+   * @returns {THREE.Mesh|null} Mesh in world space, or null if the proxy isn't ours
+   */
+  createStaticMesh(proxy) {
+    const record = this.instances.get(proxy);
+    if (!record) return null;
+
+    const { batch, slot } = record;
+    const mesh = new THREE.Mesh(batch.mesh.geometry, batch.mesh.material);
+    mesh.name = proxy.name;
+    batch.mesh.getMatrixAt(slot, this._matrix);
+    this._matrix.premultiply(batch.mesh.matrixWorld);
+    this._matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+    if (batch.mesh.instanceColor) {
+      batch.mesh.getColorAt(slot, this._color);
+      mesh.userData.instanceColor = this._color.toArray();
+    }
+    return mesh;
+  }
+
+  /**
+   * Re-sync every instance (e.g. after moving many proxies)
+   */
+  syncAll() {
+    for (const proxy of this.instances.keys()) {
+      this.syncInstance(proxy);
+    }
+  }
+
+  /**
+   * Remove an instance and its proxy
+   * @param {THREE.Object3D} proxy - Proxy returned by createInstance
+   * @returns {boolean} Whether the proxy was removed
+   */
+  removeInstance(proxy) {
+    const record = this.instances.get(proxy);
+    if (!record) return false;
+
+    const { batch, slot } = record;
+    const mesh = batch.mesh;
+    const last = mesh.count - 1;
+
+    // Move the last instance into the freed slot to keep the range packed
+    if (slot !== last) {
+      const moved = batch.proxies[last];
+      mesh.getMatrixAt(last, this._matrix);
+      mesh.setMatrixAt(slot, this._matrix);
+      mesh.getColorAt(last, this._color);
+      mesh.setColorAt(slot, this._color);
+      batch.proxies[slot] = moved;
+      this.instances.get(moved).slot = slot;
+    }
+
+    batch.proxies.pop();
+    mesh.count = last;
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+    mesh.boundingSphere = null;
+
+    this.instances.delete(proxy);
+    if (proxy.parent) proxy.parent.remove(proxy);
+    return true;
+  }
+
+  /**
+   * Find the proxy behind a raycast hit on one of the instanced meshes
+   * @param {THREE.InstancedMesh} mesh - Hit object
+   * @param {number} instanceId - Hit instance index
+   * @returns {THREE.Object3D|null} The proxy, if any
+   */
+  getProxy(mesh, instanceId) {
+    const batch = mesh?.userData?.instancedBatch;
+    return batch ? batch.proxies[instanceId] || null : null;
+  }
+
+  /**
+   * Draw call / instance counts
+   * @returns {Object} Stats per type and totals
+   */
+  getStats() {
+    const stats = { drawCalls: 0, instances: this.instances.size, types: {} };
+    for (const [id, set] of this.prototypeSets) {
+      const type = id.split(':')[0];
+      const entry = stats.types[type] || (stats.types[type] = { drawCalls: 0, instances: 0 });
+      for (const batch of set.batches) {
+        entry.drawCalls++;
+        entry.instances += batch.mesh.count;
+        stats.drawCalls++;
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Remove all instanced meshes and free their GPU resources
+   */
+  dispose() {
+    for (const set of this.prototypeSets.values()) {
+      for (const batch of set.batches) {
+        this.scene.remove(batch.mesh);
+        batch.mesh.geometry.dispose();
+        batch.mesh.dispose?.();
+        for (const proxy of batch.proxies) {
+          if (proxy.parent) proxy.parent.remove(proxy);
+        }
+      }
+    }
+    for (const material of this.materials.values()) material.dispose();
+    this.prototypeSets.clear();
+    this.materials.clear();
+    this.instances.clear();
+  }
+
+  // --- Internals ---
+
+  /**
+   * Get (or build) the prototype variants for a type/param combination.
+   * Prototypes are generated at the first requested size so the clay deformation
+   * looks the same as a regular model of that size; other sizes are scaled.
+   * @private
+   */
+  _getPrototypeSet(type, params) {
+    const def = PROP_TYPES[type];
+    const id = `${type}:${def.key(params)}`;
+    let set = this.prototypeSets.get(id);
+    if (set) return set;
+
+    set = { params: { ...params }, batches: [] };
+    const variantCount = this.options.variants[type] ?? def.variants;
+    for (let i = 0; i < variantCount; i++) {
+      set.batches.push(this._createBatch(type, def.create(params)));
+    }
+    this.prototypeSets.set(id, set);
+    console.log(`[InstancedProps] Built ${variantCount} ${type} prototypes (${id})`);
+    return set;
+  }
+
+  /**
+   * Flatten a model into one vertex-colored geometry and wrap it in an InstancedMesh
+   * @private
+   */
+  _createBatch(type, model) {
+    // Bake child transforms relative to the model root (root transform comes from the proxy)
+    model.position.set(0, 0, 0);
+    model.quaternion.identity();
+    model.scale.set(1, 1, 1);
+    model.updateMatrixWorld(true);
+
+    const geometries = [];
+    const colors = [];
+    const foliageRanges = []; // [start, count] vertex ranges that seasons recolor
+    let vertexOffset = 0;
+    model.traverse(child => {
+      if (!child.isMesh) return;
+      const geometry = child.geometry.clone();
+      geometry.computeVertexNormals();
+      geometry.applyMatrix4(child.matrixWorld);
+      // Merged geometry is non-indexed, so count the expanded vertices
+      const vertexCount = geometry.index ? geometry.index.count : geometry.getAttribute('position').count;
+      if (child.userData.isFoliage) foliageRanges.push([vertexOffset, vertexCount]);
+      vertexOffset += vertexCount;
+      geometries.push(geometry);
+      colors.push(child.material?.color ? child.material.color.clone() : new THREE.Color(1, 1, 1));
+      child.geometry.dispose();
+      child.material?.dispose?.();
+    });
+
+    const geometry = mergeGeometries(geometries, colors);
+    geometries.forEach(g => g.dispose());
+
+    const capacity = this.options.initialCapacity;
+    const mesh = new THREE.InstancedMesh(geometry, this._getMaterial(type), capacity);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3).fill(1), 3);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.count = 0;
+    mesh.castShadow = PROP_TYPES[type].castShadow;
+    mesh.receiveShadow = true;
+    mesh.name = `Instanced_${type}`;
+
+    const batch = {
+      type,
+      mesh,
+      capacity,
+      proxies: [],
+      name: model.name,
+      userData: { ...model.userData },
+      boundingRadius: geometry.boundingSphere.radius,
+      foliageRanges,
+      baseColors: foliageRanges.length ? geometry.getAttribute('color').array.slice() : null
+    };
+    mesh.userData.instancedBatch = batch;
+
+    const tint = this.foliageTints[type];
+    if (tint) this._tintBatch(batch, tint.color, tint.amount);
+
+    this.scene.add(mesh);
+    return batch;
+  }
+
+  /**
+   * Blend the foliage of every instance of a type toward a color (seasons)
+   * @param {string} type - Prop type, e.g. 'pineTree'
+   * @param {THREE.Color} color - Target foliage color
+   * @param {number} amount - 0 = original colors, 1 = fully the target color
+   * @returns {number} Batches recolored
+   */
+  setFoliageTint(type, color, amount) {
+    this.foliageTints[type] = { color: color.clone(), amount };
+    let recolored = 0;
+    for (const set of this.prototypeSets.values()) {
+      for (const batch of set.batches) {
+        if (batch.type !== type || !batch.baseColors) continue;
+        this._tintBatch(batch, color, amount);
+        recolored++;
+      }
+    }
+    return recolored;
+  }
+
+  /**
+   * Rewrite a batch's foliage vertex colors from its untinted copy
+   * @private
+   */
+  _tintBatch(batch, color, amount) {
+    if (!batch.baseColors) return;
+    const attribute = batch.mesh.geometry.getAttribute('color');
+    const colors = attribute.array;
+    const base = batch.baseColors;
+    for (const [start, count] of batch.foliageRanges) {
+      for (let i = start * 3, end = (start + count) * 3; i < end; i += 3) {
+        colors[i] = base[i] + (color.r - base[i]) * amount;
+        colors[i + 1] = base[i + 1] + (color.g - base[i + 1]) * amount;
+        colors[i + 2] = base[i + 2] + (color.b - base[i + 2]) * amount;
+      }
+    }
+    attribute.needsUpdate = true;
+  }
+
+  /**
+   * Shared vertex-colored material per prop type
+   * @private
+   */
+  _getMaterial(type) {
+    let material = this.materials.get(type);
+    if (!material) {
+      material = new THREE.MeshStandardMaterial({
+        color: 0xffffff,
+        vertexColors: true,
+        roughness: PROP_TYPES[type].roughness,
+        metalness: 0.0
+      });
+      this.materials.set(type, material);
+    }
+    return material;
+  }
+
+  /**
+   * Reserve the next slot in a batch, growing its buffers when full
+   * @private
+   */
+  _allocateSlot(batch, proxy) {
+    if (batch.mesh.count >= batch.capacity) {
+      this._growBatch(batch, batch.capacity * 2);
+    }
+    const slot = batch.mesh.count;
+    batch.mesh.count++;
+    batch.proxies[slot] = proxy;
+    return slot;
+  }
+
+  /**
+   * Replace a batch's InstancedMesh with a larger one, keeping existing instances
+   * @private
+   */
+  _growBatch(batch, capacity) {
+    const old = batch.mesh;
+    const mesh = new THREE.InstancedMesh(old.geometry, old.material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3).fill(1), 3);
+    mesh.instanceColor.array.set(old.instanceColor.array);
+    mesh.count = old.count;
+    mesh.castShadow = old.castShadow;
+    mesh.receiveShadow = old.receiveShadow;
+    mesh.name = old.name;
+    mesh.userData.instancedBatch = batch;
+
+    this.scene.remove(old);
+    old.dispose?.();
+    this.scene.add(mesh);
+
+    batch.mesh = mesh;
+    batch.capacity = capacity;
+  }
+}
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+/**
+ * Launch pads - glowing rings on a body's surface. Standing on one flings the
+ * player toward another gravity body (planet <-> moon) via SphereControls.launch().
+ */
+export default class LaunchPadSystem {
+  /**
+   * Create the launch pad system
+   * @param {THREE.Scene} scene - The scene
+   * @param {Object} options - Configuration options
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.options = Object.assign({
+      padRadius: 7,             // World units
+      triggerRadius: 6,         // How close to the pad center the player must stand
+      launchSpeed: 320,
+      cooldown: 2.0,            // Seconds before any pad fires again
+      color: 0x66ccff
+    }, options);
+
+    this.pads = [];
+    this.cooldown = 0;
+    this.time = 0;
+    this._worldPosition = new THREE.Vector3();
+
+    this.baseMaterial = new THREE.MeshStandardMaterial({ color: 0x6b6f78, roughness: 0.8, flatShading: true });
+    this.ringMaterial = new THREE.MeshStandardMaterial({
+      color: this.options.color,
+      emissive: this.options.color,
+      emissiveIntensity: 1.2
+    });
+  }
+
+  /**
+   * Put a pad on a body's surface
+   * @param {Object} body - Gravity body the pad stands on
+   * @param {THREE.Vector3} direction - Direction from the body's center
+   * @param {Object} target - Gravity body the pad launches to
+   * @returns {Object} Pad { mesh, ring, body, target, direction }
+   */
+  addPad(body, direction, target) {
+    const dir = direction.clone().normalize();
+    const r = this.options.padRadius;
+
+    const mesh = new THREE.Group();
+    mesh.name = `LaunchPad_${body.name}_to_${target.name}`;
+
+    const base = new THREE.Mesh(new THREE.CylinderGeometry(r, r * 1.15, 2.4, 12), this.baseMaterial);
+    base.position.y = -0.6; // Sunk into slopes
+    base.receiveShadow = true;
+    mesh.add(base);
+
+    const ring = new THREE.Mesh(new THREE.TorusGeometry(r * 0.7, 0.45, 6, 24), this.ringMaterial);
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.7;
+    mesh.add(ring);
+
+    // Sit on the terrain, upright, moving with the body if it has an object
+    mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
+    mesh.position.copy(dir).multiplyScalar(body.radius + body.getTerrainHeight(dir));
+    if (body.object) {
+      body.object.add(mesh);
+    } else {
+      mesh.position.add(body.center);
+      this.scene.add(mesh);
+    }
+
+    const pad = { mesh, ring, body, target, direction: dir };
+    this.pads.push(pad);
+    console.log(`[LaunchPadSystem] Pad on ${body.name} -> ${target.name}`);
+    return pad;
+  }
+
+  /**
+   * Animate the pads and launch a player standing on one
+   * @param {number} delta - Time since last frame in seconds
+   * @param {SphereControls} controls - Player controls
+   * @returns {Object|null} Pad that fired this frame
+   */
+  update(delta, controls) {
+    this.time += delta;
+    this.ringMaterial.emissiveIntensity = this.cooldown > 0 ? 0.3 : 0.8 + Math.sin(this.time * 4) * 0.4;
+    for (const pad of this.pads) pad.ring.rotation.z += delta * 1.5;
+
+    if (this.cooldown > 0) {
+      this.cooldown -= delta;
+      return null;
+    }
+    if (!controls?.onGround) return null;
+
+    const body = controls.getBody();
+    const position = controls.getObject().position;
+    for (const pad of this.pads) {
+      if (pad.body !== body) continue;
+      pad.mesh.getWorldPosition(this._worldPosition);
+      if (position.distanceTo(this._worldPosition) > this.options.triggerRadius) continue;
+
+      controls.launch(pad.target, this.options.launchSpeed);
+      this.cooldown = this.options.cooldown;
+      return pad;
+    }
+    return null;
+  }
+}
@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { mergeVertices } from './utils/BufferGeometryUtils.js';
+import { mergeGeometries } from './utils/BufferGeometryUtils.js';
 
 export default class LowPolyCabin {
   // tiny random offsets for that hand‑built feel
@@ -17,71 +17,139 @@ export default class LowPolyCabin {
   }
 
   /**
+   * Build an enterable cabin: hollow stone walls with a door opening, a wooden
+   * floor, a roof you can see from inside and a lantern lighting the room.
+   * Sizes default to a room the 12-unit tall player fits in.
+   *
+   * userData.colliders lists the wall, floor and step boxes (local space, see
+   * utils/boxColliders.js) so placeOnSphere can register them as collidables.
+   *
    * @param {object} opts
    * @param {number} opts.width – cabin footprint in X
    * @param {number} opts.depth – cabin footprint in Z
    * @param {number} opts.wallHeight – wall height in Y
    * @param {number} opts.roofHeight – height of roof peak above walls
+   * @param {number} opts.wallThickness – wall thickness
+   * @param {number} opts.doorWidth – door opening width (front wall, -Z side)
+   * @param {number} opts.doorHeight – door opening height
+   * @param {number} opts.floorHeight – floor top above the cabin origin
+   * @param {number} opts.foundationDepth – how far walls and floor reach below the origin (hides slopes)
+   * @param {boolean} opts.interiorLight – add a lantern point light inside
    * @param {THREE.Color} opts.stoneColor
    * @param {THREE.Color} opts.woodColor
    * @param {THREE.Color} opts.roofColor
    */
   static createCabin({
-    width = 10,
-    depth = 8,
-    wallHeight = 6,
-    roofHeight = 3,
+    width = 36,
+    depth = 28,
+    wallHeight = 18,
+    roofHeight = 10,
+    wallThickness = 1.5,
+    doorWidth = 8,
+    doorHeight = 15,
+    floorHeight = 1,
+    foundationDepth = 3,
+    interiorLight = true,
     stoneColor = null,
     woodColor = null,
     roofColor = null,
   } = {}) {
     const cabin = new THREE.Group();
+    const hw = width / 2,
+      hd = depth / 2,
+      t = wallThickness;
+    // Keep the door inside the front wall
+    doorWidth = Math.min(doorWidth, width - 4 * t);
+    doorHeight = Math.min(doorHeight, wallHeight - 1);
+
+    // Collision boxes in local space (center + size)
+    const colliders = [];
+    const addCollider = (name, center, size, walkable = false) => {
+      colliders.push({ name, center, size, walkable });
+    };
 
     // ─── Stone Walls ─────────────────────────────────────
     const stoneMat = new THREE.MeshStandardMaterial({
       color: stoneColor || new THREE.Color(0.5, 0.5, 0.52),
       flatShading: true,
     });
-    const blockSize = 1;
-    const cols = Math.floor(width / blockSize);
-    const rows = Math.floor(depth / blockSize);
+    const wallBottom = -foundationDepth;
+    const wallMid = (wallHeight + wallBottom) / 2;
+    const wallSize = wallHeight - wallBottom;
+    const walls = [
+      // name, center, size
+      ['backWall', [0, wallMid, hd - t / 2], [width, wallSize, t]],
+      ['leftWall', [-hw + t / 2, wallMid, 0], [t, wallSize, depth - 2 * t]],
+      ['rightWall', [hw - t / 2, wallMid, 0], [t, wallSize, depth - 2 * t]],
+      ['frontLeftWall', [-(hw + doorWidth / 2) / 2, wallMid, -hd + t / 2], [hw - doorWidth / 2, wallSize, t]],
+      ['frontRightWall', [(hw + doorWidth / 2) / 2, wallMid, -hd + t / 2], [hw - doorWidth / 2, wallSize, t]],
+      ['lintel', [0, (doorHeight + wallHeight) / 2, -hd + t / 2], [doorWidth, wallHeight - doorHeight, t]],
+    ];
 
-    for (let i = 0; i < cols; i++) {
-      for (let j = 0; j < rows; j++) {
-        const geo = new THREE.BoxGeometry(blockSize, wallHeight, blockSize);
-        this._jitter(geo, 0.02);
-        mergeVertices(geo, 0.01);
-        const block = new THREE.Mesh(geo, stoneMat);
-        block.position.set(
-          -width / 2 + blockSize / 2 + i * blockSize,
-          wallHeight / 2,
-          -depth / 2 + blockSize / 2 + j * blockSize
+    // Full-height stone columns along each wall, merged into one mesh
+    const blockSize = 2;
+    const blocks = [];
+    walls.forEach(([name, center, size]) => {
+      const alongX = size[0] >= size[2];
+      const length = alongX ? size[0] : size[2];
+      const count = Math.max(1, Math.round(length / blockSize));
+      const step = length / count;
+      for (let i = 0; i < count; i++) {
+        const offset = -length / 2 + step / 2 + i * step;
+        const geo = new THREE.BoxGeometry(alongX ? step : size[0], size[1], alongX ? size[2] : step);
+        geo.translate(
+          center[0] + (alongX ? offset : 0),
+          center[1],
+          center[2] + (alongX ? 0 : offset)
         );
-        cabin.add(block);
+        this._jitter(geo, 0.04);
+        blocks.push(geo);
       }
-    }
+      addCollider(name, center, size);
+    });
+    const wallMesh = new THREE.Mesh(mergeGeometries(blocks), stoneMat);
+    wallMesh.name = 'CabinWalls';
+    cabin.add(wallMesh);
+
+    // ─── Floor ────────────────────────────────────────────
+    const woodMat = new THREE.MeshStandardMaterial({
+      color: woodColor || new THREE.Color(0.4, 0.2, 0.1),
+      flatShading: true,
+    });
+    const floorSize = [width - 0.2, floorHeight + foundationDepth, depth - 0.2];
+    const floorCenter = [0, (floorHeight - foundationDepth) / 2, 0];
+    const floorGeo = new THREE.BoxGeometry(...floorSize);
+    this._jitter(floorGeo, 0.02);
+    const floor = new THREE.Mesh(floorGeo, woodMat);
+    floor.position.fromArray(floorCenter);
+    floor.name = 'CabinFloor';
+    floor.receiveShadow = true;
+    cabin.add(floor);
+    addCollider('floor', floorCenter, floorSize, true);
 
     // ─── Roof (triangular prism) ─────────────────────────
     const roofMat = new THREE.MeshStandardMaterial({
       color: roofColor || new THREE.Color(0.2, 0.3, 0.45),
       flatShading: true,
+      side: THREE.DoubleSide, // Seen from inside too
     });
     const roofGeo = new THREE.BufferGeometry();
-    const hw = width / 2,
-      hh = wallHeight / 2,
-      hd = depth / 2;
+    const overhang = t;
+    const rw = hw + overhang,
+      rd = hd + overhang,
+      rh = wallHeight;
     roofGeo.setAttribute(
       'position',
       new THREE.BufferAttribute(
         new Float32Array([
           // front edge
-          -hw, hh, -hd,
-          hw, hh, -hd,
-          0, hh + roofHeight, -hd,
+          -rw, rh, -rd,
+          rw, rh, -rd,
+          0, rh + roofHeight, -rd,
           // back edge
-          hw, hh, hd,
-          -hw, hh, hd,
-          0, hh + roofHeight, hd,
+          rw, rh, rd,
+          -rw, rh, rd,
+          0, rh + roofHeight, rd,
         ]),
         3
       )
@@ -94,12 +162,12 @@ export default class LowPolyCabin {
       1, 3, 2,
       3, 5, 2, // right end
       0, 4, 1,
-      1, 4, 3, // bottom fill
+      1, 4, 3, // bottom fill (ceiling)
     ]);
     roofGeo.computeVertexNormals();
     this._jitter(roofGeo, 0.03);
-    mergeVertices(roofGeo, 0.01);
     const roof = new THREE.Mesh(roofGeo, roofMat);
+    roof.name = 'CabinRoof';
     cabin.add(roof);
 
     // ─── Chimney ──────────────────────────────────────────
@@ -107,44 +175,57 @@ export default class LowPolyCabin {
       color: stoneColor || new THREE.Color(0.45, 0.45, 0.48),
       flatShading: true,
     });
-    const chimneyGeo = new THREE.BoxGeometry(1.2, roofHeight * 0.6, 1.2);
+    const chimneyGeo = new THREE.BoxGeometry(2.4, roofHeight * 0.9, 2.4);
     this._jitter(chimneyGeo, 0.02);
-    mergeVertices(chimneyGeo, 0.01);
     const chimney = new THREE.Mesh(chimneyGeo, chimneyMat);
-    chimney.position.set(width / 4, wallHeight + (roofHeight * 0.6) / 2, depth / 4);
+    chimney.position.set(width / 4, wallHeight + (roofHeight * 0.9) / 2, depth / 4);
     cabin.add(chimney);
 
-    // ─── Door ──────────────────────────────────────────────
-    const woodMat = new THREE.MeshStandardMaterial({
-      color: woodColor || new THREE.Color(0.4, 0.2, 0.1),
-      flatShading: true,
-    });
-    const doorGeo = new THREE.BoxGeometry(1.2, 2.8, 0.2);
+    // ─── Door (swung open against the inside of the front wall) ───
+    const doorThickness = 0.4;
+    const doorGeo = new THREE.BoxGeometry(doorThickness, doorHeight - 0.2, doorWidth);
     this._jitter(doorGeo, 0.02);
-    mergeVertices(doorGeo, 0.01);
     const door = new THREE.Mesh(doorGeo, woodMat);
-    door.position.set(0, 1.4, -depth / 2 - 0.1);
+    const doorCenter = [-doorWidth / 2 - doorThickness / 2, floorHeight + (doorHeight - 0.2) / 2, -hd + t + doorWidth / 2];
+    door.position.fromArray(doorCenter);
+    door.name = 'CabinDoor';
     cabin.add(door);
+    addCollider('door', doorCenter, [doorThickness, doorHeight - 0.2, doorWidth]);
 
-    // ─── Front Steps ──────────────────────────────────────
-    const stepMat = stoneMat;
-    for (let k = 0; k < 3; k++) {
-      const stepGeo = new THREE.BoxGeometry(2 + k * 0.4, 0.4, 1);
-      this._jitter(stepGeo, 0.01);
-      mergeVertices(stepGeo, 0.005);
-      const step = new THREE.Mesh(stepGeo, stepMat);
-      step.position.set(
-        0,
-        0.2 + 0.4 * k,
-        -depth / 2 - 0.5 - 0.5 * k
+    // ─── Front Step ───────────────────────────────────────
+    const stepSize = [doorWidth + 2, floorHeight * 0.5 + foundationDepth, 3];
+    const stepCenter = [0, (floorHeight * 0.5 - foundationDepth) / 2, -hd - stepSize[2] / 2];
+    const stepGeo = new THREE.BoxGeometry(...stepSize);
+    this._jitter(stepGeo, 0.01);
+    const step = new THREE.Mesh(stepGeo, stoneMat);
+    step.position.fromArray(stepCenter);
+    cabin.add(step);
+    addCollider('step', stepCenter, stepSize, true);
+
+    // ─── Interior Lantern ─────────────────────────────────
+    if (interiorLight) {
+      const lanternY = wallHeight - 3;
+      const lantern = new THREE.Mesh(
+        new THREE.BoxGeometry(1, 1.4, 1),
+        new THREE.MeshStandardMaterial({ color: 0xffd28a, emissive: 0xffa040, emissiveIntensity: 1.5 })
       );
-      cabin.add(step);
+      lantern.position.set(0, lanternY, 0);
+      lantern.name = 'CabinLantern';
+      cabin.add(lantern);
+
+      const light = new THREE.PointLight(0xffb060, 1.2, Math.max(width, depth) * 1.2, 1.5);
+      light.position.set(0, lanternY - 1, 0);
+      light.name = 'CabinLight';
+      cabin.add(light);
     }
 
     // Add cabin userData
     cabin.userData = {
       isCabin: true,
-      noCollision: false
+      noCollision: true, // Walls, floor and step collide through their own box colliders
+      colliders,
+      floorHeight,
+      footprintRadius: Math.hypot(hw, hd + stepSize[2]),
     };
 
     return cabin;
@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { createValueNoise3D, fbm3 } from './utils/valueNoise.js';
+import { forkRandom, randomDirection } from './utils/seededRandom.js';
+import { parseTerrainFeatures, evaluateTerrainFeatures } from './terrain_features.js';
+import { createGravityBody } from './utils/gravityBodies.js';
+
+/**
+ * The moon: a small cratered world on a tilted orbit around the planet.
+ *
+ * It is a gravity body (see utils/gravityBodies.js) so the player and
+ * projectiles can fly there, land and walk around. Its terrain is seeded
+ * value noise plus crater features evaluated by terrain_features.js.
+ */
+export default class Moon {
+  /**
+   * Create the moon
+   * @param {THREE.Scene} scene - The scene
+   * @param {Object} options - Configuration options
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.options = Object.assign({
+      radius: 120,
+      orbitRadius: 3200,        // Distance from the planet center
+      orbitSpeed: 0.01,         // Radians per second
+      orbitAxis: new THREE.Vector3(0.1, 1, 0),
+      gravity: 0.45,            // Surface gravity relative to the planet
+      gravityRadius: null,      // Full-strength gravity distance (default: 1.5x radius)
+      seed: 0,
+      noiseFrequency: 3.0,
+      noiseAmplitude: 4.0,
+      craterCount: 14,
+      segments: 96,
+      color: 0xFFFFEE,
+      emissive: 0x2a2a28         // Faint earthshine - the sun draws the phases
+    }, options);
+
+    this.orbitAxis = this.options.orbitAxis.clone().normalize();
+    this.angle = 0;
+
+    this._buildTerrain();
+    this._buildMesh();
+
+    this.body = createGravityBody({
+      name: 'moon',
+      center: this.mesh.position, // Live reference - follows the orbit
+      radius: this.options.radius,
+      gravity: this.options.gravity,
+      gravityRadius: this.options.gravityRadius,
+      getTerrainHeight: dir => this.getTerrainHeight(dir),
+      object: this.mesh
+    });
+
+    this.update(0);
+    scene.add(this.mesh);
+    console.log(`[Moon] Radius ${this.options.radius}, ${this.craters.length} craters, orbit ${this.options.orbitRadius}`);
+  }
+
+  /**
+   * Terrain height relative to the moon's radius
+   * @param {THREE.Vector3} dir - Unit direction from the moon's center
+   * @returns {number} Height in world units
+   */
+  getTerrainHeight(dir) {
+    const f = this.options.noiseFrequency;
+    const base = fbm3(this.noise, dir.x * f + 11.3, dir.y * f - 4.7, dir.z * f + 2.1, 3) * this.options.noiseAmplitude;
+    return evaluateTerrainFeatures(dir, this.craters, base);
+  }
+
+  /**
+   * Move the moon along its orbit
+   * @param {number} elapsedTime - Seconds since start
+   */
+  update(elapsedTime) {
+    this.angle = elapsedTime * this.options.orbitSpeed;
+    this.mesh.position
+      .set(this.options.orbitRadius, 0, 0)
+      .applyAxisAngle(this.orbitAxis, this.angle);
+  }
+
+  /**
+   * Remove the moon from the scene and free its resources
+   */
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+
+  /**
+   * Seeded noise and craters
+   * @private
+   */
+  _buildTerrain() {
+    const random = forkRandom(this.options.seed, 'moon');
+    this.noise = createValueNoise3D(Math.floor(random() * 0xffffffff));
+
+    const definitions = [];
+    for (let i = 0; i < this.options.craterCount; i++) {
+      const radius = 0.08 + random() * 0.2;
+      const depth = 3 + random() * 8;
+      definitions.push({
+        type: 'crater',
+        center: randomDirection(random).toArray(),
+        radius,
+        depth,
+        rimHeight: depth * 0.4,
+        rimWidth: radius * 0.5
+      });
+    }
+    this.craters = parseTerrainFeatures(definitions);
+  }
+
+  /**
+   * Displaced, flat-shaded sphere with grey height tints
+   * @private
+   */
+  _buildMesh() {
+    const { radius, segments } = this.options;
+    const geometry = new THREE.SphereGeometry(radius, segments, Math.round(segments * 2 / 3));
+    const position = geometry.getAttribute('position');
+    const colors = new Float32Array(position.count * 3);
+    const vertex = new THREE.Vector3();
+    const color = new THREE.Color();
+
+    for (let i = 0; i < position.count; i++) {
+      vertex.fromBufferAttribute(position, i).normalize();
+      const height = this.getTerrainHeight(vertex);
+      vertex.multiplyScalar(radius + height);
+      position.setXYZ(i, vertex.x, vertex.y, vertex.z);
+
+      // Darker crater floors, lighter rims
+      const shade = THREE.MathUtils.clamp(0.75 + height * 0.025, 0.45, 1.0);
+      color.setRGB(shade, shade, shade * 0.96);
+      colors[i * 3] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+    }
+
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.computeVertexNormals();
+
+    const material = new THREE.MeshStandardMaterial({
+      color: this.options.color,
+      emissive: this.options.emissive,
+      vertexColors: true,
+      roughness: 0.9,
+      metalness: 0.1,
+      flatShading: true
+    });
+
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.name = 'Moon';
+    this.mesh.receiveShadow = true;
+  }
+}
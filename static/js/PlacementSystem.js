@@ -0,0 +1,455 @@
+import * as THREE from 'three';
+import SpatialHash from './SpatialHash.js';
+
+/**
+ * Default placement rules per object type.
+ * - minSpacing:       minimum distance (world units) to objects of the same type
+ * - avoid:            minimum distance to other types, e.g. { pineTree: 80 } (applied both ways)
+ * - maxSlope:         steepest ground allowed, in degrees
+ * - maxCrest:         how far (world units) the spot may stand above its surroundings (keeps rocks off ridge tops)
+ * - minHeight/maxHeight: terrain height band
+ * - density:          biome density key (getPlacementDensity) used to thin samples
+ * - excludeFeatures:  terrain feature types to stay out of (craters, rivers...)
+ * - maxWaterDepth:    deepest water (world units) the spot may stand in (0 = dry land only)
+ * - exclusionPadding: extra distance kept from exclusion zones (cabins etc.)
+ */
+export const DEFAULT_PLACEMENT_RULES = {
+  pineTree: {
+    minSpacing: 45,
+    maxSlope: 28,
+    minHeight: -3,
+    maxHeight: 35,
+    density: 'pineTrees',
+    excludeFeatures: ['river', 'crater', 'volcano', 'mesa'],
+    maxWaterDepth: 0,
+    exclusionPadding: 20
+  },
+  appleTree: {
+    minSpacing: 80,
+    avoid: { pineTree: 80 },
+    maxSlope: 22,
+    minHeight: -3,
+    maxHeight: 20,
+    density: 'appleTrees',
+    excludeFeatures: ['river', 'crater', 'volcano', 'mesa'],
+    maxWaterDepth: 0,
+    exclusionPadding: 20
+  },
+  rock: {
+    minSpacing: 7,
+    avoid: { pineTree: 6, appleTree: 8 },
+    maxSlope: 32,
+    maxCrest: 1.5,
+    density: 'rocks',
+    excludeFeatures: ['river'],
+    maxWaterDepth: 1.5,
+    exclusionPadding: 4
+  },
+  grass: {
+    minSpacing: 4,
+    avoid: { rock: 4 },
+    maxSlope: 24,
+    minHeight: -4,
+    maxHeight: 25,
+    density: 'grass',
+    excludeFeatures: ['river', 'crater'],
+    maxWaterDepth: 0,
+    exclusionPadding: 2
+  },
+  // Tree species borrow the density of the closest classic prop
+  oakTree: {
+    minSpacing: 90,
+    avoid: { pineTree: 60, appleTree: 80 },
+    maxSlope: 22,
+    minHeight: -3,
+    maxHeight: 22,
+    density: 'appleTrees',
+    excludeFeatures: ['river', 'crater', 'volcano', 'mesa'],
+    maxWaterDepth: 0,
+    exclusionPadding: 20
+  },
+  birchTree: {
+    minSpacing: 45,
+    avoid: { appleTree: 60 },
+    maxSlope: 26,
+    minHeight: -3,
+    maxHeight: 35,
+    density: 'pineTrees',
+    excludeFeatures: ['river', 'crater', 'volcano', 'mesa'],
+    maxWaterDepth: 0,
+    exclusionPadding: 15
+  },
+  willowTree: {
+    minSpacing: 80,
+    avoid: { pineTree: 60, appleTree: 70 },
+    maxSlope: 15,
+    minHeight: -4,
+    maxHeight: 8,               // Low, damp ground
+    density: 'appleTrees',
+    excludeFeatures: ['river', 'crater', 'volcano', 'mesa'],
+    maxWaterDepth: 0,
+    exclusionPadding: 20
+  },
+  bush: {
+    minSpacing: 14,
+    avoid: { pineTree: 12, appleTree: 20, rock: 6 },
+    maxSlope: 28,
+    minHeight: -3,
+    maxHeight: 30,
+    density: 'grass',
+    excludeFeatures: ['river', 'crater'],
+    maxWaterDepth: 0,
+    exclusionPadding: 6
+  },
+  deadTree: {
+    minSpacing: 70,
+    avoid: { pineTree: 40, appleTree: 60 },
+    maxSlope: 30,
+    density: 'rocks',
+    excludeFeatures: ['river', 'lake'],
+    maxWaterDepth: 0,
+    exclusionPadding: 15
+  },
+  // Cabins need flat, dry ground and plenty of room around the door
+  cabin: {
+    minSpacing: 200,
+    maxSlope: 12,
+    minHeight: -2,
+    maxHeight: 20,
+    excludeFeatures: ['lake', 'river', 'crater', 'volcano', 'mesa'],
+    maxWaterDepth: 0,
+    exclusionPadding: 30
+  }
+};
+
+/**
+ * Poisson-disk object placement on the planet surface.
+ *
+ * Candidates are thrown uniformly over the sphere (or a cap around a cluster center)
+ * and kept only if they respect every rule for their type: spacing to earlier samples,
+ * slope and crest from getFullTerrainHeight, height band, exclusion zones, terrain
+ * features, water depth and biome density. Accepted samples are handed to a place callback,
+ * normally wrapping placeOnSphere.
+ */
+export default class PlacementSystem {
+  /**
+   * Create a new placement system
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      radius: 400,
+      getHeight: () => 0,           // (dir) => terrain height
+      getDensity: null,             // (dir, densityKey) => [0, 1]
+      getFeatureMask: null,         // (dir, featureTypes) => [0, 1]
+      getWaterDepth: null,          // (dir) => water depth over the ground (0 = dry)
+      random: Math.random,
+      rules: {},                    // Per-type overrides merged over DEFAULT_PLACEMENT_RULES
+      slopeSampleDistance: 2.0,     // World units between slope samples
+      crestSampleDistance: 12.0,    // Ring radius used to measure crests
+      featureMaskThreshold: 0.25,   // Feature influence above this counts as "inside"
+      attemptsPerObject: 30         // Candidate budget per requested object
+    }, options);
+
+    this.random = this.options.random;
+    const overrides = this.options.rules || {};
+    this.rules = {};
+    for (const type of new Set([...Object.keys(DEFAULT_PLACEMENT_RULES), ...Object.keys(overrides)])) {
+      this.rules[type] = { ...DEFAULT_PLACEMENT_RULES[type], ...overrides[type] };
+    }
+
+    this.points = new SpatialHash({ minRadius: this.options.radius * 0.9 });
+    this.exclusionZones = [];
+    this.stats = {};
+
+    // Scratch vectors
+    this._tangent = new THREE.Vector3();
+    this._bitangent = new THREE.Vector3();
+    this._sample = new THREE.Vector3();
+    this._position = new THREE.Vector3();
+    this._neighbors = [];
+  }
+
+  /**
+   * Rule set for a type (unknown types get no restrictions)
+   * @param {string} type - Object type
+   * @returns {Object} Rules
+   */
+  getRules(type) {
+    return this.rules[type] || (this.rules[type] = {});
+  }
+
+  /**
+   * Keep objects away from a spot (cabins, spawn point, landmarks)
+   * @param {THREE.Vector3} direction - Center direction
+   * @param {number} radius - Radius in world units
+   * @param {string} label - Name for debugging
+   * @returns {Object} The zone (pass to removeExclusionZone)
+   */
+  addExclusionZone(direction, radius, label = 'zone') {
+    const zone = { direction: direction.clone().normalize(), radius, label };
+    this.exclusionZones.push(zone);
+    return zone;
+  }
+
+  /**
+   * Remove an exclusion zone
+   * @param {Object} zone - Zone returned by addExclusionZone
+   */
+  removeExclusionZone(zone) {
+    const index = this.exclusionZones.indexOf(zone);
+    if (index !== -1) this.exclusionZones.splice(index, 1);
+  }
+
+  /**
+   * Record an object placed outside scatter() so later samples keep their distance
+   * @param {THREE.Vector3} direction - Object direction
+   * @param {string} type - Object type
+   */
+  addPoint(direction, type) {
+    const dir = direction.clone().normalize();
+    this.points.insert({
+      direction: dir,
+      position: dir.clone().multiplyScalar(this.options.radius),
+      radius: 0.5,
+      type
+    });
+  }
+
+  /**
+   * Forget every recorded point and exclusion zone
+   */
+  clear() {
+    this.points.clear();
+    this.exclusionZones.length = 0;
+    this.stats = {};
+  }
+
+  /**
+   * Ground slope at a direction
+   * @param {THREE.Vector3} dir - Normalized direction
+   * @returns {number} Slope in degrees
+   */
+  getSlope(dir) {
+    const { radius, getHeight, slopeSampleDistance } = this.options;
+    this._tangentFrame(dir);
+    const step = slopeSampleDistance / radius;
+
+    const hx1 = getHeight(this._offset(dir, this._tangent, step));
+    const hx0 = getHeight(this._offset(dir, this._tangent, -step));
+    const hz1 = getHeight(this._offset(dir, this._bitangent, step));
+    const hz0 = getHeight(this._offset(dir, this._bitangent, -step));
+
+    const gx = (hx1 - hx0) / (2 * slopeSampleDistance);
+    const gz = (hz1 - hz0) / (2 * slopeSampleDistance);
+    return THREE.MathUtils.radToDeg(Math.atan(Math.sqrt(gx * gx + gz * gz)));
+  }
+
+  /**
+   * How far a spot stands above the average of a ring around it (positive on crests)
+   * @param {THREE.Vector3} dir - Normalized direction
+   * @returns {number} Height above surroundings in world units
+   */
+  getCrest(dir) {
+    const { radius, getHeight, crestSampleDistance } = this.options;
+    this._tangentFrame(dir);
+    const angle = crestSampleDistance / radius;
+    const samples = 6;
+
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+      const a = (i / samples) * Math.PI * 2;
+      this._sample.copy(this._tangent).multiplyScalar(Math.cos(a))
+        .addScaledVector(this._bitangent, Math.sin(a));
+      sum += getHeight(this._offset(dir, this._sample, angle));
+    }
+    return getHeight(dir) - sum / samples;
+  }
+
+  /**
+   * Test a candidate against every rule for its type
+   * @param {THREE.Vector3} dir - Normalized direction
+   * @param {string} type - Object type
+   * @returns {string|null} Name of the failed rule, or null if the spot is valid
+   */
+  check(dir, type) {
+    const rules = this.getRules(type);
+    const R = this.options.radius;
+
+    // Cheapest tests first
+    if (this._violatesSpacing(dir, type, rules)) return 'spacing';
+
+    const padding = rules.exclusionPadding || 0;
+    for (const zone of this.exclusionZones) {
+      if (this._angle(dir, zone.direction) * R < zone.radius + padding) return 'exclusion';
+    }
+
+    const height = this.options.getHeight(dir);
+    if (rules.minHeight !== undefined && height < rules.minHeight) return 'height';
+    if (rules.maxHeight !== undefined && height > rules.maxHeight) return 'height';
+
+    if (rules.excludeFeatures?.length && this.options.getFeatureMask) {
+      if (this.options.getFeatureMask(dir, rules.excludeFeatures) > this.options.featureMaskThreshold) return 'feature';
+    }
+
+    if (rules.maxWaterDepth !== undefined && this.options.getWaterDepth) {
+      if (this.options.getWaterDepth(dir) > rules.maxWaterDepth) return 'water';
+    }
+
+    if (rules.maxSlope !== undefined && this.getSlope(dir) > rules.maxSlope) return 'slope';
+    if (rules.maxCrest !== undefined && this.getCrest(dir) > rules.maxCrest) return 'crest';
+
+    return null;
+  }
+
+  /**
+   * Scatter objects of one type with Poisson-disk spacing
+   * @param {string} type - Object type (key of the rules)
+   * @param {number} count - How many objects to place
+   * @param {Function} place - (dir, type) => truthy if the object was placed
+   * @param {Object} region - Optional { center: Vector3, angularRadius: radians } cap to sample in
+   * @returns {Array<THREE.Vector3>} Directions of the placed objects
+   */
+  scatter(type, count, place, region = {}) {
+    const rules = this.getRules(type);
+    const stats = this.stats[type] || (this.stats[type] = { placed: 0, rejected: {} });
+    const placed = [];
+    const maxAttempts = Math.max(1, count) * this.options.attemptsPerObject;
+
+    for (let attempt = 0; attempt < maxAttempts && placed.length < count; attempt++) {
+      const dir = region.center
+        ? this._randomInCap(region.center, region.angularRadius ?? Math.PI)
+        : this._randomDirection();
+
+      let reason = this.check(dir, type);
+
+      // Biome density thins the samples (e.g. no apple trees on the snowy poles)
+      if (!reason && rules.density && this.options.getDensity) {
+        if (this.random() > this.options.getDensity(dir, rules.density)) reason = 'density';
+      }
+
+      if (reason) {
+        stats.rejected[reason] = (stats.rejected[reason] || 0) + 1;
+        continue;
+      }
+
+      if (!place(dir, type)) {
+        stats.rejected.place = (stats.rejected.place || 0) + 1;
+        continue;
+      }
+
+      this.addPoint(dir, type);
+      placed.push(dir);
+      stats.placed++;
+    }
+
+    if (placed.length < count) {
+      console.log(`[Placement] Placed ${placed.length}/${count} ${type} (rules too strict for the remaining space)`, stats.rejected);
+    }
+    return placed;
+  }
+
+  /**
+   * Pick a direction that passes the rules for a type (e.g. a cluster center)
+   * @param {string} type - Object type
+   * @param {number} attempts - Candidates to try
+   * @returns {THREE.Vector3|null} Direction, or null if none was found
+   */
+  findSpot(type, attempts = 50) {
+    for (let i = 0; i < attempts; i++) {
+      const dir = this._randomDirection();
+      if (!this.check(dir, type)) return dir;
+    }
+    return null;
+  }
+
+  // --- Internals ---
+
+  /**
+   * Minimum distance between two types (symmetric, largest rule wins)
+   * @private
+   */
+  _requiredSpacing(type, otherType, rules) {
+    if (type === otherType) return rules.minSpacing || 0;
+    const otherRules = this.rules[otherType];
+    return Math.max(rules.avoid?.[otherType] || 0, otherRules?.avoid?.[type] || 0);
+  }
+
+  /**
+   * Check recorded points near a candidate
+   * @private
+   */
+  _violatesSpacing(dir, type, rules) {
+    const R = this.options.radius;
+    const reach = this._maxSpacing(type, rules);
+    if (reach <= 0) return false;
+
+    const neighbors = this.points.queryRange(this._position.copy(dir).multiplyScalar(R), reach, this._neighbors);
+    for (const point of neighbors) {
+      const spacing = this._requiredSpacing(type, point.type, rules);
+      if (spacing > 0 && this._angle(dir, point.direction) * R < spacing) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Largest spacing that can apply to a type
+   * @private
+   */
+  _maxSpacing(type, rules) {
+    let reach = rules.minSpacing || 0;
+    for (const [otherType, otherRules] of Object.entries(this.rules)) {
+      reach = Math.max(reach, this._requiredSpacing(type, otherType, rules), otherRules.avoid?.[type] || 0);
+    }
+    return reach;
+  }
+
+  _angle(a, b) {
+    return Math.acos(Math.min(Math.max(a.dot(b), -1), 1));
+  }
+
+  _randomDirection() {
+    const u = (this.random() - 0.5) * 2;
+    const t = this.random() * Math.PI * 2;
+    const f = Math.sqrt(1 - u * u);
+    return new THREE.Vector3(f * Math.cos(t), u, f * Math.sin(t));
+  }
+
+  /**
+   * Uniform random direction within angularRadius of center
+   * @private
+   */
+  _randomInCap(center, angularRadius) {
+    const c = center.clone().normalize();
+    this._tangentFrame(c);
+    const cosMax = Math.cos(Math.min(angularRadius, Math.PI));
+    const cosTheta = 1 - this.random() * (1 - cosMax);
+    const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+    const phi = this.random() * Math.PI * 2;
+
+    return c.multiplyScalar(cosTheta)
+      .addScaledVector(this._tangent, sinTheta * Math.cos(phi))
+      .addScaledVector(this._bitangent, sinTheta * Math.sin(phi))
+      .normalize();
+  }
+
+  /**
+   * Fill _tangent/_bitangent with an orthonormal frame around dir
+   * @private
+   */
+  _tangentFrame(dir) {
+    const ref = Math.abs(dir.y) < 0.9 ? THREE.Object3D.DEFAULT_UP : this._sample.set(1, 0, 0);
+    this._tangent.crossVectors(ref, dir).normalize();
+    this._bitangent.crossVectors(dir, this._tangent).normalize();
+  }
+
+  /**
+   * dir rotated by `angle` radians toward `axis` (a tangent), as a new vector
+   * @private
+   */
+  _offset(dir, axis, angle) {
+    return new THREE.Vector3().copy(dir).multiplyScalar(Math.cos(angle))
+      .addScaledVector(axis, Math.sin(angle))
+      .normalize();
+  }
+}
@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+import LowPolyGenerator from './low_poly_generator.js';
+
+const _up = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _inverse = new THREE.Quaternion();
+
+/**
+ * Third-person body for the player: the LowPolyGenerator character, animated from
+ * the controls' state every frame.
+ *
+ *   walk    legs and arms swing with the ground speed, knees bend, the body bobs
+ *   jump    legs tuck while rising, reach for the ground while falling
+ *   crouch  knees bend and the hips drop (follows SphereControls.crouchAmount)
+ *   climb   faces the trunk, hands and feet reach up in turn
+ *   aim     the right arm holds the slingshot out along the look direction and the
+ *           left hand pulls the band back while charging
+ *
+ * The mesh is a child of the player object (feet at its origin, facing its -Z). While
+ * moving it turns toward the move direction; while aiming or standing it faces the camera.
+ */
+export default class PlayerAvatar {
+  /**
+   * Create the avatar mesh
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      height: 7.0,            // Total height (a bit above the eye height)
+      colors: {},             // LowPolyGenerator.createPlayerAvatar colors
+      strideLength: 5.0,      // Distance covered per full walk cycle
+      walkSwing: 0.7,         // Leg swing at full speed (radians)
+      runSpeed: 60,           // Ground speed at which the swing is strongest
+      turnSpeed: 10,          // How fast the body turns toward the move direction (per second)
+      crouchDrop: 0.45,       // Fraction of the leg length the hips drop when fully crouched
+      footOffset: 0.35        // Player object height above the ground (SphereControls.playerHeightOffset)
+    }, options);
+
+    this.mesh = LowPolyGenerator.createPlayerAvatar(this.options.height, this.options.colors);
+    this.mesh.position.y = -this.options.footOffset;
+    this.mesh.visible = false;
+
+    // Named joints (see createPlayerAvatar)
+    this.parts = {};
+    for (const name of ['hips', 'torso', 'head', 'leftArm', 'rightArm', 'leftHand', 'rightHand',
+      'leftLeg', 'rightLeg', 'leftShin', 'rightShin']) {
+      this.parts[name] = this.mesh.getObjectByName(name);
+    }
+    this.legLength = this.mesh.userData.legLength;
+
+    // Animation state
+    this.walkPhase = 0;
+    this.walkBlend = 0;   // 0 = standing, 1 = full stride
+    this.airBlend = 0;    // 0 = grounded, 1 = in the air
+    this.aimBlend = 0;    // 0 = arms down, 1 = slingshot raised
+    this.climbBlend = 0;  // 0 = free, 1 = hugging a trunk
+    this.climbPhase = 0;
+    this.facing = 0;      // Body yaw relative to the camera (radians)
+  }
+
+  /**
+   * Where the slingshot sits in the right hand (for WeaponSystem.attachModel)
+   * @returns {Object} { position, rotation, scale }
+   */
+  getWeaponPose() {
+    const scale = this.options.height * 0.3;
+    return {
+      position: new THREE.Vector3(0, -this.options.height * 0.02, 0),
+      // Arm points forward when aiming: tilt the slingshot back so its forks point up
+      rotation: new THREE.Euler(-Math.PI / 2, 0, 0),
+      scale
+    };
+  }
+
+  /**
+   * Show or hide the avatar
+   * @param {boolean} visible - Visibility
+   */
+  setVisible(visible) {
+    this.mesh.visible = visible;
+  }
+
+  /**
+   * Animate from the current movement state (call once per frame)
+   * @param {number} delta - Time since last frame in seconds
+   * @param {SphereControls} controls - Player controls to read
+   * @param {Object} state - { charging, power } of the slingshot
+   */
+  update(delta, controls, state = {}) {
+    const dt = Math.min(delta, 0.1);
+    const o = this.options;
+    const p = this.parts;
+    const ease = (current, target, rate) => current + (target - current) * Math.min(1, dt * rate);
+
+    // Ground speed and vertical speed along the player's up
+    const object = controls.getObject();
+    _up.copy(object.position).sub(controls.getBody().center).normalize();
+    _velocity.copy(controls.velocity);
+    const vertical = _velocity.dot(_up);
+    const speed = _velocity.projectOnPlane(_up).length();
+    const grounded = controls.onGround || controls.isSwimming;
+    const aiming = !!state.charging;
+
+    this.walkBlend = ease(this.walkBlend, grounded ? Math.min(1, speed / o.runSpeed * 2) : 0, 8);
+    this.airBlend = ease(this.airBlend, grounded ? 0 : 1, 10);
+    this.aimBlend = ease(this.aimBlend, aiming ? 1 : 0, 12);
+    this.climbBlend = ease(this.climbBlend, controls.isClimbing ? 1 : 0, 10);
+    if (grounded) this.walkPhase += (speed * dt / o.strideLength) * Math.PI * 2;
+
+    // Face the move direction (local to the camera), or the camera while aiming/standing still
+    const move = controls.moveInput;
+    let targetFacing = 0;
+    if (controls.isClimbing) {
+      // Face the trunk: the opposite of the trunk-to-player direction, in the player's frame
+      _local.copy(controls.climbNormal).negate().applyQuaternion(_inverse.copy(object.quaternion).invert());
+      targetFacing = Math.atan2(-_local.x, -_local.z);
+      this.climbPhase += move.length() * dt * 6;
+    } else if (!aiming && move && move.lengthSq() > 0.01 && speed > 1) {
+      targetFacing = Math.atan2(-move.x, -move.z);
+    }
+    let turn = targetFacing - this.facing;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // Shortest way around
+    this.facing += turn * Math.min(1, dt * o.turnSpeed);
+    this.mesh.rotation.y = this.facing;
+
+    // Legs: stride on the ground, tuck in the air, bend for the crouch
+    const swing = Math.sin(this.walkPhase) * o.walkSwing * Math.min(1, speed / o.runSpeed + 0.4) * this.walkBlend;
+    const crouch = Math.acos(1 - o.crouchDrop * (controls.crouchAmount || 0));
+    const tuck = vertical > 0 ? 0.9 : 0.35; // Knees up while rising, legs reach down while falling
+    for (const [leg, shin, sign] of [[p.leftLeg, p.leftShin, 1], [p.rightLeg, p.rightShin, -1]]) {
+      const stride = swing * sign;
+      // Bend the knee when the leg swings forward (lifts the foot)
+      const knee = Math.max(0, Math.sin(this.walkPhase + (sign > 0 ? 0 : Math.PI) - 0.6)) * 0.9 * this.walkBlend;
+      const air = tuck * (sign > 0 ? 1 : 0.6);
+      leg.rotation.x = THREE.MathUtils.lerp(stride, air, this.airBlend) + crouch;
+      shin.rotation.x = -THREE.MathUtils.lerp(knee, air * 1.4, this.airBlend) - crouch * 2;
+    }
+
+    // Hips: drop for the crouch (thigh +a, shin -2a keeps the feet under the hips), bob when walking
+    const bob = Math.abs(Math.cos(this.walkPhase)) * this.options.height * 0.015 * this.walkBlend;
+    p.hips.position.y = this.legLength * Math.cos(crouch) + bob;
+    p.torso.rotation.x = -crouch * 0.35 - this.walkBlend * 0.08;
+
+    // Arms: swing against the legs, go up in the air, raise the slingshot when aiming
+    const pitch = controls.pitch || 0;
+    const armSwing = -swing * 0.8;
+    const airArms = this.airBlend * 0.6;
+    const raised = Math.PI / 2 + pitch;
+    p.rightArm.rotation.x = THREE.MathUtils.lerp(-armSwing * 0.5 + airArms, raised, this.aimBlend);
+    p.leftArm.rotation.x = THREE.MathUtils.lerp(armSwing + airArms, raised, this.aimBlend);
+    // Arms spread in the air; when aiming both hands come in front of the chest
+    p.leftArm.rotation.z = THREE.MathUtils.lerp(-this.airBlend * 0.4, 0.35, this.aimBlend);
+    p.rightArm.rotation.z = THREE.MathUtils.lerp(this.airBlend * 0.4, -0.15, this.aimBlend);
+    // Left hand draws the band back toward the chest with the charge
+    p.leftArm.scale.y = 1 - this.aimBlend * (state.power || 0) * 0.35;
+
+    // Head follows the look pitch a little
+    p.head.rotation.x = pitch * 0.5;
+
+    // Climbing: arms reach up the trunk and knees pull up, left and right in turn
+    if (this.climbBlend > 0.001) {
+      const reach = Math.sin(this.climbPhase);
+      const c = this.climbBlend;
+      const lerp = THREE.MathUtils.lerp;
+      p.leftArm.rotation.x = lerp(p.leftArm.rotation.x, 2.6 + reach * 0.4, c);
+      p.rightArm.rotation.x = lerp(p.rightArm.rotation.x, 2.6 - reach * 0.4, c);
+      p.leftArm.rotation.z = lerp(p.leftArm.rotation.z, 0.25, c);
+      p.rightArm.rotation.z = lerp(p.rightArm.rotation.z, -0.25, c);
+      p.leftLeg.rotation.x = lerp(p.leftLeg.rotation.x, 0.9 - reach * 0.5, c);
+      p.rightLeg.rotation.x = lerp(p.rightLeg.rotation.x, 0.9 + reach * 0.5, c);
+      p.leftShin.rotation.x = lerp(p.leftShin.rotation.x, -1.4, c);
+      p.rightShin.rotation.x = lerp(p.rightShin.rotation.x, -1.4, c);
+      p.head.rotation.x = lerp(p.head.rotation.x, 0.3, c);
+    }
+  }
+
+  /**
+   * Remove the mesh and free its geometry
+   */
+  dispose() {
+    this.mesh.parent?.remove(this.mesh);
+    this.mesh.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import TWEEN from './libs/tween.esm.js';
+import { intersectSegmentBox } from './utils/boxColliders.js';
+import { createGravityBody, getDominantBody, getGravityStrength } from './utils/gravityBodies.js';
 
 /**
  * System to manage projectile physics and collisions
@@ -28,6 +30,14 @@ export default class ProjectileSystem {
       bounceFactor: 0.6, // Energy loss on bounce
       minBounceSpeed: 5.0, // Minimum speed needed to bounce
       collidables: null, // Array of object collision data
+      spatialIndex: null, // NEW: Optional SpatialHash over collidables (broad phase)
+      onTerrainImpact: null, // NEW: (position, impactSpeed, projectile) => void on first ground hit (terrain craters)
+      getWaterLevel: null, // NEW: (dir) => water surface height, or null where dry - projectiles float on water
+      waterBuoyancy: 25.0, // Upward pull per unit of depth below the surface
+      waterDrag: 3.0, // Velocity damping per second in water
+      bodies: null, // NEW: Gravity bodies (bodies[0] = home planet) - null = one body from sphereRadius/getTerrainHeight/getWaterLevel
+      getWind: null, // NEW: (position, target) => wind velocity (WeatherSystem.getWindAt) - pushes airborne apples
+      windForce: 0.5, // Acceleration per unit of wind speed
       showCollisions: false, // Display collision effects
       splashParticleCount: 5, // Number of particles in collision splash
       debugCollisions: false, // New option to log collision details
@@ -41,11 +51,24 @@ export default class ProjectileSystem {
       CHECK_POINTS: 8,  // Increased from 3 to handle faster speeds
     }, options);
     
+    // NEW: Projectiles fall toward (and land on) whichever body pulls hardest
+    this.homeBody = this.options.bodies?.[0] || createGravityBody({
+      name: 'planet',
+      radius: this.options.sphereRadius,
+      gravityRadius: Infinity,
+      getTerrainHeight: this.options.getTerrainHeight || (() => 0),
+      getWaterLevel: this.options.getWaterLevel
+    });
+    this.bodies = this.options.bodies?.length ? this.options.bodies : [this.homeBody];
+    
     // Add enableCollisionLogging flag that can be set externally
     this.enableCollisionLogging = false;
     
     // List of active projectiles
     this.projectiles = [];
+
+    // Reused result array for spatial index queries
+    this._collisionCandidates = [];
     
     // Cache materials
     this.materials = {
@@ -62,6 +85,7 @@ export default class ProjectileSystem {
     // Reusable vectors for physics calculations
     this._vec3 = new THREE.Vector3();
     this._vec3b = new THREE.Vector3();
+    this._surfaceNormal = new THREE.Vector3(); // Terrain normal for bounces
     
     console.log("Projectile system created with collisions enabled");
 
@@ -295,13 +319,28 @@ export default class ProjectileSystem {
     // If we barely moved, not worth checking detailed collisions
     if (moveDistance < 0.01) return false;
 
+    // NEW: Only look at objects near the projectile's path when a spatial index is available
+    const candidates = this.options.spatialIndex
+      ? this.options.spatialIndex.querySegment(fromPos, toPos, projRadius, this._collisionCandidates)
+      : this.options.collidables;
+
     // Enhanced tree collision detection
-    for (let i = 0; i < this.options.collidables.length; i++) {
-      const obj = this.options.collidables[i];
+    for (let i = 0; i < candidates.length; i++) {
+      const obj = candidates[i];
       
       // Skip invalid objects or planet
       if (!obj.mesh || obj.isPlanet || obj.noCollision) continue;
       
+      // NEW: Cabin walls and floors - sweep against the box
+      if (obj.isBox) {
+        const hit = intersectSegmentBox(obj, fromPos, toPos, projRadius);
+        if (hit) {
+          this._handleObjectCollision(projectile, obj, hit.point, hit.normal);
+          return true;
+        }
+        continue;
+      }
+      
       // Get object position
       const objPos = obj.position || obj.mesh.position;
       if (!objPos) continue;
@@ -639,15 +678,23 @@ export default class ProjectileSystem {
    * @private
    */
   _updateProjectilePhysics(projectile, deltaTime) {
-    // Get normalized direction for gravity (from sphere center to projectile)
-    this._vec3.copy(projectile.position).normalize();
+    const body = this._updateProjectileBody(projectile);
     
-    // Apply gravity in the direction toward sphere center
+    // Get normalized direction for gravity (from the body's center to projectile)
+    this._vec3.copy(projectile.position).sub(body.center).normalize();
+    
+    // Apply gravity in the direction toward the body's center
     projectile.velocity.addScaledVector(
       this._vec3.negate(), 
-      this.options.gravity * deltaTime * 60
+      this.options.gravity * getGravityStrength(body, projectile.position) * deltaTime * 60
     );
     
+    // NEW: Wind pushes apples in flight (only the home planet has air)
+    if (this.options.getWind && body === this.homeBody && !projectile.inWater) {
+      const wind = this.options.getWind(projectile.position, this._vec3);
+      if (wind) projectile.velocity.addScaledVector(wind, this.options.windForce * deltaTime);
+    }
+    
     // ADDED: Cap max delta for physics at 1/30 to prevent tunneling with very fast projectiles
     const effectiveDelta = Math.min(deltaTime, 1/30); 
     
@@ -656,46 +703,121 @@ export default class ProjectileSystem {
     this._vec3b.copy(projectile.position).add(this._vec3);
     
     // Check for terrain collision
-    const terrainHeight = this.options.getTerrainHeight ? 
-                        this.options.getTerrainHeight(this._vec3b.clone().normalize()) : 
-                        0;
+    this._vec3.copy(this._vec3b).sub(body.center);
+    const terrainHeight = body.getTerrainHeight(this._vec3.clone().normalize());
                         
-    const groundRadius = this.options.sphereRadius + terrainHeight;
+    const groundRadius = body.radius + terrainHeight;
     
     // Check if new position is below ground level
-    if (this._vec3b.length() < groundRadius + this.options.projectileRadius) {
+    if (this._vec3.length() < groundRadius + this.options.projectileRadius) {
       // Collision detected
-      this._handleCollision(projectile, groundRadius);
+      this._handleCollision(projectile, groundRadius, body);
     } else {
       // No collision, update position
       projectile.position.copy(this._vec3b);
+      this._updateFloating(projectile, deltaTime, body);
+    }
+  }
+
+  /**
+   * Pick the body a projectile falls toward and carry it along with that body's motion
+   * @param {Object} projectile - The projectile
+   * @returns {Object} Gravity body
+   * @private
+   */
+  _updateProjectileBody(projectile) {
+    const body = this.bodies.length > 1
+      ? getDominantBody(this.bodies, projectile.position)
+      : this.homeBody;
+
+    if (projectile.body === body) {
+      projectile.position.add(this._vec3.subVectors(body.center, projectile.bodyCenter));
+      projectile.bodyCenter.copy(body.center);
+    } else {
+      projectile.body = body;
+      projectile.bodyCenter = body.center.clone();
     }
+    return body;
+  }
+
+  /**
+   * Apples float: below a water surface they are pushed back up and slowed down
+   * @param {Object} projectile - The projectile
+   * @param {number} deltaTime - Time since last update in seconds
+   * @private
+   */
+  _updateFloating(projectile, deltaTime, body = this.homeBody) {
+    if (!body.getWaterLevel) return;
+
+    const distance = this._vec3.copy(projectile.position).sub(body.center).length();
+    const up = this._vec3.divideScalar(distance);
+    const waterLevel = body.getWaterLevel(up);
+    if (waterLevel === null) {
+      projectile.inWater = false;
+      return;
+    }
+
+    // Float with the center a little below the surface
+    const depth = body.radius + waterLevel - distance - this.options.projectileRadius * 0.3;
+    if (depth <= 0) {
+      projectile.inWater = false;
+      return;
+    }
+
+    if (!projectile.inWater) {
+      projectile.inWater = true;
+      projectile.hasImpacted = true; // Landing in water never digs a crater
+      if (this.options.showCollisions) {
+        this._createCollisionEffect(projectile.position, projectile.type);
+      }
+    }
+
+    projectile.velocity.addScaledVector(up, (depth * this.options.waterBuoyancy + this.options.gravity * 60) * deltaTime);
+    projectile.velocity.multiplyScalar(Math.exp(-this.options.waterDrag * deltaTime));
   }
   
   /**
    * Handle projectile collision with terrain
    * @param {Object} projectile - The projectile
    * @param {number} groundRadius - The ground radius at collision point
+   * @param {Object} body - Gravity body that was hit
    * @private
    */
-  _handleCollision(projectile, groundRadius) {
+  _handleCollision(projectile, groundRadius, body = this.homeBody) {
+    // NEW: Report the first ground hit so the world can deform (speed along the surface normal)
+    // Only the home planet's terrain can be dug
+    if (this.options.onTerrainImpact && body === this.homeBody && projectile.bounces === 0 && !projectile.hasImpacted) {
+      projectile.hasImpacted = true;
+      const impactSpeed = -projectile.velocity.dot(this._vec3.copy(projectile.position).sub(body.center).normalize());
+      if (impactSpeed > 0) {
+        this.options.onTerrainImpact(projectile.position.clone(), impactSpeed, projectile);
+      }
+    }
+
     // Bounce if we haven't exceeded max bounces
     if (projectile.bounces < projectile.maxBounces) {
       // Calculate reflection
-      const normal = projectile.position.clone().normalize();
+      const normal = projectile.position.clone().sub(body.center).normalize();
       const speed = projectile.velocity.length();
       
       // Only bounce if speed is high enough
       if (speed > this.options.minBounceSpeed) {
+        // NEW: Bounce off the slope when the body knows its surface normal
+        let bounceNormal = normal;
+        if (body.getTerrainNormal) {
+          const surface = body.getTerrainNormal(normal, this._surfaceNormal);
+          if (projectile.velocity.dot(surface) < 0) bounceNormal = surface; // Only if heading into it
+        }
+        
         // Apply bounce
-        projectile.velocity.reflect(normal);
+        projectile.velocity.reflect(bounceNormal);
         
         // Apply energy loss
         projectile.velocity.multiplyScalar(this.options.bounceFactor);
         
         // Position slightly above ground
-        projectile.position.copy(
-          normal.multiplyScalar(groundRadius + this.options.projectileRadius * 1.1)
+        projectile.position.copy(body.center).addScaledVector(
+          normal, groundRadius + this.options.projectileRadius * 1.1
         );
         
         // Count bounce
@@ -715,14 +837,14 @@ export default class ProjectileSystem {
         projectile.velocity.set(0, 0, 0);
         
         // Position at ground level
-        const normal = projectile.position.clone().normalize();
-        projectile.position.copy(
-          normal.multiplyScalar(groundRadius + this.options.projectileRadius * 0.7)
+        const normal = projectile.position.clone().sub(body.center).normalize();
+        projectile.position.copy(body.center).addScaledVector(
+          normal, groundRadius + this.options.projectileRadius * 0.7
         );
         
         // Align projectile to surface
         if (projectile.mesh) {
-          const upVector = normal.clone();
+          const upVector = body.getTerrainNormal ? body.getTerrainNormal(normal, new THREE.Vector3()) : normal.clone();
           const rotation = new THREE.Quaternion().setFromUnitVectors(
             new THREE.Vector3(0, 1, 0),
             upVector
@@ -0,0 +1,506 @@
+import * as THREE from 'three';
+
+// Cube faces: outward normal plus the face's u/v axes (u x v = normal, so grid triangles face outward)
+// Shared with TerrainHeightCubemap so both use the same face layout
+export const CUBE_FACES = [
+  { name: '+X', normal: new THREE.Vector3(1, 0, 0), u: new THREE.Vector3(0, 0, -1), v: new THREE.Vector3(0, 1, 0) },
+  { name: '-X', normal: new THREE.Vector3(-1, 0, 0), u: new THREE.Vector3(0, 0, 1), v: new THREE.Vector3(0, 1, 0) },
+  { name: '+Y', normal: new THREE.Vector3(0, 1, 0), u: new THREE.Vector3(1, 0, 0), v: new THREE.Vector3(0, 0, -1) },
+  { name: '-Y', normal: new THREE.Vector3(0, -1, 0), u: new THREE.Vector3(1, 0, 0), v: new THREE.Vector3(0, 0, 1) },
+  { name: '+Z', normal: new THREE.Vector3(0, 0, 1), u: new THREE.Vector3(1, 0, 0), v: new THREE.Vector3(0, 1, 0) },
+  { name: '-Z', normal: new THREE.Vector3(0, 0, -1), u: new THREE.Vector3(-1, 0, 0), v: new THREE.Vector3(0, 1, 0) }
+];
+
+// Edge order used for stitching masks: bottom (v=0), right (u=1), top (v=1), left (u=0)
+const EDGES = ['bottom', 'right', 'top', 'left'];
+
+/**
+ * Chunked cube-sphere terrain with quadtree LOD.
+ *
+ * Each cube face is a quadtree of square tiles. Tiles near the camera split
+ * into four children, far tiles merge back. Every tile has the same vertex
+ * grid, so a neighbor one level coarser has half our edge density - edge
+ * vertices that don't exist on the coarser side are snapped onto its edge
+ * line, which closes the cracks between LOD levels (also across cube faces).
+ * Heights always come from options.getHeight (getFullTerrainHeight).
+ */
+export default class QuadTreeTerrain {
+  /**
+   * Create the terrain
+   * @param {THREE.Scene} scene - Scene to add the terrain group to
+   * @param {Object} options - Configuration options
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.options = Object.assign({
+      radius: 400,
+      getHeight: () => 0,        // (normalizedDirection) => height above radius
+      getColor: null,            // Optional (direction, height, targetColor) => color for vertex colors
+      material: null,
+      tileResolution: 16,        // Quads per tile edge (power of two so stitching lines up)
+      maxLevel: 5,               // Deepest quadtree level
+      splitFactor: 1.5,          // Split when camera distance < tile size * splitFactor
+      maxBuildsPerFrame: 6,      // Tile builds allowed per update (spreads out hitches)
+      normalEpsilon: 0.002       // Angular step (radians) for analytic normals
+    }, options);
+
+    this.material = this.options.material ||
+      new THREE.MeshLambertMaterial({ color: 0x228B22 });
+
+    // Group that holds every tile mesh - this is "the planet" for the rest of the game
+    this.group = new THREE.Group();
+    this.group.name = 'Planet';
+    scene.add(this.group);
+
+    this._indexArray = this._createIndexArray(this.options.tileResolution);
+    this._tmpDir = new THREE.Vector3();
+    this._tmpDir2 = new THREE.Vector3();
+    this._tmpTangentA = new THREE.Vector3();
+    this._tmpTangentB = new THREE.Vector3();
+    this._cameraPosition = new THREE.Vector3();
+
+    this.tileCount = 0;
+    this.leafCount = 0;
+
+    // One root per cube face
+    this.roots = CUBE_FACES.map((face, i) => this._createNode(i, 0, 0, 0, null));
+    this.roots.forEach(node => this._buildTile(node));
+    this._updateStitching();
+
+    console.log(`[QuadTreeTerrain] Created cube-sphere terrain (radius ${this.options.radius}, ` +
+      `${this.options.tileResolution}x${this.options.tileResolution} tiles, max level ${this.options.maxLevel})`);
+  }
+
+  /**
+   * Refine/merge tiles around the camera. Call once per frame.
+   * @param {THREE.Vector3} cameraPosition - Camera world position
+   * @param {number} buildBudget - Max tiles to build this call (defaults to options.maxBuildsPerFrame)
+   */
+  update(cameraPosition, buildBudget = this.options.maxBuildsPerFrame) {
+    if (!cameraPosition) return;
+    this._cameraPosition.copy(cameraPosition);
+
+    const budget = { remaining: buildBudget };
+    let changed = false;
+    for (const root of this.roots) {
+      changed = this._updateNode(root, budget) || changed;
+    }
+
+    if (changed) {
+      this._updateStitching();
+    }
+  }
+
+  /**
+   * Re-sample every existing tile (call after terrain features or modifiers change)
+   * @param {THREE.Vector3|null} centerDir - Only rebuild tiles near this direction (optional)
+   * @param {number} angularRadius - Radius in radians around centerDir
+   */
+  rebuild(centerDir = null, angularRadius = Math.PI) {
+    let rebuilt = 0;
+
+    const visit = (node) => {
+      if (centerDir) {
+        // Skip tiles whose bounding cap can't reach the region (children lie inside the parent cap)
+        const angle = Math.acos(Math.min(Math.max(node.centerDir.dot(centerDir), -1), 1));
+        if (angle - node.angularRadius > angularRadius) return;
+      }
+      node.centerPosition.copy(node.centerDir)
+        .multiplyScalar(this.options.radius + this.options.getHeight(node.centerDir));
+      if (node.mesh) {
+        this._fillTileGeometry(node, node.mesh.geometry);
+        node.stitchKey = null; // Force stitching to re-apply
+        rebuilt++;
+      }
+      node.children?.forEach(visit);
+    };
+    this.roots.forEach(visit);
+    this._updateStitching();
+    return rebuilt;
+  }
+
+  /**
+   * Remove all tiles and the group from the scene
+   */
+  dispose() {
+    this.roots.forEach(root => this._disposeNode(root));
+    this.scene.remove(this.group);
+  }
+
+  /**
+   * Map a unit direction to its cube face and warped face coordinates
+   * @param {THREE.Vector3} dir - Unit direction
+   * @returns {{face: number, u: number, v: number}} Face index and u/v in [0, 1]
+   */
+  static directionToFace(dir) {
+    const ax = Math.abs(dir.x), ay = Math.abs(dir.y), az = Math.abs(dir.z);
+    let face;
+    if (ax >= ay && ax >= az) face = dir.x > 0 ? 0 : 1;
+    else if (ay >= az) face = dir.y > 0 ? 2 : 3;
+    else face = dir.z > 0 ? 4 : 5;
+
+    const f = CUBE_FACES[face];
+    const n = Math.abs(dir.dot(f.normal));
+    const a = dir.dot(f.u) / n;
+    const b = dir.dot(f.v) / n;
+    // Inverse of the tangent warp used in _faceToDirection
+    return {
+      face,
+      u: (Math.atan(a) / (Math.PI / 4) + 1) * 0.5,
+      v: (Math.atan(b) / (Math.PI / 4) + 1) * 0.5
+    };
+  }
+
+  // --- Internals ---
+
+  /**
+   * Face coordinates to unit direction. The tangent warp evens out tile sizes
+   * compared to a plain normalized cube (u/v outside [0, 1] land on neighbor faces).
+   * @private
+   */
+  _faceToDirection(faceIndex, u, v, target) {
+    const f = CUBE_FACES[faceIndex];
+    const a = Math.tan((u * 2 - 1) * Math.PI / 4);
+    const b = Math.tan((v * 2 - 1) * Math.PI / 4);
+    return target.copy(f.normal)
+      .addScaledVector(f.u, a)
+      .addScaledVector(f.v, b)
+      .normalize();
+  }
+
+  /**
+   * @private
+   */
+  _createNode(face, level, x, y, parent) {
+    const tiles = 1 << level;
+    const centerDir = this._faceToDirection(face, (x + 0.5) / tiles, (y + 0.5) / tiles, new THREE.Vector3());
+    const cornerDir = this._faceToDirection(face, x / tiles, y / tiles, new THREE.Vector3());
+    const centerHeight = this.options.getHeight(centerDir);
+
+    return {
+      face,
+      level,
+      x,
+      y,
+      parent,
+      children: null,
+      mesh: null,
+      showingChildren: false,
+      stitchKey: null,
+      centerDir,
+      centerPosition: centerDir.clone().multiplyScalar(this.options.radius + centerHeight),
+      // Arc length of a tile edge, used for split distance
+      size: this.options.radius * (Math.PI / 2) / tiles,
+      angularRadius: Math.acos(Math.min(Math.max(centerDir.dot(cornerDir), -1), 1))
+    };
+  }
+
+  /**
+   * @private
+   * @returns {boolean} True if the set of displayed tiles changed
+   */
+  _updateNode(node, budget) {
+    const distance = node.centerPosition.distanceTo(this._cameraPosition);
+    const wantSplit = node.level < this.options.maxLevel &&
+                      distance < node.size * this.options.splitFactor;
+    let changed = false;
+
+    if (wantSplit) {
+      if (!node.children) {
+        const cx = node.x * 2, cy = node.y * 2, level = node.level + 1;
+        node.children = [
+          this._createNode(node.face, level, cx, cy, node),
+          this._createNode(node.face, level, cx + 1, cy, node),
+          this._createNode(node.face, level, cx, cy + 1, node),
+          this._createNode(node.face, level, cx + 1, cy + 1, node)
+        ];
+      }
+
+      // Build children within budget - keep showing this tile until all four are ready
+      let ready = true;
+      for (const child of node.children) {
+        if (child.mesh) continue;
+        if (budget.remaining > 0) {
+          this._buildTile(child);
+          budget.remaining--;
+        } else {
+          ready = false;
+        }
+      }
+
+      if (ready) {
+        if (!node.showingChildren) {
+          node.showingChildren = true;
+          if (node.mesh) node.mesh.visible = false;
+          changed = true;
+        }
+        for (const child of node.children) {
+          changed = this._updateNode(child, budget) || changed;
+        }
+      } else {
+        node.children.forEach(child => this._hideSubtree(child));
+        changed = this._showNode(node) || changed;
+      }
+    } else {
+      if (node.children) {
+        node.children.forEach(child => this._disposeNode(child));
+        node.children = null;
+        changed = true;
+      }
+      changed = this._showNode(node) || changed;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Display this node's own tile
+   * @private
+   */
+  _showNode(node) {
+    const wasShowing = !node.showingChildren && node.mesh?.visible;
+    node.showingChildren = false;
+    if (!node.mesh) this._buildTile(node);
+    node.mesh.visible = true;
+    return !wasShowing;
+  }
+
+  /**
+   * @private
+   */
+  _hideSubtree(node) {
+    if (node.mesh) node.mesh.visible = false;
+    node.showingChildren = false;
+    node.children?.forEach(child => this._hideSubtree(child));
+  }
+
+  /**
+   * @private
+   */
+  _disposeNode(node) {
+    node.children?.forEach(child => this._disposeNode(child));
+    node.children = null;
+    if (node.mesh) {
+      this.group.remove(node.mesh);
+      node.mesh.geometry.dispose();
+      node.mesh = null;
+      this.tileCount--;
+    }
+  }
+
+  /**
+   * Index data shared by all tiles (same grid topology everywhere). Each tile
+   * wraps it in its own attribute so disposing one tile never frees another's buffer.
+   * @private
+   */
+  _createIndexArray(n) {
+    const indices = [];
+    const row = n + 1;
+    for (let j = 0; j < n; j++) {
+      for (let i = 0; i < n; i++) {
+        const a = j * row + i;
+        const b = a + 1;
+        const c = a + row + 1;
+        const d = a + row;
+        indices.push(a, b, c, a, c, d);
+      }
+    }
+    return new Uint16Array(indices);
+  }
+
+  /**
+   * Create the mesh for a node
+   * @private
+   */
+  _buildTile(node) {
+    const n = this.options.tileResolution;
+    const vertexCount = (n + 1) * (n + 1);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(new THREE.BufferAttribute(this._indexArray, 1));
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    if (this.options.getColor) {
+      geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    }
+    this._fillTileGeometry(node, geometry);
+
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.name = `PlanetTile_${CUBE_FACES[node.face].name}_${node.level}_${node.x}_${node.y}`;
+    mesh.receiveShadow = true;
+    mesh.visible = false;
+    mesh.userData.terrainTile = true;
+    this.group.add(mesh);
+
+    node.mesh = mesh;
+    this.tileCount++;
+  }
+
+  /**
+   * Sample heights and analytic normals for a tile, keeping unstitched
+   * positions so stitching can be re-applied when neighbors change
+   * @private
+   */
+  _fillTileGeometry(node, geometry) {
+    const n = this.options.tileResolution;
+    const tiles = 1 << node.level;
+    const R = this.options.radius;
+    const getHeight = this.options.getHeight;
+    const eps = this.options.normalEpsilon;
+
+    const positions = geometry.getAttribute('position');
+    const normals = geometry.getAttribute('normal');
+    const colors = geometry.getAttribute('color');
+    const getColor = this.options.getColor;
+    const color = this._tmpColor || (this._tmpColor = new THREE.Color());
+    const base = node.basePositions || new Float32Array(positions.array.length);
+
+    const dir = this._tmpDir;
+    const sampleDir = this._tmpDir2;
+    const tA = this._tmpTangentA;
+    const tB = this._tmpTangentB;
+    const p0 = new THREE.Vector3();
+    const p1 = new THREE.Vector3();
+    const p2 = new THREE.Vector3();
+
+    for (let j = 0; j <= n; j++) {
+      for (let i = 0; i <= n; i++) {
+        const idx = j * (n + 1) + i;
+        this._faceToDirection(node.face, (node.x + i / n) / tiles, (node.y + j / n) / tiles, dir);
+        const h = getHeight(dir);
+        p0.copy(dir).multiplyScalar(R + h);
+        base[idx * 3] = p0.x;
+        base[idx * 3 + 1] = p0.y;
+        base[idx * 3 + 2] = p0.z;
+
+        if (colors && getColor) {
+          getColor(dir, h, color);
+          colors.setXYZ(idx, color.r, color.g, color.b);
+        }
+
+        // Analytic-style normal from two nearby height samples along the surface tangents
+        tA.set(0, 1, 0).cross(dir);
+        if (tA.lengthSq() < 1e-6) tA.set(1, 0, 0).cross(dir);
+        tA.normalize();
+        tB.crossVectors(dir, tA);
+
+        sampleDir.copy(dir).addScaledVector(tA, eps).normalize();
+        p1.copy(sampleDir).multiplyScalar(R + getHeight(sampleDir)).sub(p0);
+        sampleDir.copy(dir).addScaledVector(tB, eps).normalize();
+        p2.copy(sampleDir).multiplyScalar(R + getHeight(sampleDir)).sub(p0);
+
+        p1.cross(p2).normalize();
+        if (p1.dot(dir) < 0) p1.negate();
+        normals.setXYZ(idx, p1.x, p1.y, p1.z);
+      }
+    }
+
+    node.basePositions = base;
+    positions.array.set(base);
+    positions.needsUpdate = true;
+    normals.needsUpdate = true;
+    if (colors) colors.needsUpdate = true;
+    geometry.computeBoundingSphere();
+  }
+
+  /**
+   * Find the level of the displayed tile covering a direction
+   * @private
+   */
+  _displayedLevelAt(dir) {
+    const { face, u, v } = QuadTreeTerrain.directionToFace(dir);
+    let node = this.roots[face];
+    while (node.showingChildren && node.children) {
+      const tiles = 1 << (node.level + 1);
+      const cx = Math.min(Math.floor(u * tiles), tiles - 1) - node.x * 2;
+      const cy = Math.min(Math.floor(v * tiles), tiles - 1) - node.y * 2;
+      node = node.children[Math.max(0, Math.min(1, cy)) * 2 + Math.max(0, Math.min(1, cx))];
+    }
+    return node.level;
+  }
+
+  /**
+   * For every displayed tile, snap edge vertices to coarser neighbors
+   * @private
+   */
+  _updateStitching() {
+    const leaves = [];
+    const collect = (node) => {
+      if (node.showingChildren && node.children) node.children.forEach(collect);
+      else if (node.mesh) leaves.push(node);
+    };
+    this.roots.forEach(collect);
+    this.leafCount = leaves.length;
+
+    const probe = this._tmpDir2;
+    for (const node of leaves) {
+      const tiles = 1 << node.level;
+      const step = 0.25 / (tiles * this.options.tileResolution); // Just past the edge
+      const mu = (node.x + 0.5) / tiles;
+      const mv = (node.y + 0.5) / tiles;
+      const u0 = node.x / tiles, u1 = (node.x + 1) / tiles;
+      const v0 = node.y / tiles, v1 = (node.y + 1) / tiles;
+
+      const probes = [
+        [mu, v0 - step], // bottom
+        [u1 + step, mv], // right
+        [mu, v1 + step], // top
+        [u0 - step, mv]  // left
+      ];
+
+      const diffs = probes.map(([pu, pv]) => {
+        this._faceToDirection(node.face, pu, pv, probe);
+        return Math.max(0, node.level - this._displayedLevelAt(probe));
+      });
+
+      const key = diffs.join(',');
+      if (key === node.stitchKey) continue;
+      node.stitchKey = key;
+      this._applyStitching(node, diffs);
+    }
+  }
+
+  /**
+   * Copy base positions and move odd edge vertices onto the coarse neighbor's edge
+   * @param {Object} node - Tile node
+   * @param {number[]} diffs - Level difference per edge (bottom, right, top, left)
+   * @private
+   */
+  _applyStitching(node, diffs) {
+    const n = this.options.tileResolution;
+    const row = n + 1;
+    const base = node.basePositions;
+    const positions = node.mesh.geometry.getAttribute('position');
+    const out = positions.array;
+    out.set(base);
+
+    EDGES.forEach((edge, e) => {
+      if (diffs[e] <= 0) return;
+      const stride = Math.min(1 << diffs[e], n);
+
+      // Vertex index along this edge for parameter t in [0, n]
+      const vertexAt = (t) => {
+        switch (edge) {
+          case 'bottom': return t;
+          case 'top': return n * row + t;
+          case 'left': return t * row;
+          default: return t * row + n; // right
+        }
+      };
+
+      for (let t = 0; t <= n; t++) {
+        const r = t % stride;
+        if (r === 0) continue;
+        const a = vertexAt(t - r);
+        const b = vertexAt(t - r + stride);
+        const k = r / stride;
+        const idx = vertexAt(t);
+        for (let c = 0; c < 3; c++) {
+          out[idx * 3 + c] = base[a * 3 + c] + (base[b * 3 + c] - base[a * 3 + c]) * k;
+        }
+      }
+    });
+
+    positions.needsUpdate = true;
+  }
+}
@@ -0,0 +1,318 @@
+import * as THREE from 'three';
+
+/**
+ * Season presets. Foliage tints blend each species' own leaf color toward `color` by `amount`
+ * (0 = untouched). The rest are multipliers read by the listening systems:
+ * - appleGrowth / appleFall: AppleSystem growth and drop chances (0 = no new apples)
+ * - blossoms:     young apples show as blossoms first
+ * - deerForage:   DeerSystem apple detection radius
+ * - birdFraction: share of the flock that stays (the rest migrates)
+ */
+export const SEASONS = {
+  spring: {
+    foliage: {
+      appleTree: { color: 0xf2c4d8, amount: 0.45 }, // Pink blossom
+      pineTree:  { color: 0x4f8a3a, amount: 0.25 }, // Fresh growth
+      broadleaf: { color: 0x9fd45a, amount: 0.35 }  // Light new leaves (oak, birch, willow, bush)
+    },
+    appleGrowth: 1.5, appleFall: 0.3, blossoms: true, deerForage: 1.0, birdFraction: 1.0
+  },
+  summer: {
+    foliage: {
+      appleTree: { color: 0x2f6a1e, amount: 0.2 },
+      pineTree:  { color: 0x1f4a1f, amount: 0.0 },
+      broadleaf: { color: 0x2f6a1e, amount: 0.15 }
+    },
+    appleGrowth: 1.0, appleFall: 1.0, blossoms: false, deerForage: 0.8, birdFraction: 1.0
+  },
+  autumn: {
+    foliage: {
+      appleTree: { color: 0xc8642a, amount: 0.75 }, // Orange/russet
+      pineTree:  { color: 0x3a4a22, amount: 0.2 },
+      broadleaf: { color: 0xd9a03a, amount: 0.8 }   // Gold
+    },
+    appleGrowth: 0.3, appleFall: 4.0, blossoms: false, deerForage: 1.6, birdFraction: 0.6
+  },
+  winter: {
+    foliage: {
+      appleTree: { color: 0x8a7f70, amount: 0.8 },  // Bare grey-brown
+      pineTree:  { color: 0xe8eef2, amount: 0.4 },  // Snow-dusted
+      broadleaf: { color: 0x7a6a58, amount: 0.85 }  // Bare brown
+    },
+    appleGrowth: 0.0, appleFall: 2.0, blossoms: false, deerForage: 2.0, birdFraction: 0.3
+  }
+};
+
+export const SEASON_ORDER = ['spring', 'summer', 'autumn', 'winter'];
+
+const NUMBER_KEYS = ['appleGrowth', 'appleFall', 'deerForage', 'birdFraction'];
+const _tint = new THREE.Color();
+
+/**
+ * Season clock - spring, summer, autumn, winter over a configurable year.
+ *
+ * Recolors tree foliage (meshes flagged userData.isFoliage by LowPolyGenerator, plus instanced
+ * props through InstancedPropSystem.setFoliageTint) and publishes a blended season state to
+ * listeners through setSeason(season, state) (or a plain function). The last `transition`
+ * fraction of each season blends into the next one, so nothing snaps.
+ */
+export default class SeasonSystem {
+  /**
+   * Create the season clock
+   * @param {THREE.Scene} scene - The scene (searched for foliage meshes)
+   * @param {Object} options - Configuration options
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.options = Object.assign({
+      yearLength: 2400,         // Real seconds per year (four seasons)
+      startSeason: 'spring',
+      startProgress: 0.1,       // How far into the start season the clock begins, 0-1
+      timeScale: 1.0,           // 0 pauses the clock
+      transition: 0.25,         // Fraction at the end of each season spent blending into the next
+      seasons: SEASONS,
+      instancedProps: null,     // InstancedPropSystem whose foliage follows the season
+      publishInterval: 1.0,     // Seconds between listener and foliage updates
+      rescanInterval: 10        // Seconds between searches for newly placed trees
+    }, options);
+
+    const startIndex = Math.max(0, SEASON_ORDER.indexOf(this.options.startSeason));
+    this.time = (startIndex + THREE.MathUtils.clamp(this.options.startProgress, 0, 1)) / SEASON_ORDER.length;
+    this.listeners = [];
+    this.foliageMeshes = [];
+    this._publishTimer = 0;
+    this._rescanTimer = 0;
+    this._appliedFoliage = {}; // Last tint per species, so unchanged foliage isn't rewritten
+
+    // Reused state published to listeners
+    this.state = {
+      season: SEASON_ORDER[startIndex],
+      nextSeason: SEASON_ORDER[(startIndex + 1) % SEASON_ORDER.length],
+      progress: 0,              // 0-1 through the current season
+      blend: 0,                 // 0-1 toward the next season
+      yearTime: this.time,      // 0-1 through the year
+      appleGrowth: 1,
+      appleFall: 1,
+      blossoms: false,
+      deerForage: 1,
+      birdFraction: 1,
+      foliage: {}               // species -> { color: THREE.Color, amount }
+    };
+
+    this._sampleSeasons();
+    this.refreshFoliage();
+    console.log(`[SeasonSystem] Year length ${this.options.yearLength}s, starting in ${this.state.season}`);
+  }
+
+  /**
+   * Register a system that reacts to the season
+   * @param {Object|Function} listener - Object with setSeason(season, state), or a function
+   * @returns {Object|Function} The listener
+   */
+  addListener(listener) {
+    if (!listener || this.listeners.includes(listener)) return listener;
+    this.listeners.push(listener);
+    this._notify(listener);
+    return listener;
+  }
+
+  /**
+   * Stop sending season updates to a listener
+   * @param {Object|Function} listener - A registered listener
+   */
+  removeListener(listener) {
+    const index = this.listeners.indexOf(listener);
+    if (index !== -1) this.listeners.splice(index, 1);
+  }
+
+  /**
+   * Advance the clock, recolor foliage and update listeners
+   * @param {number} delta - Time since last frame in seconds
+   */
+  update(delta) {
+    if (this.options.yearLength > 0) {
+      this.time = THREE.MathUtils.euclideanModulo(
+        this.time + delta * this.options.timeScale / this.options.yearLength, 1
+      );
+    }
+
+    this._rescanTimer += delta;
+    if (this._rescanTimer >= this.options.rescanInterval) {
+      this._rescanTimer = 0;
+      this._findFoliage();
+    }
+
+    this._publishTimer += delta;
+    if (this._publishTimer < this.options.publishInterval) return;
+    this._publishTimer = 0;
+
+    this._sampleSeasons();
+    this._applyFoliage();
+    this.listeners.forEach(listener => this._notify(listener));
+  }
+
+  /**
+   * Jump to a season
+   * @param {string} name - 'spring', 'summer', 'autumn' or 'winter'
+   * @param {number} progress - How far into the season, 0-1
+   * @returns {boolean} True if the season exists
+   */
+  setSeason(name, progress = 0) {
+    const index = SEASON_ORDER.indexOf(name);
+    if (index === -1) {
+      console.warn(`[SeasonSystem] Unknown season "${name}"`);
+      return false;
+    }
+    this.time = (index + THREE.MathUtils.clamp(progress, 0, 0.999)) / SEASON_ORDER.length;
+    this._sampleSeasons();
+    this._applyFoliage();
+    this.listeners.forEach(listener => this._notify(listener));
+    return true;
+  }
+
+  /**
+   * @returns {string} Name of the current season
+   */
+  getSeason() {
+    return this.state.season;
+  }
+
+  /**
+   * Change how long a year lasts (0 stops the clock)
+   * @param {number} seconds - Real seconds per year
+   */
+  setYearLength(seconds) {
+    this.options.yearLength = Math.max(0, seconds);
+  }
+
+  /**
+   * Search the scene for foliage again and recolor it now (e.g. after regenerating the world)
+   * @returns {number} Foliage meshes found
+   */
+  refreshFoliage() {
+    this._findFoliage();
+    this._appliedFoliage = {};
+    this._applyFoliage();
+    return this.foliageMeshes.length;
+  }
+
+  /**
+   * Restore the original foliage colors and stop notifying listeners
+   */
+  dispose() {
+    this.foliageMeshes.forEach(mesh => {
+      const base = mesh.material?.userData?.seasonBaseColor;
+      if (base) mesh.material.color.copy(base);
+    });
+    const props = this.options.instancedProps;
+    if (props) {
+      Object.keys(this.state.foliage).forEach(type => props.setFoliageTint(type, _tint.set(0xffffff), 0));
+    }
+    this.foliageMeshes = [];
+    this.listeners = [];
+  }
+
+  /**
+   * Collect foliage meshes (instanced props have no meshes of their own, so they're skipped)
+   * @private
+   */
+  _findFoliage() {
+    const meshes = [];
+    this.scene.traverse(object => {
+      if (object.isMesh && !object.isInstancedMesh && object.userData.isFoliage && object.material?.color) {
+        meshes.push(object);
+      }
+    });
+    // Newly placed trees need the current tint
+    if (meshes.some(mesh => !this.foliageMeshes.includes(mesh))) this._appliedFoliage = {};
+    this.foliageMeshes = meshes;
+  }
+
+  /**
+   * Blend the current season into the next and fill this.state
+   * @private
+   */
+  _sampleSeasons() {
+    const count = SEASON_ORDER.length;
+    const scaled = this.time * count;
+    const index = Math.floor(scaled) % count;
+    const progress = scaled - Math.floor(scaled);
+    const transition = THREE.MathUtils.clamp(this.options.transition, 0.001, 1);
+    const blend = THREE.MathUtils.smoothstep(progress, 1 - transition, 1);
+
+    const state = this.state;
+    state.season = SEASON_ORDER[index];
+    state.nextSeason = SEASON_ORDER[(index + 1) % count];
+    state.progress = progress;
+    state.blend = blend;
+    state.yearTime = this.time;
+
+    const current = this.options.seasons[state.season];
+    const next = this.options.seasons[state.nextSeason];
+    NUMBER_KEYS.forEach(key => {
+      state[key] = THREE.MathUtils.lerp(current[key] ?? 1, next[key] ?? 1, blend);
+    });
+    state.blossoms = blend < 0.5 ? !!current.blossoms : !!next.blossoms;
+
+    // Blending two tints of the same base is another tint of that base:
+    // amount = a1(1-b) + a2 b, color = (c1 a1 (1-b) + c2 a2 b) / amount
+    const species = new Set([...Object.keys(current.foliage || {}), ...Object.keys(next.foliage || {})]);
+    species.forEach(type => {
+      const from = current.foliage?.[type] || { color: 0xffffff, amount: 0 };
+      const to = next.foliage?.[type] || { color: 0xffffff, amount: 0 };
+      const weightFrom = from.amount * (1 - blend);
+      const weightTo = to.amount * blend;
+      const amount = weightFrom + weightTo;
+
+      const tint = state.foliage[type] || (state.foliage[type] = { color: new THREE.Color(), amount: 0 });
+      tint.amount = amount;
+      if (amount > 1e-4) {
+        tint.color.set(from.color).multiplyScalar(weightFrom / amount)
+          .add(_tint.set(to.color).multiplyScalar(weightTo / amount));
+      }
+    });
+  }
+
+  /**
+   * Recolor foliage meshes and instanced props for species whose tint changed
+   * @private
+   */
+  _applyFoliage() {
+    const changed = {};
+    Object.entries(this.state.foliage).forEach(([type, tint]) => {
+      const applied = this._appliedFoliage[type];
+      if (applied && Math.abs(applied.amount - tint.amount) < 0.002 && applied.color.equals(tint.color)) return;
+      changed[type] = tint;
+      this._appliedFoliage[type] = { amount: tint.amount, color: tint.color.clone() };
+    });
+    if (Object.keys(changed).length === 0) return;
+
+    this.foliageMeshes.forEach(mesh => {
+      const tint = changed[mesh.userData.foliageType || 'appleTree'];
+      if (!tint) return;
+      // Keep the original on the material - trees may share one
+      const material = mesh.material;
+      if (!material.userData.seasonBaseColor) material.userData.seasonBaseColor = material.color.clone();
+      material.color.copy(material.userData.seasonBaseColor).lerp(tint.color, tint.amount);
+    });
+
+    const props = this.options.instancedProps;
+    if (props) {
+      Object.entries(changed).forEach(([type, tint]) => props.setFoliageTint(type, tint.color, tint.amount));
+    }
+  }
+
+  /**
+   * Send the season to one listener
+   * @private
+   */
+  _notify(listener) {
+    const { season } = this.state;
+    try {
+      if (typeof listener === 'function') listener(season, this.state);
+      else if (typeof listener.setSeason === 'function') listener.setSeason(season, this.state);
+    } catch (error) {
+      console.warn('[SeasonSystem] Listener failed:', error);
+    }
+  }
+}
@@ -0,0 +1,285 @@
+import * as THREE from 'three';
+
+/**
+ * Spatial hash over objects standing on the planet.
+ *
+ * Items are bucketed by their direction from the planet center (a 3D grid over
+ * the unit sphere), so a tall tree trunk and a point halfway up it land in the
+ * same cells. Each item is stored in every cell its footprint touches, which
+ * keeps queries to a handful of cell lookups instead of a scan of every object.
+ */
+export default class SpatialHash {
+  /**
+   * Create a new spatial hash
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      cellSize: 0.05,    // Cell edge in unit-sphere units (~20 world units at R=400)
+      minRadius: 360,    // Smallest distance from center used to turn world sizes into angles (conservative)
+      defaultRadius: 1.0 // Footprint for items without a radius
+    }, options);
+
+    this.cells = new Map();     // cell key -> array of items
+    this.itemCells = new Map(); // item -> array of cell keys it occupies
+    this.queryStamp = 0;        // Incremented per query to dedupe items stored in several cells
+
+    // Scratch vectors so per-frame queries don't allocate
+    this._dir = new THREE.Vector3();
+    this._from = new THREE.Vector3();
+    this._to = new THREE.Vector3();
+    this._point = new THREE.Vector3();
+  }
+
+  /**
+   * Number of indexed items
+   * @returns {number} Item count
+   */
+  get size() {
+    return this.itemCells.size;
+  }
+
+  /**
+   * Add an item. It needs a `direction` (or `position`) and optionally a `radius`.
+   * @param {Object} item - Collidable-like object
+   * @returns {boolean} Whether the item was indexed
+   */
+  insert(item) {
+    if (!item || this.itemCells.has(item)) return false;
+
+    const dir = this._itemDirection(item);
+    if (!dir) return false;
+
+    const footprint = this._itemFootprint(item);
+    const keys = [];
+    this._forEachCell(dir, footprint, key => {
+      let bucket = this.cells.get(key);
+      if (!bucket) {
+        bucket = [];
+        this.cells.set(key, bucket);
+      }
+      bucket.push(item);
+      keys.push(key);
+    });
+
+    this.itemCells.set(item, keys);
+    return true;
+  }
+
+  /**
+   * Remove an item
+   * @param {Object} item - Previously inserted item
+   * @returns {boolean} Whether the item was found
+   */
+  remove(item) {
+    const keys = this.itemCells.get(item);
+    if (!keys) return false;
+
+    for (const key of keys) {
+      const bucket = this.cells.get(key);
+      if (!bucket) continue;
+      const index = bucket.indexOf(item);
+      if (index !== -1) {
+        bucket[index] = bucket[bucket.length - 1];
+        bucket.pop();
+      }
+      if (bucket.length === 0) this.cells.delete(key);
+    }
+
+    this.itemCells.delete(item);
+    return true;
+  }
+
+  /**
+   * Re-index an item after it moved or changed size
+   * @param {Object} item - Item to update
+   * @returns {boolean} Whether the item is indexed afterwards
+   */
+  update(item) {
+    this.remove(item);
+    return this.insert(item);
+  }
+
+  /**
+   * Check whether an item is indexed
+   * @param {Object} item - Item to look for
+   * @returns {boolean} True if indexed
+   */
+  has(item) {
+    return this.itemCells.has(item);
+  }
+
+  /**
+   * Remove every item
+   */
+  clear() {
+    this.cells.clear();
+    this.itemCells.clear();
+  }
+
+  /**
+   * Rebuild the index from a list (items without a direction/position are skipped)
+   * @param {Array} items - Items to index
+   * @param {Function} filter - Optional (item) => boolean to choose what gets indexed
+   * @returns {number} Number of indexed items
+   */
+  rebuild(items, filter = null) {
+    this.clear();
+    for (const item of items) {
+      if (filter && !filter(item)) continue;
+      this.insert(item);
+    }
+    return this.size;
+  }
+
+  /**
+   * Find items whose footprint may be within `radius` of a point.
+   * This is a broad phase: callers still run their exact distance test.
+   * @param {THREE.Vector3} point - World position
+   * @param {number} radius - Search radius in world units
+   * @param {Array} results - Optional array to fill (cleared first)
+   * @param {Function} filter - Optional (item) => boolean
+   * @returns {Array} Candidate items
+   */
+  queryRange(point, radius, results = [], filter = null) {
+    results.length = 0;
+    const stamp = this._nextStamp();
+    this._collect(point, radius, results, filter, stamp);
+    return results;
+  }
+
+  /**
+   * Find items whose footprint may touch a swept sphere from `from` to `to`
+   * @param {THREE.Vector3} from - Segment start (world)
+   * @param {THREE.Vector3} to - Segment end (world)
+   * @param {number} radius - Sweep radius in world units
+   * @param {Array} results - Optional array to fill (cleared first)
+   * @param {Function} filter - Optional (item) => boolean
+   * @returns {Array} Candidate items
+   */
+  querySegment(from, to, radius, results = [], filter = null) {
+    results.length = 0;
+    const stamp = this._nextStamp();
+
+    // Sample the segment in direction space every half cell so no cell is skipped
+    const fromDir = this._from.copy(from).normalize();
+    const toDir = this._to.copy(to).normalize();
+    const span = fromDir.distanceTo(toDir);
+    const steps = Math.max(1, Math.ceil(span / (this.options.cellSize * 0.5)));
+
+    for (let i = 0; i <= steps; i++) {
+      this._point.copy(from).lerp(to, i / steps);
+      this._collect(this._point, radius, results, filter, stamp);
+    }
+    return results;
+  }
+
+  /**
+   * Debug statistics
+   * @returns {Object} Item, cell and bucket size info
+   */
+  getStats() {
+    let maxBucket = 0;
+    let totalEntries = 0;
+    for (const bucket of this.cells.values()) {
+      maxBucket = Math.max(maxBucket, bucket.length);
+      totalEntries += bucket.length;
+    }
+    return {
+      items: this.size,
+      cells: this.cells.size,
+      entries: totalEntries,
+      maxBucket,
+      averageBucket: this.cells.size ? +(totalEntries / this.cells.size).toFixed(2) : 0
+    };
+  }
+
+  // --- Internals ---
+
+  _nextStamp() {
+    this.queryStamp = (this.queryStamp + 1) % Number.MAX_SAFE_INTEGER;
+    return this.queryStamp;
+  }
+
+  /**
+   * Add items from the cells around one point (deduped by stamp)
+   * @private
+   */
+  _collect(point, radius, results, filter, stamp) {
+    const length = point.length();
+    if (length === 0) return;
+
+    const dir = this._dir.copy(point).divideScalar(length);
+    const footprint = this._toAngular(radius, length);
+
+    this._forEachCell(dir, footprint, key => {
+      const bucket = this.cells.get(key);
+      if (!bucket) return;
+      for (const item of bucket) {
+        if (item._spatialStamp === stamp) continue;
+        item._spatialStamp = stamp;
+        if (filter && !filter(item)) continue;
+        results.push(item);
+      }
+    });
+  }
+
+  /**
+   * Direction of an item from the planet center
+   * @private
+   */
+  _itemDirection(item) {
+    if (item.direction && item.direction.lengthSq() > 0) return item.direction;
+    const pos = item.position || item.mesh?.position;
+    if (!pos || pos.lengthSq() === 0) return null;
+    return this._dir.copy(pos).normalize();
+  }
+
+  /**
+   * Footprint of an item in unit-sphere units
+   * @private
+   */
+  _itemFootprint(item) {
+    const radius = Math.max(item.radius || this.options.defaultRadius, item.trunkRadius || 0);
+    const pos = item.position || item.mesh?.position;
+    return this._toAngular(radius, pos ? pos.length() : this.options.minRadius);
+  }
+
+  /**
+   * World distance at a given distance from center -> unit-sphere distance
+   * @private
+   */
+  _toAngular(radius, length) {
+    return radius / Math.max(1, Math.min(length, this.options.minRadius));
+  }
+
+  /**
+   * Visit the key of every cell overlapping a box around a unit direction
+   * @private
+   */
+  _forEachCell(dir, extent, callback) {
+    const size = this.options.cellSize;
+    const minX = Math.floor((dir.x - extent) / size), maxX = Math.floor((dir.x + extent) / size);
+    const minY = Math.floor((dir.y - extent) / size), maxY = Math.floor((dir.y + extent) / size);
+    const minZ = Math.floor((dir.z - extent) / size), maxZ = Math.floor((dir.z + extent) / size);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        for (let z = minZ; z <= maxZ; z++) {
+          callback(SpatialHash.cellKey(x, y, z));
+        }
+      }
+    }
+  }
+
+  /**
+   * Pack integer cell coordinates into one number
+   * @param {number} x - Cell x
+   * @param {number} y - Cell y
+   * @param {number} z - Cell z
+   * @returns {number} Cell key
+   */
+  static cellKey(x, y, z) {
+    return ((x + 1024) * 2048 + (y + 1024)) * 2048 + (z + 1024);
+  }
+}
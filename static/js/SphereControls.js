@@ -1,4 +1,13 @@
 import * as THREE from 'three';
+import { pushOutOfBox, getBoxSupportRadius } from './utils/boxColliders.js';
+import { createGravityBody, getDominantBody, getGravityStrength } from './utils/gravityBodies.js';
+import InputMap from './InputMap.js';
+
+// Climbable trunks (trees carry trunkRadius/trunkHeight from placeOnSphere)
+function isClimbable(obj) {
+  return !obj.noCollision && obj.position && obj.direction &&
+    (obj.objectType === 'tree' || obj.mesh?.userData?.isTree || obj.mesh?.userData?.isPineTree);
+}
 
 export default class SphereControls {
   constructor(camera, domElement, options = {}) {
@@ -12,6 +21,11 @@ export default class SphereControls {
     this.lookSpeed = options.lookSpeed || 0.002;
     this.pitchLimit = Math.PI / 2 - 0.1;
     this.collidables = options.collidables || [];
+    this.spatialIndex = options.spatialIndex || null; // NEW: Optional SpatialHash over collidables
+    this._nearbyCollidables = []; // Reused query results
+    this._nearbySupports = [];
+    this._feet = new THREE.Vector3();
+    this._boxPush = new THREE.Vector3();
     this.playerRadius = options.playerRadius || 1.0;
     
     // Add new fixed offset above terrain (player "foot" level)
@@ -27,6 +41,35 @@ export default class SphereControls {
       crouchSpeedMultiplier: 0.7,
       crouchTransitionTime: 0.2,
       getSpeedMultiplier: () => 1.0,
+      // NEW: Water - (dir) => surface height relative to sphereRadius, or null where dry
+      getWaterLevel: null,
+      swimDepth: null,          // Immersion that starts swimming (default: half the eye height)
+      floatDepth: null,         // How deep the player floats at rest (default: 70% of the eye height)
+      swimSpeedFactor: 0.45,    // Move speed while swimming
+      wadeSpeedFactor: 0.7,     // Move speed in water too shallow to swim
+      buoyancy: 8.0,            // Spring pulling the player back to floatDepth
+      waterDrag: 2.5,           // Vertical damping per second in water
+      swimUpSpeed: 14.0,        // Acceleration while holding jump underwater
+      diveSpeed: 18.0,          // Acceleration while holding crouch in water
+      // NEW: Box colliders (cabin walls, floors)
+      boxCollisionRadius: null, // Body radius against walls (default: playerRadius, at most 2.5 so doors fit)
+      stepHeight: 2.0,          // Ledges up to this high are stepped onto instead of blocking
+      // NEW: Multi-body gravity (see utils/gravityBodies.js) - bodies[0] is the home planet
+      bodies: null,             // null = one body from sphereRadius/getTerrainHeight/getWaterLevel
+      reorientSpeed: 3.0,       // How fast "up" turns toward a new body (per second)
+      reorientDuration: 1.5,    // Seconds of smooth turning after switching bodies
+      launchSpeed: 320,         // Launch pad speed
+      launchGuidance: 1.5,      // How fast a launch bends toward its target (per second)
+      // NEW: Named input actions (see InputMap.js) - created here if not shared
+      input: null,
+      // NEW: Tree climbing - grab a trunk, climb up/down, circle it, wall-jump off it
+      canClimb: true,
+      grabDistance: 2.5,        // Reach beyond the trunk surface
+      climbSpeed: 12.0,         // Up/down along the trunk
+      circleSpeed: 10.0,        // Around the trunk
+      wallJumpBoost: 1.1,       // Wall-jump speed along the look direction (x jump force)
+      wallJumpLift: 0.45,       // Extra push along up (x jump force)
+      regrabDelay: 0.3,         // Seconds after a wall-jump before a trunk can be grabbed again
       // Include other options that might be managed via this.options if any
       // For now, these match the keys from the original Object.assign structure
     };
@@ -69,6 +112,39 @@ export default class SphereControls {
         this.options.getSpeedMultiplier = defaultOptions.getSpeedMultiplier;
     }
 
+    if (typeof this.options.boxCollisionRadius !== 'number') {
+      this.options.boxCollisionRadius = Math.min(this.playerRadius, 2.5);
+    }
+
+    // Water depths scale with the player's eye height unless set explicitly
+    const eyeHeight = options.eyeHeight || 6.6;
+    if (typeof this.options.swimDepth !== 'number') this.options.swimDepth = eyeHeight * 0.5;
+    if (typeof this.options.floatDepth !== 'number') this.options.floatDepth = eyeHeight * 0.7;
+
+    // NEW: Gravity bodies - the player stands on, falls toward and aligns with the dominant one
+    if (this.options.bodies?.length) {
+      this.bodies = this.options.bodies;
+      this.homeBody = this.bodies[0];
+      this.radius = this.homeBody.radius;
+      this.getTerrainHeight = this.homeBody.getTerrainHeight;
+    } else {
+      this.homeBody = createGravityBody({
+        name: 'planet',
+        radius: this.radius,
+        gravityRadius: Infinity,
+        getTerrainHeight: this.getTerrainHeight,
+        getWaterLevel: this.options.getWaterLevel
+      });
+      this.bodies = [this.homeBody];
+    }
+    this.body = this.homeBody;
+    this._bodyCenter = this.body.center.clone(); // Where the body was last frame (moving bodies carry the player)
+    this._bodyOffset = new THREE.Vector3();
+    this._launchDir = new THREE.Vector3();
+    this.reorientTime = 0;
+    this.launchTarget = null; // Body a launch is steering toward
+    this.launchSpeed = 0;
+
     // build yaw->pitch->camera hierarchy
     this.yawObject = new THREE.Object3D();
     this.pitchObject = new THREE.Object3D();
@@ -103,22 +179,24 @@ export default class SphereControls {
       .normalize();
     this.yawObject.lookAt(startPos.clone().add(forward0));
 
-    // input state
-    this.keys = {}; // Initialize as an empty object for general key states
+    // input state - movement, jump and crouch come from named actions, not raw keys
+    this.input = this.options.input || new InputMap({ element: this.domElement });
+    this._ownsInput = !this.options.input;
+    this._look = { yaw: 0, pitch: 0 };
+    this.moveInput = new THREE.Vector3(); // Last movement input in the player's frame (x right, z back)
     this.pitch = 0;
-    this.shiftProcessedKeyDown = false; // For Shift key single press vs. hold logic
+    this.shiftProcessedKeyDown = false; // For crouch single press vs. hold logic
 
     // bind
-    this.onKeyDown = this.onKeyDown.bind(this);
-    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onAction = this.onAction.bind(this);
     this.onMouseMove = this.onMouseMove.bind(this);
     this.onPointerLock = this.onPointerLock.bind(this);
 
     // listeners
-    document.addEventListener('keydown', this.onKeyDown);
-    document.addEventListener('keyup', this.onKeyUp);
+    this.input.addListener(this.onAction);
     document.addEventListener('pointerlockchange', this.onPointerLock);
-    this.domElement.addEventListener('click', ()=> this.domElement.requestPointerLock());
+    // Touch devices have no pointer lock (touch controls look around instead)
+    this.domElement.addEventListener('click', ()=> this.domElement.requestPointerLock?.());
 
     // Physics state
     this.velocity = new THREE.Vector3(0, 0, 0);
@@ -161,6 +239,24 @@ export default class SphereControls {
     // Wavedash state
     this.isWavedashing = false;
 
+    // NEW: Water state
+    this.waterLevel = null;   // Surface height over the player (null = dry)
+    this.immersion = 0;       // How far the player's feet are below the surface
+    this.isSwimming = false;
+    this.isWading = false;
+    this.waterExitTime = 0;   // Jumping out of the water ignores it briefly
+
+    // NEW: Climbing state
+    this.isClimbing = false;
+    this.climbTree = null;                  // Collidable entry of the trunk being climbed
+    this.climbTarget = null;                // Trunk within reach that can be grabbed
+    this.climbHeight = 0;                   // Feet height along the trunk axis
+    this.climbNormal = new THREE.Vector3(); // From the trunk axis toward the player
+    this.climbCooldown = 0;
+    this._nearbyTrees = [];
+    this._trunkOffset = new THREE.Vector3();
+    this._climbTurn = new THREE.Quaternion();
+
     // Add crouch state properties
     this.isCrouching = false;
     this.crouchToggled = false; // For toggle vs hold mode
@@ -174,7 +270,7 @@ export default class SphereControls {
   }
 
   startWavedash() {
-    if (this.options.canWavedash && !this.onGround && !this.isWavedashing) {
+    if (this.options.canWavedash && !this.onGround && !this.isWavedashing && !this.isSwimming) {
       this.isWavedashing = true;
       // console.log("SphereControls: Wavedash started");
     }
@@ -200,26 +296,53 @@ export default class SphereControls {
   }
 
   onMouseMove(e) {
-    const up = this.yawObject.position.clone().normalize();
+    this.applyLook(-e.movementX * this.lookSpeed, -e.movementY * this.lookSpeed);
+  }
+
+  /**
+   * Turn the view (mouse, gamepad stick, touch swipe)
+   * @param {number} yaw - Radians around the local up, positive turns left
+   * @param {number} pitch - Radians, positive looks up
+   */
+  applyLook(yaw, pitch) {
+    const up = this._getUp();
     // yaw
     const yawQ = new THREE.Quaternion()
-      .setFromAxisAngle(up, -e.movementX * this.lookSpeed);
+      .setFromAxisAngle(up, yaw);
     this.yawObject.quaternion.premultiply(yawQ);
 
     // pitch
     this.pitch = THREE.MathUtils.clamp(
-      this.pitch - e.movementY * this.lookSpeed,
+      this.pitch + pitch,
       -this.pitchLimit, this.pitchLimit
     );
     this.pitchObject.rotation.x = this.pitch;
   }
 
-  onKeyDown(e) { 
-    const key = e.key.toLowerCase();
-    this.keys[key] = true; 
-    
-    if (key === ' ' || key === 'spacebar') {
-      console.log("SPACEBAR PRESSED - jumpEnabled:", this.jumpEnabled, 
+  /**
+   * Input action pressed or released (see InputMap)
+   * @param {string} action - Action name
+   * @param {boolean} pressed - True on press, false on release
+   */
+  onAction(action, pressed) {
+    if (pressed) this.onActionDown(action);
+    else this.onActionUp(action);
+  }
+
+  onActionDown(action) { 
+    // NEW: Climbing - grab/let go, jump off the trunk, crouch drops down
+    if (action === 'climb') {
+      this.toggleClimb();
+      return;
+    }
+    if (this.isClimbing) {
+      if (action === 'jump') this.wallJump();
+      else if (action === 'crouch') this.stopClimb();
+      return;
+    }
+
+    if (action === 'jump') {
+      console.log("JUMP PRESSED - jumpEnabled:", this.jumpEnabled, 
                 "jumpsRemaining:", this.jumpsRemaining, 
                 "jumpCooldown:", this.jumpCooldown.toFixed(3),
                 "onGround:", this.onGround);
@@ -233,8 +356,14 @@ export default class SphereControls {
           this.cancelWavedash();
         }
 
+        // Jumping at the surface launches the player out of the water
+        if (this.isSwimming) {
+          this.isSwimming = false;
+          this.waterExitTime = 0.4;
+        }
+
         // Get local up direction
-        const upDir = this.yawObject.position.clone().normalize();
+        const upDir = this._getUp();
         
         // Apply jump impulse along up vector (radial direction)
         const jumpForce = this.jumpStrength * 7.5;
@@ -277,44 +406,41 @@ export default class SphereControls {
       }
     }
 
-    // Crouch and Wavedash initiation (Shift or S)
-    if (key === 'shift' && (e.code === 'ShiftLeft' || e.keyCode === 16)) {
+    // Crouch and Wavedash initiation (crouch or move back)
+    if (action === 'crouch') {
       if (!this.shiftProcessedKeyDown) {
         this.shiftProcessedKeyDown = true;
         const now = Date.now();
-        if (now - this.lastCrouchTime < 300) { // Double-tap Shift
+        if (now - this.lastCrouchTime < 300) { // Double-tap crouch
           this.toggleCrouch();
-        } else { // Single-tap Shift
+        } else { // Single-tap crouch
           if (!this.crouchToggled) { // If in hold-to-crouch mode
             this.startCrouch();
           }
         }
-        this.lastCrouchTime = now; // Record time of this shift press for next double-tap check
+        this.lastCrouchTime = now; // Record time of this crouch press for next double-tap check
       }
-    } else if (key === 's') {
+    } else if (action === 'moveBackward') {
       if (!this.onGround && this.options.canWavedash && !this.isWavedashing) {
         this.startWavedash(this.options.wavedashFastFallSpeed);
       }
     }
   }
   
-  onKeyUp(e) { 
-    const key = e.key.toLowerCase();
-    this.keys[key] = false;
-    
-    // On spacebar release, reset cooldown completely
-    if ((key === ' ' || key === 'spacebar') && this.jumpCooldown > 0) {
+  onActionUp(action) { 
+    // On jump release, reset cooldown completely
+    if (action === 'jump' && this.jumpCooldown > 0) {
       this.jumpCooldown = 0;
       console.log("Jump cooldown reset on key release");
     }
 
-    // Crouch and Wavedash cancellation (Shift or S)
-    if (key === 'shift' && (e.code === 'ShiftLeft' || e.keyCode === 16)) {
+    // Crouch and Wavedash cancellation (crouch or move back)
+    if (action === 'crouch') {
       this.shiftProcessedKeyDown = false; // Reset for the next press
       if (!this.crouchToggled) { // If in hold-to-crouch mode
         this.stopCrouch();
       }
-    } else if (key === 's') {
+    } else if (action === 'moveBackward') {
       if (this.isWavedashing) {
         this.cancelWavedash();
       }
@@ -325,19 +451,32 @@ export default class SphereControls {
     // Safety check - limit maximum delta time to prevent large jumps
     const dt = Math.min(deltaTime, 0.1);
     
+    // NEW: Ride along with a moving body and switch to whichever body pulls hardest
+    this._updateGravityBody();
+
+    // NEW: Camera turns from gamepad sticks and touch swipes
+    const look = this.input.consumeLook(this._look);
+    if (look.yaw || look.pitch) this.applyLook(look.yaw, look.pitch);
+
+    // NEW: Climbing replaces gravity, walking and ground contact
+    if (this.climbCooldown > 0) this.climbCooldown -= dt;
+    if (this.isClimbing && this._updateClimbing(dt)) {
+      this._applyCrouchState();
+      return;
+    }
+    
     const playerObj = this.yawObject;
-    const playerUp = playerObj.position.clone().normalize();
+    const playerUp = this._getUp();
     
     // *** SAFETY CHECK: Prevent falling below terrain ***
-    const pos = this.yawObject.position;
-    const dir = pos.clone().normalize();
-    const terrainHeight = this.getTerrainHeight(dir);
+    const dir = playerUp.clone();
+    const terrainHeight = this._getGroundHeight(dir);
     const terrainRadius = this.radius + terrainHeight;
     
-    if (pos.length() < terrainRadius + this.playerHeightOffset * 0.5) {
+    if (this._getDistanceFromBody() < terrainRadius + this.playerHeightOffset * 0.5) {
       // We're below terrain - correct position
       const safeHeight = terrainRadius + this.playerHeightOffset;
-      this.yawObject.position.copy(dir.multiplyScalar(safeHeight));
+      this._placeAtRadius(dir, safeHeight);
       this.velocity.set(0, 0, 0);
       this.onGround = true;
       this.isJumping = false;
@@ -347,8 +486,14 @@ export default class SphereControls {
     // REMOVED: Height safety check and teleporting function
     // No longer limiting maximum height above ground
 
-    // Progressive gravity when not on ground
-    if (!this.onGround) {
+    // NEW: Swim in deep water, wade in the shallows
+    this._updateWaterState(dt, playerUp, terrainHeight);
+
+    if (this.isSwimming) {
+      // Buoyancy and drag replace gravity
+      this._applySwimForces(dt, playerUp);
+    } else if (!this.onGround) {
+      // Progressive gravity when not on ground
       this.airTime += dt;
       
       // Calculate gravity multiplier based on time in air
@@ -357,26 +502,21 @@ export default class SphereControls {
         1.0 + (this.airTime / this.gravityRampTime) * (this.maxGravityMultiplier - 1.0)
       );
       
-      // Create gravity vector pointing to planet center
+      // Create gravity vector pointing to the body's center
       const gravityVector = playerUp.clone().negate();
       
-      // Apply gravity force with progressive multiplier
-      this.velocity.addScaledVector(gravityVector, this.gravity * gravityMultiplier * dt * 60);
+      // Apply gravity force with progressive multiplier (scaled by the body's pull here)
+      const strength = getGravityStrength(this.body, playerObj.position);
+      this.velocity.addScaledVector(gravityVector, this.gravity * gravityMultiplier * strength * dt * 60);
     } else {
       this.airTime = 0;
     }
 
-    // Process keyboard input
-    const moveDir = new THREE.Vector3(0, 0, 0);
-    
-    if (this.keys['w']) moveDir.z -= 1;
-    if (this.keys['s']) moveDir.z += 1;
-    if (this.keys['d']) moveDir.x += 1;
-    if (this.keys['a']) moveDir.x -= 1;
-    
-    if (moveDir.length() > 0) {
-      moveDir.normalize();
-    }
+    // NEW: Launches bend toward their target body
+    if (this.launchTarget) this._steerLaunch(dt, playerUp);
+
+    // Process movement input
+    const moveDir = this._readMoveInput();
     
     // Create movement direction and basis vectors
     let worldMoveDir = null;
@@ -398,12 +538,22 @@ export default class SphereControls {
     }
     
     // Apply movement forces
-    const speedMultiplier = this.options.getSpeedMultiplier();
+    const speedMultiplier = this.options.getSpeedMultiplier() * (this.isWading ? this.options.wadeSpeedFactor : 1.0);
     const effectiveMoveSpeed = this.options.moveSpeed * speedMultiplier;
     const effectiveMaxGroundSpeed = this.options.maxGroundSpeed * speedMultiplier;
     const effectiveMaxAirSpeed = this.options.maxAirSpeed * speedMultiplier;
 
-    if (worldMoveDir) {
+    if (this.isSwimming) {
+      // Paddle: ease horizontal velocity toward the (slower) swim speed
+      const upDir = playerUp.clone();
+      const verticalComponent = upDir.clone().multiplyScalar(this.velocity.dot(upDir));
+      const horizontalVel = this.velocity.clone().projectOnPlane(upDir);
+      const targetVel = worldMoveDir
+        ? worldMoveDir.clone().multiplyScalar(effectiveMoveSpeed * 2.0 * this.options.swimSpeedFactor)
+        : new THREE.Vector3();
+      horizontalVel.lerp(targetVel, Math.min(1, dt * 4));
+      this.velocity.copy(horizontalVel).add(verticalComponent);
+    } else if (worldMoveDir && !this.launchTarget) {
       if (this.onGround) {
         // Direct control on ground
         const groundControl = worldMoveDir.clone().multiplyScalar(effectiveMoveSpeed * 2.0);
@@ -438,15 +588,15 @@ export default class SphereControls {
       // Apply ground friction when not actively moving
       this.velocity.multiplyScalar(this.groundFriction);
     } else {
-      // Apply lighter air friction unless wavedashing (wavedash handles its own velocity)
-      if (!this.isWavedashing) {
+      // Apply lighter air friction unless wavedashing (wavedash handles its own velocity) or launched
+      if (!this.isWavedashing && !this.launchTarget) {
         this.velocity.multiplyScalar(this.airFriction);
       }
     }
 
     // Wavedash fast fall logic
-    if (this.isWavedashing && !this.onGround) {
-      const playerUp = this.yawObject.position.clone().normalize();
+    if (this.isWavedashing && !this.onGround && !this.isSwimming) {
+      const playerUp = this._getUp();
       const horizontalVel = this.velocity.clone().projectOnPlane(playerUp);
       const fastFallVerticalVelocity = playerUp.clone().negate().multiplyScalar(this.options.wavedashFastFallSpeed);
       
@@ -469,9 +619,13 @@ export default class SphereControls {
     
     // Skip ground check briefly after jumping to ensure player leaves ground
     const MIN_GUARANTEED_AIR_TIME = 0.12; // Slightly shorter guaranteed air time
-    if (this.isJumping && this.airTime < MIN_GUARANTEED_AIR_TIME) {
+    if (this.isSwimming) {
+      // Floating - the ground only matters once the water gets shallow
+      this.onGround = false;
+      this._alignUpToPlanet(dt);
+    } else if (this.isJumping && this.airTime < MIN_GUARANTEED_AIR_TIME) {
       // Only align up direction
-      this._alignUpToPlanet();
+      this._alignUpToPlanet(dt);
     } else {
       // Perform ground contact detection
       this._checkGroundContact(dt);
@@ -479,13 +633,18 @@ export default class SphereControls {
       // Align to terrain or planet
       if (this.onGround) {
         this._alignToTerrain();
+        // Landed before finishing the turn toward a new body - keep turning
+        if (this.reorientTime > 0) this._alignUpToPlanet(dt);
       } else {
-        this._alignUpToPlanet();
+        this._alignUpToPlanet(dt);
       }
     }
     
     // Check collisions with objects
     this._checkCollisions();
+
+    // NEW: Trunk within reach (HUD prompt, grab)
+    this.climbTarget = this._findClimbableTree();
     
     // Update jump cooldown
     if (this.jumpCooldown > 0) {
@@ -500,9 +659,278 @@ export default class SphereControls {
     this._applyCrouchState();
   }
 
-  // Align up direction to planet center
-  _alignUpToPlanet() {
-    const up = this.yawObject.position.clone().normalize();
+  /**
+   * Read the movement actions and analog axes into moveInput
+   * @returns {THREE.Vector3} Player-frame direction (x right, z back), at most length 1
+   * @private
+   */
+  _readMoveInput() {
+    const moveDir = this.moveInput.set(0, 0, 0);
+    
+    if (this.input.isDown('moveForward')) moveDir.z -= 1;
+    if (this.input.isDown('moveBackward')) moveDir.z += 1;
+    if (this.input.isDown('moveRight')) moveDir.x += 1;
+    if (this.input.isDown('moveLeft')) moveDir.x -= 1;
+
+    // NEW: Analog sticks add partial deflection (a light push walks slowly)
+    moveDir.x += this.input.getAxis('moveX');
+    moveDir.z += this.input.getAxis('moveY');
+    
+    if (moveDir.length() > 1) {
+      moveDir.normalize();
+    }
+    return moveDir;
+  }
+
+  /**
+   * Grab the trunk within reach, or let go when already climbing
+   * @returns {boolean} True when climbing afterwards
+   */
+  toggleClimb() {
+    if (this.isClimbing) {
+      this.stopClimb();
+      return false;
+    }
+    return this.startClimb();
+  }
+
+  /**
+   * Grab a tree trunk
+   * @param {Object} tree - Tree collidable (default: the one within reach)
+   * @returns {boolean} True if the player is now climbing
+   */
+  startClimb(tree = this.climbTarget) {
+    if (!tree || !this.options.canClimb || this.climbCooldown > 0 || this.launchTarget) return false;
+
+    // Height along the trunk and the side of the trunk the player is on
+    const offset = this.climbNormal.subVectors(this.yawObject.position, tree.position);
+    const along = offset.dot(tree.direction);
+    this.climbHeight = THREE.MathUtils.clamp(along, 0, this._getTrunkHeight(tree));
+    offset.addScaledVector(tree.direction, -along);
+    if (offset.lengthSq() < 1e-6) {
+      // Standing on the axis - hold on from behind the player
+      offset.set(0, 0, 1).applyQuaternion(this.yawObject.quaternion).projectOnPlane(tree.direction);
+    }
+    this.climbNormal.normalize();
+
+    this.climbTree = tree;
+    this.climbTarget = null;
+    this.isClimbing = true;
+    this.velocity.set(0, 0, 0);
+    this.onGround = false;
+    this.isJumping = false;
+    this.isSwimming = false;
+    this.airTime = 0;
+    this.jumpsRemaining = this.maxJumps; // Holding on restores the double jump
+    this.cancelWavedash();
+    if (this.isCrouching) this.stopCrouch();
+
+    this._placeOnTrunk();
+    return true;
+  }
+
+  /**
+   * Let go of the trunk (the player falls)
+   */
+  stopClimb() {
+    if (!this.isClimbing) return;
+    this.isClimbing = false;
+    this.climbTree = null;
+    this.airTime = 0;
+  }
+
+  /**
+   * Jump off the trunk in the look direction. Looking into the trunk bounces off it
+   * instead, so a wall-jump always leaves the tree.
+   */
+  wallJump() {
+    if (!this.isClimbing) return;
+    const normal = this.climbNormal.clone();
+    this.stopClimb();
+
+    const direction = this.camera.getWorldDirection(new THREE.Vector3());
+    const into = direction.dot(normal);
+    if (into < 0) direction.addScaledVector(normal, -2 * into); // Mirror off the bark
+    direction.normalize();
+
+    const jumpForce = this.jumpStrength * 7.5;
+    this.velocity.copy(direction).multiplyScalar(jumpForce * this.options.wallJumpBoost)
+      .addScaledVector(this._getUp(), jumpForce * this.options.wallJumpLift);
+
+    this.isJumping = true;
+    this.onGround = false;
+    this.jumpsRemaining = this.maxJumps - 1; // The wall-jump uses the first jump
+    this.jumpCooldown = 0.08;
+    this.climbCooldown = this.options.regrabDelay;
+  }
+
+  /**
+   * Move along and around the trunk from the movement input
+   * @param {number} dt - Frame time in seconds
+   * @returns {boolean} False if the player climbed down to the ground and let go
+   * @private
+   */
+  _updateClimbing(dt) {
+    const tree = this.climbTree;
+    const move = this._readMoveInput();
+
+    // Forward climbs up, back climbs down
+    this.climbHeight = Math.min(
+      this.climbHeight - move.z * this.options.climbSpeed * dt,
+      this._getTrunkHeight(tree)
+    );
+
+    // Strafing circles the trunk - the view turns with the player
+    if (move.x !== 0) {
+      const orbit = this._getTrunkRadius(tree) + this.playerRadius * 0.6;
+      this._climbTurn.setFromAxisAngle(tree.direction, move.x * this.options.circleSpeed * dt / orbit);
+      this.climbNormal.applyQuaternion(this._climbTurn);
+      this.yawObject.quaternion.premultiply(this._climbTurn);
+    }
+
+    this._placeOnTrunk();
+
+    // Back on the ground: step off the trunk
+    const up = this._getUp();
+    const ground = this.radius + this._getGroundHeight(up) + this.playerHeightOffset;
+    if (this.climbHeight <= 0 || (move.z > 0 && this._getDistanceFromBody() <= ground)) {
+      if (this._getDistanceFromBody() < ground) this._placeAtRadius(up, ground);
+      this.stopClimb();
+      this.onGround = true;
+      return false;
+    }
+
+    this._alignUpToPlanet(dt);
+    return true;
+  }
+
+  /**
+   * Put the player against the trunk at climbHeight on the climbNormal side
+   * @private
+   */
+  _placeOnTrunk() {
+    const tree = this.climbTree;
+    this.yawObject.position.copy(tree.position)
+      .addScaledVector(tree.direction, this.climbHeight)
+      .addScaledVector(this.climbNormal, this._getTrunkRadius(tree) + this.playerRadius * 0.6);
+  }
+
+  /**
+   * Nearest trunk the player can reach, or null
+   * @returns {Object|null} Tree collidable
+   * @private
+   */
+  _findClimbableTree() {
+    if (!this.options.canClimb || this.isClimbing || this.isSwimming || this.body !== this.homeBody || !this.collidables?.length) {
+      return null;
+    }
+    const pos = this.yawObject.position;
+    const reach = this.playerRadius + this.options.grabDistance;
+    const candidates = this.spatialIndex
+      ? this.spatialIndex.queryRange(pos, reach, this._nearbyTrees, isClimbable)
+      : this.collidables;
+
+    let best = null;
+    let bestGap = Infinity;
+    for (let i = 0; i < candidates.length; i++) {
+      const tree = candidates[i];
+      if (!isClimbable(tree)) continue;
+      const offset = this._trunkOffset.subVectors(pos, tree.position);
+      const along = offset.dot(tree.direction);
+      if (along < -1 || along > this._getTrunkHeight(tree)) continue;
+      // Gap between the player and the bark
+      const gap = offset.addScaledVector(tree.direction, -along).length() - this._getTrunkRadius(tree);
+      if (gap < reach && gap < bestGap) {
+        best = tree;
+        bestGap = gap;
+      }
+    }
+    return best;
+  }
+
+  /** @private */
+  _getTrunkRadius(tree) {
+    return tree.trunkRadius ?? Math.min(2.0, tree.radius || 1.0);
+  }
+
+  /** @private */
+  _getTrunkHeight(tree) {
+    return tree.trunkHeight || tree.collisionHeight || (tree.radius || 1.0) * 2;
+  }
+
+  /**
+   * Work out how deep the player is in water and switch between walking,
+   * wading and swimming
+   * @param {number} dt - Frame time in seconds
+   * @param {THREE.Vector3} up - Player up direction
+   * @param {number} terrainHeight - Ground height under the player
+   * @private
+   */
+  _updateWaterState(dt, up, terrainHeight) {
+    const wasSwimming = this.isSwimming;
+    this.waterLevel = this.body.getWaterLevel ? this.body.getWaterLevel(up) : null;
+
+    if (this.waterLevel === null) {
+      this.immersion = 0;
+      this.isSwimming = false;
+      this.isWading = false;
+      this.waterExitTime = 0;
+      return;
+    }
+
+    const feetHeight = this._getDistanceFromBody() - this.radius - this.playerHeightOffset;
+    this.immersion = this.waterLevel - feetHeight;
+    const waterDepth = this.waterLevel - terrainHeight;
+
+    if (this.waterExitTime > 0) {
+      this.waterExitTime -= dt;
+      this.isSwimming = false;
+    } else {
+      // Too shallow to float = the feet touch the bottom and the player walks
+      this.isSwimming = waterDepth > this.options.floatDepth && this.immersion > this.options.swimDepth;
+    }
+    this.isWading = !this.isSwimming && this.onGround && this.immersion > 0.3;
+
+    if (this.isSwimming) {
+      if (!wasSwimming) {
+        // Splash down: water soaks up most of the fall
+        const vertical = this.velocity.dot(up);
+        if (vertical < 0) this.velocity.addScaledVector(up, -vertical * 0.7);
+        this.cancelWavedash();
+      }
+      this.onGround = false;
+      this.isJumping = false;
+      this.airTime = 0;
+      // One jump to climb out, only when the head is above water
+      this.jumpsRemaining = this.immersion < this.options.floatDepth + 0.5 ? 1 : 0;
+    }
+  }
+
+  /**
+   * Buoyancy, swimming up/diving and water drag along the up axis
+   * @param {number} dt - Frame time in seconds
+   * @param {THREE.Vector3} up - Player up direction
+   * @private
+   */
+  _applySwimForces(dt, up) {
+    const o = this.options;
+    let vertical = this.velocity.dot(up);
+
+    if (this.isCrouching) {
+      // Dive - buoyancy takes over again (surfacing) once crouch is released
+      vertical -= o.diveSpeed * dt;
+    } else {
+      vertical += (this.immersion - o.floatDepth) * o.buoyancy * dt;
+      if (this.input.isDown('jump')) vertical += o.swimUpSpeed * dt;
+    }
+
+    vertical *= Math.exp(-o.waterDrag * dt);
+    this.velocity.addScaledVector(up, vertical - this.velocity.dot(up));
+  }
+
+  // Align up direction to planet center (the current body's center)
+  _alignUpToPlanet(dt = 0) {
+    const up = this._getUp();
     
     // Keep the current forward direction but make it perpendicular to up
     const forward = new THREE.Vector3(0, 0, -1);
@@ -522,17 +950,21 @@ export default class SphereControls {
     const m = new THREE.Matrix4().makeBasis(right, up, forward.clone().negate());
     const q = new THREE.Quaternion().setFromRotationMatrix(m);
     
-    // Apply orientation
-    this.yawObject.quaternion.copy(q);
+    // Apply orientation - turn smoothly for a while after switching bodies
+    if (this.reorientTime > 0) {
+      this.reorientTime -= dt;
+      this.yawObject.quaternion.slerp(q, Math.min(1, dt * this.options.reorientSpeed));
+    } else {
+      this.yawObject.quaternion.copy(q);
+    }
   }
 
   // Simple terrain alignment
   _alignToTerrain() {
-    const pos = this.yawObject.position;
-    const upDir = pos.clone().normalize();
+    const upDir = this._getUp();
     
     // Get terrain height at current position
-    const h0 = this.getTerrainHeight(upDir);
+    const h0 = this._getGroundHeight(upDir);
     
     // Update player up direction to match terrain normal
     // In this simplified version, we'll just use the radial direction
@@ -540,18 +972,17 @@ export default class SphereControls {
     
     // Ensure precise height alignment to terrain
     const targetHeight = this.radius + h0 + this.playerHeightOffset;
-    pos.normalize().multiplyScalar(targetHeight);
+    this._placeAtRadius(upDir, targetHeight);
   }
 
   // Simplified ground contact detection
   _checkGroundContact(deltaTime) {
-    const pos = this.yawObject.position;
-    const dir = pos.clone().normalize();
+    const dir = this._getUp();
     
-    // Get terrain height and calculate distance
-    const terrainHeight = this.getTerrainHeight(dir);
+    // Get terrain height (or floor height inside buildings) and calculate distance
+    const terrainHeight = this._getGroundHeight(dir);
     const terrainRadius = this.radius + terrainHeight;
-    const distanceToTerrain = pos.length() - terrainRadius;
+    const distanceToTerrain = this._getDistanceFromBody() - terrainRadius;
     
     // Use a small ground threshold
     const groundThreshold = this.playerHeightOffset + 0.05;
@@ -570,12 +1001,13 @@ export default class SphereControls {
         
         this.jumpCooldown = 0;
         this.airTime = 0;
+        this.launchTarget = null;
         
         // Snap precisely to ground level
-        pos.normalize().multiplyScalar(terrainRadius + this.playerHeightOffset);
+        this._placeAtRadius(dir, terrainRadius + this.playerHeightOffset);
         
         // Handle velocity for landing
-        const upDir = pos.clone().normalize();
+        const upDir = dir;
         const verticalVel = this.velocity.dot(upDir);
         
         if (verticalVel < 0) {
@@ -585,17 +1017,19 @@ export default class SphereControls {
 
         // Wavedash landing logic
         if (this.isWavedashing && this.options.canWavedash) {
-          const playerUp = this.yawObject.position.clone().normalize();
+          const playerUp = dir;
           const moveInput = new THREE.Vector3(0,0,0);
 
-          if (this.keys['w']) moveInput.z -= 1;
-          if (this.keys['d']) moveInput.x += 1;
-          if (this.keys['a']) moveInput.x -= 1;
-          // 's' is checked separately if no other directional keys are pressed
+          if (this.input.isDown('moveForward')) moveInput.z -= 1;
+          if (this.input.isDown('moveRight')) moveInput.x += 1;
+          if (this.input.isDown('moveLeft')) moveInput.x -= 1;
+          moveInput.x += this.input.getAxis('moveX');
+          moveInput.z += Math.min(0, this.input.getAxis('moveY')); // Stick forward only
+          // moveBackward is checked separately if no other directions are held
 
           let boostDir = null;
 
-          if (moveInput.lengthSq() > 0.001) { // W, A, or D are pressed
+          if (moveInput.lengthSq() > 0.001) { // Forward or strafe is held
               moveInput.normalize();
               const forwardVec = new THREE.Vector3(0, 0, -1);
               forwardVec.applyQuaternion(this.yawObject.quaternion);
@@ -606,7 +1040,7 @@ export default class SphereControls {
               if (moveInput.x !== 0) boostDir.addScaledVector(rightVec, moveInput.x);
               if (moveInput.z !== 0) boostDir.addScaledVector(forwardVec, -moveInput.z);
               if (boostDir.lengthSq() > 0.001) boostDir.normalize(); else boostDir = null;
-          } else if (this.keys['s']) { // Only 'S' (trigger key) is held
+          } else if (this.input.isDown('moveBackward')) { // Only move back (trigger action) is held
               const backwardVec = new THREE.Vector3(0, 0, 1); // Player local +Z
               backwardVec.applyQuaternion(this.yawObject.quaternion);
               backwardVec.sub(playerUp.clone().multiplyScalar(backwardVec.dot(playerUp))).normalize();
@@ -632,10 +1066,10 @@ export default class SphereControls {
 
       } else {
         // Already on ground, just maintain exact distance
-        pos.normalize().multiplyScalar(terrainRadius + this.playerHeightOffset);
+        this._placeAtRadius(dir, terrainRadius + this.playerHeightOffset);
         
         // Cancel any downward velocity
-        const upDir = pos.clone().normalize();
+        const upDir = dir;
         const verticalVel = this.velocity.dot(upDir);
         if (verticalVel < 0) {
           this.velocity.addScaledVector(upDir, -verticalVel);
@@ -655,18 +1089,29 @@ export default class SphereControls {
 
   // Simplified collision handling
   _checkCollisions() {
-    // Skip if no collidables
-    if (!this.collidables || this.collidables.length < 1) return;
+    // Skip if no collidables (they all stand on the home planet)
+    if (!this.collidables || this.collidables.length < 1 || this.body !== this.homeBody) return;
 
     const pos = this.yawObject.position;
     const dir = pos.clone().normalize();
 
+    // NEW: Only test nearby objects when a spatial index is available
+    const candidates = this.spatialIndex
+      ? this.spatialIndex.queryRange(pos, this.playerRadius, this._nearbyCollidables)
+      : this.collidables;
+
     // Check collisions with objects (trees, rocks, etc.)
-    for (let i = 1; i < this.collidables.length; i++) {
-      const obj = this.collidables[i];
+    for (let i = 0; i < candidates.length; i++) {
+      const obj = candidates[i];
       
-      // Skip invalid objects
-      if (!obj.position || !obj.direction || obj.noCollision) continue;
+      // NEW: Walls and floors (cabins) are boxes, not circles
+      if (obj.isBox) {
+        this._collideWithBox(obj);
+        continue;
+      }
+      
+      // Skip invalid objects and the planet
+      if (obj.isPlanet || !obj.position || !obj.direction || obj.noCollision) continue;
       
       // Get angular distance (great-circle distance on sphere)
       const objDir = obj.direction;
@@ -725,7 +1170,7 @@ export default class SphereControls {
         }
         
         // Reduce horizontal velocity on collision
-        const upDir = this.yawObject.position.clone().normalize();
+        const upDir = this._getUp();
         const horizontalVel = this.velocity.clone().projectOnPlane(upDir);
         horizontalVel.multiplyScalar(0.5);
         
@@ -736,7 +1181,54 @@ export default class SphereControls {
     }
   }
 
+  /**
+   * Push the player out of a wall box and stop them moving into it.
+   * Anything lower than stepHeight under the feet (floors, steps) is walked onto instead.
+   * @param {Object} box - Box collidable entry
+   * @private
+   */
+  _collideWithBox(box) {
+    const pos = this.yawObject.position;
+    const below = this.playerHeightOffset - this.options.stepHeight;
+    if (!pushOutOfBox(box, pos, this.options.boxCollisionRadius, below, this.cameraHeight, this._boxPush)) return;
+
+    pos.add(this._boxPush);
+    const normal = this._boxPush.normalize();
+    const into = this.velocity.dot(normal);
+    if (into < 0) this.velocity.addScaledVector(normal, -into);
+  }
+
+  /**
+   * Ground height under a direction: the terrain, or a floor/step the player stands on
+   * @param {THREE.Vector3} dir - Normalized direction
+   * @returns {number} Height relative to the sphere radius
+   * @private
+   */
+  _getGroundHeight(dir) {
+    let height = this.getTerrainHeight(dir);
+    if (!this.collidables || this.collidables.length < 2 || this.body !== this.homeBody) return height;
+
+    const feet = this._feet.copy(dir).multiplyScalar(this.yawObject.position.length() - this.playerHeightOffset);
+    const candidates = this.spatialIndex
+      ? this.spatialIndex.queryRange(feet, 1.0, this._nearbySupports)
+      : this.collidables;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const obj = candidates[i];
+      if (!obj.isBox || !obj.walkable) continue;
+      const top = getBoxSupportRadius(obj, feet, this.options.stepHeight);
+      if (top !== null) height = Math.max(height, top - this.radius);
+    }
+    return height;
+  }
+
   reset() {
+    this.stopClimb();
+    // Back to the home planet
+    if (this.body !== this.homeBody) this._setBody(this.homeBody);
+    this.launchTarget = null;
+    this.reorientTime = 0;
+
     // Reset to safe height above origin
     const originDir = new THREE.Vector3(0, 0, 1).normalize();
     const terrainHeight = this.getTerrainHeight(originDir);
@@ -755,9 +1247,132 @@ export default class SphereControls {
     this.yawObject.lookAt(resetTarget);
   }
 
+  /**
+   * Keep a standing player on the ground after the terrain under them changed
+   * (craters). Airborne players land on the new surface by themselves.
+   */
+  resettle() {
+    if (!this.onGround || this.isSwimming || this.body !== this.homeBody) return;
+    const dir = this._getUp();
+    const terrainRadius = this.radius + this._getGroundHeight(dir);
+    this._placeAtRadius(dir, terrainRadius + this.playerHeightOffset);
+  }
+
+  /**
+   * Launch toward another body (launch pads, launchToMoon()). The flight starts
+   * straight up and bends toward the target until its gravity takes over.
+   * @param {Object} target - Gravity body to fly to
+   * @param {number} speed - Launch speed (default: options.launchSpeed)
+   */
+  launch(target, speed = this.options.launchSpeed) {
+    if (!target) return;
+    this.stopClimb();
+    this.launchTarget = target;
+    this.launchSpeed = speed;
+    this.velocity.copy(this._getUp()).multiplyScalar(speed);
+    this.onGround = false;
+    this.isJumping = true;
+    this.isSwimming = false;
+    this.waterExitTime = 0.4;
+    this.airTime = 0;
+    this.jumpsRemaining = 0;
+    this.cancelWavedash();
+  }
+
+  /**
+   * Body the player currently stands on / falls toward
+   * @returns {Object} Gravity body
+   */
+  getBody() {
+    return this.body;
+  }
+
+  /**
+   * Up direction at the player (away from the current body's center)
+   * @param {THREE.Vector3} target - Optional vector to write into
+   * @returns {THREE.Vector3} Unit up vector
+   * @private
+   */
+  _getUp(target = new THREE.Vector3()) {
+    return target.subVectors(this.yawObject.position, this.body.center).normalize();
+  }
+
+  /**
+   * Distance from the current body's center to the player
+   * @private
+   */
+  _getDistanceFromBody() {
+    return this._bodyOffset.subVectors(this.yawObject.position, this.body.center).length();
+  }
+
+  /**
+   * Put the player at a distance from the current body's center
+   * @param {THREE.Vector3} dir - Unit direction from the body's center
+   * @param {number} distance - Distance from the center
+   * @private
+   */
+  _placeAtRadius(dir, distance) {
+    this.yawObject.position.copy(this.body.center).addScaledVector(dir, distance);
+  }
+
+  /**
+   * Follow the current body's motion and switch to the dominant body while airborne
+   * @private
+   */
+  _updateGravityBody() {
+    const center = this.body.center;
+    if (!center.equals(this._bodyCenter)) {
+      this.yawObject.position.add(this._bodyOffset.subVectors(center, this._bodyCenter));
+      this._bodyCenter.copy(center);
+    }
+
+    if (this.bodies.length < 2 || this.onGround || this.isClimbing) return;
+    const dominant = getDominantBody(this.bodies, this.yawObject.position);
+    if (dominant && dominant !== this.body) this._setBody(dominant);
+  }
+
+  /**
+   * Make a body the one the player stands on and falls toward
+   * @param {Object} body - Gravity body
+   * @private
+   */
+  _setBody(body) {
+    this.body = body;
+    this.radius = body.radius;
+    this.getTerrainHeight = body.getTerrainHeight;
+    this._bodyCenter.copy(body.center);
+    this.reorientTime = this.options.reorientDuration;
+    this.isSwimming = false;
+    this.isWading = false;
+  }
+
+  /**
+   * Bend a launch toward its target; once close, the target's gravity takes over
+   * @param {number} dt - Frame time in seconds
+   * @param {THREE.Vector3} up - Player up direction
+   * @private
+   */
+  _steerLaunch(dt, up) {
+    const target = this.launchTarget;
+    const toTarget = this._launchDir.subVectors(target.center, this.yawObject.position);
+    const distance = toTarget.length();
+    if (this.body === target && distance < target.gravityRadius * 1.5) {
+      this.launchTarget = null;
+      return;
+    }
+
+    toTarget.divideScalar(distance);
+    // Never steer into the body being left - fly along its horizon until the target rises above it
+    if (this.body !== target && toTarget.dot(up) < 0) {
+      toTarget.projectOnPlane(up).normalize();
+    }
+    const speed = Math.max(this.velocity.length(), this.launchSpeed);
+    this.velocity.lerp(toTarget.multiplyScalar(speed), Math.min(1, dt * this.options.launchGuidance));
+  }
+
   dispose() {
-    document.removeEventListener('keydown', this.onKeyDown);
-    document.removeEventListener('keyup', this.onKeyUp);
+    this.input.removeListener(this.onAction);
+    if (this._ownsInput) this.input.dispose();
     document.removeEventListener('pointerlockchange', this.onPointerLock);
     document.removeEventListener('mousemove', this.onMouseMove);
   }
@@ -909,7 +1524,7 @@ export default class SphereControls {
       ? downwardSpeed 
       : this.options.wavedashFastFallSpeed;
     
-    const playerUp = this.yawObject.position.clone().normalize();
+    const playerUp = this._getUp();
     // Preserve horizontal velocity, set vertical velocity to downwardSpeed
     const horizontalVelocity = this.velocity.clone().projectOnPlane(playerUp);
     const downwardVelocity = playerUp.clone().negate().multiplyScalar(actualSpeed);
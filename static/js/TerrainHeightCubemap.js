@@ -0,0 +1,346 @@
+import * as THREE from 'three';
+import { CUBE_FACES } from './QuadTreeTerrain.js';
+
+const QUARTER_PI = Math.PI / 4;
+const FACE_CORNER_ANGLE = Math.acos(1 / Math.sqrt(3)); // Face center to corner
+
+/**
+ * Baked terrain heights on a cube-sphere grid for cheap per-frame queries.
+ *
+ * getFullTerrainHeight evaluates the base noise, the painted heightmap and every terrain
+ * feature on each call. The player, deer, ground apples and projectiles ask for heights
+ * every frame, so this bakes them once into one (resolution + 1)² grid per cube face
+ * (same face layout and tangent warp as QuadTreeTerrain, so texels are close to evenly
+ * sized) and answers with a bilinear lookup. Normals are the analytic normals of that
+ * bilinear surface, so they match the heights exactly.
+ *
+ * Edge samples are shared between neighboring faces, so the surface has no seams.
+ * Details smaller than a texel (R * PI/2 / resolution world units) would be smoothed out,
+ * so every cell is checked against the exact function at four points while baking: cells
+ * where the height is off by more than maxError or the normal by more than maxNormalError
+ * (mesa walls, crater rims, river banks) answer with the exact function instead, as do cells
+ * inside exactMask (features too small for four samples to see).
+ * After the terrain changes, call build() again (optionally only around an edit);
+ * invalidate() makes lookups fall back to the exact function until then.
+ */
+export default class TerrainHeightCubemap {
+  /**
+   * Create the (empty) grid - call build() to bake it
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      radius: 400,
+      getHeight: () => 0,   // Exact height function, (normalizedDirection) => height above radius
+      resolution: 256,      // Texels per cube face edge
+      maxError: 0.1,        // Height error (world units) at a cell center before the cell goes exact
+      maxNormalError: 0.05, // Normal error (radians, ~3°) across a cell before the cell goes exact
+      exactMask: null       // (dir, paddingRadians) => true where lookups must stay exact (small craters)
+    }, options);
+
+    this.resolution = Math.max(2, Math.floor(this.options.resolution));
+    this.size = this.resolution + 1;
+    this.faces = CUBE_FACES.map(() => new Float32Array(this.size * this.size));
+    // Cells (resolution² per face) that answer with the exact function
+    this.exactCells = CUBE_FACES.map(() => new Uint8Array(this.resolution * this.resolution));
+    this.exactCellCount = 0;
+    // Tangent warp per grid line: face coordinate a = tan((2u - 1) PI/4)
+    this.warp = Float64Array.from({ length: this.size }, (_, i) => Math.tan((i / this.resolution * 2 - 1) * QUARTER_PI));
+    this.ready = false;
+    this.lastBuildMs = 0;
+
+    // Lookup results (filled by _cell, no allocations per query)
+    this._cellResult = { heights: null, i0: 0, tx: 0, ty: 0, exact: false };
+    this._face = 0;
+    this._a = 0;
+    this._b = 0;
+    this._dirDotNormal = 1;
+    this._dir = new THREE.Vector3();
+    this._tangentU = new THREE.Vector3();
+    this._tangentV = new THREE.Vector3();
+    this._normal = new THREE.Vector3();
+    this._exactNormal = new THREE.Vector3();
+    this._quarterHeights = new Float64Array(4);
+  }
+
+  /**
+   * Surface normal from a height function by finite differences (no grid needed)
+   * @param {Function} getHeight - (normalizedDirection) => height above radius
+   * @param {number} radius - Planet radius
+   * @param {THREE.Vector3} dir - Normalized direction from planet center
+   * @param {THREE.Vector3} target - Vector to write the normal into
+   * @returns {THREE.Vector3} Unit normal pointing away from the planet
+   */
+  static sampleNormal(getHeight, radius, dir, target = new THREE.Vector3()) {
+    const eps = 0.002; // Radians between samples
+    const tA = new THREE.Vector3(0, 1, 0).cross(dir);
+    if (tA.lengthSq() < 1e-6) tA.set(1, 0, 0).cross(dir);
+    tA.normalize();
+    const tB = new THREE.Vector3().crossVectors(dir, tA);
+
+    const p0 = dir.clone().multiplyScalar(radius + getHeight(dir));
+    const sample = dir.clone().addScaledVector(tA, eps).normalize();
+    const p1 = sample.clone().multiplyScalar(radius + getHeight(sample)).sub(p0);
+    sample.copy(dir).addScaledVector(tB, eps).normalize();
+    const p2 = sample.multiplyScalar(radius + getHeight(sample)).sub(p0);
+
+    target.crossVectors(p1, p2).normalize();
+    if (target.dot(dir) < 0) target.negate();
+    return target;
+  }
+
+  /**
+   * Bake heights from the exact height function
+   * @param {THREE.Vector3|null} centerDir - Only re-bake around this direction (needs a full bake first)
+   * @param {number} angularRadius - Radius in radians around centerDir
+   * @returns {number} Texels baked
+   */
+  build(centerDir = null, angularRadius = Math.PI) {
+    const start = performance.now();
+    if (!this.ready) centerDir = null; // Partial updates only make sense on top of a full bake
+
+    const { resolution, size, warp } = this;
+    const getHeight = this.options.getHeight;
+    const dir = this._dir;
+    // Pad by a texel so the cells around the edit get both their corners
+    const padded = Math.min(Math.PI, angularRadius + QUARTER_PI * 2 / resolution * 1.5);
+    const minDot = Math.cos(padded);
+    let baked = 0;
+
+    for (let f = 0; f < CUBE_FACES.length; f++) {
+      const face = CUBE_FACES[f];
+      // Skip faces the edit can't reach (a face corner is ~54.7° from its center)
+      if (centerDir && centerDir.dot(face.normal) < Math.cos(Math.min(Math.PI, padded + FACE_CORNER_ANGLE))) continue;
+
+      // Grid window around the edit (texels are at least ~0.5 x (PI/2 / resolution) wide)
+      let i0 = 0, i1 = resolution, j0 = 0, j1 = resolution;
+      const facing = centerDir ? centerDir.dot(face.normal) : 0;
+      if (centerDir && facing > 0.2) {
+        const span = Math.ceil(padded / (QUARTER_PI * 2 / resolution) * 2) + 1;
+        const x = (Math.atan(centerDir.dot(face.u) / facing) / QUARTER_PI + 1) * 0.5 * resolution;
+        const y = (Math.atan(centerDir.dot(face.v) / facing) / QUARTER_PI + 1) * 0.5 * resolution;
+        i0 = Math.max(0, Math.floor(x) - span);
+        i1 = Math.min(resolution, Math.ceil(x) + span);
+        j0 = Math.max(0, Math.floor(y) - span);
+        j1 = Math.min(resolution, Math.ceil(y) + span);
+      }
+
+      const heights = this.faces[f];
+      for (let j = j0; j <= j1; j++) {
+        const b = warp[j];
+        for (let i = i0; i <= i1; i++) {
+          const a = warp[i];
+          dir.copy(face.normal).addScaledVector(face.u, a).addScaledVector(face.v, b).normalize();
+          if (centerDir && dir.dot(centerDir) < minDot) continue;
+          heights[j * size + i] = getHeight(dir);
+          baked++;
+        }
+      }
+
+      this._checkCells(f, i0, Math.min(i1, resolution - 1), j0, Math.min(j1, resolution - 1), centerDir, minDot);
+    }
+
+    this.ready = true;
+    this.lastBuildMs = performance.now() - start;
+    if (!centerDir) {
+      const percent = (this.exactCellCount / (6 * resolution * resolution) * 100).toFixed(1);
+      console.log(`[TerrainHeightCubemap] Baked ${baked} heights (6 x ${size}x${size}) in ${this.lastBuildMs.toFixed(0)}ms, ` +
+        `${this.exactCellCount} cells (${percent}%) use exact heights`);
+    }
+    return baked;
+  }
+
+  /**
+   * Worst height and normal error of the lookups against the exact function, over evenly
+   * spread directions (a Fibonacci sphere, so repeated checks give the same numbers)
+   * @param {number} samples - Directions to test
+   * @returns {Object} { maxError, meanError, maxNormalError (radians), withinTolerance }
+   */
+  measureError(samples = 2000) {
+    const getHeight = this.options.getHeight;
+    const dir = new THREE.Vector3();
+    let maxError = 0, totalError = 0, maxNormalError = 0;
+    for (let i = 0; i < samples; i++) {
+      const y = 1 - (i + 0.5) / samples * 2;
+      const ring = Math.sqrt(1 - y * y);
+      const angle = i * Math.PI * (3 - Math.sqrt(5));
+      dir.set(Math.cos(angle) * ring, y, Math.sin(angle) * ring);
+
+      const error = Math.abs(this.getHeight(dir) - getHeight(dir));
+      maxError = Math.max(maxError, error);
+      totalError += error;
+      this.getNormal(dir, this._normal);
+      TerrainHeightCubemap.sampleNormal(getHeight, this.options.radius, dir, this._exactNormal);
+      maxNormalError = Math.max(maxNormalError, this._normal.angleTo(this._exactNormal));
+    }
+    return {
+      maxError,
+      meanError: totalError / samples,
+      maxNormalError,
+      // Between cell centers the error can grow a little past the per-cell tolerance
+      withinTolerance: maxError <= this.options.maxError * 4 && maxNormalError <= this.options.maxNormalError * 4
+    };
+  }
+
+  /**
+   * Mark the grid stale (terrain changed) - lookups use the exact function until the next build()
+   */
+  invalidate() {
+    this.ready = false;
+  }
+
+  /**
+   * Terrain height at a direction
+   * @param {THREE.Vector3} dir - Normalized direction from planet center
+   * @returns {number} Height relative to the radius
+   */
+  getHeight(dir) {
+    if (!this.ready) return this.options.getHeight(dir);
+
+    const { heights, i0, tx, ty, exact } = this._cell(dir);
+    if (exact) return this.options.getHeight(dir);
+    const size = this.size;
+    const h00 = heights[i0], h10 = heights[i0 + 1];
+    const h01 = heights[i0 + size], h11 = heights[i0 + size + 1];
+    return (h00 * (1 - tx) + h10 * tx) * (1 - ty) + (h01 * (1 - tx) + h11 * tx) * ty;
+  }
+
+  /**
+   * Surface normal at a direction (analytic normal of the bilinear height surface)
+   * @param {THREE.Vector3} dir - Normalized direction from planet center
+   * @param {THREE.Vector3} target - Vector to write the normal into
+   * @returns {THREE.Vector3} Unit normal pointing away from the planet
+   */
+  getNormal(dir, target = new THREE.Vector3()) {
+    if (!this.ready) return TerrainHeightCubemap.sampleNormal(this.options.getHeight, this.options.radius, dir, target);
+
+    const { heights, i0, tx, ty, exact } = this._cell(dir);
+    if (exact) return TerrainHeightCubemap.sampleNormal(this.options.getHeight, this.options.radius, dir, target);
+    const size = this.size;
+    const h00 = heights[i0], h10 = heights[i0 + 1];
+    const h01 = heights[i0 + size], h11 = heights[i0 + size + 1];
+    const h = (h00 * (1 - tx) + h10 * tx) * (1 - ty) + (h01 * (1 - tx) + h11 * tx) * ty;
+
+    // Height slope per unit of face coordinate (u/v run 0-1 across the face)
+    const dhdu = ((h10 - h00) * (1 - ty) + (h11 - h01) * ty) * this.resolution;
+    const dhdv = ((h01 - h00) * (1 - tx) + (h11 - h10) * tx) * this.resolution;
+
+    // Surface point p(u, v) = dir(u, v) * (R + h(u, v)), with dir = normalize(N + a U + b V)
+    // and a = tan((2u - 1) PI/4): dp/du = ddir/da * da/du * (R + h) + dir * dh/du
+    const face = CUBE_FACES[this._face];
+    const r = this.options.radius + h;
+    const invLength = this._dirDotNormal; // 1 / |N + a U + b V| = dir . N
+    const dadu = 2 * QUARTER_PI * (1 + this._a * this._a);
+    const dbdv = 2 * QUARTER_PI * (1 + this._b * this._b);
+
+    const tU = this._tangentU.copy(face.u).addScaledVector(dir, -dir.dot(face.u))
+      .multiplyScalar(invLength * dadu * r).addScaledVector(dir, dhdu);
+    const tV = this._tangentV.copy(face.v).addScaledVector(dir, -dir.dot(face.v))
+      .multiplyScalar(invLength * dbdv * r).addScaledVector(dir, dhdv);
+
+    target.crossVectors(tU, tV).normalize();
+    if (target.dot(dir) < 0) target.negate();
+    return target;
+  }
+
+  /**
+   * Bytes used by the baked grid
+   * @returns {number} Size in bytes
+   */
+  getMemoryUsage() {
+    return this.faces.reduce((sum, heights) => sum + heights.byteLength, 0) +
+      this.exactCells.reduce((sum, cells) => sum + cells.byteLength, 0);
+  }
+
+  // --- Internals ---
+
+  /**
+   * Compare the baked surface with the exact function at the quarter points of a window of
+   * cells (height at each point, slope between them) and mark the cells that are too far off
+   * to answer with the exact function
+   * @private
+   */
+  _checkCells(f, i0, i1, j0, j1, centerDir, minDot) {
+    const face = CUBE_FACES[f];
+    const { size, resolution } = this;
+    const { getHeight, radius, maxError, maxNormalError, exactMask } = this.options;
+    const heights = this.faces[f];
+    const exactCells = this.exactCells[f];
+    const dir = this._dir;
+    const exactHeights = this._quarterHeights;
+    // Height change across a cell that tilts the normal by maxNormalError (cells are about
+    // R * PI/2 / resolution wide, a little narrower toward the face corners)
+    const maxSlope = Math.tan(maxNormalError) * radius * QUARTER_PI * 2 / resolution;
+    const toGrid = (t) => Math.tan((t / resolution * 2 - 1) * QUARTER_PI);
+    const cellRadius = QUARTER_PI * 2 / resolution; // Center to corner, with some margin
+
+    for (let j = j0; j <= j1; j++) {
+      for (let i = i0; i <= i1; i++) {
+        if (centerDir || exactMask) {
+          dir.copy(face.normal).addScaledVector(face.u, toGrid(i + 0.5)).addScaledVector(face.v, toGrid(j + 0.5)).normalize();
+          if (centerDir && dir.dot(centerDir) < minDot) continue;
+        }
+
+        const corner = j * size + i;
+        const h00 = heights[corner], h10 = heights[corner + 1];
+        const h01 = heights[corner + size], h11 = heights[corner + size + 1];
+        let exact = !!exactMask && exactMask(dir, cellRadius);
+        for (let k = 0; k < 4 && !exact; k++) {
+          const tx = k & 1 ? 0.75 : 0.25;
+          const ty = k & 2 ? 0.75 : 0.25;
+          dir.copy(face.normal).addScaledVector(face.u, toGrid(i + tx)).addScaledVector(face.v, toGrid(j + ty)).normalize();
+          exactHeights[k] = getHeight(dir);
+          const baked = (h00 * (1 - tx) + h10 * tx) * (1 - ty) + (h01 * (1 - tx) + h11 * tx) * ty;
+          if (Math.abs(baked - exactHeights[k]) > maxError) exact = true;
+        }
+        if (!exact) {
+          // Mean slope across the cell: baked from the corners, exact from the quarter points
+          const q = exactHeights;
+          const slopeU = (q[1] + q[3] - q[0] - q[2]) - (h10 + h11 - h00 - h01) * 0.5;
+          const slopeV = (q[2] + q[3] - q[0] - q[1]) - (h01 + h11 - h00 - h10) * 0.5;
+          exact = Math.abs(slopeU) > maxSlope || Math.abs(slopeV) > maxSlope;
+        }
+
+        const cell = j * resolution + i;
+        this.exactCellCount += (exact ? 1 : 0) - exactCells[cell];
+        exactCells[cell] = exact ? 1 : 0;
+      }
+    }
+  }
+
+  /**
+   * Face and grid cell under a direction
+   * @private
+   */
+  _cell(dir) {
+    const ax = Math.abs(dir.x), ay = Math.abs(dir.y), az = Math.abs(dir.z);
+    let f;
+    if (ax >= ay && ax >= az) f = dir.x > 0 ? 0 : 1;
+    else if (ay >= az) f = dir.y > 0 ? 2 : 3;
+    else f = dir.z > 0 ? 4 : 5;
+
+    const face = CUBE_FACES[f];
+    const n = dir.dot(face.normal);
+    const a = dir.dot(face.u) / n;
+    const b = dir.dot(face.v) / n;
+    this._face = f;
+    this._a = a;
+    this._b = b;
+    this._dirDotNormal = n;
+
+    // Inverse of the tangent warp, then grid coordinates
+    const res = this.resolution;
+    const x = (Math.atan(a) / QUARTER_PI + 1) * 0.5 * res;
+    const y = (Math.atan(b) / QUARTER_PI + 1) * 0.5 * res;
+    const ix = Math.min(Math.max(Math.floor(x), 0), res - 1);
+    const iy = Math.min(Math.max(Math.floor(y), 0), res - 1);
+
+    const cell = this._cellResult;
+    cell.heights = this.faces[f];
+    cell.i0 = iy * this.size + ix;
+    cell.tx = x - ix;
+    cell.ty = y - iy;
+    cell.exact = this.exactCells[f][iy * res + ix] === 1;
+    return cell;
+  }
+}
@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+import { intersectSegmentBox } from './utils/boxColliders.js';
+
+const _eye = new THREE.Vector3();
+const _aim = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _previous = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _toPoint = new THREE.Vector3();
+
+/**
+ * Over-the-shoulder orbit camera for the third-person view.
+ *
+ * It orbits the player's head with the look direction (mouse, stick and touch turns
+ * all move the first-person "aim" camera, this one follows), so camera-relative
+ * movement and aiming work unchanged on the sphere: "up" is always away from the
+ * center of the body the player stands on. The crosshair stays true because the
+ * camera looks at a point far along the aim ray.
+ *
+ * The boom from the head to the camera is marched every frame; the camera pulls in in
+ * front of terrain, tree trunks, rocks and cabin walls, and eases back out once clear.
+ */
+export default class ThirdPersonCamera {
+  /**
+   * Create the camera
+   * @param {THREE.PerspectiveCamera} aimCamera - First-person camera that carries the look direction
+   * @param {SphereControls} controls - Player controls (body, position)
+   * @param {Object} options - Configuration options
+   */
+  constructor(aimCamera, controls, options = {}) {
+    this.aimCamera = aimCamera;
+    this.controls = controls;
+    this.options = Object.assign({
+      distance: 18,          // Boom length behind the head
+      minDistance: 4,
+      maxDistance: 40,
+      height: 2.5,           // Camera raised above the head
+      shoulder: 2.0,         // Camera shifted to the right (over the shoulder)
+      aimDistance: 80,       // How far along the aim ray the camera looks
+      clearance: 1.0,        // Distance kept from terrain and props
+      samples: 16,           // Boom collision samples
+      returnSpeed: 4,        // How fast the boom extends again after a hit (per second)
+      collidables: null,
+      spatialIndex: null
+    }, options);
+
+    this.camera = new THREE.PerspectiveCamera(aimCamera.fov, aimCamera.aspect, aimCamera.near, aimCamera.far);
+    this.currentDistance = this.options.distance;
+    this._candidates = [];
+  }
+
+  /**
+   * Change the boom length
+   * @param {number} distance - Distance behind the head
+   * @returns {number} Clamped distance
+   */
+  setDistance(distance) {
+    this.options.distance = THREE.MathUtils.clamp(distance, this.options.minDistance, this.options.maxDistance);
+    return this.options.distance;
+  }
+
+  /**
+   * Match the aim camera's projection (window resize, far plane changes)
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   */
+  resize(width, height) {
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Jump straight to the full boom length (after a teleport or toggling the view)
+   */
+  snap() {
+    this.currentDistance = this.options.distance;
+    this.update(0);
+  }
+
+  /**
+   * Place the camera behind the player (call once per frame, after the controls update)
+   * @param {number} delta - Time since last frame in seconds
+   */
+  update(delta) {
+    const o = this.options;
+    const aim = this.aimCamera;
+    aim.updateWorldMatrix(true, false);
+    aim.getWorldPosition(_eye);
+    aim.getWorldDirection(_aim);
+
+    const body = this.controls.getBody();
+    _up.copy(_eye).sub(body.center).normalize();
+    _right.crossVectors(_aim, _up);
+    if (_right.lengthSq() < 1e-6) _right.set(1, 0, 0).applyQuaternion(this.controls.getObject().quaternion);
+    _right.normalize();
+
+    // Full boom: back along the aim, up and over the right shoulder
+    _offset.copy(_aim).multiplyScalar(-o.distance)
+      .addScaledVector(_up, o.height)
+      .addScaledVector(_right, o.shoulder);
+    const fullLength = _offset.length();
+
+    // Pull in at once when blocked, ease back out when clear
+    const allowed = this._castBoom(_eye, _offset, fullLength, body);
+    if (allowed < this.currentDistance || delta <= 0) {
+      this.currentDistance = allowed;
+    } else {
+      this.currentDistance += (allowed - this.currentDistance) * Math.min(1, delta * o.returnSpeed);
+    }
+
+    const camera = this.camera;
+    camera.position.copy(_eye).addScaledVector(_offset, this.currentDistance / fullLength);
+    camera.up.copy(_up);
+    camera.lookAt(_target.copy(_eye).addScaledVector(_aim, o.aimDistance));
+
+    if (camera.fov !== aim.fov || camera.far !== aim.far || camera.near !== aim.near) {
+      camera.fov = aim.fov;
+      camera.near = aim.near;
+      camera.far = aim.far;
+      camera.updateProjectionMatrix();
+    }
+  }
+
+  /**
+   * March from the head along the boom and return how far the camera may go
+   * @private
+   */
+  _castBoom(eye, offset, length, body) {
+    const o = this.options;
+    const candidates = this._getCandidates(eye, offset, body);
+    _previous.copy(eye);
+
+    for (let i = 1; i <= o.samples; i++) {
+      const t = i / o.samples;
+      _point.copy(eye).addScaledVector(offset, t);
+      if (this._isBlocked(_previous, _point, body, candidates)) {
+        // Back off to the last free sample
+        return Math.max(0.5, length * (i - 1) / o.samples);
+      }
+      _previous.copy(_point);
+    }
+    return length;
+  }
+
+  /**
+   * Props near the boom (only the home planet has props)
+   * @private
+   */
+  _getCandidates(eye, offset, body) {
+    const o = this.options;
+    if (!o.collidables?.length || body !== this.controls.homeBody) return null;
+    _target.copy(eye).add(offset);
+    return o.spatialIndex
+      ? o.spatialIndex.querySegment(eye, _target, o.clearance, this._candidates)
+      : o.collidables;
+  }
+
+  /**
+   * Whether the boom segment from `from` to `to` runs into the ground or a prop
+   * @private
+   */
+  _isBlocked(from, to, body, candidates) {
+    const clearance = this.options.clearance;
+
+    // Terrain under the sample point
+    _toPoint.copy(to).sub(body.center);
+    const distance = _toPoint.length();
+    const ground = body.radius + body.getTerrainHeight(_dir.copy(_toPoint).normalize());
+    if (distance - ground < clearance) return true;
+
+    if (!candidates) return false;
+    for (let i = 0; i < candidates.length; i++) {
+      const obj = candidates[i];
+      if (obj.noCollision || obj.isPlanet) continue;
+
+      // Cabin walls and floors
+      if (obj.isBox) {
+        if (intersectSegmentBox(obj, from, to, clearance)) return true;
+        continue;
+      }
+      if (!obj.position) continue;
+
+      if (obj.objectType === 'tree' || obj.mesh?.userData?.isTree || obj.mesh?.userData?.isPineTree) {
+        // Trunk as an upright cylinder from the base along the tree's direction
+        const height = obj.trunkHeight || obj.collisionHeight || obj.radius * 2;
+        const along = _toPoint.copy(to).sub(obj.position).dot(obj.direction);
+        if (along < 0 || along > height) continue;
+        const sideways = _toPoint.addScaledVector(obj.direction, -along).length();
+        if (sideways < (obj.trunkRadius || obj.radius) + clearance) return true;
+        continue;
+      }
+
+      // Rocks and other props are spheres
+      if (to.distanceTo(obj.position) < (obj.radius || 1.0) + clearance) return true;
+    }
+    return false;
+  }
+}
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { WaterEffect } from './utils/waterEffect.js';
+
+/**
+ * Water surfaces on the planet: a global ocean at sea level plus one cap per lake
+ * feature, all animated with WaterEffect.
+ *
+ * Heights are relative to the planet radius, the same units as getFullTerrainHeight,
+ * so "is this point under water?" is just surface height vs terrain height.
+ */
+export default class WaterSystem {
+  /**
+   * Create the water surfaces
+   * @param {THREE.Scene} scene - The scene
+   * @param {Object} options - Configuration options
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.options = Object.assign({
+      radius: 400,              // Planet radius
+      seaLevel: null,           // Ocean surface height (null = no ocean)
+      lakes: [],                // Parsed lake features ({ center, radius, shoreWidth, level })
+      color: 0x2a6f97,
+      opacity: 0.72,
+      oceanSegments: 128,       // Width segments of the ocean sphere
+      lakeSegments: 48,         // Radial segments of each lake cap
+      waveAmplitude: 0.25,      // World units
+      waveFrequency: 0.08,
+      waveSpeed: 1.2
+    }, options);
+
+    this.group = new THREE.Group();
+    this.group.name = 'Water';
+    this.meshes = [];
+    this.effects = [];
+    this.lakes = [];
+
+    this.material = new THREE.MeshStandardMaterial({
+      color: this.options.color,
+      transparent: true,
+      opacity: this.options.opacity,
+      roughness: 0.15,
+      metalness: 0.1,
+      flatShading: true,
+      depthWrite: false
+    });
+
+    this.build();
+    this.scene.add(this.group);
+  }
+
+  /**
+   * (Re)build the ocean and lake meshes from the current options
+   * @param {Object} changes - Optional { seaLevel, lakes } to apply first
+   */
+  build(changes = {}) {
+    Object.assign(this.options, changes);
+    this._clear();
+
+    const { radius, seaLevel } = this.options;
+    this.lakes = (this.options.lakes || []).filter(lake => Number.isFinite(lake.level));
+
+    if (seaLevel !== null && seaLevel !== undefined) {
+      const segments = this.options.oceanSegments;
+      this._addSurface(
+        new THREE.SphereGeometry(radius + seaLevel, segments, Math.round(segments / 2)),
+        'Ocean'
+      );
+    }
+
+    const up = new THREE.Vector3(0, 1, 0);
+    this.lakes.forEach((lake, index) => {
+      // Cap around +Y over the basin and its shore (dry shore hides it), turned to face the lake center
+      const extent = this._getLakeExtent(lake);
+      const geometry = new THREE.SphereGeometry(
+        radius + lake.level, this.options.lakeSegments, 12, 0, Math.PI * 2, 0, extent
+      );
+      geometry.applyQuaternion(new THREE.Quaternion().setFromUnitVectors(up, lake.center));
+      this._addSurface(geometry, `Lake_${index}`);
+    });
+
+    console.log(`[WaterSystem] Sea level ${seaLevel ?? 'off'}, ${this.lakes.length} lakes`);
+  }
+
+  /**
+   * Height of the highest water surface over a direction
+   * @param {THREE.Vector3} dir - Unit direction from the planet center
+   * @returns {number|null} Surface height relative to the radius (null = no water here)
+   */
+  getSurfaceHeight(dir) {
+    let level = this.options.seaLevel ?? null;
+
+    for (const lake of this.lakes) {
+      if (level !== null && lake.level <= level) continue;
+      const cos = dir.x * lake.center.x + dir.y * lake.center.y + dir.z * lake.center.z;
+      if (cos >= Math.cos(this._getLakeExtent(lake))) level = lake.level;
+    }
+
+    return level;
+  }
+
+  /**
+   * Water depth over the ground at a direction
+   * @param {THREE.Vector3} dir - Unit direction from the planet center
+   * @param {number} terrainHeight - Ground height at dir
+   * @returns {number} Depth (0 on dry land)
+   */
+  getDepth(dir, terrainHeight) {
+    const level = this.getSurfaceHeight(dir);
+    return level === null ? 0 : Math.max(0, level - terrainHeight);
+  }
+
+  /**
+   * Animate the water surfaces
+   * @param {number} delta - Time since last frame in seconds
+   */
+  update(delta) {
+    for (const effect of this.effects) effect.update(delta);
+  }
+
+  /**
+   * Remove the water from the scene and free its resources
+   */
+  dispose() {
+    this._clear();
+    this.material.dispose();
+    this.scene.remove(this.group);
+  }
+
+  /**
+   * Angular radius a lake's water covers - the drawn cap and getSurfaceHeight share it
+   * @private
+   */
+  _getLakeExtent(lake) {
+    return lake.radius + lake.shoreWidth;
+  }
+
+  /**
+   * Add one animated water mesh
+   * @private
+   */
+  _addSurface(geometry, name) {
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.name = name;
+    mesh.renderOrder = 1; // After opaque terrain so the transparent surface blends over it
+    mesh.receiveShadow = true;
+    mesh.userData.isWater = true;
+    mesh.userData.noCollision = true;
+
+    this.group.add(mesh);
+    this.meshes.push(mesh);
+    this.effects.push(new WaterEffect(mesh, {
+      radial: true,
+      amplitude: this.options.waveAmplitude,
+      frequency: this.options.waveFrequency,
+      speed: this.options.waveSpeed
+    }));
+  }
+
+  /**
+   * Drop every water mesh
+   * @private
+   */
+  _clear() {
+    this.meshes.forEach(mesh => {
+      this.group.remove(mesh);
+      mesh.geometry.dispose();
+    });
+    this.meshes = [];
+    this.effects = [];
+  }
+}
@@ -29,6 +29,12 @@ export default class WeaponSystem {
       launchOffset: 1.5, // Reduced offset
       chargeTime: 1.5, // Time in seconds to fully charge
       collidables: null,
+      spatialIndex: null, // NEW: Optional SpatialHash over collidables
+      onTerrainImpact: null, // NEW: Passed to ProjectileSystem (terrain craters)
+      getWaterLevel: null, // NEW: Passed to ProjectileSystem (apples float)
+      bodies: null, // NEW: Gravity bodies, passed to ProjectileSystem
+      getWind: null, // NEW: Passed to ProjectileSystem (weather wind)
+      input: null, // NEW: InputMap - the cycleAmmo action switches apple types, the fire axis limits charge
       // ADD type-specific charge speeds
       chargeSpeedByType: {
         red: 1.5,     // Standard charge time (was 1.5s for all types)
@@ -45,6 +51,11 @@ export default class WeaponSystem {
       getTerrainHeight: this.options.getTerrainHeight,
       projectileRadius: this.options.projectileRadius,
       collidables: this.options.collidables,
+      spatialIndex: this.options.spatialIndex,
+      onTerrainImpact: this.options.onTerrainImpact,
+      getWaterLevel: this.options.getWaterLevel,
+      bodies: this.options.bodies,
+      getWind: this.options.getWind,
       showCollisions: true
     });
 
@@ -64,8 +75,8 @@ export default class WeaponSystem {
     // Create charge UI
     this._setupChargeUI();
 
-    // Setup direct right-click handler
-    this._setupRightClickHandler();
+    // Cycle ammo on the cycleAmmo action (right click / C by default)
+    this._setupInputHandlers();
 
     console.log("Weapon system created with multi-ammo support");
   }
@@ -126,38 +137,21 @@ export default class WeaponSystem {
   }
 
   /**
-   * Setup right-click handler for ammo switching
+   * Listen for input actions handled by the weapon itself
    * @private
    */
-  _setupRightClickHandler() {
-    // This function gets called for ANY right-click, regardless of pointer lock
-    const handleRightClick = (event) => {
-      if (event.button === 2) { // Right mouse button
-        event.preventDefault();
-        event.stopPropagation();
-        
-        console.log("[WeaponSystem] Right-click detected, cycling ammo");
-        this.cycleAmmoType();
-        return false;
-      }
-    };
+  _setupInputHandlers() {
+    const input = this.options.input;
+    if (!input) {
+      console.warn("[WeaponSystem] No input map - ammo cycling disabled");
+      return;
+    }
 
-    // Also handle the 'c' key as a keyboard alternative
-    const handleKeyDown = (event) => {
-      if (event.key === 'c' || event.key === 'C') {
-        console.log("[WeaponSystem] C key pressed, cycling ammo");
-        this.cycleAmmoType();
-      }
+    this._onCycleAmmo = (pressed) => {
+      if (!pressed) return;
+      this.cycleAmmoType();
     };
-
-    // Add the event listeners directly without pointer lock check
-    document.addEventListener('mousedown', handleRightClick, true);
-    document.addEventListener('keydown', handleKeyDown, false);
-    
-    // Prevent default context menu always
-    document.addEventListener('contextmenu', (e) => {
-      e.preventDefault();
-    }, false);
+    input.on('cycleAmmo', this._onCycleAmmo);
   }
 
   /**
@@ -289,7 +283,13 @@ export default class WeaponSystem {
     
     // Use type-specific charge time from chargeState
     const chargeTime = this.chargeState.chargeTime || this.options.chargeTime;
-    const power = Math.min(elapsed / chargeTime, 1.0);
+    let power = Math.min(elapsed / chargeTime, 1.0);
+
+    // NEW: Analog triggers - the deepest pull so far caps the power (a half pull lobs),
+    // the shot still takes its charge time to get there
+    const pull = this.options.input ? this.options.input.getAxis('fire', null) : null;
+    if (pull !== null) this.chargeState.maxPull = Math.max(this.chargeState.maxPull || 0, pull);
+    if (this.chargeState.maxPull !== undefined) power = Math.min(power, this.chargeState.maxPull);
 
     // Update the existing chargeState object
     this.chargeState.power = power;
@@ -580,6 +580,12 @@ export default class WeaponSystem {
     camera.add(this.weaponModel);
     this.initialWeaponPosition = this.weaponModel.position.clone();
     this.initialWeaponRotation = this.weaponModel.rotation.clone();
+    // First-person pose, restored by attachModel() without a pose
+    this.viewModelPose = {
+      position: this.initialWeaponPosition.clone(),
+      rotation: this.initialWeaponRotation.clone(),
+      scale: 1
+    };
 
     console.log("Slingshot model created with multi-ammo projectile placeholders.");
   }
@@ -668,10 +674,27 @@ export default class WeaponSystem {
     this.rightTubeBand.geometry = new THREE.TubeGeometry(rightCurve, 5, 0.01, 6, false);
   }
 
+  /**
+   * NEW: Move the slingshot model to another parent - the avatar's hand in third person,
+   * back to the camera (first-person pose) when called without arguments
+   * @param {THREE.Object3D} parent - New parent (default: the camera)
+   * @param {Object} pose - { position, rotation, scale } in the parent's space
+   */
+  attachModel(parent = this.camera, pose = this.viewModelPose) {
+    if (!this.weaponModel || !parent || !pose) return;
+    parent.add(this.weaponModel); // Also removes it from the old parent
+    this.weaponModel.position.copy(pose.position);
+    this.weaponModel.rotation.copy(pose.rotation);
+    this.weaponModel.scale.setScalar(pose.scale ?? 1);
+    // Idle sway in updateModel() works around the new pose
+    this.initialWeaponPosition = pose.position.clone();
+    this.initialWeaponRotation = pose.rotation.clone();
+  }
+
   /** Remove the slingshot model */
   removeModel() {
-    if (this.weaponModel && this.camera) {
-      this.camera.remove(this.weaponModel);
+    if (this.weaponModel) {
+      this.weaponModel.parent?.remove(this.weaponModel);
       this.weaponModel = null;
     }
   }
@@ -0,0 +1,496 @@
+import * as THREE from 'three';
+
+/**
+ * Weather presets. Numbers blend while one state turns into the next.
+ *   cloudCover - 0-1, thickens CloudSystem clouds
+ *   light      - Sun/moon light multiplier
+ *   overcast   - 0-1, greys out the sky, fog and cloud colors
+ *   fog        - VolumetricFog and surface fog density multiplier
+ *   rain/snow  - Precipitation amount, 0-1
+ *   wind       - Wind speed in world units per second
+ *   lightning  - Flashes per second
+ */
+export const WEATHER_STATES = {
+  clear:        { cloudCover: 0.0, light: 1.0,  overcast: 0.0,  fog: 1.0, rain: 0.0, snow: 0.0, wind: 2,  lightning: 0 },
+  overcast:     { cloudCover: 0.7, light: 0.7,  overcast: 0.6,  fog: 1.6, rain: 0.0, snow: 0.0, wind: 5,  lightning: 0 },
+  rain:         { cloudCover: 0.9, light: 0.55, overcast: 0.75, fog: 2.2, rain: 0.7, snow: 0.0, wind: 7,  lightning: 0 },
+  snow:         { cloudCover: 0.8, light: 0.7,  overcast: 0.6,  fog: 2.5, rain: 0.0, snow: 0.8, wind: 4,  lightning: 0 },
+  thunderstorm: { cloudCover: 1.0, light: 0.35, overcast: 0.9,  fog: 2.8, rain: 1.0, snow: 0.0, wind: 14, lightning: 0.15 }
+};
+
+/**
+ * Chance weights for what each state turns into when its time is up
+ */
+export const WEATHER_TRANSITIONS = {
+  clear:        { clear: 2, overcast: 3, snow: 0.5 },
+  overcast:     { clear: 2, overcast: 1, rain: 3, snow: 1 },
+  rain:         { overcast: 2, rain: 1, thunderstorm: 1, clear: 0.5 },
+  snow:         { overcast: 2, snow: 1, clear: 1 },
+  thunderstorm: { rain: 3, overcast: 1 }
+};
+
+const BLEND_KEYS = ['cloudCover', 'light', 'overcast', 'fog', 'rain', 'snow', 'wind', 'lightning'];
+
+// The wind dies down within this distance (sine of the angle) of the two points it circles
+const WIND_CALM_RADIUS = 0.05;
+
+/**
+ * Weather - a small state machine (clear, overcast, rain, snow, thunderstorm) with
+ * precipitation particles around the camera, lightning flashes and a wind vector.
+ *
+ * The weather pushes its effects into the other systems it is given:
+ *   dayNight (DayNightCycle) - darker light and greyer sky
+ *   clouds (CloudSystem)     - cloud cover and wind drift
+ *   fog (VolumetricFog)      - thicker fog
+ *   surfaceFog (CloudSystem) - thicker surface fog poofs
+ *   birds (BirdSystem)       - blown about by the wind
+ * ProjectileSystem reads the wind through its getWind option (see getWindAt).
+ *
+ * The wind circles the planet around a slowly turning axis, so it blows along the ground
+ * at the same speed everywhere except for two small calm spots where the axis comes out.
+ */
+export default class WeatherSystem {
+  /**
+   * Create the weather system
+   * @param {THREE.Scene} scene - The scene
+   * @param {Object} options - Configuration options
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.options = Object.assign({
+      initialState: 'clear',
+      auto: true,               // Change weather by itself (WEATHER_TRANSITIONS)
+      minDuration: 90,          // Seconds a state lasts before it may change
+      maxDuration: 240,
+      transitionTime: 20,       // Seconds to blend into a new state
+      states: WEATHER_STATES,
+      transitions: WEATHER_TRANSITIONS,
+      sphereRadius: 400,
+      atmosphereHeight: 300,    // No rain or snow above this (e.g. on the moon)
+      maxRainParticles: 4000,
+      maxSnowParticles: 2500,
+      areaSize: 240,            // Width of the precipitation box around the camera
+      areaHeight: 140,
+      rainSpeed: 90,            // Fall speed, world units per second
+      snowSpeed: 12,
+      windDrift: 0.05,          // How fast the wind direction wanders (radians per second)
+      random: Math.random,      // Seeded generator (forkRandom) for reproducible weather
+      dayNight: null,
+      clouds: null,
+      fog: null,
+      surfaceFog: null,
+      birds: null,
+      onLightning: null,        // (strength) => void, e.g. thunder audio
+      onChange: null            // (newState, previousState) => void
+    }, options);
+
+    this.random = typeof this.options.random === 'function' ? this.options.random : Math.random;
+
+    this.current = this.options.initialState;
+    this.previous = this.current;
+    this.blend = 1;             // 0 = previous state, 1 = current state
+    this.transitionTime = this.options.transitionTime;
+    this.stateTimer = this._pickDuration();
+    this.params = { ...this.options.states[this.current] };
+
+    // Wind circles the planet around windAxis at windSpeed (sampled through getWindAt)
+    this.windAxis = new THREE.Vector3();
+    this.windSpeed = 0;
+    this.windAngle = this.random() * Math.PI * 2;
+    this.time = 0;
+
+    this.lightningTimer = 0;
+    this.flash = 0;
+
+    this._fogBase = null;
+    this._cameraPosition = new THREE.Vector3();
+    this._lastCameraPosition = null;
+    this._up = new THREE.Vector3();
+    this._windUp = new THREE.Vector3();
+    this._localWind = new THREE.Vector3();
+    this._localMove = new THREE.Vector3();
+    this._inverse = new THREE.Quaternion();
+
+    this._createPrecipitation();
+    this._createLightning();
+    this._connect();
+
+    console.log(`[WeatherSystem] Starting ${this.current}${this.options.auto ? ' (automatic changes)' : ''}`);
+  }
+
+  /**
+   * Blend into another weather state
+   * @param {string} name - State name (see WEATHER_STATES)
+   * @param {number} transitionTime - Seconds to blend (0 = instant)
+   * @returns {boolean} Whether the state exists
+   */
+  setWeather(name, transitionTime = this.options.transitionTime) {
+    if (!this.options.states[name]) {
+      console.warn(`[WeatherSystem] Unknown weather "${name}"`);
+      return false;
+    }
+
+    const previous = this.current;
+    // Start the blend from wherever the last one got to
+    this._snapshot = { ...this.params };
+    this.previous = previous;
+    this.current = name;
+    this.transitionTime = transitionTime;
+    this.blend = transitionTime > 0 ? 0 : 1;
+    this.stateTimer = this._pickDuration();
+    if (this.blend === 1) this._blendParams();
+
+    console.log(`[WeatherSystem] ${previous} -> ${name} over ${transitionTime}s`);
+    if (this.options.onChange) this.options.onChange(name, previous);
+    return true;
+  }
+
+  /**
+   * Current weather state name
+   * @returns {string} State name
+   */
+  getWeather() {
+    return this.current;
+  }
+
+  /**
+   * Turn automatic weather changes on or off
+   * @param {boolean} enabled - Whether the weather changes by itself
+   */
+  setAuto(enabled) {
+    this.options.auto = enabled;
+  }
+
+  /**
+   * Wind at a point, along the ground (no wind above the atmosphere)
+   * @param {THREE.Vector3} position - World position
+   * @param {THREE.Vector3} target - Vector to write into
+   * @returns {THREE.Vector3} Wind velocity in world units per second
+   */
+  getWindAt(position, target = new THREE.Vector3()) {
+    const distance = position.length();
+    if (distance === 0 || distance > this.options.sphereRadius + this.options.atmosphereHeight) {
+      return target.set(0, 0, 0);
+    }
+    return this.getSurfaceWind(position, target);
+  }
+
+  /**
+   * Wind along the ground in a direction from the planet center, at any height
+   * @param {THREE.Vector3} direction - Direction (or position) from the planet center
+   * @param {THREE.Vector3} target - Vector to write into
+   * @returns {THREE.Vector3} Wind velocity in world units per second
+   */
+  getSurfaceWind(direction, target = new THREE.Vector3()) {
+    const length = direction.length();
+    if (length === 0) return target.set(0, 0, 0);
+    const up = this._windUp.copy(direction).divideScalar(length);
+    target.crossVectors(this.windAxis, up);
+    const sine = target.length();
+    if (sine < 1e-6) return target.set(0, 0, 0);
+    return target.multiplyScalar(this.windSpeed * Math.min(1, sine / WIND_CALM_RADIUS) / sine);
+  }
+
+  /**
+   * Advance the weather
+   * @param {number} delta - Time since last frame in seconds
+   * @param {THREE.Camera} camera - Camera the precipitation follows
+   */
+  update(delta, camera = null) {
+    this.time += delta;
+    this._updateState(delta);
+    this._blendParams();
+    this._updateWind(delta);
+    this._updateLightning(delta);
+    this._applyEffects();
+    if (camera) this._updatePrecipitation(delta, camera);
+  }
+
+  /**
+   * Remove particles and lights from the scene
+   */
+  dispose() {
+    [this.rain, this.snow].forEach(points => {
+      this.scene.remove(points);
+      points.geometry.dispose();
+      points.material.dispose();
+    });
+    this.scene.remove(this.lightningLight);
+  }
+
+  /**
+   * Count down the current state and pick the next one
+   * @param {number} delta - Time since last frame in seconds
+   * @private
+   */
+  _updateState(delta) {
+    if (this.blend < 1) {
+      this.blend = Math.min(1, this.blend + delta / Math.max(this.transitionTime, 0.001));
+    }
+    if (!this.options.auto) return;
+
+    this.stateTimer -= delta;
+    if (this.stateTimer > 0) return;
+
+    const next = this._pickNextState();
+    if (next === this.current) {
+      this.stateTimer = this._pickDuration();
+    } else {
+      this.setWeather(next);
+    }
+  }
+
+  /**
+   * Weighted pick from the transition table
+   * @returns {string} Next state name
+   * @private
+   */
+  _pickNextState() {
+    const weights = this.options.transitions[this.current] || { clear: 1 };
+    const entries = Object.entries(weights).filter(([name]) => this.options.states[name]);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = this.random() * total;
+    for (const [name, weight] of entries) {
+      roll -= weight;
+      if (roll <= 0) return name;
+    }
+    return this.current;
+  }
+
+  /**
+   * Seconds until the weather may change again
+   * @returns {number} Duration
+   * @private
+   */
+  _pickDuration() {
+    const { minDuration, maxDuration } = this.options;
+    return minDuration + this.random() * (maxDuration - minDuration);
+  }
+
+  /**
+   * Blend the previous and current presets into this.params
+   * @private
+   */
+  _blendParams() {
+    const from = this._snapshot || this.options.states[this.previous];
+    const to = this.options.states[this.current];
+    // Smoothstep so changes ease in and out
+    const t = this.blend * this.blend * (3 - 2 * this.blend);
+    BLEND_KEYS.forEach(key => {
+      this.params[key] = THREE.MathUtils.lerp(from[key] ?? 0, to[key] ?? 0, t);
+    });
+  }
+
+  /**
+   * Slowly turn the wind and add gusts
+   * @param {number} delta - Time since last frame in seconds
+   * @private
+   */
+  _updateWind(delta) {
+    this.windAngle += (this.random() - 0.5) * 2 * this.options.windDrift * delta;
+    const gust = 1 + 0.3 * Math.sin(this.time * 0.7) * Math.sin(this.time * 1.9);
+    this.windSpeed = this.params.wind * gust;
+    this.windAxis.set(Math.cos(this.windAngle), 0, Math.sin(this.windAngle));
+  }
+
+  /**
+   * Random flashes while lightning is likely
+   * @param {number} delta - Time since last frame in seconds
+   * @private
+   */
+  _updateLightning(delta) {
+    this.flash = Math.max(0, this.flash - delta * 6);
+    if (this.params.lightning > 0 && this.random() < this.params.lightning * delta) {
+      const strength = 0.6 + this.random() * 0.4;
+      this.flash = Math.max(this.flash, strength);
+      if (this.options.onLightning) this.options.onLightning(strength);
+    }
+    // Flicker: a quick double pulse while it fades
+    this.lightningLight.intensity = this.flash * 2.5 * (0.7 + 0.3 * Math.sin(this.flash * 40));
+  }
+
+  /**
+   * Push the blended weather into lighting, clouds and fog
+   * @private
+   */
+  _applyEffects() {
+    const { dayNight, clouds, fog, surfaceFog } = this.options;
+    const p = this.params;
+
+    if (dayNight?.setWeatherLighting) dayNight.setWeatherLighting(p.light, p.overcast);
+    if (clouds?.setCloudCover) clouds.setCloudCover(p.cloudCover);
+
+    if (fog?.setDensity) {
+      if (!this._fogBase) {
+        this._fogBase = { density: fog.options.fogDensity, ground: fog.options.groundFogDensity };
+      }
+      fog.setDensity(this._fogBase.density * p.fog);
+      fog.setGroundFogProperties(this._fogBase.ground * Math.sqrt(p.fog));
+    }
+    if (surfaceFog?.setFogDensity) surfaceFog.setFogDensity(p.fog);
+  }
+
+  /**
+   * Move rain and snow with the camera; particles stay put in the world and wrap around the box
+   * @param {number} delta - Time since last frame in seconds
+   * @param {THREE.Camera} camera - The camera
+   * @private
+   */
+  _updatePrecipitation(delta, camera) {
+    const cameraPosition = camera.getWorldPosition(this._cameraPosition);
+    const inAtmosphere = cameraPosition.length() < this.options.sphereRadius + this.options.atmosphereHeight;
+    const rainCount = inAtmosphere ? Math.floor(this.params.rain * this.options.maxRainParticles) : 0;
+    const snowCount = inAtmosphere ? Math.floor(this.params.snow * this.options.maxSnowParticles) : 0;
+
+    // The box is upright on the planet under the camera
+    const up = this._up.copy(cameraPosition).normalize();
+    const group = this.precipitation;
+    group.position.copy(cameraPosition);
+    group.quaternion.setFromUnitVectors(THREE.Object3D.DEFAULT_UP, up);
+    this._inverse.copy(group.quaternion).invert();
+
+    // Camera movement since last frame, in box space (particles move the other way)
+    this._localMove.set(0, 0, 0);
+    if (this._lastCameraPosition) {
+      this._localMove.subVectors(cameraPosition, this._lastCameraPosition).applyQuaternion(this._inverse);
+    } else {
+      this._lastCameraPosition = new THREE.Vector3();
+    }
+    this._lastCameraPosition.copy(cameraPosition);
+    // Teleports (respawn, launch pads) just keep the box where it is
+    if (this._localMove.lengthSq() > this.options.areaSize * this.options.areaSize) this._localMove.set(0, 0, 0);
+
+    this.getWindAt(cameraPosition, this._localWind).applyQuaternion(this._inverse);
+
+    this._stepParticles(this.rain, rainCount, delta, this.options.rainSpeed, 0.6, 0);
+    this._stepParticles(this.snow, snowCount, delta, this.options.snowSpeed, 1.0, 4);
+  }
+
+  /**
+   * Advance one precipitation type
+   * @param {THREE.Points} points - Rain or snow particles
+   * @param {number} count - Particles to show
+   * @param {number} delta - Time since last frame in seconds
+   * @param {number} fallSpeed - World units per second
+   * @param {number} windFactor - How much the wind carries the particles
+   * @param {number} sway - Side-to-side flutter (snow)
+   * @private
+   */
+  _stepParticles(points, count, delta, fallSpeed, windFactor, sway) {
+    points.visible = count > 0;
+    points.geometry.setDrawRange(0, count);
+    if (count === 0) return;
+
+    const half = this.options.areaSize / 2;
+    const bottom = -this.options.areaHeight * 0.3;
+    const top = this.options.areaHeight * 0.7;
+    const position = points.geometry.getAttribute('position');
+    const array = position.array;
+    const phases = points.userData.phases;
+    const wind = this._localWind;
+    const move = this._localMove;
+
+    for (let i = 0; i < count; i++) {
+      const j = i * 3;
+      let x = array[j] + (wind.x * windFactor) * delta - move.x;
+      let y = array[j + 1] - fallSpeed * delta - move.y;
+      let z = array[j + 2] + (wind.z * windFactor) * delta - move.z;
+      if (sway > 0) {
+        const phase = phases[i] + this.time * 1.3;
+        x += Math.sin(phase) * sway * delta;
+        z += Math.cos(phase * 0.8) * sway * delta;
+      }
+
+      // Wrap around the box so the camera is always inside the shower
+      if (y < bottom) {
+        y += top - bottom;
+        x = (this.random() - 0.5) * this.options.areaSize;
+        z = (this.random() - 0.5) * this.options.areaSize;
+      } else if (y > top) {
+        y -= top - bottom;
+      }
+      if (x < -half) x += this.options.areaSize; else if (x > half) x -= this.options.areaSize;
+      if (z < -half) z += this.options.areaSize; else if (z > half) z -= this.options.areaSize;
+
+      array[j] = x;
+      array[j + 1] = y;
+      array[j + 2] = z;
+    }
+    position.needsUpdate = true;
+  }
+
+  /**
+   * Rain and snow particle clouds (hidden until needed)
+   * @private
+   */
+  _createPrecipitation() {
+    this.precipitation = new THREE.Group();
+    this.precipitation.name = 'Precipitation';
+    this.scene.add(this.precipitation);
+
+    this.rain = this._createParticles(this.options.maxRainParticles, {
+      color: 0xaabbdd, size: 0.6, opacity: 0.55
+    });
+    this.rain.name = 'Rain';
+    this.snow = this._createParticles(this.options.maxSnowParticles, {
+      color: 0xffffff, size: 1.4, opacity: 0.9
+    });
+    this.snow.name = 'Snow';
+    this.precipitation.add(this.rain, this.snow);
+  }
+
+  /**
+   * Points scattered through the precipitation box
+   * @param {number} count - Number of particles
+   * @param {Object} material - PointsMaterial settings
+   * @returns {THREE.Points} Particles
+   * @private
+   */
+  _createParticles(count, material) {
+    const positions = new Float32Array(count * 3);
+    const phases = new Float32Array(count);
+    const { areaSize, areaHeight } = this.options;
+    for (let i = 0; i < count; i++) {
+      positions[i * 3] = (this.random() - 0.5) * areaSize;
+      positions[i * 3 + 1] = (this.random() - 0.3) * areaHeight;
+      positions[i * 3 + 2] = (this.random() - 0.5) * areaSize;
+      phases[i] = this.random() * Math.PI * 2;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setDrawRange(0, 0);
+
+    const points = new THREE.Points(geometry, new THREE.PointsMaterial({
+      ...material,
+      transparent: true,
+      depthWrite: false,
+      sizeAttenuation: true
+    }));
+    points.frustumCulled = false; // Always around the camera
+    points.visible = false;
+    points.userData.phases = phases;
+    return points;
+  }
+
+  /**
+   * Ambient light used for lightning flashes
+   * @private
+   */
+  _createLightning() {
+    this.lightningLight = new THREE.AmbientLight(0xdde6ff, 0);
+    this.lightningLight.name = 'Lightning';
+    this.scene.add(this.lightningLight);
+  }
+
+  /**
+   * Hand the wind to systems that drift with it
+   * @private
+   */
+  _connect() {
+    const { clouds, birds } = this.options;
+    const getWind = (direction, target) => this.getSurfaceWind(direction, target);
+    if (clouds?.setWind) clouds.setWind(getWind);
+    if (birds?.setWind) birds.setWind(getWind);
+  }
+}
@@ -0,0 +1,567 @@
+import * as THREE from 'three';
+import {
+  collidables,
+  placeProp,
+  updatePlacedObject,
+  removePlacedObject,
+  getPlacedObjectById,
+  describePlacedObject,
+  exportLayout,
+  raycastTerrain,
+  PROP_TYPES
+} from './world_objects.js';
+import { downloadJSON } from './WorldLayout.js';
+import { describeBinding } from './InputMap.js';
+
+// Editor actions (see INPUT_ACTIONS) -> prop type placed in place mode
+const PLACE_ACTIONS = {
+  editorPlacePine: 'pineTree',
+  editorPlaceApple: 'appleTree',
+  editorPlaceRock: 'rock',
+  editorPlaceGrass: 'grass',
+  editorPlaceCabin: 'cabin'
+};
+
+// editorSpecies cycles through the tree species
+const SPECIES_TYPES = ['oakTree', 'birchTree', 'willowTree', 'bush', 'deadTree'];
+
+// Every editor action
+const EDITOR_ACTIONS = [
+  ...Object.keys(PLACE_ACTIONS), 'editorSpecies', 'editorSelectMode', 'editorRotateLeft',
+  'editorRotateRight', 'editorScaleDown', 'editorScaleUp', 'editorDelete', 'editorDeselect',
+  'editorUndo', 'editorRedo', 'editorExport'
+];
+
+// Keys (KeyboardEvent.key, lower case) used when there's no input map
+const FALLBACK_KEYS = {
+  '1': 'editorPlacePine', '2': 'editorPlaceApple', '3': 'editorPlaceRock', '4': 'editorPlaceGrass',
+  '5': 'editorPlaceCabin', '6': 'editorSpecies', '0': 'editorSelectMode',
+  '[': 'editorRotateLeft', ']': 'editorRotateRight', '-': 'editorScaleDown', '=': 'editorScaleUp', '+': 'editorScaleUp',
+  'delete': 'editorDelete', 'backspace': 'editorDelete', 'x': 'editorDelete', 'escape': 'editorDeselect',
+  'z': 'editorUndo', 'y': 'editorRedo', 'j': 'editorExport'
+};
+
+/**
+ * In-game world editor.
+ * Aim with the crosshair to select, place, drag, rotate, scale and delete props
+ * (pine trees, apple trees, tree species, rocks, grass and cabins). Every edit goes through
+ * world_objects.js so collidables, the spatial index and instanced batches stay
+ * in sync, and every edit can be undone. The result exports as a layout JSON
+ * that initEnvironment loads back via config.layout.
+ */
+export default class WorldEditor {
+  /**
+   * Create a new world editor
+   * @param {THREE.Scene} scene - Scene with the planet
+   * @param {THREE.Camera} camera - Camera to aim from (crosshair = screen center)
+   * @param {Object} options - Configuration options
+   */
+  constructor(scene, camera, options = {}) {
+    this.scene = scene;
+    this.camera = camera;
+    this.options = Object.assign({
+      toggleKey: 'F2',        // Used when there's no input map
+      input: null,            // InputMap - the toggleEditor action opens/closes the editor
+      maxRayDistance: 1500,
+      pickPadding: 1.5,       // Extra pick radius around objects (world units)
+      rotateStep: Math.PI / 12, // 15 degrees
+      scaleStep: 1.1,
+      minScale: 0.2,
+      maxScale: 5,
+      historyLimit: 100,
+      propDefaults: {}        // type -> { params, heightOffset, sinkDepth } used when placing
+    }, options);
+
+    this.enabled = false;
+    this.placeType = null;    // null = select mode
+    this.selected = null;     // Selected collidable
+    this.dragging = null;     // { id, before } while the mouse is held on the selection
+    this.undoStack = [];
+    this.redoStack = [];
+
+    this._origin = new THREE.Vector3();
+    this._rayDir = new THREE.Vector3();
+    this._closest = new THREE.Vector3();
+
+    this._createMarker();
+    this._createHud();
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onMouseDown = this._onMouseDown.bind(this);
+    this._onMouseUp = this._onMouseUp.bind(this);
+    // Capture phase on window runs before the game's document listeners, so handled
+    // events don't also fire the slingshot or switch weapons
+    window.addEventListener('keydown', this._onKeyDown, true);
+    window.addEventListener('mousedown', this._onMouseDown, true);
+    window.addEventListener('mouseup', this._onMouseUp, true);
+
+    // NEW: Toggle and edit through rebindable actions when an input map is given
+    if (this.options.input) {
+      this._onToggleAction = pressed => { if (pressed) this.toggle(); };
+      this.options.input.on('toggleEditor', this._onToggleAction);
+      this._actionListeners = {};
+      for (const action of EDITOR_ACTIONS) {
+        this._actionListeners[action] = this.options.input.on(action, (pressed, event) => {
+          if (pressed && this.enabled && this._runAction(action, event)) event?.preventDefault();
+        });
+      }
+    }
+
+    console.log(`[WorldEditor] Ready - press ${this._toggleKeyName()} to toggle`);
+  }
+
+  /**
+   * Turn the editor on or off
+   * @param {boolean} enabled - Optional explicit state
+   * @returns {boolean} New state
+   */
+  toggle(enabled = !this.enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this._endDrag();
+      this.select(null);
+    }
+    this.hud.style.display = enabled ? 'block' : 'none';
+    this._updateHud();
+    console.log(`[WorldEditor] ${enabled ? 'Enabled' : 'Disabled'}`);
+    return enabled;
+  }
+
+  /**
+   * Choose what a click does
+   * @param {string|null} type - Prop type to place, or null for select mode
+   */
+  setPlaceType(type) {
+    if (type !== null && !PROP_TYPES.includes(type)) {
+      console.warn(`[WorldEditor] Unknown prop type "${type}"`);
+      return;
+    }
+    this.placeType = type;
+    this._updateHud();
+  }
+
+  /**
+   * Select a placed object (null clears the selection)
+   * @param {Object|null} obj - Collidable entry
+   */
+  select(obj) {
+    this.selected = obj && !obj.isPlanet ? obj : null;
+    this.marker.visible = !!this.selected;
+    this._updateMarker();
+    this._updateHud();
+  }
+
+  /**
+   * Per-frame update: drag the selection along the ground and keep the marker on it
+   */
+  update() {
+    if (!this.enabled) return;
+
+    if (this.dragging && this.selected) {
+      const hit = this._aimTerrain();
+      if (hit) updatePlacedObject(this.selected, { direction: hit.direction });
+    }
+    this._updateMarker();
+  }
+
+  // --- Edits (all undoable) ---
+
+  /**
+   * Place a prop at a direction using the configured defaults for its type
+   * @param {string} type - Prop type
+   * @param {THREE.Vector3} direction - Direction from planet center
+   * @returns {Object|null} New collidable
+   */
+  placeAt(type, direction) {
+    const defaults = this.options.propDefaults[type] || {};
+    let obj;
+    try {
+      obj = placeProp(type, direction, {
+        params: { ...defaults.params },
+        heightOffset: defaults.heightOffset ?? 0,
+        sinkDepth: defaults.sinkDepth ?? 0
+      });
+    } catch (error) {
+      console.error(`[WorldEditor] Could not place ${type}:`, error);
+      return null;
+    }
+
+    this._push({ kind: 'place', record: describePlacedObject(obj) });
+    this.select(obj);
+    return obj;
+  }
+
+  /**
+   * Delete the selected object
+   */
+  deleteSelected() {
+    const obj = this.selected;
+    if (!obj) return;
+    const record = describePlacedObject(obj);
+    if (!record) {
+      console.warn('[WorldEditor] Only props placed through createProp can be edited');
+      return;
+    }
+
+    this.select(null);
+    removePlacedObject(obj);
+    this._push({ kind: 'delete', record });
+  }
+
+  /**
+   * Spin the selection around its up axis
+   * @param {number} angle - Radians to add
+   */
+  rotateSelected(angle) {
+    const obj = this.selected;
+    if (!obj) return;
+    this._transform(obj, { spin: (obj.spin || 0) + angle });
+  }
+
+  /**
+   * Multiply the selection's scale
+   * @param {number} factor - Scale multiplier
+   */
+  scaleSelected(factor) {
+    const obj = this.selected;
+    if (!obj) return;
+    const { minScale, maxScale } = this.options;
+    const scale = THREE.MathUtils.clamp((obj.propScale ?? 1) * factor, minScale, maxScale);
+    this._transform(obj, { scale });
+  }
+
+  /**
+   * Undo the last edit
+   * @returns {boolean} Whether anything was undone
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+    this._apply(command, true);
+    this.redoStack.push(command);
+    this._updateHud();
+    return true;
+  }
+
+  /**
+   * Redo the last undone edit
+   * @returns {boolean} Whether anything was redone
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+    this._apply(command, false);
+    this.undoStack.push(command);
+    this._updateHud();
+    return true;
+  }
+
+  /**
+   * Download the current layout as JSON
+   * @returns {Object} Layout data
+   */
+  exportLayout() {
+    const layout = exportLayout();
+    downloadJSON(layout, `world-layout-${layout.seed ?? 'random'}.json`);
+    console.log(`[WorldEditor] Exported ${layout.props.length} props`);
+    return layout;
+  }
+
+  /**
+   * Remove listeners and scene/DOM helpers
+   */
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDown, true);
+    window.removeEventListener('mousedown', this._onMouseDown, true);
+    window.removeEventListener('mouseup', this._onMouseUp, true);
+    if (this._onToggleAction) this.options.input.off('toggleEditor', this._onToggleAction);
+    for (const [action, listener] of Object.entries(this._actionListeners || {})) {
+      this.options.input.off(action, listener);
+    }
+    this.scene.remove(this.marker);
+    this.marker.geometry.dispose();
+    this.marker.material.dispose();
+    this.hud.remove();
+  }
+
+  // --- Input ---
+
+  _onKeyDown(e) {
+    if (!this.options.input && e.key === this.options.toggleKey) {
+      this.toggle();
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      return;
+    }
+    if (this.options.input || !this.enabled || e.target?.tagName === 'INPUT') return;
+
+    const action = FALLBACK_KEYS[e.key.toLowerCase()];
+    if (action && this._runAction(action, e)) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }
+  }
+
+  /**
+   * Carry out an editor action
+   * @param {string} action - Editor action name
+   * @param {Event} event - Key event that pressed it, if any (undo/redo need Ctrl on a keyboard)
+   * @returns {boolean} True if the action was handled
+   * @private
+   */
+  _runAction(action, event) {
+    const o = this.options;
+    if (PLACE_ACTIONS[action]) {
+      this.setPlaceType(PLACE_ACTIONS[action]);
+      return true;
+    }
+
+    // Undo/redo keys only count with Ctrl (or Cmd) held, like everywhere else
+    const command = !event?.key || event.ctrlKey || event.metaKey;
+    switch (action) {
+      case 'editorSpecies': {
+        const next = (SPECIES_TYPES.indexOf(this.placeType) + 1) % SPECIES_TYPES.length;
+        this.setPlaceType(SPECIES_TYPES[next]);
+        return true;
+      }
+      case 'editorSelectMode': this.setPlaceType(null); return true;
+      case 'editorRotateLeft': this.rotateSelected(-o.rotateStep); return true;
+      case 'editorRotateRight': this.rotateSelected(o.rotateStep); return true;
+      case 'editorScaleDown': this.scaleSelected(1 / o.scaleStep); return true;
+      case 'editorScaleUp': this.scaleSelected(o.scaleStep); return true;
+      case 'editorDelete': this.deleteSelected(); return true;
+      case 'editorDeselect': this.select(null); return true;
+      case 'editorExport': this.exportLayout(); return true;
+      case 'editorUndo':
+        if (!command) return false;
+        if (event?.shiftKey) this.redo(); else this.undo();
+        return true;
+      case 'editorRedo':
+        if (!command) return false;
+        this.redo();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  _onMouseDown(e) {
+    if (!this.enabled || e.button !== 0) return;
+    e.stopImmediatePropagation();
+
+    if (this.placeType) {
+      const hit = this._aimTerrain();
+      if (hit) this.placeAt(this.placeType, hit.direction);
+      return;
+    }
+
+    const obj = this._pickObject();
+    this.select(obj);
+    if (obj && describePlacedObject(obj)) {
+      this.dragging = { id: obj.layoutId, before: this._stateOf(obj) };
+    }
+  }
+
+  _onMouseUp(e) {
+    if (!this.enabled || e.button !== 0) return;
+    e.stopImmediatePropagation();
+    this._endDrag();
+  }
+
+  _endDrag() {
+    const drag = this.dragging;
+    this.dragging = null;
+    if (!drag || !this.selected) return;
+
+    const after = this._stateOf(this.selected);
+    if (after.direction.angleTo(drag.before.direction) > 1e-5) {
+      this._push({ kind: 'transform', id: drag.id, before: drag.before, after });
+    }
+  }
+
+  // --- Picking ---
+
+  _aimRay() {
+    this.camera.getWorldPosition(this._origin);
+    this.camera.getWorldDirection(this._rayDir);
+  }
+
+  _aimTerrain() {
+    this._aimRay();
+    return raycastTerrain(this._origin, this._rayDir, this.options.maxRayDistance);
+  }
+
+  /**
+   * Closest prop along the aim ray. Each prop is treated as an upright capsule
+   * (instanced props have no mesh of their own to raycast against).
+   * @private
+   */
+  _pickObject() {
+    this._aimRay();
+    const groundHit = raycastTerrain(this._origin, this._rayDir, this.options.maxRayDistance);
+    const maxDistance = groundHit ? groundHit.distance + this.options.pickPadding : this.options.maxRayDistance;
+
+    let best = null;
+    let bestDistance = Infinity;
+    const base = new THREE.Vector3();
+    const top = new THREE.Vector3();
+    const ray = new THREE.Ray(this._origin, this._rayDir);
+
+    for (const obj of collidables) {
+      if (obj.isPlanet || obj.isBox || !obj.mesh || !obj.direction) continue; // Cabin walls select their cabin
+
+      const height = Math.max(obj.collisionHeight || 0, (obj.heightOffset || 0) * 2 * (obj.propScale ?? 1), (obj.radius || 1) * 1.5);
+      const radius = Math.max(obj.radius || 1, height * 0.15) + this.options.pickPadding;
+      base.copy(obj.direction).multiplyScalar(obj.baseRadius - (obj.heightOffset || 0) * (obj.propScale ?? 1));
+      top.copy(obj.direction).multiplyScalar(height).add(base);
+
+      const distSq = ray.distanceSqToSegment(base, top, this._closest);
+      if (distSq > radius * radius) continue;
+
+      const along = this._closest.sub(this._origin).dot(this._rayDir);
+      if (along < 0 || along > maxDistance || along >= bestDistance) continue;
+      best = obj;
+      bestDistance = along;
+    }
+    return best;
+  }
+
+  // --- History ---
+
+  _stateOf(obj) {
+    return { direction: obj.direction.clone(), spin: obj.spin || 0, scale: obj.propScale ?? 1 };
+  }
+
+  _transform(obj, changes) {
+    if (!describePlacedObject(obj)) return;
+    const before = this._stateOf(obj);
+    updatePlacedObject(obj, changes);
+    this._push({ kind: 'transform', id: obj.layoutId, before, after: this._stateOf(obj) });
+    this._updateHud();
+  }
+
+  _push(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.options.historyLimit) this.undoStack.shift();
+    this.redoStack.length = 0;
+    this._updateHud();
+  }
+
+  /**
+   * Run a command forwards or backwards. Objects are looked up by layout id
+   * because a delete + undo creates a new collidable with the same id.
+   * @private
+   */
+  _apply(command, reverse) {
+    const { kind, record } = command;
+    const create = (kind === 'place') !== reverse; // place forwards / delete backwards
+    let obj;
+
+    switch (kind) {
+      case 'place':
+      case 'delete':
+        if (create) {
+          obj = placeProp(record.type, new THREE.Vector3().fromArray(record.direction), record);
+          this.select(obj);
+        } else {
+          obj = getPlacedObjectById(record.id);
+          if (obj === this.selected) this.select(null);
+          if (obj) removePlacedObject(obj);
+        }
+        break;
+      case 'transform':
+        obj = getPlacedObjectById(command.id);
+        if (obj) {
+          updatePlacedObject(obj, reverse ? command.before : command.after);
+          this.select(obj);
+        }
+        break;
+    }
+  }
+
+  // --- Helpers ---
+
+  _createMarker() {
+    const geometry = new THREE.RingGeometry(0.85, 1, 32);
+    geometry.rotateX(-Math.PI / 2); // Lie flat in the object's local frame
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffdd33,
+      side: THREE.DoubleSide,
+      depthTest: false,
+      transparent: true,
+      opacity: 0.85
+    });
+    this.marker = new THREE.Mesh(geometry, material);
+    this.marker.renderOrder = 999;
+    this.marker.visible = false;
+    this.scene.add(this.marker);
+  }
+
+  _updateMarker() {
+    const obj = this.selected;
+    if (!obj) return;
+    const groundRadius = obj.baseRadius - (obj.heightOffset || 0) * (obj.propScale ?? 1) + 0.3;
+    this.marker.position.copy(obj.direction).multiplyScalar(groundRadius);
+    this.marker.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), obj.direction);
+    this.marker.scale.setScalar(Math.max(obj.radius || 1, 1) * 1.6 + 1);
+  }
+
+  _createHud() {
+    this.hud = document.createElement('div');
+    this.hud.id = 'world-editor-hud';
+    Object.assign(this.hud.style, {
+      position: 'fixed',
+      top: '10px',
+      right: '10px',
+      padding: '8px 12px',
+      background: 'rgba(0, 0, 0, 0.6)',
+      color: '#fff',
+      font: '12px monospace',
+      whiteSpace: 'pre',
+      borderRadius: '4px',
+      pointerEvents: 'none',
+      zIndex: 1000,
+      display: 'none'
+    });
+    document.body.appendChild(this.hud);
+  }
+
+  _updateHud() {
+    if (!this.enabled) return;
+    const obj = this.selected;
+    const selection = obj
+      ? `${obj.propType || obj.objectType} #${obj.layoutId}  rot ${THREE.MathUtils.radToDeg(obj.spin || 0).toFixed(0)}°  scale ${(obj.propScale ?? 1).toFixed(2)}`
+      : 'none';
+
+    const k = action => this._actionKeyName(action);
+    this.hud.textContent = [
+      `WORLD EDITOR (${this._toggleKeyName()} to exit)`,
+      `Mode: ${this.placeType ? `place ${this.placeType}` : 'select'}`,
+      `Selected: ${selection}`,
+      `History: ${this.undoStack.length} undo / ${this.redoStack.length} redo`,
+      '',
+      'Click: select/place   Hold: drag',
+      `${Object.keys(PLACE_ACTIONS).map(k).join(' ')}: pine/apple/rock/grass/cabin`,
+      `${k('editorSpecies')}: species  ${k('editorSelectMode')}: select`,
+      `${k('editorRotateLeft')} ${k('editorRotateRight')}: rotate   ${k('editorScaleDown')} ${k('editorScaleUp')}: scale   ${k('editorDelete')}: delete`,
+      `Ctrl+${k('editorUndo')} / Ctrl+${k('editorRedo')}: undo/redo   ${k('editorDeselect')}: deselect`,
+      `${k('editorExport')}: export layout JSON`
+    ].join('\n');
+  }
+
+  // Key of an editor action for the HUD (primary binding, or the fallback key)
+  _actionKeyName(action) {
+    const input = this.options.input;
+    if (!input) {
+      const key = Object.keys(FALLBACK_KEYS).find(k => FALLBACK_KEYS[k] === action);
+      return key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1);
+    }
+    const code = input.getBindings(action).find(Boolean);
+    return code ? describeBinding(code) : '—';
+  }
+
+  // Key that toggles the editor, for the HUD
+  _toggleKeyName() {
+    return this.options.input ? this.options.input.describe('toggleEditor') : this.options.toggleKey;
+  }
+}
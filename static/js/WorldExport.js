@@ -0,0 +1,100 @@
+// WorldExport.js - Snapshot of the generated world as a binary glTF (.glb) for Blender and level review
+import * as THREE from 'three';
+import { downloadBlob } from './WorldLayout.js';
+
+/**
+ * An export is built from copies, never from the live scene graph: the copies share
+ * geometry and materials with the game (no extra GPU memory, nothing in the game moves),
+ * and their userData is reduced to plain JSON so GLTFExporter can store it as glTF
+ * "extras" - three.js' own clone would choke on the circular references some props keep
+ * (e.g. apple trees point back at their collidable entry).
+ *
+ * Exported hierarchy (node names are kept, so they show up in Blender's outliner):
+ *
+ *   World
+ *   ├─ Planet        one uniform-resolution terrain mesh with biome vertex colors
+ *   ├─ Props         every placed prop (trees, rocks, grass, cabins...), extras.layout
+ *   │                holds the same record a layout file stores
+ *   └─ Apples        growing and fallen apples, extras.appleType / state
+ */
+
+/**
+ * Reduce a value to what JSON (and so glTF extras) can hold. Vectors, colors and
+ * quaternions become arrays; scene objects, materials, geometries, textures,
+ * functions, typed arrays and circular references are dropped.
+ * @param {*} value - Any value, usually an object's userData
+ * @returns {*} Plain JSON data (undefined if nothing is left)
+ */
+export function toExtras(value, seen = new WeakSet()) {
+  if (value === null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' || typeof value === 'boolean') return value;
+  if (typeof value !== 'object') return undefined; // Functions, symbols, undefined
+
+  if (value.isObject3D || value.isMaterial || value.isBufferGeometry || value.isTexture) return undefined;
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return undefined;
+  if (typeof value.toArray === 'function') return value.toArray(); // Vector3, Color, Quaternion, Matrix4...
+  if (seen.has(value)) return undefined;
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => toExtras(item, seen) ?? null);
+  }
+  const result = {};
+  for (const key of Object.keys(value)) {
+    const item = toExtras(value[key], seen);
+    if (item !== undefined) result[key] = item;
+  }
+  return result;
+}
+
+/**
+ * Copy an object and its visible mesh/group children for export. Geometry and
+ * materials are shared with the original; the transform is the object's local one.
+ * @param {THREE.Object3D} object - Object to copy
+ * @param {Object} extras - Extra userData merged over the sanitized original
+ * @returns {THREE.Object3D|null} The copy (null for invisible or unsupported objects)
+ */
+export function cloneForExport(object, extras = null) {
+  if (!object.visible || object.isInstancedMesh || object.isPoints || object.isLine || object.isSprite || object.isLight) {
+    return null;
+  }
+
+  const copy = object.isMesh ? new THREE.Mesh(object.geometry, object.material) : new THREE.Group();
+  copy.name = object.name;
+  copy.position.copy(object.position);
+  copy.quaternion.copy(object.quaternion);
+  copy.scale.copy(object.scale);
+  copy.userData = { ...toExtras(object.userData), ...extras };
+
+  object.children.forEach(child => {
+    const childCopy = cloneForExport(child);
+    if (childCopy) copy.add(childCopy);
+  });
+  return copy;
+}
+
+/**
+ * Encode an object tree as binary glTF
+ * @param {THREE.Object3D} root - Object to export (e.g. from createWorldExport)
+ * @param {Object} options - Extra GLTFExporter options
+ * @returns {Promise<ArrayBuffer>} The .glb contents
+ */
+export async function exportGLB(root, options = {}) {
+  // Only needed when exporting, so it isn't loaded with the game
+  const { GLTFExporter } = await import('three/addons/exporters/GLTFExporter.js');
+  const exporter = new GLTFExporter();
+  return exporter.parseAsync(root, { binary: true, onlyVisible: true, ...options });
+}
+
+/**
+ * Encode an object tree as binary glTF and save it as a file download
+ * @param {THREE.Object3D} root - Object to export
+ * @param {string} filename - File name
+ * @returns {Promise<number>} Size in bytes
+ */
+export async function downloadGLB(root, filename = 'world.glb') {
+  const buffer = await exportGLB(root);
+  downloadBlob(new Blob([buffer], { type: 'model/gltf-binary' }), filename);
+  return buffer.byteLength;
+}
@@ -0,0 +1,305 @@
+// WorldLayout.js - Saved worlds: terrain config, terrain features and every placed prop
+import * as THREE from 'three';
+
+/**
+ * A layout is plain JSON:
+ *
+ * {
+ *   "format": "fly5d-world",
+ *   "version": 2,
+ *   "seed": 12345,                       // World seed (base noise phase, biomes, model shapes)
+ *   "createdAt": "2024-01-01T00:00:00.000Z",
+ *   "terrain": { "radius": 400, "noiseFrequency": 5, "noiseAmplitude": 8, "seaLevel": -4,
+ *                "heightmap": { "url": "...png", "scale": 40 }, "splatMap": null },  // Painted maps (terrain_maps.js)
+ *   "terrainFeatures": { "orientation": "fixed", "features": [...] },  // Same format as terrain_features.json
+ *   "props": [
+ *     { "id": 1, "type": "pineTree", "params": { "height": 160, ... }, "direction": [x, y, z],
+ *       "heightOffset": 80, "sinkDepth": 100, "spin": 0, "scale": 1 }
+ *   ]
+ * }
+ *
+ * Version 1 layouts (props only, written by the first world editor) still load;
+ * the terrain then comes from the regular world config.
+ *
+ * The binary form stores the same data: a small JSON header (seed, terrain,
+ * features, type and params tables) followed by fixed-size prop records.
+ */
+
+export const LAYOUT_FORMAT = 'fly5d-world';
+// Bump when the layout format changes in a way older loaders can't read
+export const LAYOUT_VERSION = 2;
+
+const BINARY_MAGIC = 'F5DL';
+const BINARY_PROP_BYTES = 36; // id u32, type u8, pad u8, params u16, direction 3xf32, heightOffset/sinkDepth/spin/scale 4xf32
+
+/**
+ * Build a layout object from prop records
+ * @param {Array} records - Prop records from describePlacedObject()
+ * @param {Object} meta - { seed, terrain, terrainFeatures }
+ * @returns {Object} Layout data, ready for JSON.stringify
+ */
+export function createLayout(records, meta = {}) {
+  return {
+    format: LAYOUT_FORMAT,
+    version: LAYOUT_VERSION,
+    seed: meta.seed ?? null,
+    createdAt: new Date().toISOString(),
+    terrain: meta.terrain || null,
+    terrainFeatures: meta.terrainFeatures
+      ? { orientation: 'fixed', features: meta.terrainFeatures }
+      : null,
+    props: records
+  };
+}
+
+/**
+ * Validate a layout and convert prop directions to vectors.
+ * Already-parsed layouts are returned unchanged.
+ * @param {Object|string|ArrayBuffer} data - Layout object, its JSON text or the binary form
+ * @returns {Object} { parsed, version, seed, terrain, terrainFeatures, props: [{ id, type, params, direction: Vector3, ... }] }
+ */
+export function parseLayout(data) {
+  if (data?.parsed) return data;
+
+  let layout = data;
+  if (isBinaryLayout(data)) layout = decodeLayoutBinary(data);
+  else if (typeof data === 'string') layout = JSON.parse(data);
+
+  if (!layout || !Array.isArray(layout.props)) {
+    throw new Error('[WorldLayout] Layout has no props array');
+  }
+  if (layout.format !== undefined && layout.format !== LAYOUT_FORMAT) {
+    throw new Error(`[WorldLayout] Not a world layout (format "${layout.format}")`);
+  }
+  if (typeof layout.version !== 'number' || layout.version > LAYOUT_VERSION) {
+    throw new Error(`[WorldLayout] Unsupported layout version ${layout.version} (max ${LAYOUT_VERSION})`);
+  }
+
+  const props = [];
+  for (const record of layout.props) {
+    const d = record.direction;
+    if (!record.type || !Array.isArray(d) || d.length !== 3 || !d.every(Number.isFinite)) {
+      console.warn('[WorldLayout] Skipping invalid prop record:', record);
+      continue;
+    }
+    const direction = new THREE.Vector3(d[0], d[1], d[2]);
+    if (direction.lengthSq() === 0) continue;
+
+    props.push({
+      id: Number.isInteger(record.id) ? record.id : null,
+      type: record.type,
+      params: record.params || {},
+      direction: direction.normalize(),
+      heightOffset: record.heightOffset || 0,
+      sinkDepth: record.sinkDepth || 0,
+      spin: record.spin || 0,
+      scale: record.scale ?? 1
+    });
+  }
+
+  return {
+    parsed: true,
+    version: layout.version,
+    seed: layout.seed ?? null,
+    terrain: layout.terrain || null,
+    terrainFeatures: layout.terrainFeatures || null,
+    props
+  };
+}
+
+/**
+ * Check for the binary layout header
+ * @param {ArrayBuffer|ArrayBufferView} data - Data to check
+ * @returns {boolean} True for binary layouts
+ */
+export function isBinaryLayout(data) {
+  const bytes = toBytes(data);
+  if (!bytes || bytes.length < 12) return false;
+  return String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === BINARY_MAGIC;
+}
+
+/**
+ * Pack a layout into the compact binary form
+ * @param {Object} layout - Layout from createLayout()
+ * @returns {ArrayBuffer} Binary layout
+ */
+export function encodeLayoutBinary(layout) {
+  // Share type names and generator params between props (most props use a few param sets)
+  const types = [];
+  const params = [];
+  const paramKeys = new Map();
+  const typeIndex = type => {
+    let index = types.indexOf(type);
+    if (index === -1) index = types.push(type) - 1;
+    return index;
+  };
+  const paramsIndex = value => {
+    const key = JSON.stringify(value || {});
+    if (!paramKeys.has(key)) paramKeys.set(key, params.push(value || {}) - 1);
+    return paramKeys.get(key);
+  };
+
+  const props = layout.props.map(p => ({ ...p, typeIndex: typeIndex(p.type), paramsIndex: paramsIndex(p.params) }));
+  if (types.length > 255 || params.length > 65535) {
+    throw new Error('[WorldLayout] Too many prop types or param sets for the binary format');
+  }
+
+  const header = new TextEncoder().encode(JSON.stringify({
+    format: layout.format || LAYOUT_FORMAT,
+    seed: layout.seed ?? null,
+    createdAt: layout.createdAt,
+    terrain: layout.terrain || null,
+    terrainFeatures: layout.terrainFeatures || null,
+    types,
+    params
+  }));
+
+  const headerEnd = align4(12 + header.length);
+  const buffer = new ArrayBuffer(headerEnd + 4 + props.length * BINARY_PROP_BYTES);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  for (let i = 0; i < 4; i++) bytes[i] = BINARY_MAGIC.charCodeAt(i);
+  view.setUint16(4, layout.version ?? LAYOUT_VERSION, true);
+  view.setUint16(6, 0, true); // Reserved flags
+  view.setUint32(8, header.length, true);
+  bytes.set(header, 12);
+
+  let offset = headerEnd;
+  view.setUint32(offset, props.length, true);
+  offset += 4;
+
+  for (const p of props) {
+    view.setUint32(offset, p.id ?? 0, true);
+    view.setUint8(offset + 4, p.typeIndex);
+    view.setUint16(offset + 6, p.paramsIndex, true);
+    view.setFloat32(offset + 8, p.direction[0], true);
+    view.setFloat32(offset + 12, p.direction[1], true);
+    view.setFloat32(offset + 16, p.direction[2], true);
+    view.setFloat32(offset + 20, p.heightOffset || 0, true);
+    view.setFloat32(offset + 24, p.sinkDepth || 0, true);
+    view.setFloat32(offset + 28, p.spin || 0, true);
+    view.setFloat32(offset + 32, p.scale ?? 1, true);
+    offset += BINARY_PROP_BYTES;
+  }
+
+  return buffer;
+}
+
+/**
+ * Unpack a binary layout into the JSON layout shape
+ * @param {ArrayBuffer|ArrayBufferView} data - Binary layout
+ * @returns {Object} Layout data (same shape as createLayout)
+ */
+export function decodeLayoutBinary(data) {
+  const bytes = toBytes(data);
+  if (!isBinaryLayout(bytes)) {
+    throw new Error('[WorldLayout] Missing binary layout header');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const version = view.getUint16(4, true);
+  const headerLength = view.getUint32(8, true);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+
+  let offset = align4(12 + headerLength);
+  const count = view.getUint32(offset, true);
+  offset += 4;
+  if (offset + count * BINARY_PROP_BYTES > bytes.byteLength) {
+    throw new Error('[WorldLayout] Binary layout is truncated');
+  }
+
+  const round = v => +v.toFixed(6); // Drop float32 noise so values read like the JSON form
+  const props = [];
+  for (let i = 0; i < count; i++) {
+    props.push({
+      id: view.getUint32(offset, true) || null, // 0 = no id
+      type: header.types[view.getUint8(offset + 4)],
+      params: { ...header.params[view.getUint16(offset + 6, true)] },
+      direction: [
+        round(view.getFloat32(offset + 8, true)),
+        round(view.getFloat32(offset + 12, true)),
+        round(view.getFloat32(offset + 16, true))
+      ],
+      heightOffset: round(view.getFloat32(offset + 20, true)),
+      sinkDepth: round(view.getFloat32(offset + 24, true)),
+      spin: round(view.getFloat32(offset + 28, true)),
+      scale: round(view.getFloat32(offset + 32, true))
+    });
+    offset += BINARY_PROP_BYTES;
+  }
+
+  return {
+    format: header.format,
+    version,
+    seed: header.seed,
+    createdAt: header.createdAt,
+    terrain: header.terrain,
+    terrainFeatures: header.terrainFeatures,
+    props
+  };
+}
+
+/**
+ * Fetch a layout file (JSON or binary, detected from its header)
+ * @param {string} url - URL of the layout file
+ * @returns {Promise<Object>} Parsed layout
+ */
+export async function loadLayout(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`[WorldLayout] Failed to load ${url}: ${response.status} ${response.statusText}`);
+  }
+  const buffer = await response.arrayBuffer();
+  const data = isBinaryLayout(buffer) ? buffer : new TextDecoder().decode(buffer);
+  const layout = parseLayout(data);
+  console.log(`[WorldLayout] Loaded ${layout.props.length} props from ${url} (version ${layout.version})`);
+  return layout;
+}
+
+/**
+ * Save a layout as a JSON file download
+ * @param {Object} data - Layout data
+ * @param {string} filename - File name
+ */
+export function downloadJSON(data, filename = 'world-layout.json') {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+}
+
+/**
+ * Save a layout as a binary file download
+ * @param {Object} data - Layout data
+ * @param {string} filename - File name
+ * @returns {number} Size in bytes
+ */
+export function downloadBinary(data, filename = 'world-layout.f5dl') {
+  const buffer = encodeLayoutBinary(data);
+  downloadBlob(new Blob([buffer], { type: 'application/octet-stream' }), filename);
+  return buffer.byteLength;
+}
+
+/**
+ * Save a blob as a file download (also used for .glb world exports)
+ * @param {Blob} blob - File contents
+ * @param {string} filename - File name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function toBytes(data) {
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return null;
+}
+
+function align4(n) {
+  return (n + 3) & ~3;
+}
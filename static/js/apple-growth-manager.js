@@ -16,6 +16,7 @@ export default class AppleGrowthManager {
     this.appleSystem = new AppleSystem(scene, {
       sphereRadius: 400,
       getTerrainHeight,
+      getWaterLevel: this.cfg.getWaterLevel || null, // Apples float on lakes and the sea
       onAppleCollected: (type, value, multiplier, position) => {
         console.log(`[AppleGrowthManager] Apple collected! Adding ${value} ${type} apples to player.`);
         if (onCollect) {
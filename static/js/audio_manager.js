@@ -121,12 +121,15 @@ export default class AudioManager {
     return audioSource;
   }
   
-  // REMOVED: updateDayNightCycle method entirely
-  /*
-  updateDayNightCycle(timeOfDay) {
-    // ... removed day/night logic ...
+  // RESTORED: Driven by DayNightCycle - crickets fade in as the light goes
+  updateDayNightCycle(timeOfDay, state = null) {
+    // Without the cycle's daylight value, treat 06:00-18:00 as day
+    const daylight = state ? state.daylight : (timeOfDay > 0.25 && timeOfDay < 0.75 ? 1 : 0);
+    const night = this.ambientSounds.nighttime;
+    if (night && night.buffer) {
+      night.setVolume(this.masterMuted ? 0 : 0.3 * (1 - daylight) * this.masterVolume);
+    }
   }
-  */
 
   playFootstep() {
     // Create a single-use sound for footsteps
@@ -0,0 +1,171 @@
+// biomes.js - Biome map from latitude, height and noise
+import * as THREE from 'three';
+import { createValueNoise3D, fbm3 } from './utils/valueNoise.js';
+import { forkRandom } from './utils/seededRandom.js';
+
+/**
+ * Biome definitions.
+ * - color:   terrain vertex color
+ * - density: relative placement density (0 = never, 1 = full) per object type
+ */
+export const BIOMES = {
+  meadow: {
+    name: 'Meadow',
+    color: new THREE.Color(0x6DBE45),
+    density: { pineTrees: 0.3, appleTrees: 1.0, rocks: 0.4, grass: 1.0 }
+  },
+  forest: {
+    name: 'Forest',
+    color: new THREE.Color(0x2E7D32),
+    density: { pineTrees: 1.0, appleTrees: 0.6, rocks: 0.3, grass: 0.6 }
+  },
+  rockyHighlands: {
+    name: 'Rocky Highlands',
+    color: new THREE.Color(0x8D8478),
+    density: { pineTrees: 0.15, appleTrees: 0.05, rocks: 1.0, grass: 0.15 }
+  },
+  snowyPoles: {
+    name: 'Snowy Poles',
+    color: new THREE.Color(0xF2F5F7),
+    density: { pineTrees: 0.4, appleTrees: 0.0, rocks: 0.5, grass: 0.0 }
+  },
+  dryValley: {
+    name: 'Dry Valley',
+    color: new THREE.Color(0xC8A86B),
+    density: { pineTrees: 0.05, appleTrees: 0.1, rocks: 0.7, grass: 0.2 }
+  }
+};
+
+export const BIOME_IDS = Object.keys(BIOMES);
+
+// Tunable thresholds (world units for heights)
+export const BIOME_SETTINGS = {
+  snowLatitude: 0.88,       // |dir.y| where poles start turning to snow
+  snowLineHeight: 60,       // Height that cools terrain like a full step toward the pole
+  highlandStart: 6,         // Height where rock starts showing
+  highlandFull: 12,         // Height that is fully rocky
+  valleyStart: -1,          // Height where valleys begin
+  valleyFull: -4,           // Height that is fully "valley"
+  moistureScale: 2.5,       // Frequency of the moisture noise on the unit sphere
+  colorVariation: 0.06      // +/- brightness variation from noise
+};
+
+let moistureNoise = createValueNoise3D(1);
+let detailNoise = createValueNoise3D(2);
+let splatMap = null; // NEW: Painted biome map (see terrain_maps.js createSplatMap)
+
+/**
+ * Re-seed the biome noise so biome layout follows the world seed
+ * @param {number|string} seed - World seed
+ */
+export function setBiomeSeed(seed) {
+  const random = forkRandom(seed, 'biomes');
+  moistureNoise = createValueNoise3D(Math.floor(random() * 4294967296));
+  detailNoise = createValueNoise3D(Math.floor(random() * 4294967296));
+}
+
+/**
+ * Paint biomes over the procedural layout (null removes the painting)
+ * @param {Object|null} map - Splat map from terrain_maps.js (anything with blendWeights(dir, weights))
+ */
+export function setBiomeSplatMap(map) {
+  splatMap = map;
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+// Reused result so per-vertex calls don't allocate
+const sharedWeights = { meadow: 0, forest: 0, rockyHighlands: 0, snowyPoles: 0, dryValley: 0 };
+
+/**
+ * Blend weights of every biome at a point (they sum to 1)
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @param {number} height - Terrain height at dir
+ * @param {Object} target - Optional object to write weights into
+ * @returns {Object} Weights keyed by biome id
+ */
+export function getBiomeWeights(dir, height, target = sharedWeights) {
+  const s = BIOME_SETTINGS;
+  const moisture = fbm3(moistureNoise, dir.x * s.moistureScale, dir.y * s.moistureScale, dir.z * s.moistureScale, 3);
+  const wobble = detailNoise(dir.x * 6, dir.y * 6, dir.z * 6) * 0.06;
+
+  // Cold near the poles and on high ground
+  const coldness = Math.abs(dir.y) + Math.max(height, 0) / s.snowLineHeight * (1 - s.snowLatitude) + wobble;
+  const snow = smoothstep(s.snowLatitude - 0.04, s.snowLatitude + 0.04, coldness);
+  const rocky = smoothstep(s.highlandStart, s.highlandFull, height) * (1 - snow);
+  const rest = 1 - snow - rocky;
+
+  const dry = rest * smoothstep(s.valleyStart, s.valleyFull, height) * smoothstep(0.1, -0.15, moisture);
+  const forest = (rest - dry) * smoothstep(0.0, 0.2, moisture);
+
+  target.snowyPoles = snow;
+  target.rockyHighlands = rocky;
+  target.dryValley = dry;
+  target.forest = forest;
+  target.meadow = Math.max(0, rest - dry - forest);
+
+  // Painted biomes override the procedural ones where the splat map covers them
+  if (splatMap) splatMap.blendWeights(dir, target);
+  return target;
+}
+
+/**
+ * Dominant biome at a point
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @param {number} height - Terrain height at dir
+ * @returns {string} Biome id (key of BIOMES)
+ */
+export function getBiomeAt(dir, height) {
+  const weights = getBiomeWeights(dir, height);
+  let best = 'meadow';
+  let bestWeight = -1;
+  for (const id of BIOME_IDS) {
+    if (weights[id] > bestWeight) {
+      best = id;
+      bestWeight = weights[id];
+    }
+  }
+  return best;
+}
+
+/**
+ * Placement density for an object type, blended across biomes
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @param {number} height - Terrain height at dir
+ * @param {string} objectType - 'pineTrees' | 'appleTrees' | 'rocks' | 'grass'
+ * @returns {number} Density in [0, 1]
+ */
+export function getBiomeDensity(dir, height, objectType) {
+  const weights = getBiomeWeights(dir, height);
+  let density = 0;
+  for (const id of BIOME_IDS) {
+    density += weights[id] * (BIOMES[id].density[objectType] ?? 0);
+  }
+  return density;
+}
+
+/**
+ * Terrain vertex color: biome colors blended by weight plus a little noise
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @param {number} height - Terrain height at dir
+ * @param {THREE.Color} target - Color to write into
+ * @returns {THREE.Color} The target color
+ */
+export function getBiomeColor(dir, height, target = new THREE.Color()) {
+  const weights = getBiomeWeights(dir, height);
+  let r = 0, g = 0, b = 0;
+  for (const id of BIOME_IDS) {
+    const w = weights[id];
+    if (w <= 0) continue;
+    const c = BIOMES[id].color;
+    r += c.r * w;
+    g += c.g * w;
+    b += c.b * w;
+  }
+
+  const shade = 1 + detailNoise(dir.x * 40, dir.y * 40, dir.z * 40) * BIOME_SETTINGS.colorVariation;
+  return target.setRGB(r * shade, g * shade, b * shade);
+}
@@ -1,10 +1,89 @@
 import * as THREE from 'three';
-import { mergeVertices } from './utils/BufferGeometryUtils.js';  // relative import
+import { mergeVertices, mergeGeometries } from './utils/BufferGeometryUtils.js';  // relative import
+
+/**
+ * Parametric tree species for LowPolyGenerator.createTreeSpecies.
+ *
+ * Branches grow from a small L-system: the axiom is rewritten `iterations` times with
+ * `rules`, then read by a 3D turtle:
+ *   T     trunk segment (height * trunkRatio)      F  branch segment (shrinks with depth)
+ *   + -   turn around the local Z axis by angle    & ^  pitch around the local X axis
+ *   / \   roll around the trunk by rollAngle      [ ]  start / end a side branch
+ *   X L   bud - becomes a foliage clump (X is also what the rules rewrite)
+ *
+ * Sizes are fractions of the tree height. `droop` bends branches toward the ground
+ * (willows), `foliage.stretch` elongates clumps vertically and `foliage.hang` lowers
+ * them under the branch tip. `fruit` is used by the fruit-bearing variant (AppleSystem
+ * grows on any tree with userData.bearsFruit): maxFruit growth points and the
+ * red/yellow/green apple odds.
+ */
+export const TREE_SPECIES = {
+  oak: {
+    name: 'OakTree', propType: 'oakTree', height: 150,
+    axiom: 'T/X', rules: { X: 'F[+X]/[-X]/[&X]' }, iterations: 2,
+    trunkRatio: 0.38, trunkRadius: 0.04, taper: 0.8, radiusFactor: 0.6,
+    branchLength: 0.32, lengthFactor: 0.78, angle: 38, rollAngle: 120, jitter: 0.25, droop: 0,
+    trunkColor: 0x5a3d28, leafColor: 0x3f6e26,
+    foliage: { size: 0.16, stretch: 0.85, hang: 0, chance: 1 },
+    fruit: { maxFruit: 8, types: { red: 0.45, yellow: 0.45, green: 0.1 } }
+  },
+  birch: {
+    name: 'BirchTree', propType: 'birchTree', height: 170,
+    axiom: 'TX', rules: { X: 'F[+L]/[-L]/X' }, iterations: 3,
+    trunkRatio: 0.45, trunkRadius: 0.028, taper: 0.85, radiusFactor: 0.55,
+    branchLength: 0.16, lengthFactor: 0.9, angle: 32, rollAngle: 137.5, jitter: 0.2, droop: 0,
+    trunkColor: 0xe6e1d6, leafColor: 0x7da83f,
+    foliage: { size: 0.09, stretch: 1.2, hang: 0, chance: 1 },
+    fruit: { maxFruit: 6, types: { red: 0.2, yellow: 0.7, green: 0.1 } }
+  },
+  willow: {
+    name: 'WillowTree', propType: 'willowTree', height: 130,
+    axiom: 'T/X', rules: { X: 'F[+X]/[-X]/[&X]' }, iterations: 2,
+    trunkRatio: 0.4, trunkRadius: 0.045, taper: 0.8, radiusFactor: 0.6,
+    branchLength: 0.3, lengthFactor: 0.8, angle: 55, rollAngle: 120, jitter: 0.2, droop: 0.35,
+    trunkColor: 0x4e4030, leafColor: 0x88a845,
+    foliage: { size: 0.12, stretch: 1.9, hang: 0.7, chance: 1 },
+    fruit: { maxFruit: 6, types: { red: 0.3, yellow: 0.3, green: 0.4 } }
+  },
+  bush: {
+    name: 'Bush', propType: 'bush', height: 30,
+    axiom: 'T[+FL]/[+FL]/[+FL]/[&FL]FL', rules: {}, iterations: 0,
+    trunkRatio: 0.2, trunkRadius: 0.06, taper: 0.8, radiusFactor: 0.8,
+    branchLength: 0.3, lengthFactor: 1, angle: 55, rollAngle: 120, jitter: 0.3, droop: 0,
+    trunkColor: 0x4a3626, leafColor: 0x3d7a2c,
+    foliage: { size: 0.3, stretch: 0.8, hang: 0, chance: 1 },
+    fruit: { maxFruit: 4, types: { red: 0.8, yellow: 0.15, green: 0.05 } }
+  },
+  dead: {
+    name: 'DeadTree', propType: 'deadTree', height: 120,
+    axiom: 'T/X', rules: { X: 'F[+X]/[-X]' }, iterations: 3,
+    trunkRatio: 0.42, trunkRadius: 0.04, taper: 0.7, radiusFactor: 0.6,
+    branchLength: 0.3, lengthFactor: 0.72, angle: 35, rollAngle: 100, jitter: 0.45, droop: 0,
+    trunkColor: 0x6b6257, leafColor: 0x6a7a3a,
+    foliage: null, // Bare - the fruit variant gets a few sparse tufts instead
+    fruitFoliage: { size: 0.06, stretch: 1, hang: 0, chance: 0.5 },
+    fruit: { maxFruit: 3, types: { red: 0.3, yellow: 0.2, green: 0.5 } }
+  }
+};
 
 /**
  * Utility class to create low-poly models for the world
  */
 export default class LowPolyGenerator {
+  /**
+   * Random source used for shape variation. Swap in a seeded generator
+   * (see utils/seededRandom.js) to make generated models reproducible.
+   */
+  static random = Math.random;
+
+  /**
+   * Set the random source used by all generator methods
+   * @param {Function} randomFn - Function returning a float in [0, 1), or null to reset to Math.random
+   */
+  static setRandom(randomFn) {
+    LowPolyGenerator.random = typeof randomFn === 'function' ? randomFn : Math.random;
+  }
+
   /**
    * Create a clay-style apple tree with spherical foliage
    * @param {number} height - Total height of the tree
@@ -108,6 +187,8 @@ export default class LowPolyGenerator {
       });
       
       const foliageMesh = new THREE.Mesh(foliageGeo, foliageMat);
+      foliageMesh.userData.isFoliage = true; // Recolored by SeasonSystem
+      foliageMesh.userData.foliageType = 'appleTree';
       foliageMesh.castShadow = true;
       foliageMesh.receiveShadow = true;
       
@@ -196,8 +277,8 @@ export default class LowPolyGenerator {
       
       // Slightly different color for each level
       const levelColor = foliageCol.clone();
-      levelColor.r += (Math.random() - 0.5) * 0.05;
-      levelColor.g += (Math.random() - 0.5) * 0.05;
+      levelColor.r += (LowPolyGenerator.random() - 0.5) * 0.05;
+      levelColor.g += (LowPolyGenerator.random() - 0.5) * 0.05;
       
       const coneMat = new THREE.MeshStandardMaterial({
         color: levelColor,
@@ -207,13 +288,15 @@ export default class LowPolyGenerator {
       });
       
       const cone = new THREE.Mesh(coneGeo, coneMat);
+      cone.userData.isFoliage = true; // Recolored by SeasonSystem
+      cone.userData.foliageType = 'pineTree';
       
       // Position cone with overlapping layers - start at top of trunk
       const posY = trunkHeight - (coneHeight * 0.3) + (i * levelHeight);
       cone.position.y = posY;
       
       // Add slight rotation to each level for more natural look
-      cone.rotation.y = Math.random() * Math.PI;
+      cone.rotation.y = LowPolyGenerator.random() * Math.PI;
       
       cone.castShadow = true;
       cone.receiveShadow = true;
@@ -232,8 +315,8 @@ export default class LowPolyGenerator {
     for (let i = 0; i < lightCount; i++) {
       const light = new THREE.PointLight(lightColor, lightIntensity, lightDistance, lightDecay);
       
-      const heightFraction = 0.2 + Math.random() * 0.4; 
-      const angle = Math.random() * Math.PI * 2;
+      const heightFraction = 0.2 + LowPolyGenerator.random() * 0.4; 
+      const angle = LowPolyGenerator.random() * Math.PI * 2;
       const radius = baseWidth * (1 - heightFraction * 0.8) * 0.6; 
       
       light.position.set(
@@ -262,6 +345,192 @@ export default class LowPolyGenerator {
     return group;
   }
 
+  /**
+   * Create a tree of a parametric species (see TREE_SPECIES) with L-system branching
+   * @param {string} species - 'oak' | 'birch' | 'willow' | 'bush' | 'dead'
+   * @param {Object} options - { height, fruit: true for the fruit-bearing variant, plus any TREE_SPECIES field to override }
+   * @returns {THREE.Group} Tree with its base at y=0
+   */
+  static createTreeSpecies(species = 'oak', options = {}) {
+    const preset = TREE_SPECIES[species];
+    if (!preset) throw new Error(`[LowPolyGenerator] Unknown tree species "${species}"`);
+    const { fruit: bearsFruit, ...overrides } = options; // options.fruit is the variant switch, not the preset's fruit config
+    const spec = { ...preset, ...overrides };
+    const fruit = !!bearsFruit;
+    const height = spec.height;
+    const random = LowPolyGenerator.random;
+    const jitter = amount => 1 + (random() * 2 - 1) * amount;
+
+    const group = new THREE.Group();
+    group.name = spec.name;
+
+    // Expand the L-system; leftover buds become foliage
+    let program = spec.axiom;
+    for (let i = 0; i < spec.iterations; i++) {
+      program = program.replace(/[A-Z]/g, symbol => spec.rules[symbol] ?? symbol);
+    }
+
+    // Foliage: the species' own, or sparse tufts for fruiting dead trees
+    const foliage = spec.foliage || (fruit ? spec.fruitFoliage : null);
+
+    // Walk the program with a turtle, collecting branch segments and bud positions
+    const up = new THREE.Vector3(0, 1, 0);
+    const down = new THREE.Vector3(0, -1, 0);
+    const axisX = new THREE.Vector3(1, 0, 0);
+    const axisZ = new THREE.Vector3(0, 0, 1);
+    const turn = new THREE.Quaternion();
+    const heading = new THREE.Vector3();
+    const bent = new THREE.Vector3();
+    const angle = THREE.MathUtils.degToRad(spec.angle);
+    const roll = THREE.MathUtils.degToRad(spec.rollAngle);
+    const trunkRadius = height * spec.trunkRadius;
+
+    let turtle = { position: new THREE.Vector3(), orientation: new THREE.Quaternion(), depth: 0, radius: trunkRadius };
+    const stack = [];
+    const segments = [];
+    const buds = [];
+
+    const grow = length => {
+      heading.copy(up).applyQuaternion(turtle.orientation);
+      // Gravity bends side branches down (the trunk stays upright)
+      if (spec.droop > 0 && turtle.depth > 0) {
+        bent.copy(heading).addScaledVector(down, spec.droop).normalize();
+        turtle.orientation.premultiply(turn.setFromUnitVectors(heading, bent));
+        heading.copy(bent);
+      }
+      const start = turtle.position.clone();
+      turtle.position.addScaledVector(heading, length);
+      const topRadius = turtle.radius * spec.taper;
+      segments.push({ start, end: turtle.position.clone(), bottom: turtle.radius, top: topRadius });
+      turtle.radius = topRadius;
+    };
+    const rotate = (axis, amount) => {
+      turtle.orientation.multiply(turn.setFromAxisAngle(axis, amount * jitter(spec.jitter)));
+    };
+
+    for (const symbol of program) {
+      switch (symbol) {
+        case 'T': grow(height * spec.trunkRatio); break;
+        case 'F': grow(height * spec.branchLength * Math.pow(spec.lengthFactor, turtle.depth) * jitter(spec.jitter)); break;
+        case '+': rotate(axisZ, angle); break;
+        case '-': rotate(axisZ, -angle); break;
+        case '&': rotate(axisX, angle); break;
+        case '^': rotate(axisX, -angle); break;
+        case '/': rotate(up, roll); break;
+        case '\\': rotate(up, -roll); break;
+        case '[':
+          stack.push(turtle);
+          turtle = {
+            position: turtle.position.clone(),
+            orientation: turtle.orientation.clone(),
+            depth: turtle.depth + 1,
+            radius: turtle.radius * spec.radiusFactor
+          };
+          break;
+        case ']': turtle = stack.pop() || turtle; break;
+        case 'X':
+        case 'L': buds.push({ position: turtle.position.clone(), depth: turtle.depth }); break;
+      }
+    }
+
+    // Branches: one merged geometry (a handful of cylinders per tree)
+    const branchGeometries = segments.map(segment => {
+      const length = segment.start.distanceTo(segment.end);
+      const geometry = new THREE.CylinderGeometry(segment.top, segment.bottom, length, 7, 1);
+      geometry.applyQuaternion(turn.setFromUnitVectors(up, heading.subVectors(segment.end, segment.start).normalize()));
+      geometry.translate(
+        (segment.start.x + segment.end.x) / 2,
+        (segment.start.y + segment.end.y) / 2,
+        (segment.start.z + segment.end.z) / 2
+      );
+      return geometry;
+    });
+    const branchGeo = mergeGeometries(branchGeometries);
+    branchGeometries.forEach(geometry => geometry.dispose());
+    branchGeo.computeVertexNormals();
+
+    const trunk = new THREE.Mesh(branchGeo, new THREE.MeshStandardMaterial({
+      color: new THREE.Color(spec.trunkColor),
+      roughness: 0.85,
+      metalness: 0.0
+    }));
+    trunk.name = 'Trunk';
+    trunk.userData.isTrunk = true;
+    trunk.castShadow = true;
+    trunk.receiveShadow = true;
+    group.add(trunk);
+
+    // Foliage clumps at the buds - spheres, so AppleSystem can grow fruit on their surface
+    if (foliage) {
+      const leafColor = new THREE.Color(spec.leafColor);
+      let placed = buds.filter(() => random() < foliage.chance);
+      if (placed.length === 0 && buds.length > 0) placed = [buds[buds.length - 1]]; // Fruit needs somewhere to grow
+
+      placed.forEach(bud => {
+        const radius = height * foliage.size * jitter(0.2);
+        const foliageGeo = new THREE.SphereGeometry(radius, 10, 8);
+        this.applyClayDeformation(foliageGeo, radius * 0.12);
+
+        const color = leafColor.clone();
+        color.offsetHSL((random() - 0.5) * 0.03, 0, (random() - 0.5) * 0.06);
+        const foliageMesh = new THREE.Mesh(foliageGeo, new THREE.MeshStandardMaterial({
+          color,
+          roughness: 0.75,
+          metalness: 0.0
+        }));
+        foliageMesh.userData.isFoliage = true; // Recolored by SeasonSystem
+        foliageMesh.userData.foliageType = 'broadleaf';
+        foliageMesh.scale.set(1, foliage.stretch, 1);
+        foliageMesh.position.copy(bud.position);
+        foliageMesh.position.y -= radius * foliage.stretch * foliage.hang;
+        foliageMesh.castShadow = true;
+        foliageMesh.receiveShadow = true;
+        group.add(foliageMesh);
+      });
+    }
+
+    const bounds = new THREE.Box3().setFromObject(group);
+    group.userData = {
+      noCollision: false,
+      isTree: true,
+      isBush: species === 'bush',
+      species,
+      totalHeight: bounds.max.y,
+      foliageScale: 1,
+      trunkBaseRadius: trunkRadius, // Collision radius hint for placeOnSphere (branches make the bounding sphere useless)
+      bearsFruit: fruit,            // AppleSystem grows fruit on these
+      maxFruit: fruit ? spec.fruit.maxFruit : 0,
+      fruitTypes: fruit ? { ...spec.fruit.types } : null
+    };
+
+    return group;
+  }
+
+  /** Oak - broad crown of round clumps */
+  static createOakTree(height = TREE_SPECIES.oak.height, fruit = false) {
+    return LowPolyGenerator.createTreeSpecies('oak', { height, fruit });
+  }
+
+  /** Birch - slender white trunk, small clumps up its length */
+  static createBirchTree(height = TREE_SPECIES.birch.height, fruit = false) {
+    return LowPolyGenerator.createTreeSpecies('birch', { height, fruit });
+  }
+
+  /** Willow - drooping branches with long hanging clumps */
+  static createWillowTree(height = TREE_SPECIES.willow.height, fruit = false) {
+    return LowPolyGenerator.createTreeSpecies('willow', { height, fruit });
+  }
+
+  /** Bush - a low cluster of clumps on a stub of trunk */
+  static createBush(height = TREE_SPECIES.bush.height, fruit = false) {
+    return LowPolyGenerator.createTreeSpecies('bush', { height, fruit });
+  }
+
+  /** Dead tree - bare twisted branches */
+  static createDeadTree(height = TREE_SPECIES.dead.height, fruit = false) {
+    return LowPolyGenerator.createTreeSpecies('dead', { height, fruit });
+  }
+
   /**
    * Apply clay-like deformation to any geometry
    * More gentle and organic than random displacement
@@ -272,17 +541,17 @@ export default class LowPolyGenerator {
     
     // Create 5-8 gentle deformation points
     const deformers = [];
-    const deformerCount = 5 + Math.floor(Math.random() * 4);
+    const deformerCount = 5 + Math.floor(LowPolyGenerator.random() * 4);
     
     for (let i = 0; i < deformerCount; i++) {
       deformers.push({
         position: new THREE.Vector3(
-          (Math.random() - 0.5) * 2,
-          (Math.random() - 0.5) * 2,
-          (Math.random() - 0.5) * 2
-        ).normalize().multiplyScalar(0.8 + Math.random() * 0.4),
-        strength: Math.random() * 0.6 + 0.4,
-        falloff: Math.random() * 0.5 + 0.8
+          (LowPolyGenerator.random() - 0.5) * 2,
+          (LowPolyGenerator.random() - 0.5) * 2,
+          (LowPolyGenerator.random() - 0.5) * 2
+        ).normalize().multiplyScalar(0.8 + LowPolyGenerator.random() * 0.4),
+        strength: LowPolyGenerator.random() * 0.6 + 0.4,
+        falloff: LowPolyGenerator.random() * 0.5 + 0.8
       });
     }
     
@@ -326,14 +595,14 @@ export default class LowPolyGenerator {
     };
     
     // Create fewer, more distinct clay blades
-    const bladeCount = 3 + Math.floor(Math.random() * 4);
+    const bladeCount = 3 + Math.floor(LowPolyGenerator.random() * 4);
     
     // Clay grass colors - slightly desaturated for clay look
     const baseColor = new THREE.Color(0.2, 0.45, 0.15);
     
     for (let i = 0; i < bladeCount; i++) {
       // Create a blade with more geometry
-      const height = size * (0.6 + Math.random() * 0.4);
+      const height = size * (0.6 + LowPolyGenerator.random() * 0.4);
       const width = size * 0.15;
       
       // Use a proper 3D geometry for clay blades instead of planes
@@ -347,7 +616,7 @@ export default class LowPolyGenerator {
       );
       
       // Bend the blade gently
-      const bend = Math.random() * 0.2 + 0.1;
+      const bend = LowPolyGenerator.random() * 0.2 + 0.1;
       const posAttr = bladeGeo.getAttribute('position');
       const vertex = new THREE.Vector3();
       
@@ -362,7 +631,7 @@ export default class LowPolyGenerator {
       }
       
       // Subtle color variation between blades
-      const colorVar = Math.random() * 0.15 - 0.075;
+      const colorVar = LowPolyGenerator.random() * 0.15 - 0.075;
       const bladeMat = new THREE.MeshStandardMaterial({
         color: new THREE.Color(
           baseColor.r + colorVar,
@@ -377,13 +646,13 @@ export default class LowPolyGenerator {
       const blade = new THREE.Mesh(bladeGeo, bladeMat);
       
       // Position within patch
-      blade.position.x = (Math.random() - 0.5) * size;
-      blade.position.z = (Math.random() - 0.5) * size;
+      blade.position.x = (LowPolyGenerator.random() - 0.5) * size;
+      blade.position.z = (LowPolyGenerator.random() - 0.5) * size;
       
       // Rotate with clay-style slight tilt
-      blade.rotation.x = Math.random() * 0.2 - 0.1;  // Slight forward/backward tilt
-      blade.rotation.y = Math.random() * Math.PI;    // Random direction
-      blade.rotation.z = Math.random() * 0.2 - 0.1;  // Slight side tilt
+      blade.rotation.x = LowPolyGenerator.random() * 0.2 - 0.1;  // Slight forward/backward tilt
+      blade.rotation.y = LowPolyGenerator.random() * Math.PI;    // Random direction
+      blade.rotation.z = LowPolyGenerator.random() * 0.2 - 0.1;  // Slight side tilt
       
       blade.userData = { isGrass: true, noCollision: true };
       blade.name = "ClayGrassBlade";
@@ -418,7 +687,7 @@ export default class LowPolyGenerator {
     });
     
     // Add subtle color variation
-    const colorVariation = Math.random() * 0.1 - 0.05;
+    const colorVariation = LowPolyGenerator.random() * 0.1 - 0.05;
     rockMat.color.r += colorVariation;
     rockMat.color.g += colorVariation;
     rockMat.color.b += colorVariation * 0.5;
@@ -426,11 +695,11 @@ export default class LowPolyGenerator {
     const rock = new THREE.Mesh(rockGeo, rockMat);
     
     // Slightly flatten bottom for better ground contact
-    rock.scale.y = 0.85 + Math.random() * 0.15;
+    rock.scale.y = 0.85 + LowPolyGenerator.random() * 0.15;
     
     // Add slight random rotation
-    rock.rotation.y = Math.random() * Math.PI * 2;
-    rock.rotation.z = Math.random() * 0.2;
+    rock.rotation.y = LowPolyGenerator.random() * Math.PI * 2;
+    rock.rotation.z = LowPolyGenerator.random() * 0.2;
     
     // Mark as collidable
     rock.userData = { 
@@ -455,12 +724,12 @@ export default class LowPolyGenerator {
     for (let i = 0; i < 8; i++) { // Use 8 deformation points
       deformers.push({
         position: new THREE.Vector3(
-          (Math.random() - 0.5) * 2,
-          (Math.random() - 0.5) * 2,
-          (Math.random() - 0.5) * 2
-        ).normalize().multiplyScalar(Math.random() * 0.9 + 0.1), // Keep deformers closer to surface
-        strength: Math.random() * 0.5 + 0.5, // Vary strength
-        falloff: Math.random() * 0.5 + 0.5   // Vary falloff
+          (LowPolyGenerator.random() - 0.5) * 2,
+          (LowPolyGenerator.random() - 0.5) * 2,
+          (LowPolyGenerator.random() - 0.5) * 2
+        ).normalize().multiplyScalar(LowPolyGenerator.random() * 0.9 + 0.1), // Keep deformers closer to surface
+        strength: LowPolyGenerator.random() * 0.5 + 0.5, // Vary strength
+        falloff: LowPolyGenerator.random() * 0.5 + 0.5   // Vary falloff
       });
     }
     
@@ -481,7 +750,7 @@ export default class LowPolyGenerator {
         // Add displacement
         if (falloff > 0) {
           // Push or pull along normal direction
-          totalDisplacement += falloff * def.strength * amount * (Math.random() > 0.7 ? 1 : -1);
+          totalDisplacement += falloff * def.strength * amount * (LowPolyGenerator.random() > 0.7 ? 1 : -1);
         }
       }
       
@@ -551,9 +820,9 @@ export default class LowPolyGenerator {
       
       // Don't displace bottom vertices (for stable placement)
       if (vertex.y > 0.1) {
-        vertex.x += (Math.random() - 0.5) * amount;
-        vertex.y += (Math.random() - 0.5) * amount;
-        vertex.z += (Math.random() - 0.5) * amount;
+        vertex.x += (LowPolyGenerator.random() - 0.5) * amount;
+        vertex.y += (LowPolyGenerator.random() - 0.5) * amount;
+        vertex.z += (LowPolyGenerator.random() - 0.5) * amount;
       }
       
       posAttr.setXYZ(i, vertex.x, vertex.y, vertex.z);
@@ -563,48 +832,147 @@ export default class LowPolyGenerator {
     geometry.computeVertexNormals();
   }
   
+  /**
+   * Create a low-poly player character (third-person avatar).
+   *
+   * Built facing -Z with its feet at y=0. Every joint is its own named pivot so it can
+   * be animated by rotating parts (see PlayerAvatar.js):
+   *   hips > torso > head / leftArm / rightArm (> rightHand)
+   *   hips > leftLeg / rightLeg (> leftShin / rightShin)
+   * Limbs hang along -Y from their pivot, so a positive X rotation swings them forward.
+   * @param {number} height - Total height of the character
+   * @param {Object} colors - Optional { skin, shirt, pants, shoes, hair }
+   */
+  static createPlayerAvatar(height = 7, colors = {}) {
+    const palette = Object.assign({
+      skin: 0xe0ac69,
+      shirt: 0x2f6fb0,
+      pants: 0x3b3b46,
+      shoes: 0x4a3222,
+      hair: 0x3d2614
+    }, colors);
+
+    const group = new THREE.Group();
+    group.name = "PlayerAvatar";
+
+    const material = (color) => new THREE.MeshStandardMaterial({
+      color,
+      roughness: 0.8,
+      metalness: 0.0,
+      flatShading: true // Faceted low-poly look
+    });
+    const part = (geometry, color, parent, x = 0, y = 0, z = 0) => {
+      const mesh = new THREE.Mesh(geometry, material(color));
+      mesh.position.set(x, y, z);
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      parent.add(mesh);
+      return mesh;
+    };
+    const pivot = (name, parent, x = 0, y = 0, z = 0) => {
+      const joint = new THREE.Group();
+      joint.name = name;
+      joint.position.set(x, y, z);
+      parent.add(joint);
+      return joint;
+    };
+
+    // Proportions as fractions of the height
+    const h = height;
+    const thigh = h * 0.24;
+    const shin = h * 0.22;
+    const legRadius = h * 0.045;
+    const torsoHeight = h * 0.3;
+    const shoulderWidth = h * 0.13;
+    const armLength = h * 0.3;
+    const armRadius = h * 0.035;
+    const headRadius = h * 0.1;
+
+    // Hips at leg height - the root of the upper body and legs
+    const hips = pivot('hips', group, 0, thigh + shin);
+    part(new THREE.BoxGeometry(shoulderWidth * 1.6, h * 0.08, h * 0.1), palette.pants, hips);
+
+    for (const side of [-1, 1]) {
+      const name = side < 0 ? 'left' : 'right';
+      const leg = pivot(`${name}Leg`, hips, side * shoulderWidth * 0.45, 0);
+      part(new THREE.CylinderGeometry(legRadius, legRadius * 0.85, thigh, 6), palette.pants, leg, 0, -thigh / 2);
+      const knee = pivot(`${name}Shin`, leg, 0, -thigh);
+      part(new THREE.CylinderGeometry(legRadius * 0.85, legRadius * 0.7, shin, 6), palette.pants, knee, 0, -shin / 2);
+      part(new THREE.BoxGeometry(legRadius * 2, legRadius * 1.2, legRadius * 3.2), palette.shoes, knee, 0, -shin, -legRadius * 0.6);
+    }
+
+    // Torso leans and twists from the hips
+    const torso = pivot('torso', hips, 0, h * 0.03);
+    part(new THREE.CylinderGeometry(shoulderWidth, shoulderWidth * 0.8, torsoHeight, 6), palette.shirt, torso, 0, torsoHeight / 2);
+
+    const head = pivot('head', torso, 0, torsoHeight + h * 0.02);
+    part(new THREE.CylinderGeometry(armRadius, armRadius, h * 0.04, 5), palette.skin, head, 0, h * 0.01);
+    part(new THREE.IcosahedronGeometry(headRadius, 0), palette.skin, head, 0, headRadius + h * 0.02);
+    const hair = part(new THREE.IcosahedronGeometry(headRadius * 1.05, 0), palette.hair, head, 0, headRadius * 1.35 + h * 0.02, headRadius * 0.15);
+    hair.scale.set(1, 0.6, 1);
+
+    for (const side of [-1, 1]) {
+      const name = side < 0 ? 'left' : 'right';
+      const arm = pivot(`${name}Arm`, torso, side * (shoulderWidth + armRadius), torsoHeight * 0.92);
+      part(new THREE.CylinderGeometry(armRadius, armRadius * 0.8, armLength, 5), palette.shirt, arm, 0, -armLength / 2);
+      part(new THREE.IcosahedronGeometry(armRadius * 1.3, 0), palette.skin, arm, 0, -armLength);
+      // Hands are empty anchors for held items (the slingshot goes in the right one)
+      pivot(`${name}Hand`, arm, 0, -armLength);
+    }
+
+    group.userData = {
+      noCollision: true,
+      isPlayerAvatar: true,
+      height,
+      legLength: thigh + shin,
+      eyeHeight: thigh + shin + h * 0.03 + torsoHeight + headRadius * 1.2
+    };
+
+    return group;
+  }
+  
   /**
    * Create an entire cluster of environmental objects
    */
   static createEnvironmentCluster() {
     const group = new THREE.Group();
-    const size = 5 + Math.random() * 10;
+    const size = 5 + LowPolyGenerator.random() * 10;
     
     // Add 1-3 trees
-    const treeCount = 1 + Math.floor(Math.random() * 2);
+    const treeCount = 1 + Math.floor(LowPolyGenerator.random() * 2);
     for (let i = 0; i < treeCount; i++) {
-      const treeSize = 8 + Math.random() * 6;
+      const treeSize = 8 + LowPolyGenerator.random() * 6;
       const tree = this.createTree(treeSize);
       tree.position.set(
-        (Math.random() - 0.5) * size,
+        (LowPolyGenerator.random() - 0.5) * size,
         0,
-        (Math.random() - 0.5) * size
+        (LowPolyGenerator.random() - 0.5) * size
       );
       group.add(tree);
     }
     
     // Add 2-5 rocks (using clay-style rocks, not boulders)
-    const rockCount = 2 + Math.floor(Math.random() * 3);
+    const rockCount = 2 + Math.floor(LowPolyGenerator.random() * 3);
     for (let i = 0; i < rockCount; i++) {
-      const rockSize = 0.5 + Math.random() * 1.5;
+      const rockSize = 0.5 + LowPolyGenerator.random() * 1.5;
       const rock = this.createRock(rockSize);
       rock.position.set(
-        (Math.random() - 0.5) * size,
+        (LowPolyGenerator.random() - 0.5) * size,
         0,
-        (Math.random() - 0.5) * size
+        (LowPolyGenerator.random() - 0.5) * size
       );
       group.add(rock);
     }
     
     // Add 3-8 grass patches
-    const grassCount = 3 + Math.floor(Math.random() * 5);
+    const grassCount = 3 + Math.floor(LowPolyGenerator.random() * 5);
     for (let i = 0; i < grassCount; i++) {
-      const grassSize = 0.8 + Math.random() * 1.2;
+      const grassSize = 0.8 + LowPolyGenerator.random() * 1.2;
       const grass = this.createGrass(grassSize);
       grass.position.set(
-        (Math.random() - 0.5) * size,
+        (LowPolyGenerator.random() - 0.5) * size,
         0,
-        (Math.random() - 0.5) * size
+        (LowPolyGenerator.random() - 0.5) * size
       );
       group.add(grass);
     }
@@ -4,7 +4,41 @@
 import * as THREE from 'three';
 // import SphereControls from './SphereControls.js';
 // Import the FULL terrain height function and initEnvironment
-import { initEnvironment, collidables, getFullTerrainHeight } from './world_objects.js';
+import {
+  initEnvironment,
+  collidables,
+  collidableIndex,
+  getFullTerrainHeight,
+  sampleTerrainHeight,
+  sampleTerrainNormal,
+  getHeightCache,
+  getTerrainFeatures,
+  setTerrainFeatures,
+  applyTerrainMaps,
+  getTerrainMaps,
+  setTerrainMaps,
+  updatePlanetGeometry,
+  resettleCollidables,
+  updateTerrainLOD,
+  getPlanetTerrain,
+  getBiomeAtDirection,
+  createProp,
+  getInstancedProps,
+  getPlacementSystem,
+  exportLayout,
+  createWorldExport,
+  addTerrainCrater,
+  clearTerrainCraters,
+  getTerrainCraters,
+  raycastTerrain,
+  getWaterSystem,
+  getWaterLevel,
+  getWaterDepth,
+  setSeaLevel,
+  removePlacedObject
+} from './world_objects.js';
+import { BIOMES } from './biomes.js';
+import { loadTerrainFeatures } from './terrain_features.js';
 // import OrientationHelper from './OrientationHelper.js';
 import LowPolyGenerator from './low_poly_generator.js';
 // import AudioManager from './audio_manager.js'; // Comment out the audio manager import if you don't need it
@@ -23,6 +57,21 @@ import { DeerSystem } from './DeerSystem.js'; // Import DeerSystem
 import CloudSystem from './CloudSystem.js'; // Import our new CloudSystem
 import DebugUtils from './debug_utils.js'; // ADDED: Import DebugUtils
 import { registerLightingDebugCommands } from './LightingDebugUI.js'; // Import our lighting debug UI
+import { forkRandom, randomDirection } from './utils/seededRandom.js'; // Seeded world generation
+import WorldEditor from './WorldEditor.js'; // In-game prop editor (F2)
+import { downloadJSON, downloadBinary } from './WorldLayout.js'; // Saved world files
+import { downloadGLB } from './WorldExport.js'; // glTF snapshots of the world
+import Moon from './Moon.js'; // Walkable moon
+import LaunchPadSystem from './LaunchPadSystem.js'; // Planet <-> moon launch pads
+import { createGravityBody, getGravityStrength } from './utils/gravityBodies.js';
+import DayNightCycle from './DayNightCycle.js'; // Sun, sky colors and moon phases
+import WeatherSystem from './WeatherSystem.js'; // Rain, snow, wind and storms
+import SeasonSystem from './SeasonSystem.js'; // Foliage colors, apple crops and wildlife through the year
+import InputMap, { INPUT_ACTIONS } from './InputMap.js'; // Named, rebindable input actions
+import ControlsMenu from './ui/controlsMenu.js'; // Rebinding menu (K)
+import GamepadInput, { VirtualGamepad } from './GamepadInput.js'; // Controllers (and scripted virtual pads)
+import TouchControls from './ui/touchControls.js'; // On-screen joystick and buttons for phones/tablets
+import ActionPrompt from './ui/actionPrompt.js'; // Context hints (tree climbing)
 
 // --- Constants ---
 const R = 400; // INCREASED radius from 300 to 400 for more spacious feel
@@ -42,6 +91,17 @@ const BIRD_CONFIG = {
   respawnTime: 15000           // Time in ms before respawning birds
 };
 
+// NEW: Gravity bodies - the planet first, the moon joins once the world is built
+const planetBody = createGravityBody({
+  name: 'planet',
+  radius: R,
+  gravityRadius: R * 3, // Full gravity well past any jump or launch arc, weaker only on the way to the moon
+  getTerrainHeight: sampleTerrainHeight, // Baked height cubemap (falls back to getFullTerrainHeight)
+  getTerrainNormal: sampleTerrainNormal, // Apples bounce off slopes
+  getWaterLevel: getWaterLevel
+});
+const gravityBodies = [planetBody];
+
 // *** PLAYER CONFIGURATION ***
 const playerConfig = {
   startPosition: new THREE.Vector3(0, 1, 0).normalize(), // Position at north pole
@@ -52,9 +112,14 @@ const playerConfig = {
   playerRadius: 6.0, // Collision radius remains the same
   debugMode: false, // Set to true to see player collision body
   sphereRadius: R,
-  // *** USE THE FULL TERRAIN HEIGHT FUNCTION ***
-  getTerrainHeight: getFullTerrainHeight,
+  // *** USE THE FULL TERRAIN HEIGHT FUNCTION *** (through the baked height cubemap)
+  getTerrainHeight: sampleTerrainHeight,
   collidables: collidables,
+  spatialIndex: collidableIndex, // NEW: Broad phase for player and projectile collisions
+  onTerrainImpact: handleTerrainImpact, // NEW: Heavy apple impacts dig craters
+  getWaterLevel: getWaterLevel, // NEW: Swimming, floating apples
+  bodies: gravityBodies, // NEW: Multi-body gravity (planet + moon)
+  getWind: (position, target) => weather ? weather.getWindAt(position, target) : null, // NEW: Wind pushes apples
   // Increase far clipping plane to see distant clouds
   cameraFarPlane: 10000, // Add this parameter to see clouds from far away
 };
@@ -66,14 +131,18 @@ let placeOnSphereFunc;
 let birdSystem; // New bird system reference
 let deerSystem; // Moved from lower in the file to top-level scope
 let cloudSystem; // Add cloud system reference
+let worldEditor; // In-game world editor
 const clock = new THREE.Clock(); // MOVED: Initialize clock at the top level
 let debugUtils; // ADDED: Declare debugUtils variable
+const terrainCameraPosition = new THREE.Vector3(); // Reused for terrain LOD updates
 
 // --- Moon Variables ---
-let moonMesh;
+let moon; // Walkable moon (created with the world so it uses the world seed)
 let moonLight;
-const moonOrbitRadius = R * 8; // Increased radius (from R * 3 to R * 8) to place moon much farther away
-const moonOrbitSpeed = 0.01; // Very slow orbit speed
+let dayNight; // Day/night cycle (sun, sky, moon phases)
+let weather; // Weather state machine (rain, snow, wind, storms)
+let seasons; // Season clock (foliage, apples, deer, birds)
+let launchPads; // Planet <-> moon launch pads
 
 // --- Terrain Height Function ---
 // REMOVED the basic getTerrainHeight here - we now import getFullTerrainHeight
@@ -89,13 +158,14 @@ function createBirdSystem(scene, options = {}) {
     // Default values
     radius: R,
     count: BIRD_CONFIG.count,
-    getTerrainHeight: getFullTerrainHeight,
+    getTerrainHeight: sampleTerrainHeight,
     minHeight: BIRD_CONFIG.minHeight,
     maxHeight: BIRD_CONFIG.maxHeight,
     minSpeed: BIRD_CONFIG.minSpeed,
     maxSpeed: BIRD_CONFIG.maxSpeed,
     damage: BIRD_CONFIG.damage,
     respawnTime: BIRD_CONFIG.respawnTime,
+    random: forkRandom(worldConfig.seed, 'birds'), // Seeded flight patterns
     // Override with provided options
     ...options
   };
@@ -117,7 +187,8 @@ function createDeerSystem(scene, player = null, options = {}) {
     radius: R,
     count: 5,
     wanderRadius: R * 0.3,
-    getTerrainHeight: getFullTerrainHeight,
+    getTerrainHeight: sampleTerrainHeight,
+    getWaterLevel: getWaterLevel, // Deer walk around lakes and the sea
     groundOffset: 5,
     moveSpeed: 1.2,
     appleDetectionRadius: 40,
@@ -127,12 +198,14 @@ function createDeerSystem(scene, player = null, options = {}) {
       yellow: { body: 3, head: 1 },
       green: { body: 1, head: 1 }
     },
+    random: forkRandom(worldConfig.seed, 'deer'), // Seeded spawns
     // Override with provided options
     ...options
   };
 
   // Create new deer system
-  const deer = new DeerSystem(scene, config);
+  // FIXED: DeerSystem takes (scene, terrain, config) - config was landing in the terrain slot
+  const deer = new DeerSystem(scene, null, config);
   
   // Initialize deer at random positions
   deer.init();
@@ -147,6 +220,27 @@ if (!canvas) {
     console.error("ERROR: Canvas element with ID 'c' not found!");
 }
 
+// NEW: One input map for the whole game - controls, weapon and debug code read actions, not keys
+const inputMap = new InputMap({ element: canvas });
+const gamepadInput = new GamepadInput(inputMap); // Sticks, triggers and buttons feed the same actions
+const controlsMenu = new ControlsMenu(inputMap, { gamepad: gamepadInput });
+window.inputMap = inputMap;
+window.gamepadInput = gamepadInput;
+
+// NEW: Touch controls turn on by themselves on phones/tablets, and on touchscreen laptops
+// while the screen is being touched (?touch=1 / ?touch=0 overrides)
+const touchControls = new TouchControls(inputMap, { getWeapon: () => player?.weaponSystem });
+const touchParam = new URLSearchParams(window.location.search).get('touch');
+if (touchParam !== null) {
+  touchControls.toggle(touchParam !== '0');
+} else {
+  if (TouchControls.isTouchDevice()) touchControls.toggle(true);
+  touchControls.followPointerType();
+}
+window.touchControls = touchControls;
+
+const actionPrompt = new ActionPrompt();
+
 const renderer = new THREE.WebGLRenderer({canvas, antialias:true});
 // Set the pixel ratio for high-DPI displays
 renderer.setPixelRatio(window.devicePixelRatio);
@@ -167,6 +261,39 @@ const fpsMonitor = new FPSMonitor({
   autoOptimize: true
 });
 
+// --- Terrain Deformation ---
+/**
+ * Projectile ground hits: fast enough impacts dig a crater sized by impact speed
+ * @param {THREE.Vector3} position - Impact point
+ * @param {number} impactSpeed - Speed into the ground
+ */
+function handleTerrainImpact(position, impactSpeed) {
+  const settings = worldConfig.terrainDeformation;
+  if (!settings?.enabled || impactSpeed < settings.minImpactSpeed) return;
+
+  const t = THREE.MathUtils.clamp(
+    (impactSpeed - settings.minImpactSpeed) / (settings.fullSizeSpeed - settings.minImpactSpeed), 0, 1
+  );
+  digCrater(position.normalize(), { radius: THREE.MathUtils.lerp(settings.minRadius, settings.maxRadius, t) });
+}
+
+/**
+ * Dig a crater and re-settle everything standing on the changed ground
+ * @param {THREE.Vector3} direction - Direction from planet center
+ * @param {Object} options - { radius, depth, rimHeight } in world units
+ * @returns {Object|null} Crater info from addTerrainCrater
+ */
+function digCrater(direction, options = {}) {
+  const result = addTerrainCrater(direction, options);
+  if (!result) return null;
+
+  player?.resettle();
+  deerSystem?.resettle(result.direction, result.angularRadius);
+  window.appleGrowthMgr?.appleSystem?.resettleGroundApples(result.direction, result.angularRadius);
+  debug(`Crater dug (radius ${(options.radius ?? 4).toFixed(1)}), ${result.moved} objects re-settled`);
+  return result;
+}
+
 // --- Resize Handler ---
 function onWindowResize() {
   const w = window.innerWidth;
@@ -179,30 +306,21 @@ function onWindowResize() {
   if (player) {
     player.resize(w, h);
   }
+
+  // Scale the on-screen joystick and buttons with the screen
+  touchControls.resize(w, h);
 }
 
 window.addEventListener('resize', onWindowResize);
 
 // --- Lighting ---
-// Reduce existing lights to make moon the primary source
-scene.add(new THREE.AmbientLight(0xffffff, 0.1)); // Keep subtle ambient light
-const dl = new THREE.DirectionalLight(0xffffff, 0.05); // FURTHER Reduced secondary directional light intensity
-dl.position.set(5, 10, 5);
-scene.add(dl);
+// Ambient and moon light colors/intensities follow the day/night cycle (initDayNight)
+const ambientLight = new THREE.AmbientLight(0xffffff, 0.1); // Keep subtle ambient light
+scene.add(ambientLight);
+// REMOVED: Secondary directional light - the day/night cycle's sun replaces it
 
 // --- Moon Setup ---
-// Create moon geometry (low-poly sphere using standard THREE.js geometry)
-// FIX: Use THREE.SphereGeometry instead of non-existent LowPolyGenerator.createSphere
-const moonGeometry = new THREE.SphereGeometry(40, 12, 10); // INCREASED Moon size from 30 to 40
-const moonMaterial = new THREE.MeshStandardMaterial({
-    color: 0xFFFFEE, // Pale yellow
-    emissive: 0xCCCCCC, // INCREASED emissive glow slightly
-    roughness: 0.9,
-    metalness: 0.1,
-    // flatShading: true // Optional: uncomment for a more faceted look
-});
-moonMesh = new THREE.Mesh(moonGeometry, moonMaterial);
-scene.add(moonMesh);
+// The moon itself is a walkable body (Moon.js) built in initMoon() once the world seed is known
 
 // Create moon light (directional)
 moonLight = new THREE.DirectionalLight(0xEEEEFF, 0.7); // Cool white light, moderate intensity
@@ -229,6 +347,40 @@ const worldConfig = {
   radius: 400,               // UPDATED to match new radius
   noiseFrequency: 5.0,        
   noiseAmplitude: 8.0,       // Increased amplitude
+  seed: null,                // World seed (null = random; overridden by ?seed= URL param)
+  terrainFeaturesUrl: '/static/data/terrain_features.json', // Craters, mesas, rivers... (null = built-in set)
+  // Painted equirectangular maps (see terrain_maps.js), e.g.
+  // heightmap: { url: '/static/data/my-planet-height.png', scale: 40, offset: -8, noiseScale: 0.3 }
+  // splatMap: { url: '/static/data/my-planet-splat.png', channels: { r: 'dryValley', g: 'forest', b: 'rockyHighlands' } }
+  heightmap: null,           // Grayscale PNG added to the noise (features still blend on top)
+  splatMap: null,            // RGBA PNG painting biomes (alpha = how much it overrides the procedural ones)
+  layout: null,              // Saved world (exportLayout() / world editor J key) - rebuilds terrain and props from it
+  layoutUrl: new URLSearchParams(window.location.search).get('layout'), // Saved world file, JSON or binary (?layout=/static/data/my-world.json)
+  
+  // NEW: Baked cube-sphere height grid for the per-frame height lookups (player, deer, apples,
+  // projectiles). Placement and the planet mesh still use the exact heights, and so do cells
+  // the grid can't follow (steep feature edges, impact craters).
+  heightCache: {
+    enabled: true,
+    resolution: 256,          // Texels per cube face edge (~2.5 world units each, 2 MB)
+    maxError: 0.1,            // World units of height error a baked cell may have
+    maxNormalError: 0.05      // Radians of normal error a baked cell may have (~3°)
+  },
+
+  // Quadtree cube-sphere terrain (set enabled: false for the old single sphere)
+  terrainLod: {
+    enabled: true,
+    tileResolution: 16,       // Quads per tile edge (power of two)
+    splitFactor: 1.5,         // Higher = detail reaches further from the camera
+    maxBuildsPerFrame: 6      // Tiles built per frame while refining
+  },
+
+  // Instanced pine trees, rocks and grass (set enabled: false for one mesh per object)
+  instancing: {
+    enabled: true,
+    initialCapacity: 32,      // Instances per batch before it grows
+    colorVariation: 0.08      // +/- per-instance tint
+  },
   
   // Pine trees (base trees)
   baseTrees: {
@@ -255,6 +407,22 @@ const worldConfig = {
     foliageMaxScale: 16,    // Maximum foliage scale
     foliageVariation: false   // Whether to apply random variation between min/max
   },
+
+  // NEW: Parametric tree species (LowPolyGenerator.createTreeSpecies) mixed into each cluster
+  treeSpecies: {
+    enabled: true,
+    count: 2,                 // Per cluster
+    countVariation: 3,
+    fruitChance: 0.3,         // Chance a tree is the fruit-bearing variant (AppleSystem grows on it)
+    sink: 2,
+    types: {                  // Relative weight and height range per species
+      oakTree:    { weight: 3, minHeight: 130, maxHeight: 170 },
+      birchTree:  { weight: 3, minHeight: 150, maxHeight: 190 },
+      willowTree: { weight: 2, minHeight: 110, maxHeight: 140 },
+      bush:       { weight: 4, minHeight: 22,  maxHeight: 36 },
+      deadTree:   { weight: 1, minHeight: 100, maxHeight: 140 }
+    }
+  },
   
   // Low-poly rocks
   lpRocks: {
@@ -283,15 +451,86 @@ const worldConfig = {
     count: 8,                 
     randomExtra: 4,           
     positionVariation: 0.15   
+  },
+  
+  // Craters from heavy projectile impacts (and the crater() debug command)
+  terrainDeformation: {
+    enabled: true,
+    minImpactSpeed: 300,      // Speed into the ground needed to dig (red apples need a full charge)
+    fullSizeSpeed: 800,       // Impact speed that digs a maxRadius crater
+    minRadius: 2.5,           // Crater radius in world units
+    maxRadius: 7,
+    maxCraters: 64            // Each crater costs a little on every height lookup
+  },
+
+  // Ocean and lakes (lake basins come from "lake" terrain features)
+  water: {
+    enabled: true,
+    seaLevel: -4,             // Ocean surface height relative to the radius (null = no ocean)
+    color: 0x2a6f97,
+    opacity: 0.72,
+    waveAmplitude: 0.25       // World units
+  },
+
+  // Walkable moon - a second gravity body; launch pads fly the player there and back
+  moon: {
+    enabled: true,
+    radius: 120,
+    orbitRadius: R * 8,
+    orbitSpeed: 0.01,         // Radians per second (very slow)
+    gravity: 0.45,            // Surface gravity relative to the planet
+    craterCount: 14,
+    launchPad: [0.12, 1, 0.08], // Planet pad direction (a short walk from the spawn)
+    returnPad: [0, 1, 0],       // Moon pad direction (in the moon's frame)
+    launchSpeed: 320
+  },
+
+  // Day/night cycle - the sun circles the planet, sky/fog/light colors follow local time
+  dayNight: {
+    enabled: true,
+    dayLength: 600,           // Real seconds per day
+    startTime: 0.3,           // 0 = midnight, 0.25 = sunrise, 0.5 = noon, 0.75 = sunset
+    sunAxis: [0.15, 0, 1]     // The sun's path is the great circle around this axis
+  },
+
+  // Weather - clear, overcast, rain, snow, thunderstorm (changes by itself when auto is on)
+  weather: {
+    enabled: true,
+    initialState: 'clear',
+    auto: true,
+    minDuration: 90,          // Seconds before the weather may change
+    maxDuration: 240,
+    transitionTime: 20        // Seconds to blend between states
+  },
+
+  // Seasons - recolor foliage and change apple crops, deer foraging and bird numbers
+  seasons: {
+    enabled: true,
+    yearLength: 2400,         // Real seconds per year (four days per year at the default day length)
+    startSeason: 'spring',
+    transition: 0.25          // Fraction of each season spent blending into the next
+  },
+
+  // Enterable cabins (door opening, walkable floor, lantern inside)
+  cabins: {
+    count: 2,
+    width: 36,
+    depth: 28,
+    wallHeight: 18,
+    roofHeight: 10,
+    sink: 0.5
+  },
+  
+  // Placement rules per type (merged over DEFAULT_PLACEMENT_RULES in PlacementSystem.js)
+  // e.g. rules: { rock: { minSpacing: 10, maxSlope: 25 }, pineTree: { maxHeight: 50 } }
+  placement: {
+    rules: {}
   }
 };
 
 // Track fallen apples
 const fallenApples = [];
 
-// Track pine tree positions passed from world_objects.js
-let pineTrees = [];
-
 // *** PHYSICS MASTER CONTROLS ***
 // Add global physics controls that can be adjusted
 const physics = {
@@ -347,32 +586,39 @@ const physics = {
   },
 };
 
-// Modified initEnvironment to export placeOnSphere function and pine tree positions
-initEnvironment(scene, 'medium', worldConfig, (placerFunc, pineTreePositions) => {
+// Modified initEnvironment to export placeOnSphere function
+initEnvironment(scene, 'medium', worldConfig, (placerFunc) => {
   placeOnSphereFunc = placerFunc;
   
-  // Store pine tree positions for apple tree spacing
-  if (pineTreePositions && pineTreePositions.length > 0) {
-    pineTrees = collidables.filter(obj => 
-      obj.mesh?.name === "PineTree" || 
-      obj.mesh?.userData?.isPineTree
-    );
-    debug(`Received ${pineTrees.length} pine tree positions for spacing`);
+  // Moon and launch pads (the planet pad keeps scattered props away)
+  initMoon();
+
+  // Sun and lighting keyframes (after the moon - its position sets the phase)
+  initDayNight();
+
+  // After world is built, add low-poly details (a saved layout already placed everything)
+  if (!worldConfig.layout) {
+    enhanceEnvironment();
   }
-  
-  // After world is built, add low-poly details
-  enhanceEnvironment();
   debug(`World built with ${collidables.length} collidable objects`); // Moved and consolidated debug message
 
   // Now initialize the player with the fully built world
   player = new Player(scene, canvas, {
     ...playerConfig,
+    input: inputMap,
     // Connect physics to player
     jumpStrength: physics.jumpStrength,
     gravity: physics.gravity,
     maxJumps: physics.maxJumps
   });
 
+  // Refine the terrain around the spawn point before the first frame
+  const startTerrain = getPlanetTerrain();
+  if (startTerrain && player?.camera) {
+    startTerrain.update(player.camera.getWorldPosition(new THREE.Vector3()), Infinity);
+    debug(`Terrain LOD ready: ${startTerrain.leafCount} tiles around spawn`);
+  }
+
   // Give player some initial ammo after creation
   if (player && player.addAmmo) {
     player.addAmmo('red', 10); // Start with 10 red apples
@@ -444,11 +690,15 @@ initEnvironment(scene, 'medium', worldConfig, (placerFunc, pineTreePositions) =>
   
   // Make crosshair and charge indicator available globally for other systems
   window.crosshairSystem = crosshairSystem;
+
+  // NEW: World editor (F2) - aims with the crosshair, places props with the same settings as generation
+  worldEditor = new WorldEditor(scene, player.camera, { propDefaults: getEditorPropDefaults(), input: inputMap });
+  window.worldEditor = worldEditor;
   
   // Initialize and start apple growth manager
   const appleGrowthMgr = new AppleGrowthManager(
     scene,
-    getFullTerrainHeight,       // imported from world_objects.js
+    sampleTerrainHeight,        // imported from world_objects.js (baked heights for falling/rolling apples)
     // FIX FOR APPLE COLLECTION: Always add exactly 1 per pickup
     (type, value, effectMultiplier, pos) => { 
       if (player) {
@@ -477,7 +727,7 @@ initEnvironment(scene, 'medium', worldConfig, (placerFunc, pineTreePositions) =>
         console.log(`[AppleCollection] Current inventory: red=${weaponState.ammo.red}, yellow=${weaponState.ammo.yellow}, green=${weaponState.ammo.green}`);
       }
     },
-    { speedMultiplier: 5 } // start 5× faster
+    { speedMultiplier: 5, getWaterLevel } // start 5× faster; apples float on water
   );
   window.appleGrowthMgr = appleGrowthMgr;  // expose for console
   appleGrowthMgr.init();
@@ -531,6 +781,7 @@ initEnvironment(scene, 'medium', worldConfig, (placerFunc, pineTreePositions) =>
     opacity: 0.85,   // Slightly less opaque for distance
     distribution: 0.4,
     sphereRadius: R, // Ensure sphereRadius is passed
+    random: forkRandom(worldConfig.seed, 'clouds'), // Seeded cloud layout
     // UPDATED: Specify the path to your SINGLE skybox texture file
     skyboxTexturePath: 'static/images/StandardCubeMap.png', // ADJUST FILENAME AND PATH
 
@@ -556,6 +807,15 @@ initEnvironment(scene, 'medium', worldConfig, (placerFunc, pineTreePositions) =>
   cloudSystem.init(); 
   console.log("[Main] CloudSystem explicitly initialized with distant options.");
 
+  // Clouds, fog, audio and creatures follow the time of day
+  connectDayNight();
+
+  // Weather drives lighting, clouds, fog and birds, so it comes after all of them
+  initWeather();
+
+  // Seasons recolor the trees and steer apples, deer and birds
+  initSeasons();
+
   // Start animation loop after player and cloud system are created and initialized
   animate();
   
@@ -580,6 +840,127 @@ initEnvironment(scene, 'medium', worldConfig, (placerFunc, pineTreePositions) =>
 });
 
 // Enhance environment with low-poly details
+/**
+ * Params and placement offsets the world editor uses for each prop type,
+ * matching what world generation uses (middle of each size range)
+ * @returns {Object} type -> { params, heightOffset, sinkDepth }
+ */
+function getEditorPropDefaults() {
+  const { baseTrees, lpTrees, lpRocks, lpGrass } = worldConfig;
+  const pineHeight = baseTrees.trunkHeight + baseTrees.foliageHeight;
+  const appleSize = (lpTrees.minSize + lpTrees.maxSize) / 2;
+  const appleTrunkHeight = lpTrees.useDynamicTrunkHeight ? (lpTrees.minTrunkHeight + lpTrees.maxTrunkHeight) / 2 : null;
+
+  return {
+    pineTree: {
+      params: { height: pineHeight, levels: 4, trunkRatio: baseTrees.trunkHeight / pineHeight },
+      heightOffset: pineHeight / 2,
+      sinkDepth: baseTrees.trunkSink
+    },
+    appleTree: {
+      params: {
+        size: appleSize,
+        trunkRatio: appleTrunkHeight ? Math.min(1.0, appleTrunkHeight / appleSize) : lpTrees.trunkRatio,
+        trunkHeight: appleTrunkHeight,
+        foliageScale: lpTrees.foliageScale
+      },
+      heightOffset: lpTrees.height,
+      sinkDepth: lpTrees.sink
+    },
+    // Tree species (non-fruiting, mid height)
+    ...Object.fromEntries(Object.entries(worldConfig.treeSpecies.types).map(([type, range]) => [type, {
+      params: { height: (range.minHeight + range.maxHeight) / 2 },
+      heightOffset: 0,
+      sinkDepth: worldConfig.treeSpecies.sink
+    }])),
+    rock: {
+      params: { size: (lpRocks.minSize + lpRocks.maxSize) / 2 },
+      heightOffset: lpRocks.height,
+      sinkDepth: lpRocks.sink
+    },
+    grass: {
+      params: { size: (lpGrass.minSize + lpGrass.maxSize) / 2 },
+      heightOffset: lpGrass.height,
+      sinkDepth: lpGrass.sink
+    },
+    cabin: {
+      params: { width: worldConfig.cabins.width, depth: worldConfig.cabins.depth, wallHeight: worldConfig.cabins.wallHeight, roofHeight: worldConfig.cabins.roofHeight },
+      heightOffset: 0,
+      sinkDepth: worldConfig.cabins.sink
+    }
+  };
+}
+
+// Build the moon, add it as a gravity body and connect it to the planet with launch pads
+function initMoon() {
+  const { enabled, launchPad, returnPad, launchSpeed, ...moonOptions } = worldConfig.moon || {};
+  if (enabled === false) return;
+
+  moon = new Moon(scene, { ...moonOptions, seed: worldConfig.seed });
+  gravityBodies.push(moon.body);
+
+  launchPads = new LaunchPadSystem(scene, { launchSpeed });
+  const padDir = new THREE.Vector3().fromArray(launchPad).normalize();
+  launchPads.addPad(planetBody, padDir, moon.body);
+  launchPads.addPad(moon.body, new THREE.Vector3().fromArray(returnPad), planetBody);
+  getPlacementSystem()?.addExclusionZone(padDir, 20, 'launchPad');
+
+  // Pines are placed before the pad exists - clear any that grew on its site
+  collidables
+    .filter(obj => obj.propType && obj.direction.angleTo(padDir) * R < 20)
+    .forEach(obj => removePlacedObject(obj));
+}
+
+// Drive the ambient/moon lights and sky color from the day/night cycle
+function initDayNight() {
+  const { enabled, sunAxis, ...cycleOptions } = worldConfig.dayNight || {};
+  if (enabled === false) return;
+
+  if (sunAxis) cycleOptions.sunAxis = new THREE.Vector3().fromArray(sunAxis);
+  dayNight = new DayNightCycle(scene, { ...cycleOptions, ambientLight, moonLight, moon });
+  window.dayNight = dayNight;
+}
+
+// Systems that react to the time of day (each has setTimeOfDay or updateDayNightCycle)
+function connectDayNight() {
+  if (!dayNight) return;
+  // Fog and audio are only registered when they've been created (addListener skips null)
+  [cloudSystem, birdSystem, deerSystem, fxManager?.volumetricFog, window.audioManager]
+    .forEach(system => dayNight.addListener(system));
+}
+
+// Rain, snow and wind - darkens the day/night lighting and pushes clouds, fog, birds and apples
+function initWeather() {
+  const { enabled, ...weatherOptions } = worldConfig.weather || {};
+  if (enabled === false) return;
+
+  weather = new WeatherSystem(scene, {
+    ...weatherOptions,
+    sphereRadius: R,
+    random: forkRandom(worldConfig.seed, 'weather'), // Seeded weather sequence
+    dayNight,
+    clouds: cloudSystem,
+    fog: fxManager?.volumetricFog,
+    surfaceFog: cloudSystem,
+    birds: birdSystem
+  });
+  window.weatherSystem = weather;
+}
+
+// Season clock - foliage colors, apple growth/drop rates, deer foraging range and bird migration
+function initSeasons() {
+  const { enabled, ...seasonOptions } = worldConfig.seasons || {};
+  if (enabled === false) return;
+
+  seasons = new SeasonSystem(scene, {
+    ...seasonOptions,
+    instancedProps: getInstancedProps() // Instanced pine trees
+  });
+  [window.appleGrowthMgr?.appleSystem, deerSystem, birdSystem]
+    .forEach(system => seasons.addListener(system));
+  window.seasonSystem = seasons;
+}
+
 function enhanceEnvironment() {
   if (!placeOnSphereFunc) {
     console.error("placeOnSphere function not available");
@@ -588,95 +969,35 @@ function enhanceEnvironment() {
   
   debug("Enhancing environment with low-poly details...");
   
+  // NEW: Seeded generator so the same world seed gives the same clusters
+  const random = forkRandom(worldConfig.seed, 'props');
+  
   try {
-    // Find existing pine trees - no longer needed as we get them directly
-    // from the callback now, but kept for compatibility
-    if (pineTrees.length === 0) {
-      pineTrees = collidables.filter(obj => 
-        obj.mesh?.name === "PineTree" || 
-        obj.mesh?.userData?.isPineTree
-      );
-    }
-    
-    debug(`Using ${pineTrees.length} pine trees to avoid during placement`);
-    
-    // Minimum distance between trees (angular distance on sphere surface)
-    // Since we're on a sphere surface, we use angular distance
-    const minTreeAngleDistance = 0.2; // About 11.5 degrees
-    
-    // Check if a position is too close to pine trees
-    function isTooCloseToTrees(dir) {
-      for (const tree of pineTrees) {
-        const treeDir = tree.direction;
-        // Calculate angular distance (dot product gives cosine of angle)
-        const dot = dir.dot(treeDir);
-        const angle = Math.acos(Math.min(Math.max(dot, -1), 1));
-        
-        if (angle < minTreeAngleDistance) {
-          return true; // Too close
-        }
-      }
-      return false; // Good position
-    }
+    // NEW: Poisson-disk placement - spacing, slope, height band and exclusion rules
+    // per object type live in PlacementSystem (override via worldConfig.placement.rules)
+    const placement = getPlacementSystem();
+    const clusterRadius = worldConfig.clusters.positionVariation * 0.6; // Angular radius of a cluster
     
     // Add clusters of environment objects around the planet
     const clusterCount = worldConfig.clusters.count + 
-                         Math.floor(Math.random() * worldConfig.clusters.randomExtra);
+                         Math.floor(random() * worldConfig.clusters.randomExtra);
     
     // Track total rocks created for global count control
     let totalRocks = 0;
     const maxRocks = worldConfig.lpRocks.totalCount || 30;
     
     for (let i = 0; i < clusterCount; i++) {
-      // Create random position on sphere for cluster
-      let clusterDir;
-      let maxAttempts = 20; // Limit attempts to find a good position
-      let attempts = 0;
-      
-      // Try to find a position away from pine trees for the cluster center
-      do {
-        clusterDir = new THREE.Vector3().randomDirection();
-        attempts++;
-      } while (isTooCloseToTrees(clusterDir) && attempts < maxAttempts);
-      
-      // If we couldn't find a good position after max attempts, we'll try less strict placement
-      // for individual objects in the cluster
-      const isGoodClusterPosition = attempts < maxAttempts;
-      
-      if (!isGoodClusterPosition) {
-        debug(`Couldn't find ideal cluster position after ${maxAttempts} attempts. Using fallback placement.`);
-      }
+      // Cluster centers go where an apple tree could stand (away from pines, not on cliffs)
+      const clusterDir = placement.findSpot('appleTree', 20) || randomDirection(random);
+      const region = { center: clusterDir, angularRadius: clusterRadius };
       
       // Add apple trees in this cluster with direct trunk height control
       const treeCount = worldConfig.lpTrees.count + 
-                       Math.floor(Math.random() * worldConfig.lpTrees.countVariation);
+                       Math.floor(random() * worldConfig.lpTrees.countVariation);
       
-      for (let t = 0; t < treeCount; t++) {
-        // Create base direction with slight variation
-        let treeDir;
-        attempts = 0;
-        
-        do {
-          // Create slight variation in direction from cluster center
-          treeDir = clusterDir.clone().add(
-            new THREE.Vector3(
-              (Math.random() - 0.5) * worldConfig.clusters.positionVariation,
-              (Math.random() - 0.5) * worldConfig.clusters.positionVariation,
-              (Math.random() - 0.5) * worldConfig.clusters.positionVariation
-            )
-          ).normalize();
-          
-          attempts++;
-        } while (isTooCloseToTrees(treeDir) && attempts < maxAttempts);
-        
-        // If we still couldn't find a good position, skip this tree
-        if (isTooCloseToTrees(treeDir) && isGoodClusterPosition) {
-          continue;
-        }
-        
-        // If we reach here, either we found a good position or we're using fallback placement
+      placement.scatter('appleTree', treeCount, treeDir => {
         const treeSize = worldConfig.lpTrees.minSize + 
-                        Math.random() * (worldConfig.lpTrees.maxSize - worldConfig.lpTrees.minSize);
+                        random() * (worldConfig.lpTrees.maxSize - worldConfig.lpTrees.minSize);
         
         // Trunk height control for apple trees
         let trunkHeight = null;
@@ -685,7 +1006,7 @@ function enhanceEnvironment() {
         if (worldConfig.lpTrees.useDynamicTrunkHeight) {
           // Use direct trunk height
           trunkHeight = worldConfig.lpTrees.minTrunkHeight + 
-                       Math.random() * (worldConfig.lpTrees.maxTrunkHeight - worldConfig.lpTrees.minTrunkHeight);
+                       random() * (worldConfig.lpTrees.maxTrunkHeight - worldConfig.lpTrees.minTrunkHeight);
           
           // Also update ratio for any code that might still use it
           trunkRatio = Math.min(1.0, trunkHeight / treeSize);
@@ -693,7 +1014,7 @@ function enhanceEnvironment() {
           console.log(`Creating apple tree with explicit trunk height: ${trunkHeight.toFixed(1)}, size: ${treeSize.toFixed(1)}`);
         } else {
           // Use trunk ratio with variation
-          trunkRatio = worldConfig.lpTrees.trunkRatio + (Math.random() - 0.5) * 0.2;
+          trunkRatio = worldConfig.lpTrees.trunkRatio + (random() - 0.5) * 0.2;
           console.log(`Creating apple tree with trunk ratio: ${trunkRatio.toFixed(2)}, size: ${treeSize.toFixed(1)}`);
         }
         
@@ -702,82 +1023,74 @@ function enhanceEnvironment() {
         
         if (worldConfig.lpTrees.foliageVariation) {
           foliageScale = worldConfig.lpTrees.foliageMinScale + 
-                         Math.random() * (worldConfig.lpTrees.foliageMaxScale - worldConfig.lpTrees.foliageMinScale);
+                         random() * (worldConfig.lpTrees.foliageMaxScale - worldConfig.lpTrees.foliageMinScale);
         }
         
         // Create apple tree with custom foliage scale
-        const appleTree = LowPolyGenerator.createTree(
-          treeSize, 
-          null,   // trunk color (use default)
-          null,   // leaves color (use default)
-          trunkRatio, 
+        const appleTree = createProp('appleTree', {
+          size: treeSize,
+          trunkRatio,
           trunkHeight,
           foliageScale // New parameter for foliage scale control
-        );
+        });
         
         console.log(`Creating apple tree with foliage scale: ${foliageScale.toFixed(2)}`);
         
-        const placed = placeOnSphereFunc(appleTree, treeDir, 
+        return placeOnSphereFunc(appleTree, treeDir, 
                               worldConfig.lpTrees.height, worldConfig.lpTrees.sink);
-                              
-        // If successfully placed, add to our pine trees list to avoid for future objects
-        if (placed) {
-          // Find the just-placed tree in collidables (it would be the last one added)
-          const newTreeObj = collidables[collidables.length - 1];
-          if (newTreeObj && newTreeObj.mesh === appleTree) {
-            pineTrees.push(newTreeObj); // Add to our avoidance list
-          }
+      }, region);
+      
+      // NEW: Mix of tree species (oak, birch, willow, bush, dead), some bearing fruit
+      const species = worldConfig.treeSpecies;
+      if (species?.enabled !== false) {
+        const speciesCount = species.count + Math.floor(random() * species.countVariation);
+        const types = Object.entries(species.types);
+        const totalWeight = types.reduce((sum, [, range]) => sum + range.weight, 0);
+        const perType = {};
+        for (let s = 0; s < speciesCount; s++) {
+          let pick = random() * totalWeight;
+          const [type] = types.find(([, range]) => (pick -= range.weight) < 0) || types[types.length - 1];
+          perType[type] = (perType[type] || 0) + 1;
         }
+        
+        Object.entries(perType).forEach(([type, count]) => {
+          const range = species.types[type];
+          placement.scatter(type, count, speciesDir => {
+            const tree = createProp(type, {
+              height: range.minHeight + random() * (range.maxHeight - range.minHeight),
+              fruit: random() < species.fruitChance
+            });
+            return placeOnSphereFunc(tree, speciesDir, 0, species.sink);
+          }, region);
+        });
       }
       
       // Add rocks in this cluster - USING CLAY-STYLE ROCKS
       const rockCount = worldConfig.lpRocks.count + 
-                       Math.floor(Math.random() * worldConfig.lpRocks.countVariation);
+                       Math.floor(random() * worldConfig.lpRocks.countVariation);
       
       // Check global rock count limit
       const rocksToCreate = Math.min(rockCount, maxRocks - totalRocks);
       
-      for (let r = 0; r < rocksToCreate; r++) {
-        const rockDir = clusterDir.clone().add(
-          new THREE.Vector3(
-            (Math.random() - 0.5) * worldConfig.clusters.positionVariation,
-            (Math.random() - 0.5) * worldConfig.clusters.positionVariation,
-            (Math.random() - 0.5) * worldConfig.clusters.positionVariation
-          )
-        ).normalize();
-        
+      totalRocks += placement.scatter('rock', rocksToCreate, rockDir => {
         const rockSize = worldConfig.lpRocks.minSize + 
-                        Math.random() * (worldConfig.lpRocks.maxSize - worldConfig.lpRocks.minSize);
-        const rock = LowPolyGenerator.createRock(rockSize);
-        placeOnSphereFunc(rock, rockDir, 
+                        random() * (worldConfig.lpRocks.maxSize - worldConfig.lpRocks.minSize);
+        const rock = createProp('rock', { size: rockSize });
+        return placeOnSphereFunc(rock, rockDir, 
                           worldConfig.lpRocks.height, worldConfig.lpRocks.sink);
-        
-        // Update total count
-        totalRocks++;
-        
-        // Stop if we've reached the limit
-        if (totalRocks >= maxRocks) break;
-      }
+      }, region).length;
       
       // Add grass patches in this cluster
       const grassCount = worldConfig.lpGrass.count + 
-                        Math.floor(Math.random() * worldConfig.lpGrass.countVariation);
-      
-      for (let g = 0; g < grassCount; g++) {
-        const grassDir = clusterDir.clone().add(
-          new THREE.Vector3(
-            (Math.random() - 0.5) * worldConfig.clusters.positionVariation,
-            (Math.random() - 0.5) * worldConfig.clusters.positionVariation,
-            (Math.random() - 0.5) * worldConfig.clusters.positionVariation
-          )
-        ).normalize();
-        
+                        Math.floor(random() * worldConfig.lpGrass.countVariation);
+      
+      placement.scatter('grass', grassCount, grassDir => {
         const grassSize = worldConfig.lpGrass.minSize + 
-                         Math.random() * (worldConfig.lpGrass.maxSize - worldConfig.lpGrass.minSize);
-        const grass = LowPolyGenerator.createGrass(grassSize);
-        placeOnSphereFunc(grass, grassDir, 
+                         random() * (worldConfig.lpGrass.maxSize - worldConfig.lpGrass.minSize);
+        const grass = createProp('grass', { size: grassSize });
+        return placeOnSphereFunc(grass, grassDir, 
                           worldConfig.lpGrass.height, worldConfig.lpGrass.sink);
-      }
+      }, region);
     }
     
     // Add additional scattered rocks if we haven't hit our limit
@@ -785,14 +1098,13 @@ function enhanceEnvironment() {
       const remainingRocks = maxRocks - totalRocks;
       debug(`Adding ${remainingRocks} additional scattered clay rocks to reach count limit`);
       
-      for (let i = 0; i < remainingRocks; i++) {
-        const dir = new THREE.Vector3().randomDirection();
+      totalRocks += placement.scatter('rock', remainingRocks, dir => {
         const rockSize = worldConfig.lpRocks.minSize + 
-                       Math.random() * (worldConfig.lpRocks.maxSize - worldConfig.lpRocks.minSize);
-        const rock = LowPolyGenerator.createRock(rockSize);
-        placeOnSphereFunc(rock, dir, 
+                       random() * (worldConfig.lpRocks.maxSize - worldConfig.lpRocks.minSize);
+        const rock = createProp('rock', { size: rockSize });
+        return placeOnSphereFunc(rock, dir, 
                          worldConfig.lpRocks.height, worldConfig.lpRocks.sink);
-      }
+      }).length;
     }
     
     debug(`Created ${totalRocks} clay-style rocks in total`);
@@ -812,11 +1124,11 @@ debug("Building world...");
 
 // Remove particle setup - commenting out
 // Initialize FX Manager AFTER controls are created
-// const fxManager = new FXManager(scene, controls.camera, renderer);
+// fxManager = new FXManager(scene, controls.camera, renderer); // connectDayNight picks up its volumetricFog
 
 // Comment out audio initialization and usage
 // Initialize audio manager
-// const audioManager = new AudioManager(controls.camera);
+// window.audioManager = new AudioManager(controls.camera); // connectDayNight drives its night ambience
 
 // Remove setupWorldEffects function entirely
 
@@ -829,13 +1141,14 @@ function initDeerSystem() {
   const deerSystem = createDeerSystem(scene, null, {
     count: 8,
     wanderRadius: R * 0.3,
-    getTerrainHeight: getFullTerrainHeight,
+    getTerrainHeight: sampleTerrainHeight,
     groundOffset: 6,
     moveSpeed: 1.5,  // Increased from 0.6 for better movement
     appleDetectionRadius: 50, // Increased from 30 to detect apples from further away
     appleEatTime: 2000, // Reduced from 3000 to make eating faster
     // ADDED: Pass collidables for collision detection
     collidables: collidables,
+    spatialIndex: collidableIndex,
     // Ensure damage settings match our requirements
     damage: {
       red: { body: 7, head: 2 },
@@ -958,24 +1271,38 @@ function animate(timestamp) {
   }
   
   // --- Moon Orbit ---
-  if (moonMesh && moonLight) {
-    // Calculate moon position using a tilted orbit
-    const angle = elapsedTime * moonOrbitSpeed;
-    const orbitAxis = new THREE.Vector3(0.1, 1, 0).normalize(); // Slightly tilted orbit axis
-    const moonPosition = new THREE.Vector3(moonOrbitRadius, 0, 0)
-        .applyAxisAngle(orbitAxis, angle);
-
-    moonMesh.position.copy(moonPosition);
+  if (moon && moonLight) {
+    // Move the moon along its tilted orbit (a player on it rides along)
+    moon.update(elapsedTime);
 
     // Update light position to follow the moon
-    moonLight.position.copy(moonPosition);
+    moonLight.position.copy(moon.mesh.position);
     // Ensure light continues to target the center
     moonLight.target.updateMatrixWorld(); // Important for directional light targeting
   }
 
+  // Poll gamepads before the player reads its input
+  gamepadInput.update(delta);
+  touchControls.update(delta);
+
   // Update player
   if (player) {
+    // Standing on a launch pad flings the player to the other body
+    launchPads?.update(delta, player.controls);
+
     player.update(delta);
+
+    // Climb prompt when a trunk is within reach (or the climbing controls)
+    actionPrompt.show(player.getClimbPrompt());
+    
+    // Refine/merge terrain tiles around the camera
+    updateTerrainLOD(player.camera.getWorldPosition(terrainCameraPosition));
+    
+    // Drag the editor selection / keep its marker in place
+    if (worldEditor) worldEditor.update();
+    
+    // Animate the ocean and lakes
+    getWaterSystem()?.update(delta);
     
     // Update crosshair charge indicator if weapon is charging
     if (window.crosshairSystem && player.weaponSystem) {
@@ -988,6 +1315,21 @@ function animate(timestamp) {
     }
   }
   
+  // Weather first - it dims the day/night lighting below
+  if (weather && player) {
+    weather.update(delta, player.camera);
+  }
+
+  // Sun, sky and lights - local time at the camera
+  if (dayNight) {
+    dayNight.update(delta, player ? terrainCameraPosition : null);
+  }
+
+  // Seasons (foliage and apple/deer/bird rates change slowly, updates are throttled inside)
+  if (seasons) {
+    seasons.update(delta);
+  }
+
   // *** ADDED LOG: Check if apple system update is called ***
   if (window.appleGrowthMgr && window.appleGrowthMgr.appleSystem) {
     // console.log("Calling appleSystem.update"); // Optional: uncomment for verbose logging
@@ -1023,7 +1365,7 @@ function animate(timestamp) {
     fxManager.render();
   } else {
     // Fallback to direct rendering if fxManager isn't available
-    renderer.render(scene, player ? player.getCamera() : camera);
+    renderer.render(scene, player ? player.getViewCamera() : camera);
   }
   
   // Assuming deerList is available in the scope
@@ -1044,6 +1386,455 @@ function setupDebugCommands() {
   console.log("- physics.setJumpStrength(value) - Change jump height");
   console.log("- physics.adjustGravity(percent) - Adjust gravity by percentage");
   console.log("- physics.adjustJumpStrength(percent) - Adjust jump by percentage");
+  console.log("- worldSeed() - Show the seed this planet was generated with");
+  console.log("- listTerrainFeatures() - Show the terrain features shaping the planet");
+  console.log("- biomeHere() - Show the biome under the player");
+  console.log("- spatialIndexStats() - Show collision spatial hash stats and nearby objects");
+  console.log("- instancingStats() - Show instanced prop batches and draw calls");
+  console.log("- placementStats() - Show how many objects each placement rule rejected");
+  console.log("- placementHere(type) - Check the placement rules at the player's position");
+  console.log("- heightCacheStats(samples) - Compare the baked height cubemap with the exact terrain heights");
+  console.log("- reloadTerrainFeatures(url) - Load a feature JSON file and reshape the planet");
+  console.log("- loadHeightmap(url, scale, noiseScale) - Add a grayscale equirectangular PNG to the terrain");
+  console.log("- loadSplatMap(url, channels) - Paint biomes from an RGBA equirectangular PNG");
+  console.log("- clearTerrainMaps() - Remove the painted height and splat maps");
+  console.log("- toggleEditor() - Toggle the world editor (or press its key, F2 by default)");
+  console.log("- crater(radius, depth) - Dig a crater where you're aiming");
+  console.log("- clearCraters() - Remove all craters and restore the terrain");
+  console.log("- waterHere() - Show water level, depth and swim state where you stand");
+  console.log("- seaLevel(level) - Move the ocean surface (null removes it)");
+  console.log("- launchToMoon() / launchHome() - Fly to the moon / back to the planet");
+  console.log("- gravityHere() - Show the body you're on and its pull");
+  console.log("- setTime(hours) - Set the local time of day (0-24), e.g. setTime(18.5) for sunset");
+  console.log("- dayLength(seconds) - Change how long a day takes (0 stops the clock)");
+  console.log("- timeHere() - Show local time, daylight and the moon phase");
+  console.log("- weather(name, seconds) - Change weather: clear, overcast, rain, snow, thunderstorm");
+  console.log("- weatherAuto(on) - Let the weather change by itself (or not)");
+  console.log("- windHere() - Show the wind where you stand");
+  console.log("- season(name) - Jump to a season: spring, summer, autumn, winter");
+  console.log("- yearLength(seconds) - Change how long a year takes (0 stops the seasons)");
+  console.log("- seasonInfo() - Show the season and its effect on apples, deer and birds");
+  console.log("- exportLayout(format) - Save the world as 'json' or 'binary' (load with ?layout=url), 'none' to just return it");
+  console.log("- exportGLB(filename, planetSegments) - Save the planet, props and apples as a .glb for Blender");
+  console.log("- showControls() - Open the controls menu to rebind keys (or press K)");
+  console.log("- listBindings() - Show every input action and its keys");
+  console.log("- rebindAction(action, code, slot, swap) - Bind a key code, e.g. rebindAction('jump', 'KeyF')");
+  console.log("- resetControls() - Restore the default key bindings");
+  console.log("- gamepadSettings(settings) - Show or change stick sensitivity, deadzones, curves and invertY");
+  console.log("- virtualGamepad(script) - Plug in a scripted virtual gamepad (default: walk, look, jump, half-charge shot)");
+  console.log("- toggleTouch(on) - Show or hide the on-screen touch controls");
+  console.log("- thirdPerson(on, distance) - Switch to the third-person camera (or press V), optionally set its distance");
+  console.log("- climbHere() - Show the climbing state and the trunk within reach");
+  
+  // Show the current world seed and a link that reproduces this planet
+  window.worldSeed = () => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', worldConfig.seed);
+    console.log(`World seed: ${worldConfig.seed} - reproduce with ${url.toString()}`);
+    return worldConfig.seed;
+  };
+  
+  // Biome under the player
+  window.biomeHere = () => {
+    if (!player) return null;
+    const dir = player.playerObject.position.clone().normalize();
+    const biome = getBiomeAtDirection(dir);
+    console.log(`Biome here: ${BIOMES[biome].name} (height ${getFullTerrainHeight(dir).toFixed(1)})`, BIOMES[biome].density);
+    return biome;
+  };
+  
+  // Collision spatial hash stats plus what's around the player
+  window.spatialIndexStats = (radius = 30) => {
+    const stats = collidableIndex.getStats();
+    if (player) {
+      const nearby = collidableIndex.queryRange(player.playerObject.position, radius);
+      stats.nearby = nearby.length;
+      stats.nearbyTypes = nearby.map(obj => obj.objectType || obj.mesh?.name || 'object');
+    }
+    console.log(`[SpatialHash] ${stats.items} objects in ${stats.cells} cells (max ${stats.maxBucket} per cell)`, stats);
+    return stats;
+  };
+  
+  // Instanced prop batches (pine trees, rocks, grass)
+  window.instancingStats = () => {
+    const instancedProps = getInstancedProps();
+    if (!instancedProps) return "Instancing disabled (worldConfig.instancing.enabled = false)";
+    const stats = instancedProps.getStats();
+    console.log(`[InstancedProps] ${stats.instances} props in ${stats.drawCalls} draw calls`);
+    console.table(stats.types);
+    return stats;
+  };
+  
+  // Placement rule diagnostics
+  window.placementStats = () => {
+    const placement = getPlacementSystem();
+    if (!placement) return "Placement system not ready";
+    console.table(Object.fromEntries(Object.entries(placement.stats).map(([type, stats]) => 
+      [type, { placed: stats.placed, ...stats.rejected }]
+    )));
+    return placement.stats;
+  };
+  
+  window.placementHere = (type = 'pineTree') => {
+    const placement = getPlacementSystem();
+    if (!placement || !player) return "Placement system not ready";
+    const dir = player.playerObject.position.clone().normalize();
+    const result = {
+      type,
+      height: +getFullTerrainHeight(dir).toFixed(2),
+      slope: +placement.getSlope(dir).toFixed(1),
+      crest: +placement.getCrest(dir).toFixed(2),
+      failedRule: placement.check(dir, type) || 'none',
+      rules: placement.getRules(type)
+    };
+    console.log(`[Placement] ${type} here: ${result.failedRule === 'none' ? 'allowed' : `blocked by ${result.failedRule}`}`, result);
+    return result;
+  };
+  
+  window.heightCacheStats = (samples = 2000) => {
+    const cache = getHeightCache();
+    if (!cache) return "Height cache disabled (worldConfig.heightCache.enabled)";
+    // Time the baked lookups against the exact height function at random directions
+    const dir = new THREE.Vector3();
+    let exactTime = 0, cachedTime = 0;
+    for (let i = 0; i < samples; i++) {
+      dir.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
+      let start = performance.now();
+      getFullTerrainHeight(dir);
+      exactTime += performance.now() - start;
+      start = performance.now();
+      cache.getHeight(dir);
+      cachedTime += performance.now() - start;
+    }
+    const error = cache.measureError(samples);
+    const stats = {
+      resolution: cache.resolution,
+      ready: cache.ready,
+      memoryMB: +(cache.getMemoryUsage() / 1024 / 1024).toFixed(2),
+      lastBuildMs: +cache.lastBuildMs.toFixed(1),
+      exactCells: cache.exactCellCount,
+      meanError: +error.meanError.toFixed(4),
+      maxError: +error.maxError.toFixed(3),
+      maxNormalErrorDeg: +THREE.MathUtils.radToDeg(error.maxNormalError).toFixed(1),
+      withinTolerance: error.withinTolerance,
+      exactMicroseconds: +(exactTime / samples * 1000).toFixed(2),
+      cachedMicroseconds: +(cachedTime / samples * 1000).toFixed(2)
+    };
+    console.log('[World] Height cache', stats);
+    return stats;
+  };
+  
+  // Terrain deformation commands
+  window.crater = (radius = 6, depth = radius * 0.4) => {
+    if (!player) return "Player not ready";
+    const origin = player.camera.getWorldPosition(new THREE.Vector3());
+    const aim = player.camera.getWorldDirection(new THREE.Vector3());
+    const hit = raycastTerrain(origin, aim, 500);
+    const direction = hit ? hit.direction : player.playerObject.position.clone().normalize();
+    const result = digCrater(direction, { radius, depth });
+    return result ? `Crater ${getTerrainCraters().length}/${worldConfig.terrainDeformation.maxCraters}` : "Crater limit reached";
+  };
+  
+  window.clearCraters = () => {
+    const count = clearTerrainCraters();
+    player?.resettle();
+    deerSystem?.resettle();
+    window.appleGrowthMgr?.appleSystem?.resettleGroundApples();
+    return `Removed ${count} craters`;
+  };
+  
+  // Water commands
+  window.waterHere = () => {
+    if (!player) return "Player not ready";
+    const dir = player.playerObject.position.clone().normalize();
+    const controls = player.controls;
+    const info = {
+      level: getWaterLevel(dir),
+      depth: +getWaterDepth(dir).toFixed(2),
+      terrainHeight: +getFullTerrainHeight(dir).toFixed(2),
+      swimming: controls.isSwimming,
+      wading: controls.isWading,
+      immersion: +controls.immersion.toFixed(2)
+    };
+    console.log('[Water]', info);
+    return info;
+  };
+  
+  window.seaLevel = (level = worldConfig.water.seaLevel) => {
+    const newLevel = setSeaLevel(level);
+    return newLevel === null ? "Ocean removed" : `Sea level ${newLevel}`;
+  };
+  
+  // Moon commands
+  window.launchToMoon = (speed) => {
+    if (!player || !moon) return "Moon not ready";
+    player.controls.launch(moon.body, speed);
+    return "Launching to the moon";
+  };
+  
+  window.launchHome = (speed) => {
+    if (!player) return "Player not ready";
+    player.controls.launch(planetBody, speed);
+    return "Launching home";
+  };
+  
+  window.gravityHere = () => {
+    if (!player) return "Player not ready";
+    const position = player.playerObject.position;
+    const info = gravityBodies.map(body => ({
+      body: body.name,
+      distance: +position.distanceTo(body.center).toFixed(1),
+      pull: +getGravityStrength(body, position).toFixed(4)
+    }));
+    console.log(`[Gravity] On ${player.controls.getBody().name}`, info);
+    return info;
+  };
+
+  // Weather commands
+  window.weather = (name, seconds) => {
+    if (!weather) return "Weather disabled";
+    if (name) weather.setWeather(name, seconds);
+    return `Weather: ${weather.getWeather()}`;
+  };
+
+  window.weatherAuto = (on = true) => {
+    if (!weather) return "Weather disabled";
+    weather.setAuto(on);
+    return `Automatic weather ${on ? 'on' : 'off'}`;
+  };
+
+  window.windHere = () => {
+    if (!weather || !player) return "Weather not ready";
+    const wind = weather.getWindAt(player.playerObject.position);
+    console.log(`[Weather] Wind ${wind.length().toFixed(1)} units/s`, wind);
+    return wind;
+  };
+
+  // Day/night cycle commands
+  window.setTime = (hours) => {
+    if (!dayNight) return "Day/night cycle disabled";
+    dayNight.setTimeOfDay(hours / 24);
+    return `Local time ${dayNight.formatTime()}`;
+  };
+
+  window.dayLength = (seconds) => {
+    if (!dayNight) return "Day/night cycle disabled";
+    if (seconds !== undefined) dayNight.setDayLength(seconds);
+    return `Day length ${dayNight.options.dayLength}s`;
+  };
+
+  window.timeHere = () => {
+    if (!dayNight) return "Day/night cycle disabled";
+    const { daylight, moonPhase } = dayNight.state;
+    const info = {
+      time: dayNight.formatTime(),
+      daylight: +daylight.toFixed(2),
+      moon: `${dayNight.getMoonPhaseName()} (${Math.round(moonPhase * 100)}% lit)`
+    };
+    console.log(`[DayNight] ${info.time}, daylight ${info.daylight}, ${info.moon}`);
+    return info;
+  };
+
+  // Season commands
+  window.season = (name) => {
+    if (!seasons) return "Seasons disabled";
+    if (name) seasons.setSeason(name);
+    return `Season: ${seasons.getSeason()}`;
+  };
+
+  window.yearLength = (seconds) => {
+    if (!seasons) return "Seasons disabled";
+    if (seconds !== undefined) seasons.setYearLength(seconds);
+    return `Year length ${seasons.options.yearLength}s`;
+  };
+
+  window.seasonInfo = () => {
+    if (!seasons) return "Seasons disabled";
+    const { season, nextSeason, progress, blend, appleGrowth, appleFall, deerForage } = seasons.state;
+    const info = {
+      season,
+      progress: `${Math.round(progress * 100)}%`,
+      blendingInto: blend > 0 ? `${nextSeason} (${Math.round(blend * 100)}%)` : null,
+      appleGrowth: +appleGrowth.toFixed(2),
+      appleFall: +appleFall.toFixed(2),
+      deerForage: +deerForage.toFixed(2),
+      birds: birdSystem ? `${birdSystem.getAliveBirdCount()} of ${birdSystem.birds.length}` : null,
+      foliageMeshes: seasons.foliageMeshes.length
+    };
+    console.log(`[Seasons] ${season} (${info.progress})`, info);
+    return info;
+  };
+
+  // World editor commands
+  window.toggleEditor = () => {
+    if (!worldEditor) return "World editor not ready";
+    return worldEditor.toggle() ? "World editor enabled" : "World editor disabled";
+  };
+  
+  window.exportLayout = (format = 'json') => {
+    const layout = exportLayout();
+    const filename = `world-${layout.seed}`;
+    if (format === 'json') {
+      downloadJSON(layout, `${filename}.json`);
+    } else if (format === 'binary') {
+      const bytes = downloadBinary(layout, `${filename}.f5dl`);
+      console.log(`[World] Binary layout: ${(bytes / 1024).toFixed(1)} KB`);
+    }
+    console.log(`[World] Layout v${layout.version}: ${layout.props.length} props, ${layout.terrainFeatures.features.length} terrain features`, layout);
+    return layout;
+  };
+  
+  // NEW: Snapshot the planet, props and apples as a .glb (Blender, screenshots, level review)
+  window.exportGLB = async (filename = null, planetSegments = 256) => {
+    const apples = window.appleGrowthMgr?.appleSystem?.getApples() || [];
+    const snapshot = createWorldExport({ planetSegments, apples });
+    try {
+      const bytes = await downloadGLB(snapshot, filename || `world-${worldConfig.seed}.glb`);
+      console.log(`[World] glTF export: ${(bytes / 1024 / 1024).toFixed(2)} MB`);
+      return `Exported ${snapshot.getObjectByName('Props').children.length} props and ${apples.length} apples`;
+    } catch (error) {
+      console.error('[World] glTF export failed:', error);
+      return `Export failed: ${error.message}`;
+    } finally {
+      // The export planet is a throwaway copy; everything else is shared with the game
+      const planet = snapshot.getObjectByName('Planet');
+      planet.geometry.dispose();
+      planet.material.dispose();
+    }
+  };
+  
+  // NEW: Input actions and key bindings
+  window.showControls = () => controlsMenu.toggle(true);
+
+  window.listBindings = () => {
+    console.table(Object.entries(INPUT_ACTIONS).map(([action, def]) => ({
+      action,
+      label: def.label,
+      keys: inputMap.describe(action),
+      codes: inputMap.getBindings(action).filter(Boolean).join(', ')
+    })));
+    const conflicts = inputMap.findConflicts();
+    if (conflicts.length) console.warn('Conflicting bindings:', conflicts);
+    return Object.keys(INPUT_ACTIONS).length;
+  };
+
+  window.rebindAction = (action, code, slot = 0, swap = false) => {
+    const result = inputMap.rebind(action, code, slot, { swap });
+    if (result.conflict && !result.ok) {
+      return `${code} is already bound to ${result.conflict} - call rebindAction('${action}', '${code}', ${slot}, true) to swap`;
+    }
+    return result.ok ? `${action}: ${inputMap.describe(action)}` : `Could not bind ${code} to ${action}`;
+  };
+
+  window.resetControls = () => {
+    inputMap.resetBindings();
+    return "Default key bindings restored";
+  };
+
+  // NEW: Gamepad settings and a scripted stand-in pad for testing without hardware
+  window.gamepadSettings = (settings = null) => {
+    const current = settings ? gamepadInput.setSettings(settings) : gamepadInput.getSettings();
+    console.log(`Gamepad: ${gamepadInput.pad ? gamepadInput.pad.id : 'none connected'}`);
+    console.table(current);
+    return current;
+  };
+
+  window.virtualGamepad = async (script = null) => {
+    const pad = gamepadInput.connectVirtual(new VirtualGamepad());
+    const steps = script || [
+      { left: [0, -1], duration: 1.5 },                         // Walk forward
+      { left: [0, -0.4], duration: 1 },                         // Light push - slow walk
+      { right: [0.6, 0], duration: 1 },                         // Turn right
+      { right: [0, -0.5], duration: 0.5 },                      // Look up
+      { left: [0, -1], buttons: { A: true }, duration: 0.2 },   // Jump while running
+      { left: [0, -1], duration: 0.8 },
+      { buttons: { RB: true }, duration: 0.2 },                 // Cycle ammo
+      { buttons: { RT: 0.5 }, duration: 2 },                    // Half-pull the trigger: capped charge
+      { duration: 0.5 }                                         // Let go - fires
+    ];
+    console.log(`[VirtualGamepad] Playing ${steps.length} steps`);
+    const played = await pad.play(steps);
+    gamepadInput.disconnectVirtual(pad);
+    return `Virtual gamepad played ${played} of ${steps.length} steps and was unplugged`;
+  };
+
+  window.thirdPerson = (on = undefined, distance = null) => {
+    if (!player) return "Player not ready";
+    if (distance !== null) player.thirdPersonCamera.setDistance(distance);
+    const enabled = player.toggleThirdPerson(on);
+    return `${enabled ? 'Third' : 'First'}-person view, camera distance ${player.thirdPersonCamera.options.distance}`;
+  };
+
+  window.climbHere = () => {
+    if (!player) return "Player not ready";
+    const controls = player.controls;
+    const tree = controls.climbTree || controls.climbTarget;
+    const info = {
+      climbing: controls.isClimbing,
+      climbHeight: controls.isClimbing ? +controls.climbHeight.toFixed(2) : null,
+      tree: tree ? (tree.mesh?.name || tree.objectType) : 'none in reach',
+      trunkRadius: tree?.trunkRadius ?? null,
+      trunkHeight: tree?.trunkHeight ?? null
+    };
+    console.table(info);
+    return info;
+  };
+
+  window.toggleTouch = (on) => {
+    const enabled = touchControls.toggle(on);
+    return `Touch controls ${enabled ? 'on' : 'off'}`;
+  };
+
+  // Terrain feature library commands
+  window.listTerrainFeatures = () => {
+    const features = getTerrainFeatures();
+    console.table(features.map(f => ({ type: f.type, blend: f.blend, radius: f.radius, height: f.height, depth: f.depth })));
+    return features.length;
+  };
+
+  window.reloadTerrainFeatures = async (url = worldConfig.terrainFeaturesUrl) => {
+    try {
+      setTerrainFeatures(await loadTerrainFeatures(url));
+      updatePlanetGeometry();
+      const moved = resettleCollidables();
+      console.log(`Terrain reshaped from ${url}; ${moved} objects re-settled`);
+      return true;
+    } catch (error) {
+      console.error("Failed to reload terrain features:", error);
+      return false;
+    }
+  };
+  
+  // Painted terrain map commands (reshape the planet in place)
+  const reshapeFromMaps = async (heightmap, splatMap) => {
+    try {
+      await applyTerrainMaps(heightmap, splatMap);
+      updatePlanetGeometry();
+      const moved = resettleCollidables();
+      console.log(`Terrain reshaped from painted maps; ${moved} objects re-settled`);
+      return true;
+    } catch (error) {
+      console.error("Failed to load terrain maps:", error);
+      return false;
+    }
+  };
+
+  window.loadHeightmap = (url, scale = 40, noiseScale = 1) => {
+    const { splatMap } = getTerrainMaps();
+    return reshapeFromMaps({ url, scale, noiseScale }, splatMap?.settings);
+  };
+
+  window.loadSplatMap = (url, channels) => {
+    const { heightMap } = getTerrainMaps();
+    return reshapeFromMaps(heightMap?.settings, { url, channels });
+  };
+
+  window.clearTerrainMaps = () => {
+    setTerrainMaps(null);
+    updatePlanetGeometry();
+    const moved = resettleCollidables();
+    return `Painted maps removed; ${moved} objects re-settled`;
+  };
   
   // Add to window for console access
   window.showCollidables = () => {
@@ -1205,6 +1996,7 @@ function setupDebugCommands() {
     
     player = new Player(scene, canvas, {
       ...playerConfig,
+      input: inputMap,
       jumpStrength: physics.jumpStrength,
       gravity: physics.gravity,
       maxJumps: physics.maxJumps
@@ -1369,7 +2161,7 @@ function setupDebugCommands() {
       
       // Jump parameters
       jumpStrength: controls.jumpStrength,
-      jumpForceMultiplier: 5.5, // The multiplier used in onKeyDown
+      jumpForceMultiplier: 5.5, // The multiplier used in onActionDown
       effectiveJumpForce: controls.jumpStrength * 5.5,
       
       // Last jump details
@@ -1477,40 +2269,29 @@ function setupDebugCommands() {
   forceGroundContact()    // Force ground contact state
   `);
 
-  // Add a quick function to debug key events
+  // Add a quick function to debug input actions
   window.debugKeys = () => {
-    // Set up key event logging
-    const oldKeyDown = document.onkeydown;
-    const oldKeyUp = document.onkeyup;
-    
-    document.onkeydown = (e) => {
-      console.log(`Key Down: "${e.key}" (code: ${e.keyCode})`);
-      if (oldKeyDown) oldKeyDown(e);
+    // Log every action with the key code that triggered it
+    const logAction = (action, pressed, event) => {
+      const code = event?.code || (event?.button !== undefined ? `Mouse${event.button}` : 'released');
+      console.log(`Action ${pressed ? 'Down' : 'Up'}: "${action}" (code: ${code})`);
     };
+    inputMap.addListener(logAction);
     
-    document.onkeyup = (e) => {
-      console.log(`Key Up: "${e.key}" (code: ${e.keyCode})`);
-      if (oldKeyUp) oldKeyUp(e);
-    };
+    console.log("Input action debugging enabled - press keys to see events");
     
-    console.log("Key event debugging enabled - press keys to see events");
-    
-    // After 30 seconds, restore original handlers
+    // After 30 seconds, stop logging
     setTimeout(() => {
-      document.onkeydown = oldKeyDown;
-      document.onkeyup = oldKeyUp;
-      console.log("Key event debugging disabled");
+      inputMap.removeListener(logAction);
+      console.log("Input action debugging disabled");
     }, 30000);
   };
 
   // Add this to the init code to ensure key handlers work properly
   window.addEventListener('blur', () => {
-    // Reset all pressed keys when window loses focus
+    // The input map releases held actions on blur; also reset the jump cooldown
     if (player && player.controls) {
-      console.log("Window blur - resetting all key states");
-      player.controls.keys = {};
-      
-      // Also reset jump cooldown
+      console.log("Window blur - resetting jump cooldown");
       player.controls.jumpCooldown = 0;
     }
   });
@@ -1528,9 +2309,8 @@ function setupDebugCommands() {
     controls.airTime = 0;
     controls.jumpAirTime = 0;
     
-    // Clear the space key state in case it's stuck
-    controls.keys[' '] = false;
-    controls.keys['spacebar'] = false;
+    // Release every held action in case jump is stuck
+    inputMap.releaseAll();
     
     console.log("✅ Jump system completely reset!");
     return {
@@ -1548,7 +2328,7 @@ function setupDebugCommands() {
   // Run these if jumps are completely broken:
 
   fixJump()              // Reset ALL jump state
-  debugKeys()            // Monitor key events (30 seconds)
+  debugKeys()            // Monitor input actions (30 seconds)
   `);
   
   // Add debug command to test projectile collisions
@@ -1607,38 +2387,23 @@ function setupDebugCommands() {
 // Call at startup
 setupDebugCommands();
 
-// Add event listeners for weapon actions
+// Add input action listeners for weapon actions
 function setupWeaponControls() {
-  // Mouse controls for slingshot
-  document.addEventListener('mousedown', (e) => {
-    // *** ADD LOG ***
-    console.log("[main.js] Mouse Down Event", { button: e.button, playerExists: !!player });
-    // *** END LOG ***
-    if (e.button === 0 && player) { // Left mouse button
-      // *** ADD LOG ***
+  // Slingshot: hold fire to charge, release to shoot
+  inputMap.on('fire', (pressed) => {
+    if (!player) return;
+
+    if (pressed) {
       console.log("[main.js] Calling player.fireWeapon()");
-      // *** END LOG ***
       player.fireWeapon();
       
       // Show feedback in debug console
       const weaponState = player.getWeaponState();
       console.log(`Charging ${weaponState.currentWeapon}...`);
-    }
-  });
-  
-  document.addEventListener('mouseup', (e) => {
-    // *** ADD LOG ***
-    console.log("[main.js] Mouse Up Event", { button: e.button, playerExists: !!player });
-    // *** END LOG ***
-    if (e.button === 0 && player) { // Left mouse button
-      // *** ADD LOG ***
+    } else {
       console.log("[main.js] Calling player.releaseWeapon()");
-      // *** END LOG ***
       const result = player.releaseWeapon();
-      
-      // *** ADD LOG ***
       console.log("[main.js] player.releaseWeapon() result:", result);
-      // *** END LOG ***
       
       if (result && result.projectile) {
         console.log(`Fired ${result.projectile.type} with power ${result.power.toFixed(2)}`);
@@ -1646,29 +2411,17 @@ function setupWeaponControls() {
     }
   });
   
-  // Weapon switching
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'q' && player) {
-      const oldState = player.getWeaponState();
-      const switched = player.switchWeapon();
-      
-      if (switched) {
-        const newState = player.getWeaponState();
-        console.log(`Switched from ${oldState.currentWeapon} to ${newState.currentWeapon}`);
-      }
-    }
-  });
-
-  // *** Add Right Click listener for cycling ammo ***
-  document.addEventListener('contextmenu', (e) => {
-    e.preventDefault(); // Prevent browser context menu
-    console.log("[main.js] Context Menu Event (Right Click)");
-    if (player) {
-      console.log("[main.js] Calling player.cycleWeapon()");
-      player.cycleWeapon();
+  // Weapon switching (ammo cycling is handled by WeaponSystem's cycleAmmo action)
+  inputMap.on('switchWeapon', (pressed) => {
+    if (!pressed || typeof player?.switchWeapon !== 'function') return;
+    const oldState = player.getWeaponState();
+    const switched = player.switchWeapon();
+    
+    if (switched) {
+      const newState = player.getWeaponState();
+      console.log(`Switched from ${oldState.currentWeapon} to ${newState.currentWeapon}`);
     }
   });
-  // *** End Right Click listener ***
 }
 
 // Add this call after player initialization
@@ -1956,7 +2709,23 @@ function initializePlayerUI() {
       if (!obj.direction || !obj.position || index === 0) return; // Skip planet or invalid objects
       
       // Different visualization based on object type
-      if (obj.mesh.userData?.isTree || obj.mesh.userData?.isPineTree) {
+      if (obj.isBox) {
+        // NEW: Cabin walls/floors - show the actual box (walkable ones in yellow)
+        const size = obj.box.halfSize.clone().multiplyScalar(2);
+        const boxHelper = new THREE.Mesh(
+          new THREE.BoxGeometry(size.x, size.y, size.z),
+          new THREE.MeshBasicMaterial({
+            color: obj.walkable ? 0xffff00 : 0xff00ff,
+            wireframe: true,
+            opacity: 0.5,
+            transparent: true
+          })
+        );
+        boxHelper.position.copy(obj.box.center);
+        boxHelper.applyMatrix4(obj.matrix);
+        boxHelper.userData = { isCollisionHelper: true };
+        scene.add(boxHelper);
+      } else if (obj.mesh.userData?.isTree || obj.mesh.userData?.isPineTree) {
         // For trees, show actual trunk cylinder
         const trunkRadius = obj.actualRadius || Math.max(0.5, obj.radius * 0.25);
         const trunkHeight = obj.collisionHeight || (obj.radius * 2);
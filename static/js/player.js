@@ -3,9 +3,18 @@ import SphereControls from './SphereControls.js';
 import OrientationHelper from './OrientationHelper.js';
 import WeaponSystem from './WeaponSystem.js';
 import TreeJumpEnhancer from './TreeJumpEnhancer.js';
+import PlayerAvatar from './PlayerAvatar.js';
+import ThirdPersonCamera from './ThirdPersonCamera.js';
+import { describeBinding } from './InputMap.js';
+
+// Collidable filter for trees (used for tree jump boosts)
+function isTreeCollidable(obj) {
+  return obj.mesh?.userData?.isTree || obj.mesh?.userData?.isPineTree;
+}
 
 /**
- * Player class that manages the first-person character
+ * Player class that manages the character - first person, or third person with a
+ * visible avatar (toggleThirdPerson)
  */
 export default class Player {
   /**
@@ -37,6 +46,12 @@ export default class Player {
         green: 800.0    // 10x faster (was 80) - Sniper shot level
       },
       // fastFallSpeed: 40.0, // REMOVED - Handled by SphereControls.wavedashFastFallSpeed
+      input: null, // NEW: Shared InputMap (movement, jump, crouch, ammo actions)
+      // NEW: Third-person view
+      thirdPerson: false,          // Start in third person
+      thirdPersonDistance: 18,     // Camera distance behind the head
+      avatarHideDistance: 2.5,     // Hide the avatar when a wall pushes the camera this close
+      avatarColors: {},            // LowPolyGenerator.createPlayerAvatar colors
     }, options);
 
     // *** Initialize multi-ammo storage ***
@@ -61,6 +76,9 @@ export default class Player {
 
     // Use this new method instead of inline code
     this._initWeaponSystem();
+
+    // NEW: Avatar and orbit camera for the third-person view
+    this._initThirdPerson();
     
     // Initialize tree jump enhancer
     this.treeJumpEnhancer = new TreeJumpEnhancer({
@@ -70,6 +88,8 @@ export default class Player {
       debugMode: this.options.debugMode,
     });
     
+    this._nearbyTrees = []; // Reused spatial index query results
+    
     // Tree jump state
     this.treeJumpState = {
       boostedJump: false,
@@ -102,6 +122,8 @@ export default class Player {
       {
         sphereRadius: this.options.sphereRadius,
         getTerrainHeight: this.options.getTerrainHeight,
+        getWaterLevel: this.options.getWaterLevel, // Swimming
+        bodies: this.options.bodies, // Planet + moon gravity
         moveSpeed: this.options.moveSpeed,
         lookSpeed: this.options.lookSpeed,
         jumpStrength: this.options.jumpStrength,
@@ -111,11 +133,13 @@ export default class Player {
         createPlayerBody: true,
         playerRadius: this.options.playerRadius,
         collidables: this.options.collidables,
+        spatialIndex: this.options.spatialIndex,
         startPosition: this.options.startPosition,
         startElevation: this.options.startElevation,
         crouchHeight: 0.5, // 50% of normal height when crouched
         crouchSpeedMultiplier: 0.7, // 70% movement speed when crouched
-        crouchTransitionTime: 0.2 // Smooth transition time in seconds
+        crouchTransitionTime: 0.2, // Smooth transition time in seconds
+        input: this.options.input
       }
     );
     
@@ -162,6 +186,12 @@ export default class Player {
       projectileRadius: 0.8,
       getTerrainHeight: this.options.getTerrainHeight,
       collidables: this.options.collidables,
+      spatialIndex: this.options.spatialIndex,
+      onTerrainImpact: this.options.onTerrainImpact, // Heavy impacts dig craters
+      getWaterLevel: this.options.getWaterLevel, // Apples float
+      bodies: this.options.bodies, // Apples fall toward the moon too
+      getWind: this.options.getWind, // Weather pushes apples around
+      input: this.controls.input, // cycleAmmo action (same map as the controls)
       player: this, // Pass the player reference
       // *** Pass the player's ammo object ***
       ammoSource: this.ammo
@@ -183,6 +213,61 @@ export default class Player {
     };
   }
 
+  /**
+   * Create the avatar and third-person camera (hidden until toggled on)
+   * @private
+   */
+  _initThirdPerson() {
+    this.thirdPerson = false;
+    this.avatar = new PlayerAvatar({
+      height: this.options.eyeHeight * 1.08, // Eyes sit at ~93% of the avatar's height
+      footOffset: this.controls.playerHeightOffset,
+      colors: this.options.avatarColors
+    });
+    this.playerObject.add(this.avatar.mesh);
+
+    this.thirdPersonCamera = new ThirdPersonCamera(this.camera, this.controls, {
+      distance: this.options.thirdPersonDistance,
+      collidables: this.options.collidables,
+      spatialIndex: this.options.spatialIndex
+    });
+
+    this._onToggleCamera = pressed => { if (pressed) this.toggleThirdPerson(); };
+    this.controls.input.on('toggleCamera', this._onToggleCamera);
+
+    if (this.options.thirdPerson) this.toggleThirdPerson(true);
+  }
+
+  /**
+   * Switch between the first-person and third-person view
+   * @param {boolean} enabled - Optional explicit state
+   * @returns {boolean} True when third person is on
+   */
+  toggleThirdPerson(enabled = !this.thirdPerson) {
+    this.thirdPerson = enabled;
+    this.avatar.setVisible(enabled);
+
+    // The slingshot moves into the avatar's hand (or back in front of the camera)
+    if (enabled) {
+      this.weaponSystem.attachModel(this.avatar.parts.rightHand, this.avatar.getWeaponPose());
+      this.thirdPersonCamera.snap();
+    } else {
+      this.weaponSystem.attachModel();
+    }
+
+    console.log(`[Player] ${enabled ? 'Third' : 'First'}-person view`);
+    return enabled;
+  }
+
+  /**
+   * Camera to render with - the orbit camera in third person. Aiming, firing and
+   * terrain LOD keep using the first-person camera (getCamera).
+   * @returns {THREE.Camera} Active view camera
+   */
+  getViewCamera() {
+    return this.thirdPerson ? this.thirdPersonCamera.camera : this.camera;
+  }
+
   /**
    * Update player (call this every frame)
    * @param {number} delta - Time since last update
@@ -223,14 +308,29 @@ export default class Player {
     // Re-orthonormalize player axes - STILL IMPORTANT
     this.orientHelper.update();
 
+    // NEW: Animate the avatar and move the orbit camera behind it
+    if (this.thirdPerson) {
+      const charge = this.weaponSystem.isCharging ? this.weaponSystem.chargeState : null;
+      this.avatar.update(delta, this.controls, { charging: !!charge, power: charge?.power || 0 });
+      this.thirdPersonCamera.update(delta);
+      // Don't fill the screen with the avatar's back when a wall pushes the camera in
+      this.avatar.setVisible(this.thirdPersonCamera.currentDistance > this.options.avatarHideDistance);
+    }
+
     // Update the weapon system - pass player position
     this.weaponSystem.update(delta);
     
     // Update tree jump enhancer
     const currentTime = Date.now() / 1000;
-    const trees = this.options.collidables?.filter(obj => 
-      obj.mesh?.userData?.isTree || obj.mesh?.userData?.isPineTree
-    );
+    // NEW: Ask the spatial index for nearby trees instead of filtering every collidable each frame
+    const trees = this.options.spatialIndex
+      ? this.options.spatialIndex.queryRange(
+          this.playerObject.position,
+          this.treeJumpEnhancer.options.treeCollisionRadius,
+          this._nearbyTrees,
+          isTreeCollidable
+        )
+      : this.options.collidables?.filter(isTreeCollidable);
     
     this.treeJumpEnhancer.update(
       delta,
@@ -392,6 +492,22 @@ export default class Player {
     }
   }
 
+  /**
+   * HUD prompt for tree climbing: how to grab a trunk within reach, or the climbing controls
+   * @returns {string|null} Prompt text, null when there is nothing to climb
+   */
+  getClimbPrompt() {
+    const controls = this.controls;
+    if (!controls.isClimbing && !controls.climbTarget) return null;
+
+    // Primary binding of each action (keyboard for most players)
+    const input = controls.input;
+    const key = action => describeBinding(input.getBindings(action).find(Boolean));
+    if (!controls.isClimbing) return `${key('climb')} - Climb tree`;
+    return `${key('moveForward')}/${key('moveBackward')} climb · ${key('moveLeft')}/${key('moveRight')} circle · ` +
+      `${key('jump')} jump off · ${key('climb')} let go`;
+  }
+
   /**
    * Get information about tree jump state
    * @returns {Object} Tree jump state
@@ -407,14 +523,16 @@ export default class Player {
   getInfo() {
     const pos = this.playerObject.position;
     const velocity = this.controls.getVelocity();
-    const gravDir = pos.clone().normalize().negate();
+    const body = this.controls.getBody();
+    const gravDir = body.center.clone().sub(pos).normalize();
     const gravComponent = velocity.dot(gravDir);
     
     return {
       position: pos.clone(),
       velocity: velocity.clone(),
       speed: velocity.length(),
-      height: pos.length() - this.options.sphereRadius,
+      height: pos.distanceTo(body.center) - body.radius,
+      body: body.name,
       onGround: this.controls.onGround,
       isJumping: this.controls.isJumping,
       jumpsRemaining: this.controls.jumpsRemaining,
@@ -423,7 +541,9 @@ export default class Player {
       verticalSpeed: gravComponent,
       isCrouching: this.controls.isCrouching,
       crouchAmount: this.controls.crouchAmount, // Add crouch amount for smoothness info
-      crouchToggled: this.controls.crouchToggled // Add toggle state info
+      crouchToggled: this.controls.crouchToggled, // Add toggle state info
+      isClimbing: this.controls.isClimbing,
+      climbHeight: this.controls.isClimbing ? this.controls.climbHeight : null
     };
   }
 
@@ -434,6 +554,13 @@ export default class Player {
     this.controls.reset();
   }
 
+  /**
+   * Re-settle on the ground after the terrain changed (e.g. a crater)
+   */
+  resettle() {
+    this.controls.resettle();
+  }
+
   /**
    * Handle window resize events
    * @param {number} width - New width
@@ -444,6 +571,7 @@ export default class Player {
       this.camera.aspect = width / height;
       this.camera.updateProjectionMatrix();
     }
+    this.thirdPersonCamera?.resize(width, height);
   }
 
   /**
@@ -571,6 +571,14 @@ class VolumetricFog {
     this.fogMaterial.uniforms.glowIntensity.value = intensity;
   }
 
+  // NEW: Follow the day/night cycle - fog colors from the keyframes, light shafts from the sun
+  setTimeOfDay(timeOfDay, state) {
+    if (!state) return;
+    this.setColors(state.fogColor, state.fogColorBottom);
+    const sun = state.sunDirection;
+    if (sun) this.setSunPosition(sun.x * 600, sun.y * 600, sun.z * 600);
+  }
+
   // Simple update function
   update(delta) {
     if (!this.enabled) return;
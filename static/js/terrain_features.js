@@ -0,0 +1,441 @@
+// terrain_features.js - Data-driven terrain feature library for getFullTerrainHeight
+import * as THREE from 'three';
+
+/**
+ * Feature definitions are plain JSON so levels can be authored outside the code:
+ *
+ * {
+ *   "version": 1,
+ *   "orientation": "seeded",          // "seeded" rotates the set with the world seed, "fixed" keeps it as authored
+ *   "features": [
+ *     { "type": "crater", "center": [0.3, -0.2, 0.9], "radius": 0.1, "depth": 10, "blend": "add" },
+ *     ...
+ *   ]
+ * }
+ *
+ * Lakes ("type": "lake") carve a basin whose rim sits at the water "level"; the
+ * water surface itself is drawn by WaterSystem.js.
+ *
+ * Directions are unit vectors ([x, y, z] or {x, y, z}), angular sizes are radians
+ * on the unit sphere and heights are world units.
+ *
+ * Each feature produces a height field plus an influence mask, then gets blended
+ * into the running terrain height with its blend mode:
+ * - add:          height += featureHeight * mask
+ * - max:          raise terrain to the feature (plateaus, mesas)
+ * - min:          cut terrain down to the feature (river beds)
+ * - smooth-union: like max but with a soft crease (feature.smoothness, world units)
+ */
+
+export const FEATURE_BLEND_MODES = ['add', 'max', 'min', 'smooth-union'];
+
+// Blend used when a definition doesn't specify one
+const DEFAULT_BLEND = {
+  ridge: 'add',
+  valley: 'add',
+  crater: 'add',
+  plateau: 'max',
+  mesa: 'max',
+  river: 'min',
+  spiralRidge: 'add',
+  volcano: 'smooth-union',
+  lake: 'min'
+};
+
+// Per-type defaults, merged under each definition
+const FEATURE_DEFAULTS = {
+  ridge: { width: 0.08, height: 12.0 },
+  valley: { radius: 0.13, depth: 0.6, rimWidth: 0.12 },
+  crater: { radius: 0.08, depth: 10.0, rimHeight: 4.0, rimWidth: 0.05 },
+  plateau: { radius: 0.12, height: 14.0, falloff: 0.06 },
+  mesa: { radius: 0.07, height: 22.0, falloff: 0.015, steps: 3 },
+  river: { width: 0.025, depth: 6.0, bankWidth: 0.03 },
+  spiralRidge: { radius: 0.25, turns: 3, width: 0.025, height: 6.0 },
+  volcano: { radius: 0.18, height: 45.0, craterRadius: 0.03, craterDepth: 12.0, smoothness: 6.0 },
+  // level = water surface height (omit to fit it just below the surrounding terrain), depth below it
+  lake: { radius: 0.06, depth: 14.0, shoreWidth: 0.03 }
+};
+
+/**
+ * Convert a JSON vector ([x, y, z] or {x, y, z}) into a normalized THREE.Vector3
+ * @param {Array|Object|THREE.Vector3} value - Vector definition
+ * @param {string} label - Field name for error messages
+ * @returns {THREE.Vector3} Unit vector
+ * @private
+ */
+function toDirection(value, label) {
+  if (value instanceof THREE.Vector3) return value.clone().normalize();
+  if (Array.isArray(value) && value.length === 3) {
+    return new THREE.Vector3(value[0], value[1], value[2]).normalize();
+  }
+  if (value && typeof value === 'object' && 'x' in value) {
+    return new THREE.Vector3(value.x, value.y, value.z).normalize();
+  }
+  throw new Error(`[TerrainFeatures] "${label}" must be a 3D direction, got ${JSON.stringify(value)}`);
+}
+
+// Hermite smoothstep on [0, 1]
+function smoothstep(t) {
+  const x = Math.min(Math.max(t, 0), 1);
+  return x * x * (3 - 2 * x);
+}
+
+// Angle in radians between a unit direction and a unit vector
+function angleTo(dir, v) {
+  return Math.acos(Math.min(Math.max(dir.x * v.x + dir.y * v.y + dir.z * v.z, -1), 1));
+}
+
+// Polynomial smooth maximum (k = crease width in world units)
+function smoothMax(a, b, k) {
+  if (k <= 0) return Math.max(a, b);
+  const h = Math.min(Math.max(0.5 + 0.5 * (b - a) / k, 0), 1);
+  return a + (b - a) * h + k * h * (1 - h);
+}
+
+/**
+ * Precompute the vectors each evaluator needs so the hot path doesn't allocate
+ * @param {Object} feature - Parsed feature
+ * @private
+ */
+function prepareFeature(feature) {
+  const prepared = {};
+
+  if (feature.type === 'ridge') {
+    prepared.lineDir = feature.end.clone().sub(feature.start).normalize();
+  } else if (feature.type === 'spiralRidge') {
+    // Tangent frame around the spiral center for measuring azimuth
+    const ref = Math.abs(feature.center.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+    prepared.u = new THREE.Vector3().crossVectors(ref, feature.center).normalize();
+    prepared.v = new THREE.Vector3().crossVectors(feature.center, prepared.u).normalize();
+  } else if (feature.type === 'river') {
+    // One great-circle segment per pair of path points
+    prepared.segments = [];
+    for (let i = 0; i < feature.path.length - 1; i++) {
+      const a = feature.path[i];
+      const b = feature.path[i + 1];
+      const normal = new THREE.Vector3().crossVectors(a, b);
+      if (normal.lengthSq() < 1e-10) continue; // Skip duplicate/antipodal points
+      prepared.segments.push({ a, b, normal: normal.normalize() });
+    }
+  }
+
+  feature._prepared = prepared;
+}
+
+/**
+ * Validate and normalize feature definitions loaded from JSON
+ * @param {Object|Array} data - Either { features: [...] } or a bare array of definitions
+ * @returns {Array} Parsed features ready for evaluateTerrainFeatures
+ */
+export function parseTerrainFeatures(data) {
+  const definitions = Array.isArray(data) ? data : data?.features;
+  if (!Array.isArray(definitions)) {
+    throw new Error('[TerrainFeatures] Expected an array of features or { features: [...] }');
+  }
+
+  const features = [];
+  definitions.forEach((definition, index) => {
+    const defaults = FEATURE_DEFAULTS[definition.type];
+    if (!defaults) {
+      console.warn(`[TerrainFeatures] Skipping feature ${index}: unknown type "${definition.type}"`);
+      return;
+    }
+
+    const feature = { ...defaults, ...definition };
+    feature.blend = feature.blend || DEFAULT_BLEND[feature.type];
+    if (!FEATURE_BLEND_MODES.includes(feature.blend)) {
+      console.warn(`[TerrainFeatures] Feature ${index} (${feature.type}) has unknown blend "${feature.blend}", using "add"`);
+      feature.blend = 'add';
+    }
+
+    try {
+      if (feature.type === 'ridge') {
+        feature.start = toDirection(feature.start, 'start');
+        feature.end = toDirection(feature.end, 'end');
+      } else if (feature.type === 'river') {
+        if (!Array.isArray(feature.path) || feature.path.length < 2) {
+          throw new Error('[TerrainFeatures] "path" needs at least two directions');
+        }
+        feature.path = feature.path.map((p, i) => toDirection(p, `path[${i}]`));
+      } else {
+        feature.center = toDirection(feature.center, 'center');
+      }
+    } catch (error) {
+      console.warn(`[TerrainFeatures] Skipping feature ${index} (${feature.type}):`, error.message);
+      return;
+    }
+
+    prepareFeature(feature);
+    features.push(feature);
+  });
+
+  return features;
+}
+
+/**
+ * Fetch and parse a feature set from a JSON file
+ * @param {string} url - URL of the JSON file
+ * @returns {Promise<{features: Array, orientation: string}>} Parsed feature set
+ */
+export async function loadTerrainFeatures(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`[TerrainFeatures] Failed to load ${url}: ${response.status} ${response.statusText}`);
+  }
+  const data = await response.json();
+  const features = parseTerrainFeatures(data);
+  console.log(`[TerrainFeatures] Loaded ${features.length} features from ${url}`);
+  return { features, orientation: data.orientation || 'seeded' };
+}
+
+/**
+ * Rotate every direction in a parsed feature set (used for seeded layouts)
+ * @param {Array} features - Parsed features (modified in place)
+ * @param {THREE.Quaternion} quaternion - Rotation to apply
+ * @returns {Array} The same features
+ */
+export function rotateTerrainFeatures(features, quaternion) {
+  features.forEach(feature => {
+    feature.start?.applyQuaternion(quaternion);
+    feature.end?.applyQuaternion(quaternion);
+    feature.center?.applyQuaternion(quaternion);
+    feature.path?.forEach(p => p.applyQuaternion(quaternion));
+    prepareFeature(feature);
+  });
+  return features;
+}
+
+// Shared result object so evaluators don't allocate per call
+const sample = { height: 0, mask: 0 };
+
+// --- Feature evaluators: fill `sample` with the feature height and influence mask ---
+
+const evaluators = {
+  ridge(dir, f) {
+    // Same line-projection profile the original hard-coded ridge used
+    const lineDir = f._prepared.lineDir;
+    const t = (dir.x - f.start.x) * lineDir.x + (dir.y - f.start.y) * lineDir.y + (dir.z - f.start.z) * lineDir.z;
+    const px = f.start.x + lineDir.x * t;
+    const py = f.start.y + lineDir.y * t;
+    const pz = f.start.z + lineDir.z * t;
+    const len = Math.sqrt(px * px + py * py + pz * pz) || 1;
+    const dist = Math.acos(Math.min(Math.max((dir.x * px + dir.y * py + dir.z * pz) / len, -1), 1));
+
+    if (dist < f.width) {
+      sample.height = Math.sin((1.0 - dist / f.width) * Math.PI) * f.height;
+      sample.mask = 1;
+    }
+  },
+
+  valley(dir, f) {
+    const angle = angleTo(dir, f.center);
+    const featureDepth = f.depth * 16.0; // Fixed depth multiplier from the original valley
+
+    if (angle < f.radius) {
+      sample.height = -featureDepth;
+      sample.mask = 1;
+    } else if (angle < f.radius + f.rimWidth) {
+      sample.height = -featureDepth * (1.0 - smoothstep((angle - f.radius) / f.rimWidth));
+      sample.mask = 1;
+    }
+  },
+
+  crater(dir, f) {
+    const angle = angleTo(dir, f.center);
+
+    if (angle < f.radius) {
+      // Parabolic bowl rising to the rim crest
+      const t = angle / f.radius;
+      sample.height = -f.depth + (f.depth + f.rimHeight) * t * t;
+      sample.mask = 1;
+    } else if (angle < f.radius + f.rimWidth) {
+      sample.height = f.rimHeight * (1.0 - smoothstep((angle - f.radius) / f.rimWidth));
+      sample.mask = 1;
+    }
+  },
+
+  lake(dir, f) {
+    const angle = angleTo(dir, f.center);
+    const level = f.level ?? 0;
+
+    if (angle < f.radius) {
+      // Bowl from the lake bed up to the waterline at the rim
+      const t = angle / f.radius;
+      sample.height = level - f.depth * (1.0 - t * t);
+      sample.mask = 1;
+    } else if (angle < f.radius + f.shoreWidth) {
+      // Shore slopes down to the waterline
+      sample.height = level;
+      sample.mask = 1.0 - smoothstep((angle - f.radius) / f.shoreWidth);
+    }
+  },
+
+  plateau(dir, f) {
+    const angle = angleTo(dir, f.center);
+    if (angle < f.radius + f.falloff) {
+      sample.height = f.height;
+      sample.mask = angle < f.radius ? 1 : 1.0 - smoothstep((angle - f.radius) / f.falloff);
+    }
+  },
+
+  mesa(dir, f) {
+    const angle = angleTo(dir, f.center);
+    if (angle < f.radius + f.falloff) {
+      // Steep cliff with terraced steps down the side
+      const edge = angle < f.radius ? 1 : 1.0 - smoothstep((angle - f.radius) / f.falloff);
+      const steps = Math.max(1, Math.round(f.steps));
+      sample.height = f.height * Math.ceil(edge * steps) / steps;
+      sample.mask = edge > 0 ? 1 : 0;
+    }
+  },
+
+  river(dir, f) {
+    const reach = f.width + f.bankWidth;
+    let dist = Infinity;
+
+    for (const seg of f._prepared.segments) {
+      // Distance to the great circle, valid only between the segment endpoints
+      const offPlane = dir.x * seg.normal.x + dir.y * seg.normal.y + dir.z * seg.normal.z;
+      if (Math.abs(offPlane) > Math.sin(Math.min(reach, Math.PI / 2))) continue;
+
+      const px = dir.x - seg.normal.x * offPlane;
+      const py = dir.y - seg.normal.y * offPlane;
+      const pz = dir.z - seg.normal.z * offPlane;
+      // Inside the arc if the projection lies between a and b (both cross products point along the normal)
+      const sideA = (seg.a.y * pz - seg.a.z * py) * seg.normal.x +
+                    (seg.a.z * px - seg.a.x * pz) * seg.normal.y +
+                    (seg.a.x * py - seg.a.y * px) * seg.normal.z;
+      const sideB = (py * seg.b.z - pz * seg.b.y) * seg.normal.x +
+                    (pz * seg.b.x - px * seg.b.z) * seg.normal.y +
+                    (px * seg.b.y - py * seg.b.x) * seg.normal.z;
+
+      const d = (sideA >= 0 && sideB >= 0) ?
+        Math.abs(Math.asin(Math.min(Math.max(offPlane, -1), 1))) :
+        Math.min(angleTo(dir, seg.a), angleTo(dir, seg.b));
+      if (d < dist) dist = d;
+    }
+
+    if (dist < reach) {
+      const t = Math.min(dist / f.width, 1);
+      sample.height = -f.depth * (1.0 - t * t);
+      sample.mask = dist < f.width ? 1 : 1.0 - smoothstep((dist - f.width) / f.bankWidth);
+    }
+  },
+
+  spiralRidge(dir, f) {
+    const angle = angleTo(dir, f.center);
+    if (angle >= f.radius) return;
+
+    // Azimuth around the center in its tangent frame
+    const { u, v } = f._prepared;
+    const azimuth = Math.atan2(dir.x * v.x + dir.y * v.y + dir.z * v.z, dir.x * u.x + dir.y * u.y + dir.z * u.z);
+
+    // Archimedean spiral: arms are `spacing` apart radially
+    const spacing = f.radius / Math.max(f.turns, 0.5);
+    const phase = angle / spacing - azimuth / (Math.PI * 2);
+    const dist = Math.abs(phase - Math.round(phase)) * spacing;
+
+    if (dist < f.width) {
+      const fade = 1.0 - smoothstep((angle - f.radius * 0.8) / (f.radius * 0.2));
+      sample.height = Math.sin((1.0 - dist / f.width) * Math.PI * 0.5) * f.height * fade;
+      sample.mask = 1;
+    }
+  },
+
+  volcano(dir, f) {
+    const angle = angleTo(dir, f.center);
+    if (angle >= f.radius) return;
+
+    const cone = (a) => f.height * Math.pow(1.0 - a / f.radius, 1.5);
+    if (angle < f.craterRadius) {
+      const t = angle / f.craterRadius;
+      sample.height = cone(f.craterRadius) - f.craterDepth * (1.0 - t * t);
+    } else {
+      sample.height = cone(angle);
+    }
+    // Fade the influence at the foot so smooth-union doesn't leave a seam
+    sample.mask = 1.0 - smoothstep((angle - f.radius * 0.85) / (f.radius * 0.15));
+  }
+};
+
+/**
+ * Blend every feature into a base height
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @param {Array} features - Parsed features
+ * @param {number} baseHeight - Height before features (base noise)
+ * @returns {number} Final height
+ */
+export function evaluateTerrainFeatures(dir, features, baseHeight = 0) {
+  let height = baseHeight;
+
+  for (let i = 0; i < features.length; i++) {
+    const feature = features[i];
+    const evaluate = evaluators[feature.type];
+    if (!evaluate) continue;
+
+    sample.height = 0;
+    sample.mask = 0;
+    evaluate(dir, feature);
+    if (sample.mask <= 0) continue;
+
+    switch (feature.blend) {
+      case 'max':
+        height += (Math.max(height, sample.height) - height) * sample.mask;
+        break;
+      case 'min':
+        height += (Math.min(height, sample.height) - height) * sample.mask;
+        break;
+      case 'smooth-union':
+        height += (smoothMax(height, sample.height, feature.smoothness ?? 4.0) - height) * sample.mask;
+        break;
+      default: // 'add'
+        height += sample.height * sample.mask;
+    }
+  }
+
+  return height;
+}
+
+/**
+ * Strongest influence mask of the given features at a point (0 = untouched, 1 = fully inside).
+ * Used to keep objects out of craters, rivers and the like.
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @param {Array} features - Parsed features
+ * @param {Array<string>} types - Feature types to consider (null = all)
+ * @returns {number} Mask in [0, 1]
+ */
+export function getTerrainFeatureMask(dir, features, types = null) {
+  let mask = 0;
+  for (let i = 0; i < features.length; i++) {
+    const feature = features[i];
+    if (types && !types.includes(feature.type)) continue;
+    const evaluate = evaluators[feature.type];
+    if (!evaluate) continue;
+
+    sample.height = 0;
+    sample.mask = 0;
+    evaluate(dir, feature);
+    if (sample.mask > mask) mask = sample.mask;
+  }
+  return mask;
+}
+
+/**
+ * Turn parsed features back into plain JSON definitions (for saving a world).
+ * Directions are written as they are now, so save them with orientation "fixed".
+ * @param {Array} features - Parsed features
+ * @returns {Array} Feature definitions
+ */
+export function serializeTerrainFeatures(features) {
+  const toArray = v => v.toArray();
+  return features.map(feature => {
+    const definition = {};
+    for (const [key, value] of Object.entries(feature)) {
+      if (key.startsWith('_')) continue;
+      if (value instanceof THREE.Vector3) definition[key] = toArray(value);
+      else if (key === 'path') definition[key] = value.map(toArray);
+      else definition[key] = value;
+    }
+    return definition;
+  });
+}
@@ -0,0 +1,228 @@
+// terrain_maps.js - Painted equirectangular height and splat maps for getFullTerrainHeight and biomes.js
+import * as THREE from 'three';
+
+/**
+ * Both maps are equirectangular images covering the whole planet: longitude runs left to
+ * right (u = 0.5 faces +x), latitude top (north pole, +y) to bottom. They are sampled
+ * bilinearly by direction, wrap around horizontally and are not rotated by the world seed.
+ *
+ * Heightmap (grayscale PNG) - the brightness is a height added to the procedural noise,
+ * before terrain features are blended on top:
+ *   { url, scale: 40, offset: 0, noiseScale: 1 }
+ *   height = offset + brightness * scale, noise is multiplied by noiseScale (0 = painted only)
+ *
+ * Splat map (RGBA PNG) - each color channel paints a biome (and so the terrain color and
+ * prop density). Alpha is how strongly the painting overrides the procedural biomes
+ * (transparent = untouched), unless "a" is mapped to a biome too:
+ *   { url, channels: { r: 'dryValley', g: 'forest', b: 'rockyHighlands' } }
+ *
+ * Instead of a url either map can take `image`: ImageData or { width, height, data }
+ * with RGBA bytes (for maps generated in code or painted in the editor).
+ */
+
+export const HEIGHTMAP_DEFAULTS = { scale: 40, offset: 0, noiseScale: 1 };
+export const DEFAULT_SPLAT_CHANNELS = { r: 'dryValley', g: 'forest', b: 'rockyHighlands' };
+
+const CHANNEL_INDEX = { r: 0, g: 1, b: 2, a: 3 };
+const sharedUV = { u: 0, v: 0 };
+const sharedRGBA = [0, 0, 0, 0];
+
+/**
+ * Equirectangular texture coordinates of a direction (same mapping as three.js equirect textures)
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @param {Object} target - Object to write { u, v } into
+ * @returns {Object} { u: 0-1 longitude, v: 0-1 latitude (1 = north pole) }
+ */
+export function directionToEquirectUV(dir, target = { u: 0, v: 0 }) {
+  target.u = Math.atan2(dir.z, dir.x) / (Math.PI * 2) + 0.5;
+  target.v = Math.asin(THREE.MathUtils.clamp(dir.y, -1, 1)) / Math.PI + 0.5;
+  return target;
+}
+
+/**
+ * Load an image and read back its pixels
+ * @param {string} url - Image URL (PNG keeps the values lossless)
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>} RGBA pixels
+ */
+export function loadImagePixels(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(image, 0, 0);
+      const { width, height, data } = context.getImageData(0, 0, canvas.width, canvas.height);
+      resolve({ width, height, data });
+    };
+    image.onerror = () => reject(new Error(`[TerrainMaps] Failed to load ${url}`));
+    image.src = url;
+  });
+}
+
+/**
+ * Bilinear lookup into a single-channel float grid
+ * @private
+ */
+function sampleGrid(grid, width, height, dir) {
+  directionToEquirectUV(dir, sharedUV);
+  // Pixel centers sit at half-pixel offsets; wrap in x, clamp in y
+  const x = sharedUV.u * width - 0.5;
+  const y = (1 - sharedUV.v) * height - 0.5;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const tx = x - x0;
+  const ty = y - y0;
+  const xa = ((x0 % width) + width) % width;
+  const xb = (xa + 1) % width;
+  const ya = Math.min(Math.max(y0, 0), height - 1);
+  const yb = Math.min(Math.max(y0 + 1, 0), height - 1);
+
+  const top = grid[ya * width + xa] * (1 - tx) + grid[ya * width + xb] * tx;
+  const bottom = grid[yb * width + xa] * (1 - tx) + grid[yb * width + xb] * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+/**
+ * Bilinear RGBA lookup (0-1 per channel) into raw RGBA bytes
+ * @private
+ */
+function sampleRGBA(image, dir, target) {
+  const { width, height, data } = image;
+  directionToEquirectUV(dir, sharedUV);
+  const x = sharedUV.u * width - 0.5;
+  const y = (1 - sharedUV.v) * height - 0.5;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const tx = x - x0;
+  const ty = y - y0;
+  const xa = ((x0 % width) + width) % width;
+  const xb = (xa + 1) % width;
+  const ya = Math.min(Math.max(y0, 0), height - 1);
+  const yb = Math.min(Math.max(y0 + 1, 0), height - 1);
+
+  const i00 = (ya * width + xa) * 4;
+  const i10 = (ya * width + xb) * 4;
+  const i01 = (yb * width + xa) * 4;
+  const i11 = (yb * width + xb) * 4;
+  for (let c = 0; c < 4; c++) {
+    const top = data[i00 + c] * (1 - tx) + data[i10 + c] * tx;
+    const bottom = data[i01 + c] * (1 - tx) + data[i11 + c] * tx;
+    target[c] = (top * (1 - ty) + bottom * ty) / 255;
+  }
+  return target;
+}
+
+/**
+ * Build a heightmap from loaded pixels
+ * @param {Object} image - { width, height, data } RGBA bytes
+ * @param {Object} options - { url, scale, offset, noiseScale }
+ * @returns {Object} { url, settings, width, height, noiseScale, getHeight(dir) }
+ */
+export function createHeightMap(image, options = {}) {
+  const settings = { ...HEIGHTMAP_DEFAULTS, ...options };
+  delete settings.image;
+  const { width, height, data } = image;
+
+  // Grayscale expected; average RGB so lightly tinted exports still work
+  const grid = new Float32Array(width * height);
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] = (data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / (3 * 255);
+  }
+
+  return {
+    url: settings.url || null,
+    settings,
+    width,
+    height,
+    noiseScale: settings.noiseScale,
+    /**
+     * Painted height at a direction (world units)
+     * @param {THREE.Vector3} dir - Normalized direction
+     * @returns {number} Height
+     */
+    getHeight(dir) {
+      return settings.offset + sampleGrid(grid, width, height, dir) * settings.scale;
+    }
+  };
+}
+
+/**
+ * Build a splat map from loaded pixels
+ * @param {Object} image - { width, height, data } RGBA bytes
+ * @param {Object} options - { url, channels: { r|g|b|a: biomeId } }
+ * @param {Array<string>} biomeIds - Valid biome ids (unknown ones are dropped with a warning)
+ * @returns {Object} { url, settings, width, height, blendWeights(dir, weights) }
+ */
+export function createSplatMap(image, options = {}, biomeIds = null) {
+  const settings = { ...options, channels: { ...(options.channels || DEFAULT_SPLAT_CHANNELS) } };
+  delete settings.image;
+
+  const channels = [];
+  Object.entries(settings.channels).forEach(([channel, biome]) => {
+    if (!(channel in CHANNEL_INDEX)) {
+      console.warn(`[TerrainMaps] Unknown splat channel "${channel}" (use r, g, b or a)`);
+    } else if (biomeIds && !biomeIds.includes(biome)) {
+      console.warn(`[TerrainMaps] Splat channel ${channel} maps to unknown biome "${biome}"`);
+    } else {
+      channels.push({ index: CHANNEL_INDEX[channel], biome });
+    }
+  });
+  const alphaIsBiome = channels.some(c => c.index === 3);
+
+  return {
+    url: settings.url || null,
+    settings,
+    width: image.width,
+    height: image.height,
+    /**
+     * Blend the painted biomes into procedural biome weights (in place, weights keep summing to 1)
+     * @param {THREE.Vector3} dir - Normalized direction
+     * @param {Object} weights - Biome weights keyed by id
+     * @returns {Object} The weights
+     */
+    blendWeights(dir, weights) {
+      const rgba = sampleRGBA(image, dir, sharedRGBA);
+      let painted = 0;
+      for (const c of channels) painted += rgba[c.index];
+      if (painted <= 1e-4) return weights;
+
+      const coverage = alphaIsBiome ? Math.min(1, painted) : rgba[3];
+      if (coverage <= 0) return weights;
+      for (const id in weights) weights[id] *= 1 - coverage;
+      for (const c of channels) weights[c.biome] += rgba[c.index] / painted * coverage;
+      return weights;
+    }
+  };
+}
+
+/**
+ * Load a heightmap and/or splat map (each from options.url or options.image)
+ * @param {Object|null} heightmap - Heightmap options (null = none)
+ * @param {Object|null} splatMap - Splat map options (null = none)
+ * @param {Array<string>} biomeIds - Valid biome ids for the splat channels
+ * @returns {Promise<{heightMap: Object|null, splatMap: Object|null}>} Ready-to-sample maps
+ */
+export async function loadTerrainMaps(heightmap = null, splatMap = null, biomeIds = null) {
+  const pixels = options => options.image ? Promise.resolve(options.image) : loadImagePixels(options.url);
+  if (!heightmap?.url && !heightmap?.image) heightmap = null;
+  if (!splatMap?.url && !splatMap?.image) splatMap = null;
+  const [heightImage, splatImage] = await Promise.all([
+    heightmap ? pixels(heightmap) : null,
+    splatMap ? pixels(splatMap) : null
+  ]);
+
+  const maps = {
+    heightMap: heightImage ? createHeightMap(heightImage, heightmap) : null,
+    splatMap: splatImage ? createSplatMap(splatImage, splatMap, biomeIds) : null
+  };
+  if (maps.heightMap) {
+    console.log(`[TerrainMaps] Heightmap ${maps.heightMap.width}x${maps.heightMap.height} from ${heightmap.url || 'image data'}`);
+  }
+  if (maps.splatMap) {
+    console.log(`[TerrainMaps] Splat map ${maps.splatMap.width}x${maps.splatMap.height} from ${splatMap.url || 'image data'}`);
+  }
+  return maps;
+}
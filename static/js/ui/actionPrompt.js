@@ -0,0 +1,63 @@
+/**
+ * Context prompt at the bottom of the screen ("E - Climb tree"). Shows whatever text it
+ * is given each frame and hides on null, only touching the DOM when the text changes.
+ */
+export default class ActionPrompt {
+  /**
+   * Create the (hidden) prompt
+   */
+  constructor() {
+    this.text = null;
+    this._createElement();
+  }
+
+  /**
+   * Show a prompt, or hide it
+   * @param {string|null} text - Prompt text (null hides)
+   */
+  show(text) {
+    if (text === this.text) return;
+    this.text = text;
+    this.element.textContent = text || '';
+    this.element.style.display = text ? 'block' : 'none';
+  }
+
+  /**
+   * Hide the prompt
+   */
+  hide() {
+    this.show(null);
+  }
+
+  /**
+   * Remove the prompt
+   */
+  dispose() {
+    this.element.remove();
+  }
+
+  /**
+   * Create the prompt DOM element
+   * @private
+   */
+  _createElement() {
+    this.element = document.createElement('div');
+    this.element.id = 'action-prompt';
+    Object.assign(this.element.style, {
+      position: 'fixed',
+      bottom: '22%',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      padding: '6px 14px',
+      background: 'rgba(0, 0, 0, 0.55)',
+      color: '#fff',
+      font: 'bold 14px monospace',
+      borderRadius: '4px',
+      pointerEvents: 'none',
+      whiteSpace: 'nowrap',
+      zIndex: 950,
+      display: 'none'
+    });
+    document.body.appendChild(this.element);
+  }
+}
@@ -0,0 +1,288 @@
+import { BINDING_SLOTS, describeBinding } from '../InputMap.js';
+
+// Controller settings shown as sliders: [setting, label, min, max, step]
+const GAMEPAD_SLIDERS = [
+  ['lookSensitivity', 'Look speed', 0.5, 6, 0.1],
+  ['lookSensitivityY', 'Look speed (up/down)', 0.5, 6, 0.1],
+  ['lookDeadzone', 'Look deadzone', 0, 0.5, 0.01],
+  ['moveDeadzone', 'Move deadzone', 0, 0.5, 0.01]
+];
+
+/**
+ * Controls menu - lists every input action with its bindings and lets the player
+ * rebind them. Click a binding, then press a key, mouse button or gamepad button
+ * (Esc cancels, Backspace clears the slot). Keys that already belong to another
+ * action are reported as a conflict with the option to swap the two bindings.
+ * With a GamepadInput it also shows the controller's sensitivity settings.
+ */
+export default class ControlsMenu {
+  /**
+   * Create the (hidden) menu
+   * @param {InputMap} input - Input map to show and rebind
+   * @param {Object} options - { gamepad: GamepadInput }
+   */
+  constructor(input, options = {}) {
+    this.input = input;
+    this.options = Object.assign({
+      gamepad: null
+    }, options);
+    this.visible = false;
+    this._stopCapture = null;
+    this._capturing = null; // { action, slot } waiting for a key
+    this._pending = null; // { action, slot, code, conflict } waiting for a swap decision
+
+    this._createElement();
+
+    this._onToggleAction = pressed => { if (pressed) this.toggle(); };
+    this.input.on('controlsMenu', this._onToggleAction);
+  }
+
+  /**
+   * Show or hide the menu. While it's open gameplay actions are paused and the
+   * pointer is unlocked so the menu can be clicked.
+   * @param {boolean} visible - Optional explicit state
+   * @returns {boolean} New state
+   */
+  toggle(visible = !this.visible) {
+    this.visible = visible;
+    this._cancelCapture();
+    this._pending = null;
+    this.input.setEnabled(!visible);
+    if (visible && document.pointerLockElement) document.exitPointerLock();
+
+    this.element.style.display = visible ? 'block' : 'none';
+    if (visible) this._render();
+    // A focused slider would keep swallowing game keys (InputMap ignores form fields)
+    else if (this.element.contains(document.activeElement)) document.activeElement.blur();
+    return visible;
+  }
+
+  /**
+   * Remove the menu
+   */
+  dispose() {
+    this._cancelCapture();
+    this.input.off('controlsMenu', this._onToggleAction);
+    this.element.remove();
+  }
+
+  /**
+   * Create the menu DOM element
+   * @private
+   */
+  _createElement() {
+    this.element = document.createElement('div');
+    this.element.id = 'controls-menu';
+    Object.assign(this.element.style, {
+      position: 'fixed',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      minWidth: '560px',
+      maxHeight: '80vh',
+      overflowY: 'auto',
+      padding: '12px 16px',
+      background: 'rgba(0, 0, 0, 0.85)',
+      color: '#fff',
+      font: '13px monospace',
+      borderRadius: '5px',
+      zIndex: 1001,
+      display: 'none'
+    });
+    // Clicks on the menu itself (another binding, Close...) aren't the button being captured
+    for (const type of ['mousedown', 'mouseup']) {
+      this.element.addEventListener(type, e => {
+        if (this._capturing) e.stopPropagation();
+      });
+    }
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Rebuild the menu contents
+   * @private
+   */
+  _render() {
+    const el = this.element;
+    el.textContent = '';
+
+    const title = document.createElement('div');
+    title.textContent = `CONTROLS (${this.input.describe('controlsMenu')} to close)`;
+    Object.assign(title.style, { fontWeight: 'bold', borderBottom: '1px solid #555', paddingBottom: '5px', marginBottom: '8px' });
+    el.appendChild(title);
+
+    const header = document.createElement('div');
+    Object.assign(header.style, { display: 'flex', gap: '6px', color: '#888' });
+    header.appendChild(document.createElement('span')).style.flex = '1';
+    for (const name of ['Key', 'Alternate', 'Controller'].slice(0, BINDING_SLOTS)) {
+      const column = header.appendChild(document.createElement('span'));
+      Object.assign(column.style, { width: '110px', marginLeft: '4px', textAlign: 'center' });
+      column.textContent = name;
+    }
+    el.appendChild(header);
+
+    let group = null;
+    for (const [action, def] of Object.entries(this.input.actions)) {
+      if (def.group !== group) {
+        group = def.group;
+        const heading = document.createElement('div');
+        heading.textContent = group;
+        Object.assign(heading.style, { color: '#9cf', margin: '8px 0 4px' });
+        el.appendChild(heading);
+      }
+
+      const row = document.createElement('div');
+      Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '6px', margin: '2px 0' });
+      const label = document.createElement('span');
+      label.textContent = def.label;
+      label.style.flex = '1';
+      row.appendChild(label);
+
+      const codes = this.input.getBindings(action);
+      for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+        const waiting = this._capturing?.action === action && this._capturing.slot === slot;
+        row.appendChild(this._button(waiting ? 'press a key…' : describeBinding(codes[slot]),
+          () => this._startCapture(action, slot), '110px', waiting));
+      }
+      el.appendChild(row);
+    }
+
+    // Status line: hints, or the conflict waiting for a decision
+    const status = document.createElement('div');
+    status.style.margin = '10px 0 6px';
+    if (this._pending) {
+      const { action, code, conflict } = this._pending;
+      status.style.color = '#fc6';
+      status.textContent = `${describeBinding(code)} is already used by "${this.input.actions[conflict].label}". `;
+      status.appendChild(this._button('Swap', () => this._resolveConflict(true)));
+      status.appendChild(this._button('Cancel', () => this._resolveConflict(false)));
+      status.title = `Swap gives "${this.input.actions[conflict].label}" the old binding of "${this.input.actions[action].label}"`;
+    } else if (this._capturing) {
+      status.textContent = 'Press a key, gamepad button or mouse button outside the menu - Esc cancels, Backspace clears';
+    } else {
+      status.style.color = '#aaa';
+      status.textContent = 'Click a binding to change it. Changes are saved in this browser.';
+    }
+    el.appendChild(status);
+
+    if (this.options.gamepad) this._renderGamepadSettings(el);
+
+    const footer = document.createElement('div');
+    footer.style.textAlign = 'right';
+    footer.appendChild(this._button('Reset to defaults', () => {
+      this.input.resetBindings();
+      this._render();
+    }));
+    footer.appendChild(this._button('Close', () => this.toggle(false)));
+    el.appendChild(footer);
+  }
+
+  /**
+   * Controller section: connected pad, sensitivity sliders and invert Y
+   * @private
+   */
+  _renderGamepadSettings(el) {
+    const gamepad = this.options.gamepad;
+    const settings = gamepad.getSettings();
+
+    const heading = document.createElement('div');
+    heading.textContent = `Controller - ${gamepad.pad ? gamepad.pad.id : 'none connected (press a button)'}`;
+    Object.assign(heading.style, { color: '#9cf', margin: '8px 0 4px' });
+    el.appendChild(heading);
+
+    for (const [key, labelText, min, max, step] of GAMEPAD_SLIDERS) {
+      const row = document.createElement('label');
+      Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '6px', margin: '2px 0' });
+      const label = row.appendChild(document.createElement('span'));
+      label.textContent = labelText;
+      label.style.flex = '1';
+      const slider = row.appendChild(document.createElement('input'));
+      Object.assign(slider, { type: 'range', min, max, step, value: settings[key] });
+      const value = row.appendChild(document.createElement('span'));
+      value.style.width = '40px';
+      value.textContent = Number(settings[key]).toFixed(2);
+      slider.addEventListener('input', () => {
+        gamepad.setSettings({ [key]: slider.value });
+        value.textContent = Number(slider.value).toFixed(2);
+      });
+      el.appendChild(row);
+    }
+
+    const invert = document.createElement('label');
+    invert.style.display = 'block';
+    const checkbox = invert.appendChild(document.createElement('input'));
+    checkbox.type = 'checkbox';
+    checkbox.checked = settings.invertY;
+    checkbox.addEventListener('change', () => gamepad.setSettings({ invertY: checkbox.checked }));
+    invert.appendChild(document.createTextNode(' Invert look up/down'));
+    el.appendChild(invert);
+  }
+
+  /**
+   * Create a menu button
+   * @private
+   */
+  _button(text, onClick, width = null, highlight = false) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    Object.assign(button.style, {
+      background: highlight ? '#36a' : '#333',
+      color: '#fff',
+      border: '1px solid #666',
+      borderRadius: '3px',
+      padding: '2px 8px',
+      marginLeft: '4px',
+      font: 'inherit',
+      cursor: 'pointer'
+    });
+    if (width) button.style.width = width;
+    button.addEventListener('click', e => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Wait for the key or button to bind to an action slot
+   * @private
+   */
+  _startCapture(action, slot) {
+    this._cancelCapture();
+    this._pending = null;
+    this._capturing = { action, slot };
+    this._stopCapture = this.input.captureNext(code => {
+      this._capturing = null;
+      this._stopCapture = null;
+      if (code === 'Backspace') {
+        this.input.clearBinding(action, slot);
+      } else if (code) {
+        const result = this.input.rebind(action, code, slot);
+        if (result.conflict) this._pending = { action, slot, code, conflict: result.conflict };
+      }
+      this._render();
+    });
+    this._render();
+  }
+
+  /**
+   * Stop waiting for a key
+   * @private
+   */
+  _cancelCapture() {
+    if (this._stopCapture) this._stopCapture();
+    this._stopCapture = null;
+    this._capturing = null;
+  }
+
+  /**
+   * Swap (or drop) the binding that hit a conflict
+   * @private
+   */
+  _resolveConflict(swap) {
+    const { action, slot, code } = this._pending;
+    this._pending = null;
+    if (swap) this.input.rebind(action, code, slot, { swap: true });
+    this._render();
+  }
+}
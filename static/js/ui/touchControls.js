@@ -0,0 +1,336 @@
+import { shapeStick } from '../GamepadInput.js';
+
+// Apple colors for the ammo selector
+const AMMO_COLORS = { red: '#ff3333', yellow: '#ffff33', green: '#33ff33' };
+
+/**
+ * On-screen controls for phones and tablets, feeding the same InputMap as the
+ * keyboard and gamepads:
+ *
+ *   left half   floating joystick (appears under the thumb) -> moveX/moveY axes
+ *   right half  swipe to look -> addLook()
+ *   buttons     fire (hold to charge, let go to shoot), jump, crouch, climb, apple ammo selector
+ *
+ * Touches are claimed with preventDefault, so the browser doesn't also send the
+ * emulated mouse clicks that would fire the slingshot or ask for pointer lock.
+ */
+export default class TouchControls {
+  /**
+   * Create the (hidden) touch overlay
+   * @param {InputMap} input - Input map to feed
+   * @param {Object} options - Configuration options
+   */
+  constructor(input, options = {}) {
+    this.input = input;
+    this.options = Object.assign({
+      getWeapon: () => null,     // () => WeaponSystem, for the ammo selector
+      lookSensitivity: 3.0,      // Radians turned by a swipe across the whole screen width
+      joystickDeadzone: 0.12,
+      joystickCurve: 1.2,
+      opacity: 0.45
+    }, options);
+
+    this.enabled = false;
+    this.joystick = { touchId: null, originX: 0, originY: 0, radius: 60 };
+    this.lookTouch = { touchId: null, x: 0, y: 0 };
+    this.buttons = {};
+    this.ammoButtons = {};
+    this._ammoSignature = '';
+    this._stick = { x: 0, y: 0 };
+    this._radiansPerPixel = this.options.lookSensitivity / 800;
+
+    this._createOverlay();
+    this.resize(window.innerWidth, window.innerHeight);
+  }
+
+  /**
+   * Whether this looks like a phone or tablet (touchscreen laptops have a fine main pointer)
+   * @returns {boolean} True on touch-first devices
+   */
+  static isTouchDevice() {
+    const touchPoints = typeof navigator !== 'undefined' ? navigator.maxTouchPoints || 0 : 0;
+    return touchPoints > 0 && !!window.matchMedia?.('(pointer: coarse)').matches;
+  }
+
+  /**
+   * Follow the input in use on devices with both a touchscreen and a mouse: show the
+   * controls at the first touch, hide them as soon as the mouse moves so clicks reach
+   * the canvas (and pointer lock) again
+   */
+  followPointerType() {
+    window.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'touch' && !this.enabled) this.toggle(true);
+    }, true);
+    window.addEventListener('pointermove', (e) => {
+      if (e.pointerType === 'mouse' && this.enabled) this.toggle(false);
+    }, true);
+  }
+
+  /**
+   * Show or hide the touch controls
+   * @param {boolean} enabled - Optional explicit state
+   * @returns {boolean} New state
+   */
+  toggle(enabled = !this.enabled) {
+    this.enabled = enabled;
+    this.overlay.style.display = enabled ? 'block' : 'none';
+    if (!enabled) this._releaseAll();
+    return enabled;
+  }
+
+  /**
+   * Fit the controls to the screen (call from the window resize handler)
+   * @param {number} width - Viewport width in pixels
+   * @param {number} height - Viewport height in pixels
+   */
+  resize(width, height) {
+    const short = Math.min(width, height);
+    const radius = Math.round(Math.min(Math.max(short * 0.13, 45), 90));
+    const button = Math.round(radius * 1.1);
+    const margin = Math.round(radius * 0.4);
+    this.joystick.radius = radius;
+    this._radiansPerPixel = this.options.lookSensitivity / Math.max(width, 1);
+
+    Object.assign(this.joystickBase.style, { width: `${radius * 2}px`, height: `${radius * 2}px` });
+    Object.assign(this.joystickKnob.style, { width: `${radius}px`, height: `${radius}px` });
+
+    // Action buttons in an arc in the bottom-right corner, fire biggest
+    const place = (el, size, right, bottom) => Object.assign(el.style, {
+      width: `${size}px`, height: `${size}px`, right: `${right}px`, bottom: `${bottom}px`,
+      fontSize: `${Math.round(size * 0.22)}px`
+    });
+    place(this.buttons.fire, Math.round(button * 1.4), margin, margin);
+    place(this.buttons.jump, button, margin + button * 1.6, margin);
+    place(this.buttons.crouch, button, margin, margin + button * 1.6);
+    place(this.buttons.climb, button, margin + button * 1.5, margin + button * 1.5);
+
+    // Ammo selector along the top-right edge
+    const ammoSize = Math.round(button * 0.6);
+    Object.entries(this.ammoButtons).forEach(([type, el], i) => {
+      place(el, ammoSize, margin + i * (ammoSize + 8), height - margin - ammoSize);
+    });
+  }
+
+  /**
+   * Refresh the ammo selector (call once per frame)
+   */
+  update() {
+    if (!this.enabled) return;
+    const weapon = this.options.getWeapon();
+    if (!weapon) return;
+
+    const signature = `${weapon.currentAmmoType}:${Object.keys(AMMO_COLORS).map(type => weapon.ammo?.[type] || 0).join(',')}`;
+    if (signature === this._ammoSignature) return;
+    this._ammoSignature = signature;
+
+    for (const [type, el] of Object.entries(this.ammoButtons)) {
+      const count = weapon.ammo?.[type] || 0;
+      el.textContent = count;
+      el.style.borderColor = weapon.currentAmmoType === type ? '#fff' : 'transparent';
+      el.style.opacity = count > 0 ? '1' : '0.4';
+    }
+  }
+
+  /**
+   * Remove the overlay
+   */
+  dispose() {
+    this._releaseAll();
+    this.overlay.remove();
+  }
+
+  // --- Overlay ---
+
+  /**
+   * Create the overlay, touch zones and buttons
+   * @private
+   */
+  _createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'touch-controls';
+    Object.assign(this.overlay.style, {
+      position: 'fixed',
+      inset: '0',
+      zIndex: 900,
+      display: 'none',
+      touchAction: 'none',
+      userSelect: 'none',
+      webkitUserSelect: 'none'
+    });
+
+    // Left half moves, right half looks; the buttons sit on top of the zones
+    const zone = (side) => {
+      const el = document.createElement('div');
+      Object.assign(el.style, { position: 'absolute', top: '0', bottom: '0', width: '50%', [side]: '0' });
+      this.overlay.appendChild(el);
+      return el;
+    };
+    this.moveZone = zone('left');
+    this.lookZone = zone('right');
+    this._listen(this.moveZone, this._onMoveStart.bind(this), this._onMoveMove.bind(this), this._onMoveEnd.bind(this));
+    this._listen(this.lookZone, this._onLookStart.bind(this), this._onLookMove.bind(this), this._onLookEnd.bind(this));
+
+    this.joystickBase = document.createElement('div');
+    Object.assign(this.joystickBase.style, {
+      position: 'absolute',
+      borderRadius: '50%',
+      border: '2px solid rgba(255, 255, 255, 0.6)',
+      background: `rgba(0, 0, 0, ${this.options.opacity * 0.5})`,
+      transform: 'translate(-50%, -50%)',
+      pointerEvents: 'none',
+      display: 'none'
+    });
+    this.joystickKnob = document.createElement('div');
+    Object.assign(this.joystickKnob.style, {
+      position: 'absolute',
+      left: '50%',
+      top: '50%',
+      borderRadius: '50%',
+      background: 'rgba(255, 255, 255, 0.6)',
+      transform: 'translate(-50%, -50%)'
+    });
+    this.joystickBase.appendChild(this.joystickKnob);
+    this.overlay.appendChild(this.joystickBase);
+
+    // Hold buttons: pressed while the finger is down
+    this.buttons.fire = this._createButton('FIRE', 'fire');
+    this.buttons.jump = this._createButton('JUMP', 'jump');
+    this.buttons.crouch = this._createButton('CROUCH', 'crouch');
+    this.buttons.climb = this._createButton('CLIMB', 'climb');
+
+    // Ammo selector: tap an apple color to load it
+    for (const [type, color] of Object.entries(AMMO_COLORS)) {
+      const el = this._createButton('0', null);
+      Object.assign(el.style, { background: color, color: '#000', border: '3px solid transparent' });
+      this._listen(el, () => this.options.getWeapon()?.setAmmoType(type), null, null);
+      this.ammoButtons[type] = el;
+    }
+
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * Create a round button; with an action it holds that action while touched
+   * @private
+   */
+  _createButton(text, action) {
+    const el = document.createElement('div');
+    el.textContent = text;
+    Object.assign(el.style, {
+      position: 'absolute',
+      borderRadius: '50%',
+      background: `rgba(0, 0, 0, ${this.options.opacity})`,
+      border: '2px solid rgba(255, 255, 255, 0.6)',
+      color: '#fff',
+      font: 'bold 14px monospace',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center'
+    });
+    if (action) {
+      const press = () => {
+        this.input.pressAction(action, 'touch');
+        el.style.background = 'rgba(255, 255, 255, 0.35)';
+      };
+      const release = () => {
+        this.input.releaseAction(action, 'touch');
+        el.style.background = `rgba(0, 0, 0, ${this.options.opacity})`;
+      };
+      this._listen(el, press, null, release);
+    }
+    this.overlay.appendChild(el);
+    return el;
+  }
+
+  /**
+   * Touch listeners that claim the touch (no scrolling, zooming or emulated mouse events)
+   * @private
+   */
+  _listen(el, onStart, onMove, onEnd) {
+    const wrap = (handler) => (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      for (const touch of e.changedTouches) handler(touch);
+    };
+    el.addEventListener('touchstart', wrap(onStart), { passive: false });
+    if (onMove) el.addEventListener('touchmove', wrap(onMove), { passive: false });
+    if (onEnd) {
+      el.addEventListener('touchend', wrap(onEnd), { passive: false });
+      el.addEventListener('touchcancel', wrap(onEnd), { passive: false });
+    }
+  }
+
+  // --- Joystick ---
+
+  _onMoveStart(touch) {
+    const stick = this.joystick;
+    if (stick.touchId !== null) return;
+    stick.touchId = touch.identifier;
+    stick.originX = touch.clientX;
+    stick.originY = touch.clientY;
+    Object.assign(this.joystickBase.style, { left: `${touch.clientX}px`, top: `${touch.clientY}px`, display: 'block' });
+    this._onMoveMove(touch);
+  }
+
+  _onMoveMove(touch) {
+    const stick = this.joystick;
+    if (touch.identifier !== stick.touchId) return;
+
+    // Knob follows the finger, clamped to the base
+    let dx = (touch.clientX - stick.originX) / stick.radius;
+    let dy = (touch.clientY - stick.originY) / stick.radius;
+    const length = Math.hypot(dx, dy);
+    if (length > 1) {
+      dx /= length;
+      dy /= length;
+    }
+    this.joystickKnob.style.transform = `translate(calc(-50% + ${dx * stick.radius}px), calc(-50% + ${dy * stick.radius}px))`;
+
+    const move = shapeStick(dx, dy, this.options.joystickDeadzone, this.options.joystickCurve, this._stick);
+    this.input.setAxis('moveX', move.x);
+    this.input.setAxis('moveY', move.y);
+  }
+
+  _onMoveEnd(touch) {
+    if (touch.identifier !== this.joystick.touchId) return;
+    this.joystick.touchId = null;
+    this.joystickBase.style.display = 'none';
+    this.joystickKnob.style.transform = 'translate(-50%, -50%)';
+    this.input.setAxis('moveX', null);
+    this.input.setAxis('moveY', null);
+  }
+
+  // --- Swipe to look ---
+
+  _onLookStart(touch) {
+    if (this.lookTouch.touchId !== null) return;
+    this.lookTouch.touchId = touch.identifier;
+    this.lookTouch.x = touch.clientX;
+    this.lookTouch.y = touch.clientY;
+  }
+
+  _onLookMove(touch) {
+    const look = this.lookTouch;
+    if (touch.identifier !== look.touchId) return;
+    const dx = touch.clientX - look.x;
+    const dy = touch.clientY - look.y;
+    look.x = touch.clientX;
+    look.y = touch.clientY;
+    // Same directions as the mouse: swipe right turns right, swipe up looks up
+    this.input.addLook(-dx * this._radiansPerPixel, -dy * this._radiansPerPixel);
+  }
+
+  _onLookEnd(touch) {
+    if (touch.identifier === this.lookTouch.touchId) this.lookTouch.touchId = null;
+  }
+
+  /**
+   * Let go of every action and axis the overlay holds
+   * @private
+   */
+  _releaseAll() {
+    ['fire', 'jump', 'crouch', 'climb'].forEach(action => this.input.releaseAction(action, 'touch'));
+    if (this.joystick.touchId !== null) this._onMoveEnd({ identifier: this.joystick.touchId });
+    this.lookTouch.touchId = null;
+  }
+}
@@ -1,3 +1,5 @@
+import * as THREE from 'three';
+
 /**
  * Simple version of mergeVertices for geometry processing
  * Originally added for cabin but may be used by other low-poly objects
@@ -6,3 +8,50 @@ export function mergeVertices(geometry) {
   // No-op: keeps all vertices; prevents import errors
   return geometry;
 }
+
+/**
+ * Merge geometries into one non-indexed geometry (position, normal and optional color).
+ * Used to flatten multi-part low-poly models into a single instancing prototype.
+ * @param {THREE.BufferGeometry[]} geometries - Geometries already in the same space
+ * @param {THREE.Color[]} colors - Optional per-geometry color, written as a vertex color attribute
+ * @returns {THREE.BufferGeometry} Merged geometry
+ */
+export function mergeGeometries(geometries, colors = null) {
+  const parts = geometries.map(geometry => geometry.index ? geometry.toNonIndexed() : geometry);
+  const vertexCount = parts.reduce((sum, part) => sum + part.getAttribute('position').count, 0);
+
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const vertexColors = colors ? new Float32Array(vertexCount * 3) : null;
+
+  let offset = 0;
+  parts.forEach((part, i) => {
+    if (!part.getAttribute('normal')) part.computeVertexNormals();
+    const position = part.getAttribute('position');
+    const normal = part.getAttribute('normal');
+
+    for (let v = 0; v < position.count; v++) {
+      const o = (offset + v) * 3;
+      positions[o] = position.getX(v);
+      positions[o + 1] = position.getY(v);
+      positions[o + 2] = position.getZ(v);
+      normals[o] = normal.getX(v);
+      normals[o + 1] = normal.getY(v);
+      normals[o + 2] = normal.getZ(v);
+      if (vertexColors) {
+        const color = colors[i];
+        vertexColors[o] = color.r;
+        vertexColors[o + 1] = color.g;
+        vertexColors[o + 2] = color.b;
+      }
+    }
+    offset += position.count;
+  });
+
+  const merged = new THREE.BufferGeometry();
+  merged.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  merged.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  if (vertexColors) merged.setAttribute('color', new THREE.BufferAttribute(vertexColors, 3));
+  merged.computeBoundingSphere();
+  return merged;
+}
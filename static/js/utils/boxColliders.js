@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+
+/**
+ * Oriented box colliders for props that need more than a collision radius
+ * (cabin walls, floors, steps).
+ *
+ * A model lists its boxes in local space in userData.colliders:
+ *   [{ name: 'backWall', center: [x, y, z], size: [w, h, d], walkable: false }]
+ * placeOnSphere turns each one into its own collidables entry ({ isBox: true, box, parent, ... })
+ * that follows the model's transform. Walls push bodies out sideways; walkable boxes
+ * (floors, steps) are ground you can stand on.
+ */
+
+const _local = new THREE.Vector3();
+const _from = new THREE.Vector3();
+const _to = new THREE.Vector3();
+const _delta = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+
+/**
+ * Create collidable entries for a model's local boxes
+ * @param {Object} parent - Collidable entry of the model (has .mesh)
+ * @param {Array} definitions - userData.colliders of the model
+ * @returns {Array} Box collidable entries, already synced to the model's transform
+ */
+export function createBoxColliders(parent, definitions = []) {
+  return definitions.map(definition => {
+    const box = {
+      mesh: parent.mesh,
+      parent,
+      isBox: true,
+      walkable: !!definition.walkable,
+      name: definition.name || 'box',
+      objectType: definition.walkable ? 'floor' : 'wall',
+      box: {
+        center: new THREE.Vector3().fromArray(definition.center),
+        halfSize: new THREE.Vector3().fromArray(definition.size).multiplyScalar(0.5)
+      },
+      position: new THREE.Vector3(),
+      direction: new THREE.Vector3(),
+      radius: 1,
+      matrix: new THREE.Matrix4(),
+      inverseMatrix: new THREE.Matrix4(),
+      scale: 1
+    };
+    syncBoxCollider(box);
+    return box;
+  });
+}
+
+/**
+ * Refresh a box's world data after its model moved, spun or scaled
+ * @param {Object} box - Box collidable entry
+ * @returns {Object} The same box
+ */
+export function syncBoxCollider(box) {
+  const mesh = box.mesh;
+  box.matrix.compose(mesh.position, mesh.quaternion, mesh.scale);
+  box.inverseMatrix.copy(box.matrix).invert();
+  box.scale = mesh.scale.x;
+
+  box.position.copy(box.box.center).applyMatrix4(box.matrix);
+  box.direction.copy(box.position).normalize();
+  // Broad-phase footprint: half the horizontal diagonal
+  box.radius = Math.hypot(box.box.halfSize.x, box.box.halfSize.z) * box.scale;
+  return box;
+}
+
+/**
+ * Push a vertical body (circle footprint between two heights) out of a box
+ * @param {Object} box - Box collidable entry
+ * @param {THREE.Vector3} position - Body position in world space
+ * @param {number} radius - Body radius in world units
+ * @param {number} below - How far the body reaches below position (world units)
+ * @param {number} above - How far the body reaches above position (world units)
+ * @param {THREE.Vector3} target - Receives the world-space correction
+ * @returns {boolean} True if the body overlapped the box (target is set)
+ */
+export function pushOutOfBox(box, position, radius, below, above, target) {
+  const { center, halfSize } = box.box;
+  const p = _local.copy(position).applyMatrix4(box.inverseMatrix).sub(center);
+  const r = radius / box.scale;
+
+  // Vertical overlap in the model's up axis
+  if (p.y + above / box.scale < -halfSize.y || p.y - below / box.scale > halfSize.y) return false;
+
+  const cx = THREE.MathUtils.clamp(p.x, -halfSize.x, halfSize.x);
+  const cz = THREE.MathUtils.clamp(p.z, -halfSize.z, halfSize.z);
+  let dx = p.x - cx;
+  let dz = p.z - cz;
+  const distSq = dx * dx + dz * dz;
+  if (distSq >= r * r) return false;
+
+  let push;
+  if (distSq > 1e-8) {
+    // Outside the box: push away from the closest point
+    const dist = Math.sqrt(distSq);
+    push = r - dist;
+    dx /= dist;
+    dz /= dist;
+  } else {
+    // Center inside the box: leave through the nearest side
+    const exitX = halfSize.x - Math.abs(p.x);
+    const exitZ = halfSize.z - Math.abs(p.z);
+    if (exitX < exitZ) {
+      dx = Math.sign(p.x) || 1; dz = 0; push = exitX + r;
+    } else {
+      dx = 0; dz = Math.sign(p.z) || 1; push = exitZ + r;
+    }
+  }
+
+  target.set(dx, 0, dz).applyQuaternion(box.mesh.quaternion).multiplyScalar(push * box.scale);
+  return true;
+}
+
+/**
+ * Height of a walkable box's top under a position, for standing on it
+ * @param {Object} box - Box collidable entry
+ * @param {THREE.Vector3} position - Feet position in world space
+ * @param {number} stepHeight - How far below the top the feet may be and still step up
+ * @returns {number|null} Distance from the planet center to the top, or null if not over it
+ */
+export function getBoxSupportRadius(box, position, stepHeight) {
+  const { center, halfSize } = box.box;
+  const p = _local.copy(position).applyMatrix4(box.inverseMatrix).sub(center);
+  if (Math.abs(p.x) > halfSize.x || Math.abs(p.z) > halfSize.z) return null;
+  if (p.y < halfSize.y - stepHeight / box.scale) return null; // Too far below - it's a wall here
+
+  _to.set(p.x, halfSize.y, p.z).add(center).applyMatrix4(box.matrix);
+  return _to.length();
+}
+
+/**
+ * Sweep a sphere along a segment against a box
+ * @param {Object} box - Box collidable entry
+ * @param {THREE.Vector3} from - Segment start (world)
+ * @param {THREE.Vector3} to - Segment end (world)
+ * @param {number} padding - Sphere radius
+ * @returns {Object|null} { point, normal } in world space, or null
+ */
+export function intersectSegmentBox(box, from, to, padding = 0) {
+  const { center, halfSize } = box.box;
+  const a = _from.copy(from).applyMatrix4(box.inverseMatrix).sub(center);
+  const b = _to.copy(to).applyMatrix4(box.inverseMatrix).sub(center);
+  const d = _delta.copy(b).sub(a);
+  const pad = padding / box.scale;
+
+  // Slab test against the box grown by the padding
+  let tMin = 0;
+  let tMax = 1;
+  let axisHit = -1;
+  let sideHit = 0;
+  for (let axis = 0; axis < 3; axis++) {
+    const start = a.getComponent(axis);
+    const dir = d.getComponent(axis);
+    const extent = halfSize.getComponent(axis) + pad;
+    if (Math.abs(dir) < 1e-9) {
+      if (start < -extent || start > extent) return null;
+      continue;
+    }
+    let t1 = (-extent - start) / dir;
+    let t2 = (extent - start) / dir;
+    let side = -1;
+    if (t1 > t2) { [t1, t2] = [t2, t1]; side = 1; }
+    if (t1 > tMin) { tMin = t1; axisHit = axis; sideHit = side; }
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return null;
+  }
+
+  const point = a.addScaledVector(d, tMin).add(center).applyMatrix4(box.matrix).clone();
+  if (axisHit < 0) {
+    // Started inside - push back out toward where we came from
+    return { point, normal: _normal.copy(from).sub(box.position).normalize().clone() };
+  }
+  _normal.set(0, 0, 0).setComponent(axisHit, sideHit);
+  return { point, normal: _normal.applyQuaternion(box.mesh.quaternion).clone() };
+}
@@ -0,0 +1,77 @@
+import * as THREE from 'three';
+
+/**
+ * Gravity bodies - everything the player and projectiles can fall toward and walk on
+ * (the planet, the moon).
+ *
+ * A body is a plain object:
+ *   {
+ *     name: 'moon',
+ *     center: Vector3,          // Live reference - moving bodies update it in place
+ *     radius: 120,              // Base radius, terrain heights are relative to it
+ *     gravity: 0.45,            // Surface gravity relative to the planet
+ *     gravityRadius: 180,       // Full strength inside this distance, falls off with 1/d² beyond
+ *     getTerrainHeight: dir => h,
+ *     getTerrainNormal: (dir, target) => target,  // Optional - surface normal for bounces (default: radial)
+ *     getWaterLevel: dir => h | null,  // Optional
+ *     object: Object3D                 // Optional - moves with the body (launch pads attach to it)
+ *   }
+ *
+ * The dominant body at a point is the one pulling hardest there.
+ */
+
+const _offset = new THREE.Vector3();
+
+/**
+ * Fill in the defaults of a gravity body
+ * @param {Object} options - Body fields (see above)
+ * @returns {Object} Gravity body
+ */
+export function createGravityBody(options = {}) {
+  const body = Object.assign({
+    name: 'body',
+    center: new THREE.Vector3(),
+    radius: 400,
+    gravity: 1.0,
+    gravityRadius: null,
+    getTerrainHeight: () => 0,
+    getTerrainNormal: null,
+    getWaterLevel: null,
+    object: null
+  }, options);
+
+  if (typeof body.gravityRadius !== 'number') body.gravityRadius = body.radius * 1.5;
+  return body;
+}
+
+/**
+ * Gravity of a body at a position, relative to the planet's surface gravity
+ * @param {Object} body - Gravity body
+ * @param {THREE.Vector3} position - World position
+ * @returns {number} Strength multiplier
+ */
+export function getGravityStrength(body, position) {
+  const distance = _offset.copy(position).sub(body.center).length();
+  if (distance <= body.gravityRadius) return body.gravity;
+  const falloff = body.gravityRadius / distance;
+  return body.gravity * falloff * falloff;
+}
+
+/**
+ * Body pulling hardest at a position
+ * @param {Array} bodies - Gravity bodies
+ * @param {THREE.Vector3} position - World position
+ * @returns {Object|null} Dominant body (null without bodies)
+ */
+export function getDominantBody(bodies, position) {
+  let best = null;
+  let bestStrength = -Infinity;
+  for (const body of bodies) {
+    const strength = getGravityStrength(body, position);
+    if (strength > bestStrength) {
+      best = body;
+      bestStrength = strength;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+
+/**
+ * Seeded random number helpers for reproducible world generation.
+ * Every generator returned here is a drop-in replacement for Math.random().
+ */
+
+/**
+ * Hash a string into an unsigned 32-bit integer (FNV-1a)
+ * @param {string} str - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Turn a seed of any form (number, numeric string or word) into an unsigned 32-bit integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} Normalized seed
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+  return hashString(text);
+}
+
+/**
+ * Create a seeded random generator (mulberry32)
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Function returning a float in [0, 1), with a `seed` property
+ */
+export function createSeededRandom(seed) {
+  let state = normalizeSeed(seed);
+  const random = function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.seed = normalizeSeed(seed);
+  return random;
+}
+
+/**
+ * Derive an independent generator for one subsystem from the world seed.
+ * Each system gets its own stream so adding calls in one place doesn't
+ * shift the layout produced by another.
+ * @param {number|string} seed - World seed
+ * @param {string} label - Subsystem name (e.g. 'clouds', 'birds')
+ * @returns {Function} Seeded random generator
+ */
+export function forkRandom(seed, label) {
+  return createSeededRandom(hashString(`${normalizeSeed(seed)}:${label}`));
+}
+
+/**
+ * Random unit vector using a supplied generator (same distribution as Vector3.randomDirection)
+ * @param {Function} random - Random generator
+ * @param {THREE.Vector3} target - Optional vector to write into
+ * @returns {THREE.Vector3} Unit direction
+ */
+export function randomDirection(random = Math.random, target = new THREE.Vector3()) {
+  const u = (random() - 0.5) * 2;
+  const t = random() * Math.PI * 2;
+  const f = Math.sqrt(1 - u * u);
+  return target.set(f * Math.cos(t), u, f * Math.sin(t));
+}
+
+/**
+ * Random integer in [low, high] using a supplied generator
+ * @param {Function} random - Random generator
+ * @param {number} low - Minimum value
+ * @param {number} high - Maximum value
+ * @returns {number} Integer between low and high inclusive
+ */
+export function randomInt(random, low, high) {
+  return low + Math.floor(random() * (high - low + 1));
+}
+
+/**
+ * Pick the world seed: ?seed= URL parameter first, then the server config
+ * (window.WORLD_SEED), then the provided fallback, otherwise a fresh random seed.
+ * @param {number|string} fallbackSeed - Seed from worldConfig
+ * @returns {number} Normalized seed
+ */
+export function resolveWorldSeed(fallbackSeed = null) {
+  let seed = null;
+
+  if (typeof window !== 'undefined') {
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (urlSeed !== null && urlSeed !== '') {
+      seed = urlSeed;
+    } else if (window.WORLD_SEED !== undefined && window.WORLD_SEED !== null) {
+      seed = window.WORLD_SEED;
+    }
+  }
+
+  if (seed === null && fallbackSeed !== undefined && fallbackSeed !== null) {
+    seed = fallbackSeed;
+  }
+
+  if (seed === null) {
+    seed = Math.floor(Math.random() * 4294967296);
+  }
+
+  return normalizeSeed(seed);
+}
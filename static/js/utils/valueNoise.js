@@ -0,0 +1,68 @@
+import { normalizeSeed } from './seededRandom.js';
+
+/**
+ * Small seeded 3D value noise (smooth, cheap, good enough for biome masks and tints).
+ */
+
+// Integer lattice hash -> [0, 1)
+function hash3(x, y, z, seed) {
+  let h = seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(z, 0x9e3779b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+function fade(t) {
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Create a seeded 3D value noise function
+ * @param {number|string} seed - Noise seed
+ * @returns {Function} (x, y, z) => value in [-1, 1]
+ */
+export function createValueNoise3D(seed = 0) {
+  const s = normalizeSeed(seed);
+
+  return function noise3(x, y, z) {
+    const xi = Math.floor(x), yi = Math.floor(y), zi = Math.floor(z);
+    const xf = fade(x - xi), yf = fade(y - yi), zf = fade(z - zi);
+
+    const c000 = hash3(xi, yi, zi, s), c100 = hash3(xi + 1, yi, zi, s);
+    const c010 = hash3(xi, yi + 1, zi, s), c110 = hash3(xi + 1, yi + 1, zi, s);
+    const c001 = hash3(xi, yi, zi + 1, s), c101 = hash3(xi + 1, yi, zi + 1, s);
+    const c011 = hash3(xi, yi + 1, zi + 1, s), c111 = hash3(xi + 1, yi + 1, zi + 1, s);
+
+    const x00 = c000 + (c100 - c000) * xf;
+    const x10 = c010 + (c110 - c010) * xf;
+    const x01 = c001 + (c101 - c001) * xf;
+    const x11 = c011 + (c111 - c011) * xf;
+    const y0 = x00 + (x10 - x00) * yf;
+    const y1 = x01 + (x11 - x01) * yf;
+
+    return (y0 + (y1 - y0) * zf) * 2 - 1;
+  };
+}
+
+/**
+ * Fractal sum of a noise function (octaves double in frequency, halve in amplitude)
+ * @param {Function} noise3 - Noise from createValueNoise3D
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} octaves - Number of octaves
+ * @returns {number} Value roughly in [-1, 1]
+ */
+export function fbm3(noise3, x, y, z, octaves = 3) {
+  let sum = 0;
+  let amplitude = 0.5;
+  let frequency = 1;
+  let norm = 0;
+  for (let i = 0; i < octaves; i++) {
+    sum += noise3(x * frequency, y * frequency, z * frequency) * amplitude;
+    norm += amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+  return sum / norm;
+}
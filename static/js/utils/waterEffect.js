@@ -4,12 +4,20 @@ import * as THREE from 'three';
  * Simple water animation effect for the lake
  */
 export class WaterEffect {
-  constructor(waterMesh) {
+  /**
+   * @param {THREE.Mesh} waterMesh - Water surface mesh
+   * @param {Object} options - { amplitude, frequency, speed, radial }
+   *   radial: move vertices along their direction from the planet center
+   *   (curved ocean/lake surfaces) instead of along local z (flat discs)
+   */
+  constructor(waterMesh, options = {}) {
     this.waterMesh = waterMesh;
     this.time = 0;
-    this.amplitude = 0.03; // Wave height
-    this.frequency = 0.5; // Wave frequency
-    
+    this.amplitude = options.amplitude ?? 0.03; // Wave height
+    this.frequency = options.frequency ?? 0.5; // Wave frequency
+    this.speed = options.speed ?? 1.0; // Wave speed
+    this.radial = options.radial ?? false;
+
     // Store original vertex positions
     if (this.waterMesh.geometry.attributes.position) {
       const positions = this.waterMesh.geometry.attributes.position.array;
@@ -19,35 +27,64 @@ export class WaterEffect {
       }
     }
   }
-  
+
   /**
    * Update the water animation effect
    * @param {number} delta - Time since last update
    */
   update(delta) {
     if (!this.waterMesh || !this.waterMesh.geometry) return;
-    
-    this.time += delta;
-    
+
+    this.time += delta * this.speed;
+
+    if (this.radial) {
+      this._updateRadial();
+      return;
+    }
+
     const positions = this.waterMesh.geometry.attributes.position.array;
     const originalPositions = this.originalPositions;
-    
+
     // Apply a simple sine wave animation to vertex z positions
     for (let i = 0; i < positions.length; i += 3) {
       const distance = Math.sqrt(
-        originalPositions[i] * originalPositions[i] + 
+        originalPositions[i] * originalPositions[i] +
         originalPositions[i+1] * originalPositions[i+1]
       );
-      
+
       // Skip center vertex
       if (distance > 0.5) {
         // Create a wave effect
         const angle = distance * this.frequency + this.time;
-        positions[i+2] = originalPositions[i+2] + 
+        positions[i+2] = originalPositions[i+2] +
                          Math.sin(angle) * this.amplitude * distance;
       }
     }
-    
+
+    this.waterMesh.geometry.attributes.position.needsUpdate = true;
+  }
+
+  /**
+   * Swell along each vertex's direction from the center (two crossing wave trains)
+   * @private
+   */
+  _updateRadial() {
+    const positions = this.waterMesh.geometry.attributes.position.array;
+    const original = this.originalPositions;
+    const f = this.frequency;
+    const t = this.time;
+
+    for (let i = 0; i < positions.length; i += 3) {
+      const x = original[i], y = original[i + 1], z = original[i + 2];
+      const length = Math.sqrt(x * x + y * y + z * z) || 1;
+      const wave = Math.sin(x * f + t) * Math.cos(z * f - t * 0.8) + Math.sin(y * f * 1.3 + t * 0.6) * 0.5;
+      const scale = 1 + (wave * this.amplitude) / length;
+
+      positions[i] = x * scale;
+      positions[i + 1] = y * scale;
+      positions[i + 2] = z * scale;
+    }
+
     this.waterMesh.geometry.attributes.position.needsUpdate = true;
   }
 }
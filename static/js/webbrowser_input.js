@@ -40,42 +40,73 @@ export default class WebBrowserInput {
    * @private
    */
   _setupListeners() {
+    // Bound handlers, kept so dispose() can remove them
+    this._handlers = {
+      mousedown: this._handleMouseDown.bind(this),
+      mouseup: this._handleMouseUp.bind(this),
+      mousemove: this._handleMouseMove.bind(this),
+      contextmenu: (e) => {
+        e.preventDefault();
+        return false;
+      },
+      visibilitychange: () => {
+        if (document.hidden) {
+          this._resetState();
+        }
+      },
+      mouseleave: this._resetMouseState.bind(this),
+      keydown: this._handleKeyDown.bind(this),
+      keyup: this._handleKeyUp.bind(this),
+      blur: this._resetState.bind(this),
+      lockClick: () => this.canvas.requestPointerLock()
+    };
+    const h = this._handlers;
+
     // Mouse events
-    document.addEventListener('mousedown', this._handleMouseDown.bind(this));
-    document.addEventListener('mouseup', this._handleMouseUp.bind(this));
-    document.addEventListener('mousemove', this._handleMouseMove.bind(this));
+    document.addEventListener('mousedown', h.mousedown);
+    document.addEventListener('mouseup', h.mouseup);
+    document.addEventListener('mousemove', h.mousemove);
     
     // Prevent context menu if specified
     if (this.options.preventContextMenu) {
-      document.addEventListener('contextmenu', (e) => {
-        e.preventDefault();
-        return false;
-      });
+      document.addEventListener('contextmenu', h.contextmenu);
     }
     
     // Handle pointer lock events
     if (this.options.lockPointer) {
-      this.canvas.addEventListener('click', () => {
-        this.canvas.requestPointerLock();
-      });
+      this.canvas.addEventListener('click', h.lockClick);
     }
     
     // Handle page visibility changes
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) {
-        this._resetState();
-      }
-    });
+    document.addEventListener('visibilitychange', h.visibilitychange);
     
     // Mouse leaves window - treat as all buttons released
-    document.addEventListener('mouseleave', this._resetMouseState.bind(this));
+    document.addEventListener('mouseleave', h.mouseleave);
     
     // Key events
-    document.addEventListener('keydown', this._handleKeyDown.bind(this));
-    document.addEventListener('keyup', this._handleKeyUp.bind(this));
+    document.addEventListener('keydown', h.keydown);
+    document.addEventListener('keyup', h.keyup);
     
     // Window blur - reset all input states
-    window.addEventListener('blur', this._resetState.bind(this));
+    window.addEventListener('blur', h.blur);
+  }
+
+  /**
+   * Remove all DOM listeners and callbacks
+   */
+  dispose() {
+    const h = this._handlers;
+    document.removeEventListener('mousedown', h.mousedown);
+    document.removeEventListener('mouseup', h.mouseup);
+    document.removeEventListener('mousemove', h.mousemove);
+    document.removeEventListener('contextmenu', h.contextmenu);
+    document.removeEventListener('visibilitychange', h.visibilitychange);
+    document.removeEventListener('mouseleave', h.mouseleave);
+    document.removeEventListener('keydown', h.keydown);
+    document.removeEventListener('keyup', h.keyup);
+    window.removeEventListener('blur', h.blur);
+    if (this.canvas) this.canvas.removeEventListener('click', h.lockClick);
+    Object.values(this.callbacks).forEach(list => list.length = 0);
   }
   
   /**
@@ -205,6 +236,14 @@ export default class WebBrowserInput {
    */
   _resetState() {
     this._resetMouseState();
+
+    // FIXED: Release held keys through the callbacks too, so nothing stays stuck
+    // down when the window loses focus mid-press
+    for (const code of Object.keys(this.keys)) {
+      for (const callback of this.callbacks.keyUp) {
+        callback({ code, key: null, forced: true });
+      }
+    }
     this.keys = {};
   }
   
@@ -213,13 +252,15 @@ export default class WebBrowserInput {
    * @private
    */
   _resetMouseState() {
-    // If left mouse was down, trigger callbacks for release
-    if (this.mouse.leftDown) {
+    // If a button was down, trigger callbacks for release
+    const held = [[0, this.mouse.leftDown], [1, this.mouse.middleDown], [2, this.mouse.rightDown]];
+    for (const [button, down] of held) {
+      if (!down) continue;
       for (const callback of this.callbacks.mouseUp) {
         callback({
-          button: 0,
+          button,
           position: { ...this.mouse.position },
-          duration: Date.now() - this.mouse.lastDownTime,
+          duration: button === 0 ? Date.now() - this.mouse.lastDownTime : 0,
           forced: true
         });
       }
@@ -1,59 +1,260 @@
 // --- Import Three.js Module ---
 import * as THREE from 'three';
 import LowPolyGenerator from './low_poly_generator.js';
+import { forkRandom, randomDirection, resolveWorldSeed, normalizeSeed } from './utils/seededRandom.js';
+import {
+  parseTerrainFeatures,
+  loadTerrainFeatures,
+  rotateTerrainFeatures,
+  evaluateTerrainFeatures,
+  getTerrainFeatureMask,
+  serializeTerrainFeatures
+} from './terrain_features.js';
+import QuadTreeTerrain from './QuadTreeTerrain.js';
+import TerrainHeightCubemap from './TerrainHeightCubemap.js';
+import { setBiomeSeed, setBiomeSplatMap, getBiomeAt, getBiomeColor, getBiomeDensity, BIOME_IDS } from './biomes.js';
+import { loadTerrainMaps } from './terrain_maps.js';
+import SpatialHash from './SpatialHash.js';
+import InstancedPropSystem from './InstancedPropSystem.js';
+import PlacementSystem from './PlacementSystem.js';
+import LowPolyCabin from './LowPolyCabin.js';
+import { createLayout, parseLayout, loadLayout } from './WorldLayout.js';
+import { cloneForExport, toExtras } from './WorldExport.js';
+import WaterSystem from './WaterSystem.js';
+import { createBoxColliders, syncBoxCollider } from './utils/boxColliders.js';
 
 export const collidables = [];
 
+// NEW: Spatial index over collidables (everything except the planet and noCollision objects)
+// so collision checks only look at nearby objects instead of scanning the whole list
+export const collidableIndex = new SpatialHash();
+
 // --- CONFIGURABLE PARAMETERS --- (Moved to top for clarity)
 let R = 400; // Default Radius
 // Remove lake depth parameter
 let noiseFreq = 5.0;
 let noiseAmp = 2.5; // Base noise amplitude
+// NEW: World seed - same seed gives the same planet, features and props
+let worldSeed = null;
+const noiseOffset = new THREE.Vector3(0, 0, 0); // Seeded phase shift for base noise
+let planetMesh = null; // Planet mesh (or LOD tile group), kept so terrain changes can reshape it
+let planetTerrain = null; // QuadTreeTerrain when LOD terrain is enabled
+let instancedProps = null; // InstancedPropSystem when prop instancing is enabled
+let placementSystem = null; // Poisson-disk placement rules (spacing, slope, exclusion zones)
+let worldScene = null; // Scene the planet and props live in
+let nextLayoutId = 1; // Stable ids for placed objects (editor undo/redo, layouts)
+let terrainCraters = []; // Runtime craters (projectile impacts, debug), blended over the feature set
+let maxTerrainCraters = 64; // Each crater adds a little to every height lookup
+let seaLevel = null; // Ocean surface height relative to R (null = no ocean)
+let waterSystem = null; // Ocean and lake surfaces
+let heightMap = null; // NEW: Painted heightmap added to the base noise (terrain_maps.js)
+let splatMap = null; // NEW: Painted biome map (handed to biomes.js)
+let heightCache = null; // NEW: Baked cubemap heights for per-frame queries (TerrainHeightCubemap)
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+const spinQuaternion = new THREE.Quaternion();
 
-// Define terrain features globally within this module
-const terrainFeatures = [
-  // Remove lake features
+// Built-in feature set, used when no JSON feature file is configured
+// (same format as static/data/terrain_features.json - see terrain_features.js)
+const DEFAULT_TERRAIN_FEATURES = [
+  // Lakes (water level fitted to the surrounding ground - see fitLakeLevels)
+  { type: 'lake', center: [0.6, 0.7, 0.4], radius: 0.06, depth: 16.0, shoreWidth: 0.03 },
+  { type: 'lake', center: [-0.7, 0.2, -0.5], radius: 0.045, depth: 12.0, shoreWidth: 0.025 },
   // Ridge line
-  { type: 'ridge', start: new THREE.Vector3(0.1, 0.8, 0.2).normalize(), end: new THREE.Vector3(0.7, 0.5, -0.3).normalize(), width: 0.08, height: 12.0 },
+  { type: 'ridge', start: [0.1, 0.8, 0.2], end: [0.7, 0.5, -0.3], width: 0.08, height: 12.0 },
   // Valley
-  { type: 'valley', center: new THREE.Vector3(-0.3, -0.5, -0.7).normalize(), radius: 0.13, depth: 0.6, rimWidth: 0.12 }
+  { type: 'valley', center: [-0.3, -0.5, -0.7], radius: 0.13, depth: 0.6, rimWidth: 0.12 }
 ];
 
-// --- HELPER: Apply Terrain Features ---
-// This function calculates the *modification* based on features
-function applyTerrainFeatures(dir) {
-  let modification = 0;
-
-  for (const feature of terrainFeatures) {
-    if (feature.type === 'valley') {
-      const dotToFeature = dir.dot(feature.center);
-      const angleToFeature = Math.acos(Math.min(Math.max(dotToFeature, -1), 1));
-      const featureDepth = feature.depth * 16.0; // Use fixed depth multiplier
-
-      if (angleToFeature < feature.radius) {
-        modification -= featureDepth;
-      } else if (angleToFeature < feature.radius + feature.rimWidth) {
-        const rimT = (angleToFeature - feature.radius) / feature.rimWidth;
-        const smoothStep = 3 * Math.pow(rimT, 2) - 2 * Math.pow(rimT, 3);
-        modification -= featureDepth * (1.0 - smoothStep);
-      }
-    } else if (feature.type === 'ridge') {
-      // Ridge calculation (same as before)
-      const lineDir = feature.end.clone().sub(feature.start).normalize();
-      const toVertex = dir.clone().sub(feature.start);
-      const projection = feature.start.clone().add(
-        lineDir.clone().multiplyScalar(toVertex.dot(lineDir))
-      );
-      const distToLine = Math.acos(Math.min(Math.max(dir.dot(projection.normalize()), -1), 1)); // Ensure projection is normalized
-
-      if (distToLine < feature.width) {
-        const factor = 1.0 - (distToLine / feature.width);
-        const smooth = Math.sin(factor * Math.PI);
-        modification += smooth * feature.height;
-      }
+// Define terrain features globally within this module (parsed, ready to evaluate)
+let terrainFeatures = parseTerrainFeatures(DEFAULT_TERRAIN_FEATURES);
+// Seeded rotation applied to feature sets with orientation "seeded"
+const featureRotation = new THREE.Quaternion();
+
+/**
+ * Get the seed the current world was generated with
+ * @returns {number|null} World seed (null before initEnvironment runs)
+ */
+export function getWorldSeed() {
+  return worldSeed;
+}
+
+/**
+ * Get the parsed terrain features currently shaping the planet
+ * @returns {Array} Parsed features
+ */
+export function getTerrainFeatures() {
+  return terrainFeatures;
+}
+
+/**
+ * Replace the terrain feature set. Accepts raw JSON definitions
+ * ({ orientation, features } or a bare array) or parsed features.
+ * Call updatePlanetGeometry() afterwards to reshape an existing planet.
+ * @param {Object|Array} data - Feature definitions
+ * @returns {Array} Parsed features
+ */
+export function setTerrainFeatures(data) {
+  const definitions = Array.isArray(data) ? data : data?.features;
+  const alreadyParsed = Array.isArray(definitions) && definitions.every(f => f._prepared);
+  const features = alreadyParsed ? definitions : parseTerrainFeatures(data);
+
+  // Rotate with the world seed unless the file pins its layout
+  if (!alreadyParsed && data?.orientation !== 'fixed') {
+    rotateTerrainFeatures(features, featureRotation);
+  }
+
+  terrainFeatures = features;
+  fitLakeLevels(features);
+  heightCache?.invalidate(); // Rebaked by updatePlanetGeometry
+  waterSystem?.build({ lakes: getLakes() });
+  console.log(`[World] Using ${terrainFeatures.length} terrain features`);
+  return terrainFeatures;
+}
+
+// --- HELPER: Fit lake water levels ---
+// Lakes without a "level" get one just below the lowest point of the ground around
+// their shore, so the basin never spills. The fitted level is kept on the feature
+// (and so saved with layouts); setTerrainMaps fits it again when the ground changes.
+function fitLakeLevels(features) {
+  const pending = features.filter(f => f.type === 'lake' && !Number.isFinite(f.level));
+  if (!pending.length) return;
+
+  // Measure the ground without the unfitted lakes
+  terrainFeatures = features.filter(f => !pending.includes(f));
+
+  const ref = new THREE.Vector3();
+  const u = new THREE.Vector3();
+  const v = new THREE.Vector3();
+  const dir = new THREE.Vector3();
+  const samples = 16;
+
+  pending.forEach(lake => {
+    ref.set(0, 1, 0);
+    if (Math.abs(lake.center.y) > 0.9) ref.set(1, 0, 0);
+    u.crossVectors(ref, lake.center).normalize();
+    v.crossVectors(lake.center, u).normalize();
+
+    const ring = lake.radius + lake.shoreWidth;
+    let lowest = Infinity;
+    for (let i = 0; i < samples; i++) {
+      const a = (i / samples) * Math.PI * 2;
+      dir.copy(lake.center).multiplyScalar(Math.cos(ring))
+        .addScaledVector(u, Math.sin(ring) * Math.cos(a))
+        .addScaledVector(v, Math.sin(ring) * Math.sin(a))
+        .normalize();
+      lowest = Math.min(lowest, getFullTerrainHeight(dir));
     }
+    lake.level = +(lowest - 0.5).toFixed(3);
+    lake._fittedLevel = true;
+  });
+
+  terrainFeatures = features;
+}
+
+// Lake features of the current set (WaterSystem draws their surfaces)
+function getLakes() {
+  return terrainFeatures.filter(f => f.type === 'lake');
+}
+
+/**
+ * Get the ocean/lake surfaces (null before the world is built or with water disabled)
+ * @returns {WaterSystem|null} Water system
+ */
+export function getWaterSystem() {
+  return waterSystem;
+}
+
+/**
+ * Water surface height over a direction, relative to the planet radius
+ * @param {THREE.Vector3} dir - Normalized direction
+ * @returns {number|null} Surface height, or null where there is no water above the ground
+ */
+export function getWaterLevel(dir) {
+  const level = waterSystem?.getSurfaceHeight(dir) ?? null;
+  if (level === null || level <= getFullTerrainHeight(dir)) return null;
+  return level;
+}
+
+/**
+ * Depth of the water over the ground at a direction
+ * @param {THREE.Vector3} dir - Normalized direction
+ * @returns {number} Depth in world units (0 on dry land)
+ */
+export function getWaterDepth(dir) {
+  return waterSystem ? waterSystem.getDepth(dir, getFullTerrainHeight(dir)) : 0;
+}
+
+/**
+ * Move the ocean surface (null removes the ocean). Lakes keep their own levels.
+ * @param {number|null} level - Sea level relative to the planet radius
+ * @returns {number|null} The new sea level
+ */
+export function setSeaLevel(level) {
+  seaLevel = level;
+  waterSystem?.build({ seaLevel });
+  return seaLevel;
+}
+
+// --- HELPER: Seed terrain ---
+// Picks the feature rotation and shifts the noise phase from the world seed
+function seedTerrain(random) {
+  noiseOffset.set(
+    (random() - 0.5) * 2 * Math.PI,
+    (random() - 0.5) * 2 * Math.PI,
+    (random() - 0.5) * 2 * Math.PI
+  );
+
+  featureRotation.setFromUnitVectors(
+    new THREE.Vector3(0, 1, 0),
+    randomDirection(random)
+  );
+}
+
+/**
+ * Use painted height/splat maps (from terrain_maps.js loadTerrainMaps; null entries remove a map).
+ * Call updatePlanetGeometry() and resettleCollidables() afterwards to reshape an existing planet.
+ * @param {Object|null} maps - { heightMap, splatMap }
+ */
+export function setTerrainMaps(maps) {
+  heightMap = maps?.heightMap || null;
+  splatMap = maps?.splatMap || null;
+  setBiomeSplatMap(splatMap);
+  heightCache?.invalidate(); // Rebaked by updatePlanetGeometry
+
+  // Fitted lake levels follow the new ground (explicit levels stay where they were set)
+  const fitted = getLakes().filter(lake => lake._fittedLevel);
+  if (fitted.length) {
+    fitted.forEach(lake => { lake.level = undefined; });
+    fitLakeLevels(terrainFeatures);
+    waterSystem?.build({ lakes: getLakes() });
   }
-  return modification;
+}
+
+/**
+ * Painted maps currently shaping the planet
+ * @returns {Object} { heightMap, splatMap } (null when not used)
+ */
+export function getTerrainMaps() {
+  return { heightMap, splatMap };
+}
+
+/**
+ * Load painted maps and apply them (see terrain_maps.js for the option format)
+ * @param {Object|null} heightmapOptions - { url | image, scale, offset, noiseScale }
+ * @param {Object|null} splatMapOptions - { url | image, channels }
+ * @returns {Promise<Object>} The maps now in use
+ */
+export async function applyTerrainMaps(heightmapOptions, splatMapOptions) {
+  const maps = await loadTerrainMaps(heightmapOptions, splatMapOptions, BIOME_IDS);
+  setTerrainMaps(maps);
+  return maps;
+}
+
+// --- HELPER: Apply Terrain Features ---
+// Blends every feature (add / max / min / smooth-union) over the base height
+function applyTerrainFeatures(dir, baseHeight) {
+  const height = evaluateTerrainFeatures(dir, terrainFeatures, baseHeight);
+  return terrainCraters.length ? evaluateTerrainFeatures(dir, terrainCraters, height) : height;
 }
 
 // --- EXPORTED: Get Full Terrain Height ---
@@ -61,51 +262,848 @@ function applyTerrainFeatures(dir) {
 export function getFullTerrainHeight(normPos) {
   // 1. Base Noise Calculation
   const pos = normPos.clone().multiplyScalar(R);
-  const baseNoise = Math.sin(pos.x * noiseFreq / R) *
-                    Math.sin(pos.y * noiseFreq / R) *
-                    Math.cos(pos.z * noiseFreq / R);
-  const baseHeight = baseNoise * noiseAmp;
+  const baseNoise = Math.sin(pos.x * noiseFreq / R + noiseOffset.x) *
+                    Math.sin(pos.y * noiseFreq / R + noiseOffset.y) *
+                    Math.cos(pos.z * noiseFreq / R + noiseOffset.z);
+  let baseHeight = baseNoise * noiseAmp;
+
+  // NEW: Painted heightmap - added to the (optionally damped) noise, features still blend on top
+  if (heightMap) baseHeight = baseHeight * heightMap.noiseScale + heightMap.getHeight(normPos);
+
+  // 2. Blend features over the base height
+  return applyTerrainFeatures(normPos, baseHeight);
+}
 
-  // 2. Feature Modification Calculation
-  const featureModification = applyTerrainFeatures(normPos);
+/**
+ * Terrain height for per-frame queries (player, deer, apples, projectiles): a bilinear
+ * lookup into the baked height cubemap, or getFullTerrainHeight when there's no cache
+ * (or it's stale). Slightly smoother than the exact height on details under a texel.
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @returns {number} Height relative to the planet radius
+ */
+export function sampleTerrainHeight(dir) {
+  return heightCache ? heightCache.getHeight(dir) : getFullTerrainHeight(dir);
+}
+
+/**
+ * Terrain surface normal for per-frame queries (analytic normal of the baked heights)
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @param {THREE.Vector3} target - Vector to write the normal into
+ * @returns {THREE.Vector3} Unit normal pointing away from the planet
+ */
+export function sampleTerrainNormal(dir, target = new THREE.Vector3()) {
+  return heightCache
+    ? heightCache.getNormal(dir, target)
+    : TerrainHeightCubemap.sampleNormal(getFullTerrainHeight, R, dir, target);
+}
 
-  // 3. Combine Base Height and Modifications
-  return baseHeight + featureModification;
+/**
+ * Baked height cubemap (null when disabled with config.heightCache.enabled = false)
+ * @returns {TerrainHeightCubemap|null}
+ */
+export function getHeightCache() {
+  return heightCache;
 }
 
 
 // --- Initialize Environment ---
 export function initEnvironment(scene, quality, config = {}, callback) {
+  // NEW: Saved world file - fetch it, then rebuild from it (falls back to random generation)
+  if (config.layoutUrl && !config.layout) {
+    const url = config.layoutUrl;
+    loadLayout(url)
+      .then(layout => { config.layout = layout; })
+      .catch(error => console.warn(`[World] Could not load layout from ${url}, generating a new world:`, error))
+      .then(() => {
+        config.layoutUrl = null;
+        initEnvironment(scene, quality, config, callback);
+      })
+      .catch(error => console.error('[World] Failed to build the world:', error));
+    return;
+  }
+
+  // A layout carries its own seed, terrain settings and features so the planet matches the saved props
+  let layout = null;
+  if (config.layout) {
+    layout = config.layout = parseLayout(config.layout);
+    if (layout.seed !== null) config.seed = layout.seed;
+    if (layout.terrain) {
+      const { seaLevel: savedSeaLevel, ...terrain } = layout.terrain;
+      Object.assign(config, terrain);
+      if (savedSeaLevel !== undefined) config.water = { ...config.water, seaLevel: savedSeaLevel };
+    }
+    if (layout.terrainFeatures) {
+      config.terrainFeatures = layout.terrainFeatures;
+      config.terrainFeaturesUrl = null;
+    }
+  }
+
   // Update module-level parameters from config
   R = config.radius || R;
   // Remove lake depth parameter
   noiseFreq = config.noiseFrequency || noiseFreq;
   noiseAmp = config.noiseAmplitude || noiseAmp; // Use configured base noise amplitude
-  const seg = quality === 'high' ? 64 : quality === 'medium' ? 32 : 16;
+  collidableIndex.options.minRadius = R * 0.9; // Leave room for valleys below the base radius
+  maxTerrainCraters = config.terrainDeformation?.maxCraters ?? maxTerrainCraters;
+  seaLevel = config.water?.enabled === false ? null : (config.water?.seaLevel ?? null);
 
-  // --- Create the planet geometry using the full height function ---
-  const sphereGeo = new THREE.SphereGeometry(R, seg, seg);
-  const posAttr = sphereGeo.getAttribute('position');
+  // NEW: Resolve the world seed (?seed= URL param > server config > worldConfig.seed > random)
+  // A loaded layout always uses the seed it was saved with
+  worldSeed = layout?.seed !== null && layout?.seed !== undefined ? normalizeSeed(layout.seed) : resolveWorldSeed(config.seed);
+  config.seed = worldSeed; // Write back so other systems fork from the same seed
+  console.log(`[World] Generating planet with seed ${worldSeed} (reload with ?seed=${worldSeed} to reproduce)`);
+  seedTerrain(forkRandom(worldSeed, 'terrain'));
+  setBiomeSeed(worldSeed);
+  LowPolyGenerator.setRandom(forkRandom(worldSeed, 'models')); // Reproducible tree/rock/grass shapes
+
+  // NEW: Painted height/splat maps load before the features so lake levels fit the painted ground
+  if (config.heightmap || config.splatMap) {
+    applyTerrainMaps(config.heightmap, config.splatMap)
+      .then(
+        () => initTerrainFeatures(scene, quality, config, callback),
+        error => {
+          console.warn('[World] Could not load terrain maps, using procedural terrain only:', error);
+          setTerrainMaps(null);
+          initTerrainFeatures(scene, quality, config, callback);
+        }
+      )
+      .catch(error => console.error('[World] Failed to build the world:', error));
+    return;
+  }
+  setTerrainMaps(null);
+  initTerrainFeatures(scene, quality, config, callback);
+}
+
+// --- HELPER: Load the terrain feature set, then build the world ---
+function initTerrainFeatures(scene, quality, config, callback) {
+  // NEW: Terrain features come from a JSON file (config.terrainFeaturesUrl),
+  // inline definitions (config.terrainFeatures) or the built-in set
+  if (config.terrainFeaturesUrl) {
+    loadTerrainFeatures(config.terrainFeaturesUrl)
+      .then(data => setTerrainFeatures(data))
+      .catch(error => {
+        console.warn(`[World] Could not load terrain features from ${config.terrainFeaturesUrl}, using built-in set:`, error);
+        setTerrainFeatures(DEFAULT_TERRAIN_FEATURES);
+      })
+      .then(() => buildWorld(scene, quality, config, callback))
+      .catch(error => console.error('[World] Failed to build the world:', error));
+    return;
+  }
+
+  setTerrainFeatures(config.terrainFeatures || DEFAULT_TERRAIN_FEATURES);
+  buildWorld(scene, quality, config, callback);
+}
+
+// --- Reshape planet vertices from getFullTerrainHeight ---
+// Optionally only the vertices within angularRadius of centerDir (local terrain edits)
+function displacePlanetGeometry(geometry, centerDir = null, angularRadius = Math.PI) {
+  const minDot = Math.cos(Math.min(angularRadius, Math.PI));
+  const posAttr = geometry.getAttribute('position');
   const vertex = new THREE.Vector3();
+  const dir = new THREE.Vector3();
+  const color = new THREE.Color();
+
+  // Biome vertex colors
+  let colorAttr = geometry.getAttribute('color');
+  if (!colorAttr) {
+    colorAttr = new THREE.BufferAttribute(new Float32Array(posAttr.count * 3), 3);
+    geometry.setAttribute('color', colorAttr);
+  }
 
   for (let i = 0; i < posAttr.count; i++) {
     vertex.fromBufferAttribute(posAttr, i);
-    const dir = vertex.clone().normalize();
+    dir.copy(vertex).normalize();
+    if (centerDir && dir.dot(centerDir) < minDot) continue;
 
     // Calculate height using the combined function
     const height = getFullTerrainHeight(dir);
 
+    getBiomeColor(dir, height, color);
+    colorAttr.setXYZ(i, color.r, color.g, color.b);
+
     // Apply displacement along normal vector
-    vertex.copy(dir.multiplyScalar(R + height));
+    vertex.copy(dir).multiplyScalar(R + height);
     posAttr.setXYZ(i, vertex.x, vertex.y, vertex.z);
   }
-  sphereGeo.computeVertexNormals();
+  posAttr.needsUpdate = true;
+  colorAttr.needsUpdate = true;
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+}
+
+/**
+ * Re-sample the planet mesh (and rebake the height cubemap) after the terrain changed (e.g. new feature set)
+ * @param {THREE.Vector3|null} centerDir - Only update around this direction (optional)
+ * @param {number} angularRadius - Radius in radians around centerDir
+ * @returns {boolean} True if a planet exists and was updated
+ */
+export function updatePlanetGeometry(centerDir = null, angularRadius = Math.PI) {
+  heightCache?.build(centerDir, angularRadius); // Stale caches rebake fully
+  if (planetTerrain) {
+    planetTerrain.rebuild(centerDir, angularRadius);
+    return true;
+  }
+  if (!planetMesh) return false;
+  displacePlanetGeometry(planetMesh.geometry, centerDir, angularRadius);
+  return true;
+}
+
+/**
+ * Dig a crater into the terrain (projectile impacts, debug commands).
+ * getFullTerrainHeight includes it right away; the planet vertices around it are
+ * re-sampled in place and props standing there re-settle.
+ * @param {THREE.Vector3} direction - Impact direction from planet center
+ * @param {Object} options - { radius, depth, rimHeight } in world units
+ * @returns {Object|null} { crater, direction, angularRadius, moved } or null when the crater limit is reached
+ */
+export function addTerrainCrater(direction, options = {}) {
+  if (terrainCraters.length >= maxTerrainCraters) {
+    console.warn(`[World] Crater limit reached (${maxTerrainCraters}), ignoring impact`);
+    return null;
+  }
+
+  const radius = options.radius ?? 4;
+  const dir = direction.clone().normalize();
+  const [crater] = parseTerrainFeatures([{
+    type: 'crater',
+    center: dir,
+    radius: radius / R,                          // World units -> radians
+    rimWidth: (options.rimWidth ?? radius * 0.6) / R,
+    depth: options.depth ?? radius * 0.4,
+    rimHeight: options.rimHeight ?? radius * 0.1,
+    blend: 'add'
+  }]);
+  terrainCraters.push(crater);
+
+  // Re-sample a little past the rim so the edge blends in
+  const angularRadius = (crater.radius + crater.rimWidth) * 1.1;
+  updatePlanetGeometry(dir, angularRadius);
+  const moved = resettleCollidables();
+
+  return { crater, direction: dir, angularRadius, moved };
+}
+
+/**
+ * Runtime craters added since the world was built
+ * @returns {Array} Parsed crater features
+ */
+export function getTerrainCraters() {
+  return terrainCraters;
+}
+
+/**
+ * Remove every runtime crater and restore the terrain
+ * @returns {number} Number of craters removed
+ */
+export function clearTerrainCraters() {
+  const count = terrainCraters.length;
+  if (!count) return 0;
+  terrainCraters = [];
+  updatePlanetGeometry();
+  resettleCollidables();
+  return count;
+}
+
+/**
+ * Dominant biome at a direction (uses the current terrain height)
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @returns {string} Biome id (see BIOMES in biomes.js)
+ */
+export function getBiomeAtDirection(dir) {
+  return getBiomeAt(dir, getFullTerrainHeight(dir));
+}
+
+/**
+ * Biome-blended placement density for an object type at a direction
+ * @param {THREE.Vector3} dir - Normalized direction from planet center
+ * @param {string} objectType - 'pineTrees' | 'appleTrees' | 'rocks' | 'grass'
+ * @returns {number} Density in [0, 1]
+ */
+export function getPlacementDensity(dir, objectType) {
+  return getBiomeDensity(dir, getFullTerrainHeight(dir), objectType);
+}
+
+/**
+ * Refine the LOD terrain around the camera - call once per frame
+ * @param {THREE.Vector3} cameraPosition - Camera world position
+ */
+export function updateTerrainLOD(cameraPosition) {
+  if (planetTerrain) planetTerrain.update(cameraPosition);
+}
+
+/**
+ * Get the quadtree terrain (null when the single-sphere fallback is used)
+ * @returns {QuadTreeTerrain|null} Terrain instance
+ */
+export function getPlanetTerrain() {
+  return planetTerrain;
+}
+
+/**
+ * Instanced prop batches (null when instancing is disabled)
+ * @returns {InstancedPropSystem|null}
+ */
+export function getInstancedProps() {
+  return instancedProps;
+}
+
+/**
+ * Poisson-disk placement system used to scatter trees, rocks and grass
+ * @returns {PlacementSystem|null}
+ */
+export function getPlacementSystem() {
+  return placementSystem;
+}
+
+// Generators for props that aren't instanced (pine trees, rocks and grass come from InstancedPropSystem)
+const PROP_FACTORIES = {
+  appleTree: p => LowPolyGenerator.createTree(
+    p.size ?? 65, null, null, p.trunkRatio ?? 0.65, p.trunkHeight ?? null, p.foliageScale ?? 1.0
+  ),
+  // Parametric species (see TREE_SPECIES) - { height, fruit } plus any species overrides
+  oakTree: p => LowPolyGenerator.createTreeSpecies('oak', p),
+  birchTree: p => LowPolyGenerator.createTreeSpecies('birch', p),
+  willowTree: p => LowPolyGenerator.createTreeSpecies('willow', p),
+  bush: p => LowPolyGenerator.createTreeSpecies('bush', p),
+  deadTree: p => LowPolyGenerator.createTreeSpecies('dead', p),
+  cabin: p => {
+    const cabin = LowPolyCabin.createCabin(p);
+    cabin.name = 'Cabin';
+    return cabin;
+  }
+};
 
-  // Create terrain mesh
-  const terrainMat = new THREE.MeshLambertMaterial({ color: 0x228B22 });
-  const planet = new THREE.Mesh(sphereGeo, terrainMat);
-  planet.receiveShadow = true;
-  scene.add(planet);
+// Every prop type that createProp/placeProp understand
+export const PROP_TYPES = [
+  'pineTree', 'appleTree', 'oakTree', 'birchTree', 'willowTree', 'bush', 'deadTree', 'rock', 'grass', 'cabin'
+];
+
+/**
+ * Create a prop for placeOnSphere. Pine trees, rocks and grass use an instanced
+ * proxy when instancing is enabled. The type and params are kept in userData so
+ * the object can be saved to a layout and rebuilt later.
+ * @param {string} type - One of PROP_TYPES
+ * @param {Object} params - Generator params, e.g. { height, levels, trunkRatio } for pine trees,
+ *   { size, trunkRatio, trunkHeight, foliageScale } for apple trees, { height, fruit } for
+ *   oak/birch/willow/bush/dead trees, { size } for rocks/grass,
+ *   { width, depth, wallHeight, roofHeight } for cabins
+ * @returns {THREE.Object3D} Object to place
+ */
+export function createProp(type, params = {}) {
+  let mesh;
+  if (InstancedPropSystem.supports(type)) {
+    mesh = instancedProps ? instancedProps.createInstance(type, params) : InstancedPropSystem.createModel(type, params);
+  } else if (PROP_FACTORIES[type]) {
+    mesh = PROP_FACTORIES[type](params);
+  } else {
+    throw new Error(`[World] Unknown prop type "${type}"`);
+  }
+
+  mesh.userData.propType = type;
+  mesh.userData.propParams = { ...params };
+  return mesh;
+}
+
+/**
+ * Create a prop and place it on the planet in one step
+ * @param {string} type - Prop type (see PROP_TYPES)
+ * @param {THREE.Vector3} direction - Direction from planet center
+ * @param {Object} options - { params, heightOffset, sinkDepth, spin, scale, id }
+ * @returns {Object} The collidable entry
+ */
+export function placeProp(type, direction, options = {}) {
+  const mesh = createProp(type, options.params || {});
+  const obj = placeOnSphere(mesh, direction.clone().normalize(), options.heightOffset ?? 0, options.sinkDepth ?? 0);
+
+  // Keep ids stable when rebuilding from a layout or undoing a delete
+  if (options.id !== undefined && options.id !== null) {
+    obj.layoutId = options.id;
+    nextLayoutId = Math.max(nextLayoutId, options.id + 1);
+  }
+
+  if (options.spin || (options.scale ?? 1) !== 1) {
+    updatePlacedObject(obj, { spin: options.spin, scale: options.scale });
+  }
+  return obj;
+}
+
+/**
+ * Move, spin or scale a placed object, keeping its collision data, spatial index
+ * entry and instance slot in sync
+ * @param {Object} obj - Collidable entry
+ * @param {Object} changes - { direction, spin (radians), scale (uniform multiplier) }
+ * @returns {Object} The same collidable
+ */
+export function updatePlacedObject(obj, changes = {}) {
+  if (!obj || obj.isPlanet || !obj.mesh) return obj;
+  const mesh = obj.mesh;
+
+  if (changes.direction) {
+    obj.direction.copy(changes.direction).normalize();
+    obj.terrainHeight = getFullTerrainHeight(obj.direction);
+    obj.biome = getBiomeAt(obj.direction, obj.terrainHeight);
+  }
+  if (changes.spin !== undefined) obj.spin = changes.spin;
+  if (changes.scale !== undefined) {
+    obj.propScale = changes.scale;
+    // Scale collision sizes along with the model
+    for (const [key, value] of Object.entries(obj.baseDimensions || {})) {
+      obj[key] = value * obj.propScale;
+    }
+    if (obj.trunkRadius !== undefined) mesh.userData.trunkRadius = obj.trunkRadius;
+    if (obj.trunkHeight !== undefined) mesh.userData.trunkHeight = obj.trunkHeight;
+  }
+
+  // Models are centered on their origin, so the lift off the ground grows with the scale
+  obj.baseRadius = R + obj.terrainHeight + (obj.heightOffset || 0) * (obj.propScale ?? 1) - (obj.sinkDepth || 0);
+  mesh.position.copy(obj.direction).multiplyScalar(obj.baseRadius);
+  mesh.quaternion.setFromUnitVectors(WORLD_UP, obj.direction);
+  if (obj.spin) mesh.quaternion.multiply(spinQuaternion.setFromAxisAngle(WORLD_UP, obj.spin));
+  if (obj.baseScale) mesh.scale.copy(obj.baseScale).multiplyScalar(obj.propScale ?? 1);
+  obj.position.copy(mesh.position);
+  if (obj.exclusionZone) {
+    obj.exclusionZone.direction.copy(obj.direction);
+    obj.exclusionZone.radius = obj.radius * 2;
+  }
+
+  if (mesh.userData?.isInstanced) instancedProps?.syncInstance(mesh);
+  if (collidableIndex.has(obj)) collidableIndex.update(obj);
+  syncBoxColliders(obj);
+  return obj;
+}
+
+// Walls/floors of a model follow it when it moves, spins or scales
+function syncBoxColliders(obj) {
+  if (!obj.boxColliders) return;
+  for (const box of obj.boxColliders) {
+    syncBoxCollider(box);
+    collidableIndex.update(box);
+  }
+}
+
+/**
+ * Remove a placed object from the scene, collidables and spatial index
+ * @param {Object} obj - Collidable entry
+ * @returns {boolean} Whether the object was removed
+ */
+export function removePlacedObject(obj) {
+  const index = collidables.indexOf(obj);
+  if (index <= 0 || obj.isPlanet) return false;
+
+  collidables.splice(index, 1);
+  collidableIndex.remove(obj);
+  for (const box of obj.boxColliders || []) {
+    const boxIndex = collidables.indexOf(box);
+    if (boxIndex !== -1) collidables.splice(boxIndex, 1);
+    collidableIndex.remove(box);
+  }
+  if (obj.exclusionZone) placementSystem?.removeExclusionZone(obj.exclusionZone);
+  if (obj.mesh.userData?.isInstanced && instancedProps) {
+    instancedProps.removeInstance(obj.mesh);
+  } else if (obj.mesh.parent) {
+    obj.mesh.parent.remove(obj.mesh);
+  }
+  return true;
+}
+
+/**
+ * Find a placed object by its layout id
+ * @param {number} id - layoutId
+ * @returns {Object|null} Collidable entry
+ */
+export function getPlacedObjectById(id) {
+  return collidables.find(obj => obj.layoutId === id) || null;
+}
+
+/**
+ * Plain-data description of a placed prop (what a layout file stores)
+ * @param {Object} obj - Collidable entry created through createProp
+ * @returns {Object|null} { id, type, params, direction, heightOffset, sinkDepth, spin, scale }
+ */
+export function describePlacedObject(obj) {
+  if (!obj?.propType) return null;
+  return {
+    id: obj.layoutId,
+    type: obj.propType,
+    params: { ...obj.propParams },
+    direction: obj.direction.toArray().map(v => +v.toFixed(6)),
+    heightOffset: obj.heightOffset || 0,
+    sinkDepth: obj.sinkDepth || 0,
+    spin: +(obj.spin || 0).toFixed(4),
+    scale: +(obj.propScale ?? 1).toFixed(4)
+  };
+}
+
+/**
+ * Save the whole world - seed, terrain settings, terrain features and every prop
+ * placed through createProp - as a layout initEnvironment can rebuild from
+ * (config.layout or config.layoutUrl)
+ * @returns {Object} Layout data (see WorldLayout.js)
+ */
+export function exportLayout() {
+  const records = collidables.map(describePlacedObject).filter(Boolean);
+  return createLayout(records, {
+    seed: worldSeed,
+    terrain: {
+      radius: R, noiseFrequency: noiseFreq, noiseAmplitude: noiseAmp, seaLevel,
+      // Painted maps are saved by url (maps built from image data in code can't be)
+      heightmap: heightMap?.url ? heightMap.settings : null,
+      splatMap: splatMap?.url ? splatMap.settings : null
+    },
+    terrainFeatures: serializeTerrainFeatures([...terrainFeatures, ...terrainCraters]) // Craters become part of the saved terrain
+  });
+}
+
+/**
+ * Build a standalone copy of the world for a glTF export (see WorldExport.js): the planet
+ * at one uniform resolution (the LOD tiles only show detail near the camera), every prop
+ * placed through createProp and, optionally, apples. Nothing in the scene is changed.
+ * @param {Object} options - { planetSegments: sphere segments around the equator, apples: from AppleSystem.getApples() }
+ * @returns {THREE.Group} "World" group ready for exportGLB
+ */
+export function createWorldExport(options = {}) {
+  const { planetSegments = 256, apples = [] } = options;
+  const world = new THREE.Group();
+  world.name = 'World';
+  world.userData = toExtras({
+    format: 'fly5d-world', seed: worldSeed, radius: R, seaLevel, exportedAt: new Date().toISOString()
+  });
+
+  // Planet: displaced sphere with the biome vertex colors
+  const planetGeo = new THREE.SphereGeometry(R, planetSegments, Math.max(8, Math.round(planetSegments / 2)));
+  displacePlanetGeometry(planetGeo);
+  const planet = new THREE.Mesh(planetGeo, new THREE.MeshStandardMaterial({ color: 0xffffff, vertexColors: true, roughness: 1 }));
+  planet.name = 'Planet';
+  world.add(planet);
+
+  const props = new THREE.Group();
+  props.name = 'Props';
+  world.add(props);
+  for (const obj of collidables) {
+    if (!obj.propType || !obj.mesh) continue;
+    const copy = obj.mesh.userData.isInstanced
+      ? instancedProps?.createStaticMesh(obj.mesh)
+      : cloneForExport(obj.mesh);
+    if (!copy) continue;
+    // Instanced copies start without the proxy's userData
+    copy.userData = { ...toExtras(obj.mesh.userData), ...copy.userData, layout: describePlacedObject(obj) };
+    if (!copy.name) copy.name = obj.propType;
+    props.add(copy);
+  }
+
+  const appleGroup = new THREE.Group();
+  appleGroup.name = 'Apples';
+  world.add(appleGroup);
+  apples.forEach(({ mesh, ...info }) => {
+    const copy = cloneForExport(mesh, toExtras(info));
+    if (!copy) return;
+    copy.name = copy.name || `Apple_${info.appleType}`;
+    appleGroup.add(copy);
+  });
+
+  console.log(`[World] Export snapshot: planet ${planetGeo.getAttribute('position').count} vertices, ${props.children.length} props, ${appleGroup.children.length} apples`);
+  return world;
+}
+
+/**
+ * Intersect a ray with the terrain (marches using the height function, then bisects)
+ * @param {THREE.Vector3} origin - Ray origin (outside the ground)
+ * @param {THREE.Vector3} direction - Normalized ray direction
+ * @param {number} maxDistance - Give up after this distance
+ * @returns {Object|null} { point, direction (unit, from planet center), distance } or null
+ */
+export function raycastTerrain(origin, direction, maxDistance = 2000) {
+  const point = new THREE.Vector3();
+  const dir = new THREE.Vector3();
+  const gapAt = t => {
+    point.copy(direction).multiplyScalar(t).add(origin);
+    const length = point.length();
+    dir.copy(point).divideScalar(length || 1);
+    return length - (R + getFullTerrainHeight(dir));
+  };
+
+  let prevT = 0;
+  let gap = gapAt(0);
+  if (gap <= 0) return null; // Starting underground
+
+  let t = 0;
+  while (t < maxDistance) {
+    prevT = t;
+    t += THREE.MathUtils.clamp(gap * 0.5, 0.5, 20);
+    gap = gapAt(t);
+    if (gap <= 0) {
+      // Bisect between the last point above ground and this one
+      let lo = prevT, hi = t;
+      for (let i = 0; i < 12; i++) {
+        const mid = (lo + hi) / 2;
+        if (gapAt(mid) > 0) lo = mid; else hi = mid;
+      }
+      gapAt(hi);
+      return { point: point.clone(), direction: dir.clone(), distance: hi };
+    }
+  }
+  return null;
+}
+
+/**
+ * Place every prop from a layout
+ * @param {Object} layout - Layout data (raw JSON or parsed)
+ * @returns {number} Number of props placed
+ */
+export function loadLayoutProps(layout) {
+  const parsed = parseLayout(layout);
+  let placed = 0;
+  for (const record of parsed.props) {
+    try {
+      placeProp(record.type, record.direction, record);
+      placed++;
+    } catch (error) {
+      console.warn(`[World] Skipping layout prop ${record.id} (${record.type}):`, error.message);
+    }
+  }
+  console.log(`[World] Placed ${placed}/${parsed.props.length} props from layout`);
+  return placed;
+}
+
+/**
+ * Move placed objects up/down to follow the current terrain height
+ * (their original height offset and sink depth are preserved)
+ * @returns {number} Number of objects moved
+ */
+export function resettleCollidables() {
+  let moved = 0;
+  for (const obj of collidables) {
+    if (obj.isPlanet || !obj.mesh || !obj.direction || obj.terrainHeight === undefined) continue;
+
+    const newHeight = getFullTerrainHeight(obj.direction);
+    const delta = newHeight - obj.terrainHeight;
+    if (Math.abs(delta) < 1e-4) continue;
+
+    obj.terrainHeight = newHeight;
+    obj.baseRadius += delta;
+    obj.mesh.position.copy(obj.direction).multiplyScalar(obj.baseRadius);
+    obj.position.copy(obj.mesh.position);
+    if (obj.mesh.userData?.isInstanced) instancedProps?.syncInstance(obj.mesh);
+    if (collidableIndex.has(obj)) collidableIndex.update(obj);
+    syncBoxColliders(obj);
+    moved++;
+  }
+  return moved;
+}
+
+// --- Place objects helper function ---
+// Uses getFullTerrainHeight for accurate placement
+// Returns the new collidable entry (truthy) so callers can keep a reference
+export function placeOnSphere(mesh, dir, heightOffset = 0, sinkDepth = 0) {
+  // Remove lake check
+
+  // Compute terrain height using the full function
+  const terrainHeight = getFullTerrainHeight(dir);
+  const baseRadius = R + terrainHeight + heightOffset - sinkDepth;
+
+  // position and orient
+  mesh.position.copy(dir.clone().multiplyScalar(baseRadius));
+  mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
+
+  worldScene.add(mesh);
+
+  // Instanced props are empty proxies - copy the final transform into their instance slot
+  if (mesh.userData?.isInstanced) instancedProps?.syncInstance(mesh);
+
+  // ... (rest of placeOnSphere: compute normals, calculate collision radius, add to collidables) ...
+  // Ensure normals are computed
+  if (mesh.geometry) mesh.geometry.computeVertexNormals();
+  else if (mesh instanceof THREE.Group) mesh.traverse(child => { if (child.geometry) child.geometry.computeVertexNormals(); });
+
+  // Collision radius calculation (improved for better accuracy)
+  let radius = 1.0;
+  let collisionHeight = 0;
+  const isTree = mesh.name?.includes('Tree') || mesh.userData?.isTree || mesh.userData?.isPineTree;
+  const isRock = mesh.name?.includes('Rock') || mesh.userData?.isRock;
+  const isCabin = mesh.name?.includes('Cabin') || mesh.userData?.isCabin;
+
+  if (isTree) {
+    // Get actual trunk dimensions for accurate collision
+    const totalHeight = mesh.userData?.totalHeight || mesh.userData?.height || heightOffset * 2;
+    
+    // IMPROVED: Calculate trunk radius more precisely by examining the trunk mesh
+    // (tree species know theirs - their merged branches would inflate the bounding sphere)
+    let trunkRadius = mesh.userData?.trunkBaseRadius || 0;
+    if (!trunkRadius) mesh.traverse(child => {
+      if (child.isMesh && 
+         (child.material?.color?.r < 0.5 && child.material?.color?.g < 0.5)) {
+        // This is probably the trunk (brown color)
+        if (child.geometry.boundingSphere) {
+          // Get actual trunk radius from geometry
+          trunkRadius = Math.max(trunkRadius, child.geometry.boundingSphere.radius * 0.6);
+        }
+      }
+    });
+    
+    // If we couldn't determine trunk radius, fallback to estimate
+    if (trunkRadius === 0) {
+      trunkRadius = totalHeight * 0.03; // 3% of total height
+    }
+    
+    // Store ACTUAL trunk radius for collision detection
+    radius = Math.max(0.5, trunkRadius); // Minimum 0.5 units
+    collisionHeight = totalHeight * 0.7;
+    
+    // Store additional tree data for more precise collision
+    mesh.userData.trunkRadius = radius;
+    mesh.userData.trunkHeight = collisionHeight;
+  } else if (isRock) {
+    if (mesh.userData?.boundingRadius) {
+      // Instanced rock proxy: prototype bounding sphere scaled to this instance
+      radius = mesh.userData.boundingRadius * 0.9;
+    } else if (mesh instanceof THREE.Mesh && mesh.geometry.boundingSphere) {
+      // Use actual mesh bounding sphere for rocks
+      radius = mesh.geometry.boundingSphere.radius * 0.9; // 90% of bounding sphere
+    } else {
+      radius = Math.max(mesh.scale.x, mesh.scale.y, mesh.scale.z) * 1.5;
+    }
+  } else if (isCabin) {
+    // Footprint for placement spacing and editor picking - the walls collide through box colliders
+    radius = mesh.userData?.footprintRadius || 8;
+  } else {
+    if (mesh instanceof THREE.Mesh && mesh.geometry.boundingSphere) {
+      radius = mesh.geometry.boundingSphere.radius;
+    } else if (mesh instanceof THREE.Group) {
+      radius = Math.max(mesh.scale.x, mesh.scale.y, mesh.scale.z) * 1.5;
+    }
+  }
+
+  const collidable = { 
+    mesh, 
+    position: mesh.position.clone(), 
+    radius, 
+    direction: dir.clone(), 
+    heightOffset, 
+    sinkDepth,
+    baseRadius, 
+    terrainHeight, // Ground height when placed, used to re-settle after terrain changes
+    collisionHeight,
+    // IMPROVED: Add more precise collision metadata 
+    actualRadius: radius, // Actual physical radius (not collision radius)
+    objectType: isTree ? 'tree' : isRock ? 'rock' : isCabin ? 'cabin' : 'object',
+    biome: getBiomeAt(dir, terrainHeight), // Biome the object stands in
+    // Editor/layout data: stable id, spin around the up axis and uniform scale on top of the model's own scale
+    layoutId: nextLayoutId++,
+    spin: 0,
+    propScale: 1,
+    baseScale: mesh.scale.clone(),
+    baseDimensions: { radius, actualRadius: radius, collisionHeight }
+  };
+  
+  Object.assign(collidable, mesh.userData); // Copy userData
+  if (collidable.trunkRadius !== undefined) collidable.baseDimensions.trunkRadius = collidable.trunkRadius;
+  if (collidable.trunkHeight !== undefined) collidable.baseDimensions.trunkHeight = collidable.trunkHeight;
+  
+  // Special settings for grass
+  if (mesh.userData?.isGrass || mesh.name?.toLowerCase().includes('grass')) {
+    collidable.noCollision = true;
+  }
+
+  // Keep scattered props clear of cabins (the zone moves and goes away with the cabin)
+  if (isCabin && placementSystem) {
+    collidable.exclusionZone = placementSystem.addExclusionZone(dir, radius * 2, mesh.name);
+  }
+
+  collidables.push(collidable);
+  if (!collidable.noCollision) collidableIndex.insert(collidable);
+
+  // NEW: Per-wall/floor boxes (cabins) get their own collidables entries
+  if (mesh.userData?.colliders?.length) {
+    collidable.boxColliders = createBoxColliders(collidable, mesh.userData.colliders);
+    for (const box of collidable.boxColliders) {
+      collidables.push(box);
+      collidableIndex.insert(box);
+    }
+  }
+  return collidable;
+}
+
+// --- Build planet and place base objects (after features are ready) ---
+function buildWorld(scene, quality, config, callback) {
+  // Biomes drive vertex colors (meadow, forest, rocky highlands, snowy poles, dry valley)
+  const terrainMat = new THREE.MeshLambertMaterial({ color: 0xffffff, vertexColors: true });
+  let planet;
+  worldScene = scene;
+
+  // NEW: Bake the height cubemap once the terrain (maps, features) is final
+  if (config.heightCache?.enabled !== false) {
+    const { enabled, ...cacheOptions } = config.heightCache || {};
+    heightCache = new TerrainHeightCubemap({
+      ...cacheOptions,
+      radius: R,
+      getHeight: getFullTerrainHeight,
+      // Impact craters can be a single texel wide - always look them up exactly
+      exactMask: (dir, padding) => terrainCraters.some(crater =>
+        dir.angleTo(crater.center) < crater.radius + crater.rimWidth + padding)
+    });
+    heightCache.build();
+    const check = heightCache.measureError(500);
+    if (!check.withinTolerance) {
+      console.warn(`[World] Height cache is off by up to ${check.maxError.toFixed(2)} units / ` +
+        `${THREE.MathUtils.radToDeg(check.maxNormalError).toFixed(1)}° - raise heightCache.resolution`);
+    }
+  }
+
+  if (config.terrainLod?.enabled !== false) {
+    // NEW: Chunked cube-sphere quadtree - fine tiles near the camera, coarse far away
+    const maxLevel = quality === 'high' ? 6 : quality === 'medium' ? 5 : 4;
+    planetTerrain = new QuadTreeTerrain(scene, {
+      radius: R,
+      getHeight: getFullTerrainHeight,
+      getColor: getBiomeColor,
+      material: terrainMat,
+      maxLevel,
+      ...config.terrainLod
+    });
+    planet = planetTerrain.group;
+  } else {
+    // Fallback: single displaced sphere
+    const seg = quality === 'high' ? 64 : quality === 'medium' ? 32 : 16;
+
+    // --- Create the planet geometry using the full height function ---
+    const sphereGeo = new THREE.SphereGeometry(R, seg, seg);
+    displacePlanetGeometry(sphereGeo);
+
+    // Create terrain mesh
+    planet = new THREE.Mesh(sphereGeo, terrainMat);
+    planet.receiveShadow = true;
+    scene.add(planet);
+  }
+  planetMesh = planet;
+
+  // NEW: Ocean at sea level plus a surface for every lake basin
+  if (config.water?.enabled !== false) {
+    waterSystem = new WaterSystem(scene, {
+      ...config.water,
+      radius: R,
+      seaLevel,
+      lakes: getLakes()
+    });
+  }
+
+  // NEW: Batch pine trees, rocks and grass into InstancedMesh draw calls
+  if (config.instancing?.enabled !== false) {
+    instancedProps = new InstancedPropSystem(scene, {
+      random: forkRandom(worldSeed, 'instancing'),
+      ...config.instancing
+    });
+  }
+
+  // NEW: Rule-based Poisson-disk placement (spacing, slope, height bands, exclusion zones)
+  placementSystem = new PlacementSystem({
+    radius: R,
+    getHeight: getFullTerrainHeight,
+    getDensity: getPlacementDensity,
+    getFeatureMask: (dir, types) => getTerrainFeatureMask(dir, terrainFeatures, types),
+    getWaterDepth,
+    random: forkRandom(worldSeed, 'placement'),
+    rules: config.placement?.rules
+  });
 
   // Add the planet itself as the primary collidable (index 0)
   collidables.push({
@@ -116,115 +1114,35 @@ export function initEnvironment(scene, quality, config = {}, callback) {
       isPlanet: true
   });
 
-  // --- Place objects helper function ---
-  // Uses getFullTerrainHeight for accurate placement
-  function placeOnSphere(mesh, dir, heightOffset = 0, sinkDepth = 0) {
-    // Remove lake check
-
-    // Compute terrain height using the full function
-    const terrainHeight = getFullTerrainHeight(dir);
-    const baseRadius = R + terrainHeight + heightOffset - sinkDepth;
-
-    // position and orient
-    mesh.position.copy(dir.clone().multiplyScalar(baseRadius));
-    mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
-
-    scene.add(mesh);
-
-    // ... (rest of placeOnSphere: compute normals, calculate collision radius, add to collidables) ...
-    // Ensure normals are computed
-    if (mesh.geometry) mesh.geometry.computeVertexNormals();
-    else if (mesh instanceof THREE.Group) mesh.traverse(child => { if (child.geometry) child.geometry.computeVertexNormals(); });
-
-    // Collision radius calculation (improved for better accuracy)
-    let radius = 1.0;
-    let collisionHeight = 0;
-    const isTree = mesh.name?.includes('Tree') || mesh.userData?.isTree || mesh.userData?.isPineTree;
-    const isRock = mesh.name?.includes('Rock') || mesh.userData?.isRock;
-    const isCabin = mesh.name?.includes('Cabin');
-
-    if (isTree) {
-      // Get actual trunk dimensions for accurate collision
-      const totalHeight = mesh.userData?.totalHeight || mesh.userData?.height || heightOffset * 2;
-      
-      // IMPROVED: Calculate trunk radius more precisely by examining the trunk mesh
-      let trunkRadius = 0;
-      mesh.traverse(child => {
-        if (child.isMesh && 
-           (child.material?.color?.r < 0.5 && child.material?.color?.g < 0.5)) {
-          // This is probably the trunk (brown color)
-          if (child.geometry.boundingSphere) {
-            // Get actual trunk radius from geometry
-            trunkRadius = Math.max(trunkRadius, child.geometry.boundingSphere.radius * 0.6);
-          }
-        }
-      });
-      
-      // If we couldn't determine trunk radius, fallback to estimate
-      if (trunkRadius === 0) {
-        trunkRadius = totalHeight * 0.03; // 3% of total height
-      }
-      
-      // Store ACTUAL trunk radius for collision detection
-      radius = Math.max(0.5, trunkRadius); // Minimum 0.5 units
-      collisionHeight = totalHeight * 0.7;
-      
-      // Store additional tree data for more precise collision
-      mesh.userData.trunkRadius = radius;
-      mesh.userData.trunkHeight = collisionHeight;
-    } else if (isRock) {
-      if (mesh instanceof THREE.Mesh && mesh.geometry.boundingSphere) {
-        // Use actual mesh bounding sphere for rocks
-        radius = mesh.geometry.boundingSphere.radius * 0.9; // 90% of bounding sphere
-      } else {
-        radius = Math.max(mesh.scale.x, mesh.scale.y, mesh.scale.z) * 1.5;
-      }
-    } else if (isCabin) {
-      radius = 8; // Tighter collision for cabins
-    } else {
-      if (mesh instanceof THREE.Mesh && mesh.geometry.boundingSphere) {
-        radius = mesh.geometry.boundingSphere.radius;
-      } else if (mesh instanceof THREE.Group) {
-        radius = Math.max(mesh.scale.x, mesh.scale.y, mesh.scale.z) * 1.5;
-      }
+  // NEW: Rebuild a saved/edited layout instead of generating props
+  if (config.layout) {
+    loadLayoutProps(config.layout);
+    if (callback && typeof callback === 'function') {
+      callback(placeOnSphere);
     }
+    return;
+  }
 
-    const collidable = { 
-      mesh, 
-      position: mesh.position.clone(), 
-      radius, 
-      direction: dir.clone(), 
-      heightOffset, 
-      baseRadius, 
-      collisionHeight,
-      // IMPROVED: Add more precise collision metadata 
-      actualRadius: radius, // Actual physical radius (not collision radius)
-      objectType: isTree ? 'tree' : isRock ? 'rock' : isCabin ? 'cabin' : 'object'
-    };
-    
-    Object.assign(collidable, mesh.userData); // Copy userData
-    
-    // Special settings for grass
-    if (mesh.userData?.isGrass || mesh.name?.toLowerCase().includes('grass')) {
-      collidable.noCollision = true;
-    }
+  // --- Place Cabins first so the trees keep clear of them ---
+  const cabinConfig = config.cabins || {};
+  const { count: cabinCount = 0, sink: cabinSink = 0.5, ...cabinParams } = cabinConfig;
+  const placedCabins = placementSystem.scatter('cabin', cabinCount, dir =>
+      placeProp('cabin', dir, { params: cabinParams, sinkDepth: cabinSink, spin: placementSystem.random() * Math.PI * 2 })
+  );
+  console.log(`[World] Placed ${placedCabins.length} cabins`);
 
-    collidables.push(collidable);
-    return true;
-  }
-  
-  // --- Place Pine Trees (using the updated placeOnSphere) ---
+  // --- Place Pine Trees (Poisson-disk: spaced out, off steep slopes, biome-aware) ---
   const treeCount = config.baseTrees?.count || 20;
   const trunkHeight = config.baseTrees?.trunkHeight || 10;
   const trunkSink = config.baseTrees?.trunkSink || 5;
   const foliageHeight = config.baseTrees?.foliageHeight || 10;
-  for (let i = 0; i < treeCount; i++) {
-      const dir = new THREE.Vector3().randomDirection();
-      const totalTreeHeight = trunkHeight + foliageHeight;
-      const trunkRatio = trunkHeight / totalTreeHeight;
-      const pineTree = LowPolyGenerator.createPineTree(totalTreeHeight, 4, trunkRatio);
-      placeOnSphere(pineTree, dir, totalTreeHeight / 2, trunkSink);
-  }
+  const totalTreeHeight = trunkHeight + foliageHeight;
+  const trunkRatio = trunkHeight / totalTreeHeight;
+  const placedTrees = placementSystem.scatter('pineTree', treeCount, dir => {
+      const pineTree = createProp('pineTree', { height: totalTreeHeight, levels: 4, trunkRatio });
+      return placeOnSphere(pineTree, dir, totalTreeHeight / 2, trunkSink);
+  });
+  console.log(`[World] Placed ${placedTrees.length} pine trees`);
 
   // Export the placeOnSphere function via callback if provided
   if (callback && typeof callback === 'function') {